@@ -5,11 +5,17 @@ const cors = require('cors');
 const authRoutes = require("./src/modules/auth/auth.route.js");
 const adminRoutes = require("./src/modules/admin/admin.route.js");
 const issueRoutes = require("./src/modules/issue/issue.route.js");
+const open311Routes = require("./src/modules/open311/open311.route.js");
+const notificationRoutes = require("./src/modules/notification/notification.route.js");
 const errorHandler = require("./src/shared/middleware/error.middleware.js");
 const { securityHeaders } = require("./src/shared/middleware/security.middleware.js");
+const { parseTrustProxy } = require("./src/shared/utils/trustProxy.js");
 
 const app = express();
 
+// Behind a reverse proxy, req.ip must be the client (login throttling, audit IPs)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(securityHeaders);
 
 app.use(express.json({ limit: '10mb' }));
@@ -51,6 +57,8 @@ app.get("/", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/issues", issueRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/open311/v2", open311Routes);
 
 app.use(errorHandler);
 
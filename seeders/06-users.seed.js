@@ -47,7 +47,12 @@ async function seedUsers() {
     { id: 23, name: 'Lakshmi Jain', email: 'lakshmi.jain@example.com', password_hash: passwordHash, city_id: 3 },
   ];
 
-  await User.bulkCreate(users, { ignoreDuplicates: true });
+  // Seeded accounts are pre-verified so they can report right away
+  const verifiedAt = new Date();
+  await User.bulkCreate(
+    users.map((user) => ({ ...user, email_verified_at: verifiedAt })),
+    { ignoreDuplicates: true }
+  );
   console.log(`  ✔ ${users.length} users seeded`);
   console.log('     Default password: Password123');
 }
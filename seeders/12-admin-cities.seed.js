@@ -0,0 +1,29 @@
+'use strict';
+
+const { AdminCity, Role, UserRole } = require('../src/models');
+
+// Each city admin manages their own city
+const adminCities = [
+  { id: 1, user_id: 1, city_id: 1 }, // Rajesh -> Jaipur
+  { id: 2, user_id: 2, city_id: 2 }, // Arvind -> Jodhpur
+  { id: 3, user_id: 3, city_id: 3 }, // Deepak -> Udaipur
+];
+
+// Rajesh can also log in as super_admin (role created by the admin-cities migration)
+const SUPER_ADMIN_USER_ROLE = { id: 24, user_id: 1 };
+
+async function seedAdminCities() {
+  console.log('→ Seeding admin cities...');
+  await AdminCity.bulkCreate(adminCities, { ignoreDuplicates: true });
+
+  const superAdminRole = await Role.findOne({ where: { name: 'super_admin' } });
+  if (superAdminRole) {
+    await UserRole.bulkCreate(
+      [{ ...SUPER_ADMIN_USER_ROLE, role_id: superAdminRole.id }],
+      { ignoreDuplicates: true }
+    );
+  }
+  console.log(`  ✔ ${adminCities.length} admin cities seeded`);
+}
+
+module.exports = seedAdminCities;
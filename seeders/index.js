@@ -22,6 +22,7 @@ const seedUserRoles = require('./08-user-roles.seed');
 const seedAuthorityIssues = require('./09-authority-issues.seed');
 const seedAuthorityUsers = require('./10-authority-users.seed');
 const seedUserIssues = require('./11-user-issues.seed');
+const seedAdminCities = require('./12-admin-cities.seed');
 const { resetSequences } = require('./utils/sequence-fixer');
 
 async function runSeeders() {
@@ -44,6 +45,7 @@ async function runSeeders() {
     await seedAuthorityIssues();
     await seedAuthorityUsers();
     await seedUserIssues();
+    await seedAdminCities();
 
     // Fix PostgreSQL sequences after seeding with explicit IDs
     await resetSequences({ silent: false });
@@ -24,6 +24,7 @@ const TABLES = [
   'issue_images',
   'logs',
   'user_issue_flag',
+  'admin_cities',
 ];
 
 async function resetSequences(options = {}) {
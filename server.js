@@ -1,6 +1,8 @@
 const app = require("./app");
 require("dotenv").config();
 const { sequelize } = require("./src/models");
+const { startSlaEscalationJob } = require("./src/jobs/slaEscalation.job.js");
+const { startEmailOutboxJob } = require("./src/jobs/emailOutbox.job.js");
 
 const PORT = process.env.PORT;
 
@@ -36,6 +38,12 @@ async function startServer() {
       console.log(`Server running on port ${PORT}`);
     });
 
+    // Escalate reports past their SLA (disabled when unset or 0)
+    startSlaEscalationJob(Number(process.env.SLA_ESCALATION_INTERVAL_MINUTES) || 0);
+
+    // Send queued notification emails (disabled when unset or 0)
+    startEmailOutboxJob(Number(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 0);
+
   } catch (error) {
     console.error("Server failed to start:", error.message);
     process.exit(1); 
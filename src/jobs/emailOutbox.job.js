@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Email Outbox Job
+ *
+ * Sends queued notification emails (see emailOutbox.service.js).
+ *
+ * Usage:
+ *   Started by server.js every EMAIL_OUTBOX_INTERVAL_SECONDS (0/unset = disabled)
+ *   node src/jobs/emailOutbox.job.js   # Run once (npm run mail:outbox)
+ */
+
+const { processOutbox } = require('../modules/notification/emailOutbox.service.js');
+
+/**
+ * Run one delivery pass, logging (not throwing) failures
+ *
+ * @returns {Promise<Object|null>} processOutbox result, or null on failure
+ */
+async function runOnce() {
+  try {
+    const result = await processOutbox();
+    if (result.sent || result.retried || result.failed) {
+      console.log(
+        `Email outbox: ${result.sent} sent, ${result.retried} to retry, ${result.failed} failed, ${result.skipped} skipped`
+      );
+    }
+    return result;
+  } catch (error) {
+    console.error('Email outbox failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Start the delivery interval
+ *
+ * Runs never overlap: a pass that is still running skips the next tick.
+ *
+ * @param {number} intervalSeconds - 0 or less disables the job
+ * @returns {NodeJS.Timeout|null} Timer handle (null when disabled)
+ */
+function startEmailOutboxJob(intervalSeconds) {
+  if (!intervalSeconds || intervalSeconds <= 0) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+
+  // Do not keep the process alive just for the job
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  runOnce,
+  startEmailOutboxJob
+};
+
+if (require.main === module) {
+  runOnce().then((result) => {
+    process.exit(result ? 0 : 1);
+  });
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * SLA Escalation Job
+ *
+ * Periodically escalates reports that missed their SLA (see sla.service.js).
+ *
+ * Usage:
+ *   Started by server.js every SLA_ESCALATION_INTERVAL_MINUTES (0/unset = disabled)
+ *   node src/jobs/slaEscalation.job.js   # Run once (npm run sla:escalate)
+ */
+
+const { runEscalation } = require('../modules/issue/sla.service.js');
+
+/**
+ * Run one escalation pass, logging (not throwing) failures
+ *
+ * @returns {Promise<Object|null>} runEscalation result, or null on failure
+ */
+async function runOnce() {
+  try {
+    const result = await runEscalation();
+    if (result.escalations.length) {
+      console.log(`SLA escalation: ${result.escalations.length} report stage(s) escalated`);
+    }
+    return result;
+  } catch (error) {
+    console.error('SLA escalation failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Start the escalation interval
+ *
+ * Runs never overlap: a pass that is still running skips the next tick.
+ *
+ * @param {number} intervalMinutes - 0 or less disables the job
+ * @returns {NodeJS.Timeout|null} Timer handle (null when disabled)
+ */
+function startSlaEscalationJob(intervalMinutes) {
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } finally {
+      running = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for the job
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  runOnce,
+  startSlaEscalationJob
+};
+
+if (require.main === module) {
+  runOnce().then((result) => {
+    process.exit(result ? 0 : 1);
+  });
+}
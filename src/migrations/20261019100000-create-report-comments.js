@@ -0,0 +1,101 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('report_comments', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        report_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'user_issue',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        is_hidden: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        hidden_by: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        edited_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Index for listing a report's comment thread in order
+      await queryInterface.addIndex('report_comments', ['report_id', 'created_at'], {
+        name: 'idx_report_comments_report_created',
+        transaction
+      });
+
+      // Index on user_id for "my comments" and user cleanup
+      await queryInterface.addIndex('report_comments', ['user_id'], {
+        name: 'idx_report_comments_user_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('report_comments', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
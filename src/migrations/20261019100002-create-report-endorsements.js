@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('report_endorsements', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        report_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'user_issue',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // One endorsement per citizen per report (toggling restores the soft-deleted row)
+      await queryInterface.addIndex('report_endorsements', ['report_id', 'user_id'], {
+        unique: true,
+        name: 'idx_report_endorsements_unique',
+        transaction
+      });
+
+      // Index on user_id for "reports I endorsed" filter
+      await queryInterface.addIndex('report_endorsements', ['user_id'], {
+        name: 'idx_report_endorsements_user_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('report_endorsements', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
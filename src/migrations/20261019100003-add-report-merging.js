@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Terminal status for reports merged into a canonical report
+      // (ADD VALUE inside a transaction requires PostgreSQL 12+)
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_user_issue_status" ADD VALUE IF NOT EXISTS 'merged';`,
+        { transaction }
+      );
+
+      await queryInterface.addColumn('user_issue', 'merged_into_id', {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'user_issue',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      // Index on merged_into_id for "reports merged into X" lookups
+      await queryInterface.addIndex('user_issue', ['merged_into_id'], {
+        name: 'idx_user_issue_merged_into_id',
+        where: { merged_into_id: { [Sequelize.Op.ne]: null } },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.removeIndex('user_issue', 'idx_user_issue_merged_into_id', { transaction });
+      await queryInterface.removeColumn('user_issue', 'merged_into_id', { transaction });
+
+      // PostgreSQL cannot drop an enum value - recreate the type without 'merged'
+      await queryInterface.sequelize.query(
+        `UPDATE "user_issue" SET "status" = 'rejected' WHERE "status" = 'merged';`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_user_issue_status" RENAME TO "enum_user_issue_status_old";`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `CREATE TYPE "enum_user_issue_status" AS ENUM ('reported', 'in_progress', 'resolved', 'rejected');`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "user_issue"
+           ALTER COLUMN "status" DROP DEFAULT,
+           ALTER COLUMN "status" TYPE "enum_user_issue_status" USING "status"::text::"enum_user_issue_status",
+           ALTER COLUMN "status" SET DEFAULT 'reported';`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        `DROP TYPE "enum_user_issue_status_old";`,
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('open311_clients', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        api_key_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        key_prefix: {
+          type: Sequelize.STRING(16),
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT'
+        },
+        city_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'cities',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // API keys are looked up by hash on every Open311 submission
+      await queryInterface.addIndex('open311_clients', ['api_key_hash'], {
+        unique: true,
+        name: 'idx_open311_clients_api_key_hash',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('open311_clients', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Category-level SLA targets (null = no target)
+      await queryInterface.addColumn('issues', 'ack_sla_hours', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('issues', 'resolution_sla_hours', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      }, { transaction });
+
+      // Per-city overrides of category SLA targets
+      await queryInterface.createTable('issue_city_slas', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        issue_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'issues',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        city_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'cities',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        ack_sla_hours: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        resolution_sla_hours: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // One override per category per city (removing an override restores the soft-deleted row)
+      await queryInterface.addIndex('issue_city_slas', ['issue_id', 'city_id'], {
+        unique: true,
+        name: 'idx_issue_city_slas_unique',
+        transaction
+      });
+
+      // Due dates are computed when a report is created
+      await queryInterface.addColumn('user_issue', 'ack_due_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('user_issue', 'resolution_due_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      // Set by the escalation job so each breach is escalated once
+      await queryInterface.addColumn('user_issue', 'ack_escalated_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addColumn('user_issue', 'resolution_escalated_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      /**
+       * Index: idx_user_issue_status_resolution_due_active
+       *
+       * Query path: escalation job and breached filter
+       * SQL: SELECT * FROM user_issue
+       *      WHERE status IN (...) AND resolution_due_at < now() AND deleted_at IS NULL
+       */
+      await queryInterface.addIndex('user_issue', ['status', 'resolution_due_at'], {
+        name: 'idx_user_issue_status_resolution_due_active',
+        where: { deleted_at: null },
+        transaction
+      });
+
+      await queryInterface.addIndex('user_issue', ['status', 'ack_due_at'], {
+        name: 'idx_user_issue_status_ack_due_active',
+        where: { deleted_at: null },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.removeIndex('user_issue', 'idx_user_issue_status_ack_due_active', { transaction });
+      await queryInterface.removeIndex('user_issue', 'idx_user_issue_status_resolution_due_active', { transaction });
+      await queryInterface.removeColumn('user_issue', 'resolution_escalated_at', { transaction });
+      await queryInterface.removeColumn('user_issue', 'ack_escalated_at', { transaction });
+      await queryInterface.removeColumn('user_issue', 'resolution_due_at', { transaction });
+      await queryInterface.removeColumn('user_issue', 'ack_due_at', { transaction });
+      await queryInterface.dropTable('issue_city_slas', { transaction });
+      await queryInterface.removeColumn('issues', 'resolution_sla_hours', { transaction });
+      await queryInterface.removeColumn('issues', 'ack_sla_hours', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
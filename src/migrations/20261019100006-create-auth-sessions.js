@@ -0,0 +1,113 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('auth_sessions', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        role: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        refresh_token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        previous_refresh_token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        user_agent: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        ip_address: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revoked_reason: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Refresh tokens are looked up by hash on every refresh
+      await queryInterface.addIndex('auth_sessions', ['refresh_token_hash'], {
+        unique: true,
+        name: 'idx_auth_sessions_refresh_token_hash',
+        transaction
+      });
+
+      // Reuse detection looks up the previous token hash
+      await queryInterface.addIndex('auth_sessions', ['previous_refresh_token_hash'], {
+        name: 'idx_auth_sessions_previous_refresh_token_hash',
+        where: { previous_refresh_token_hash: { [Sequelize.Op.ne]: null } },
+        transaction
+      });
+
+      // Active sessions per user (listing, revoke-all)
+      await queryInterface.addIndex('auth_sessions', ['user_id'], {
+        name: 'idx_auth_sessions_user_active',
+        where: { revoked_at: null, deleted_at: null },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('auth_sessions', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('password_reset_tokens', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        requested_ip: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Reset tokens are looked up by hash
+      await queryInterface.addIndex('password_reset_tokens', ['token_hash'], {
+        unique: true,
+        name: 'idx_password_reset_tokens_token_hash',
+        transaction
+      });
+
+      await queryInterface.addIndex('password_reset_tokens', ['user_id'], {
+        name: 'idx_password_reset_tokens_user_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('password_reset_tokens', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
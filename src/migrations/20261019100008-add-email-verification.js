@@ -0,0 +1,93 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.addColumn('users', 'email_verified_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      // Accounts created before verification existed are trusted as-is
+      await queryInterface.sequelize.query(
+        'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;',
+        { transaction }
+      );
+
+      await queryInterface.createTable('email_verification_tokens', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        token_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Verification tokens are looked up by hash
+      await queryInterface.addIndex('email_verification_tokens', ['token_hash'], {
+        unique: true,
+        name: 'idx_email_verification_tokens_token_hash',
+        transaction
+      });
+
+      // Resend throttling counts a user's recent tokens
+      await queryInterface.addIndex('email_verification_tokens', ['user_id', 'created_at'], {
+        name: 'idx_email_verification_tokens_user_created',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('email_verification_tokens', { transaction });
+      await queryInterface.removeColumn('users', 'email_verified_at', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
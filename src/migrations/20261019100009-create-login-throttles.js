@@ -0,0 +1,137 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Failed-login counters per account and per IP
+      await queryInterface.createTable('login_throttles', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        scope: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        key: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        failed_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        first_failed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_failed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        locked_until: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        lockout_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      // One counter per scope/key - failures are recorded with INSERT ... ON CONFLICT
+      await queryInterface.addIndex('login_throttles', ['scope', 'key'], {
+        unique: true,
+        name: 'idx_login_throttles_scope_key',
+        transaction
+      });
+
+      // Append-only security audit trail (lockouts, admin interventions)
+      await queryInterface.createTable('security_events', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        event_type: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        actor_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        ip_address: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('security_events', ['user_id', 'created_at'], {
+        name: 'idx_security_events_user_created',
+        transaction
+      });
+
+      await queryInterface.addIndex('security_events', ['event_type', 'created_at'], {
+        name: 'idx_security_events_type_created',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('security_events', { transaction });
+      await queryInterface.dropTable('login_throttles', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Admins can require a second factor for everyone holding a role
+      await queryInterface.addColumn('roles', 'requires_two_factor', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction });
+
+      await queryInterface.createTable('user_two_factors', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        secret_encrypted: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        enabled_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_used_step: {
+          type: Sequelize.BIGINT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // One live enrolment per user (a reset soft-deletes it)
+      await queryInterface.addIndex('user_two_factors', ['user_id'], {
+        unique: true,
+        name: 'idx_user_two_factors_user_id',
+        where: { deleted_at: null },
+        transaction
+      });
+
+      await queryInterface.createTable('two_factor_recovery_codes', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        code_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Recovery codes are looked up by user and hash
+      await queryInterface.addIndex('two_factor_recovery_codes', ['user_id', 'code_hash'], {
+        name: 'idx_two_factor_recovery_codes_user_hash',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('two_factor_recovery_codes', { transaction });
+      await queryInterface.dropTable('user_two_factors', { transaction });
+      await queryInterface.removeColumn('roles', 'requires_two_factor', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
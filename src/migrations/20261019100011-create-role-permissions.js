@@ -0,0 +1,170 @@
+'use strict';
+
+// Snapshot of the catalogue in src/modules/auth/permission.service.js at the
+// time of this migration. Later permissions are added by later migrations.
+const PERMISSIONS = {
+  'report.create': 'Submit new reports',
+  'report.flag': 'Flag reports',
+  'report.endorse': 'Endorse ("me too") reports',
+  'report.view.city': 'View non-hidden reports in their own city',
+  'report.view.assigned': 'View reports assigned to their authority',
+  'report.view.all': 'View every report, including hidden and deleted ones',
+  'report.export': 'Export reports as GeoJSON or CSV',
+  'report.status.update': 'Change the status of reports they can view',
+  'report.status.override': 'Reopen rejected reports',
+  'report.merge': 'Merge duplicate reports',
+  'report.unmerge': 'Reverse a merge',
+  'report.visibility.toggle': 'Hide or unhide reports',
+  'report.flagged.view': 'List flagged reports',
+  'report.duplicates.view': 'List duplicate report clusters',
+  'report.assignment.view': 'View report assignment history',
+  'report.assignment.manage': 'Reassign reports and retry automatic assignment',
+  'report.note.manage': 'Read and write internal notes',
+  'comment.moderate': 'Hide comments and see hidden comments',
+  'user.manage': 'Manage users, lockouts and two-factor resets',
+  'role.manage': 'Manage roles and their permissions',
+  'department.manage': 'Manage departments',
+  'authority.manage': 'Manage authorities and their users',
+  'category.manage': 'Manage issue categories and SLA targets',
+  'open311.manage': 'Manage Open311 API clients'
+};
+
+// Grants reproducing the previous hard-coded role checks
+const CITIZEN = ['report.create', 'report.flag', 'report.endorse', 'report.view.city'];
+const AUTHORITY = [
+  'report.view.assigned',
+  'report.export',
+  'report.status.update',
+  'report.merge',
+  'report.assignment.view',
+  'report.note.manage'
+];
+const ADMIN = Object.keys(PERMISSIONS).filter(
+  key => !CITIZEN.includes(key) && key !== 'report.view.assigned'
+);
+
+const BUILT_IN_ROLES = [
+  { name: 'admin', description: 'System administrator with full access', permissions: ADMIN },
+  { name: 'authority', description: 'Government authority user who handles issues', permissions: AUTHORITY },
+  { name: 'citizen', description: 'Regular citizen who reports issues', permissions: CITIZEN }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('permissions', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        key: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          unique: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('role_permissions', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        role_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'roles',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        permission_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'permissions',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('role_permissions', ['role_id', 'permission_id'], {
+        unique: true,
+        name: 'idx_role_permissions_role_permission',
+        transaction
+      });
+
+      await queryInterface.bulkInsert('permissions', Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+        created_at: new Date(),
+        updated_at: new Date()
+      })), { transaction });
+
+      // Grants reference the built-in roles, so make sure they exist
+      // (in ID order, matching seeders/02-roles.seed.js on an empty table)
+      for (const role of BUILT_IN_ROLES) {
+        await queryInterface.sequelize.query(`
+          INSERT INTO roles (name, description, is_active, created_at, updated_at)
+          SELECT :name, :description, true, NOW(), NOW()
+          WHERE NOT EXISTS (SELECT 1 FROM roles WHERE name = :name);
+        `, { replacements: role, transaction });
+
+        await queryInterface.sequelize.query(`
+          INSERT INTO role_permissions (role_id, permission_id, created_at, updated_at)
+          SELECT r.id, p.id, NOW(), NOW()
+          FROM roles r
+          CROSS JOIN permissions p
+          WHERE r.name = :name AND r.deleted_at IS NULL AND p.key IN (:permissions);
+        `, { replacements: role, transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('role_permissions', { transaction });
+      await queryInterface.dropTable('permissions', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const CITY_ALL = 'city.all';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Cities an admin may manage (admins without city.all only see these)
+      await queryInterface.createTable('admin_cities', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        city_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'cities',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('admin_cities', ['user_id', 'city_id'], {
+        unique: true,
+        name: 'idx_admin_cities_user_city',
+        transaction
+      });
+
+      await queryInterface.bulkInsert('permissions', [{
+        key: CITY_ALL,
+        description: 'Access every city, including cross-city queries (super-admin)',
+        created_at: new Date(),
+        updated_at: new Date()
+      }], { transaction });
+
+      // super_admin = everything admin has, plus city.all
+      await queryInterface.sequelize.query(`
+        INSERT INTO roles (name, description, is_active, created_at, updated_at)
+        SELECT 'super_admin', 'Administrator with access to every city', true, NOW(), NOW()
+        WHERE NOT EXISTS (SELECT 1 FROM roles WHERE name = 'super_admin');
+      `, { transaction });
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO role_permissions (role_id, permission_id, created_at, updated_at)
+        SELECT s.id, p.id, NOW(), NOW()
+        FROM roles s
+        CROSS JOIN permissions p
+        WHERE s.name = 'super_admin'
+          AND (
+            p.key = :cityAll
+            OR p.id IN (
+              SELECT rp.permission_id FROM role_permissions rp
+              JOIN roles a ON a.id = rp.role_id
+              WHERE a.name = 'admin'
+            )
+          );
+      `, { replacements: { cityAll: CITY_ALL }, transaction });
+
+      // Existing admins keep what they had: bound to their home city when
+      // they have one, otherwise promoted to super_admin
+      await queryInterface.sequelize.query(`
+        INSERT INTO admin_cities (user_id, city_id, created_at, updated_at)
+        SELECT DISTINCT u.id, u.city_id, NOW(), NOW()
+        FROM users u
+        JOIN user_role ur ON ur.user_id = u.id AND ur.deleted_at IS NULL
+        JOIN roles r ON r.id = ur.role_id AND r.name = 'admin'
+        WHERE u.city_id IS NOT NULL;
+      `, { transaction });
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO user_role (user_id, role_id, created_at, updated_at)
+        SELECT DISTINCT u.id, s.id, NOW(), NOW()
+        FROM users u
+        JOIN user_role ur ON ur.user_id = u.id AND ur.deleted_at IS NULL
+        JOIN roles r ON r.id = ur.role_id AND r.name = 'admin'
+        CROSS JOIN roles s
+        WHERE s.name = 'super_admin' AND u.city_id IS NULL;
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.sequelize.query(`
+        DELETE FROM user_role WHERE role_id IN (SELECT id FROM roles WHERE name = 'super_admin');
+      `, { transaction });
+      // role_permissions rows cascade with the role and the permission
+      await queryInterface.sequelize.query(`
+        DELETE FROM roles WHERE name = 'super_admin';
+      `, { transaction });
+      await queryInterface.bulkDelete('permissions', { key: CITY_ALL }, { transaction });
+      await queryInterface.dropTable('admin_cities', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
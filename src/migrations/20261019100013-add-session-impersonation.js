@@ -0,0 +1,84 @@
+'use strict';
+
+const USER_IMPERSONATE = 'user.impersonate';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Set when an admin opened the session as another user
+      await queryInterface.addColumn('auth_sessions', 'impersonator_id', {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      }, { transaction });
+
+      // The admin's own session, restored when impersonation stops
+      await queryInterface.addColumn('auth_sessions', 'impersonator_session_id', {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'auth_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      await queryInterface.addIndex('auth_sessions', ['impersonator_id'], {
+        name: 'idx_auth_sessions_impersonator_id',
+        transaction
+      });
+
+      // Custom role names may be as long as roles.name
+      await queryInterface.changeColumn('auth_sessions', 'role', {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      }, { transaction });
+
+      await queryInterface.bulkInsert('permissions', [{
+        key: USER_IMPERSONATE,
+        description: 'Sign in as another user to see what they see',
+        created_at: new Date(),
+        updated_at: new Date()
+      }], { transaction });
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO role_permissions (role_id, permission_id, created_at, updated_at)
+        SELECT r.id, p.id, NOW(), NOW()
+        FROM roles r
+        CROSS JOIN permissions p
+        WHERE r.name IN ('admin', 'super_admin') AND r.deleted_at IS NULL AND p.key = :key;
+      `, { replacements: { key: USER_IMPERSONATE }, transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // role_permissions rows cascade with the permission
+      await queryInterface.bulkDelete('permissions', { key: USER_IMPERSONATE }, { transaction });
+      await queryInterface.changeColumn('auth_sessions', 'role', {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      }, { transaction });
+      await queryInterface.removeIndex('auth_sessions', 'idx_auth_sessions_impersonator_id', { transaction });
+      await queryInterface.removeColumn('auth_sessions', 'impersonator_session_id', { transaction });
+      await queryInterface.removeColumn('auth_sessions', 'impersonator_id', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.createTable('api_keys', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        api_key_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        key_prefix: {
+          type: Sequelize.STRING(16),
+          allowNull: false
+        },
+        role: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        permissions: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_used_ip: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        }
+      }, { transaction });
+
+      // Keys are looked up by hash on every request that sends one
+      await queryInterface.addIndex('api_keys', ['api_key_hash'], {
+        unique: true,
+        name: 'idx_api_keys_api_key_hash',
+        transaction
+      });
+
+      await queryInterface.addIndex('api_keys', ['user_id'], {
+        name: 'idx_api_keys_user_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('api_keys', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Accounts at external identity providers (OpenID Connect) linked to users
+      await queryInterface.createTable('user_identities', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        issuer: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        subject: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        email: {
+          type: Sequelize.STRING(150),
+          allowNull: true
+        },
+        last_login_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('user_identities', ['issuer', 'subject'], {
+        unique: true,
+        name: 'idx_user_identities_issuer_subject',
+        transaction
+      });
+
+      await queryInterface.addIndex('user_identities', ['user_id'], {
+        name: 'idx_user_identities_user_id',
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('user_identities', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Append-only record of profile changes (name, city, email)
+      await queryInterface.createTable('account_history', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        actor_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        field: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        old_value: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        new_value: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        ip_address: {
+          type: Sequelize.STRING(45),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('account_history', ['user_id', 'created_at'], {
+        name: 'idx_account_history_user_created',
+        transaction
+      });
+
+      // Set on email-change tokens: the address being verified (null = users.email)
+      await queryInterface.addColumn('email_verification_tokens', 'new_email', {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('email_verification_tokens', 'new_email', { transaction });
+      await queryInterface.dropTable('account_history', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
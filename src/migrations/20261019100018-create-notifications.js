@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // In-app notification inbox, one row per recipient
+      await queryInterface.createTable('notifications', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        type: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        report_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'user_issue',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        title: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        data: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        read_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('notifications', ['user_id', 'created_at'], {
+        name: 'idx_notifications_user_created',
+        transaction
+      });
+
+      // Unread badge counts
+      await queryInterface.addIndex('notifications', ['user_id'], {
+        name: 'idx_notifications_user_unread',
+        where: { read_at: null },
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.dropTable('notifications', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Emails waiting for delivery, written in the same transaction as the event
+      await queryInterface.createTable('email_outbox', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        event_type: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        report_id: {
+          type: Sequelize.BIGINT,
+          allowNull: true,
+          references: {
+            model: 'user_issue',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        // Template variables
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        next_attempt_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        last_error: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        message_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        sent_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      // The worker's queue scan
+      await queryInterface.addIndex('email_outbox', ['next_attempt_at'], {
+        name: 'idx_email_outbox_pending',
+        where: { status: 'pending' },
+        transaction
+      });
+
+      // Email opt-outs by event type; a missing row means opted in
+      await queryInterface.createTable('notification_preferences', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        user_id: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        event_type: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        email_enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('notification_preferences', ['user_id', 'event_type'], {
+        name: 'idx_notification_preferences_user_event',
+        unique: true,
+        transaction
+      });
+
+      // Email language (null = default locale)
+      await queryInterface.addColumn('users', 'locale', {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('users', 'locale', { transaction });
+      await queryInterface.dropTable('notification_preferences', { transaction });
+      await queryInterface.dropTable('email_outbox', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      // Set while a worker sends the email; rows claimed by a worker that died are picked up again once it passes
+      await queryInterface.addColumn('email_outbox', 'locked_until', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface) {
+    const transaction = await queryInterface.sequelize.transaction();
+    try {
+      await queryInterface.removeColumn('email_outbox', 'locked_until', { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+};
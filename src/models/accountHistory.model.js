@@ -0,0 +1,65 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // Append-only record of profile changes: no updates, no soft deletes
+  class AccountHistory extends Model {
+    static associate(models) {
+      AccountHistory.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      // Who made the change - the user themselves or an admin
+      AccountHistory.belongsTo(models.User, {
+        foreignKey: 'actor_id',
+        as: 'actor'
+      });
+    }
+  }
+
+  AccountHistory.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    actor_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    // name | city | email
+    field: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    old_value: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    new_value: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'AccountHistory',
+    tableName: 'account_history',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['user_id', 'created_at'], name: 'idx_account_history_user_created' }
+    ]
+  });
+
+  return AccountHistory;
+};
@@ -0,0 +1,38 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AdminCity extends Model {
+    static associate(models) {
+      AdminCity.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+      AdminCity.belongsTo(models.City, { foreignKey: 'city_id', as: 'city' });
+    }
+  }
+
+  AdminCity.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    city_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'AdminCity',
+    tableName: 'admin_cities',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'city_id'], unique: true, name: 'idx_admin_cities_user_city' }
+    ]
+  });
+
+  return AdminCity;
+};
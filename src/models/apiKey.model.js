@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    static associate(models) {
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  ApiKey.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // SHA-256 of the key - the key itself is only shown once on creation
+    api_key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // First characters of the key so users can tell keys apart
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    // Role the key acts with; it stops working if the user loses the role
+    role: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // Permission keys the key may use (a subset of the role's grants)
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiKey',
+    tableName: 'api_keys',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['api_key_hash'], unique: true, name: 'idx_api_keys_api_key_hash' },
+      { fields: ['user_id'], name: 'idx_api_keys_user_id' }
+    ]
+  });
+
+  return ApiKey;
+};
@@ -0,0 +1,94 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AuthSession extends Model {
+    static associate(models) {
+      AuthSession.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      AuthSession.belongsTo(models.User, {
+        foreignKey: 'impersonator_id',
+        as: 'impersonator'
+      });
+    }
+  }
+
+  AuthSession.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // Active role the session was opened with
+    role: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // SHA-256 of the current refresh token - rotated on every refresh
+    refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Hash of the token that was rotated out, kept to detect reuse
+    previous_refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    // Admin who opened this session as the user (see impersonation.service.js)
+    impersonator_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    // The admin's own session, restored when impersonation stops
+    impersonator_session_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'AuthSession',
+    tableName: 'auth_sessions',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['refresh_token_hash'], unique: true, name: 'idx_auth_sessions_refresh_token_hash' },
+      { fields: ['previous_refresh_token_hash'], name: 'idx_auth_sessions_previous_refresh_token_hash' },
+      { fields: ['user_id'], name: 'idx_auth_sessions_user_active' },
+      { fields: ['impersonator_id'], name: 'idx_auth_sessions_impersonator_id' }
+    ]
+  });
+
+  return AuthSession;
+};
@@ -0,0 +1,86 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // One email to one user, delivered by the outbox worker (see emailOutbox.service.js)
+  class EmailOutbox extends Model {
+    static associate(models) {
+      EmailOutbox.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      EmailOutbox.belongsTo(models.UserIssue, {
+        foreignKey: 'report_id',
+        as: 'report'
+      });
+    }
+  }
+
+  EmailOutbox.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // NOTIFICATION_TYPES value; selects the template
+    event_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    report_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // pending | sent | failed | skipped
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    message_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Claimed by a worker until then (null = free)
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'EmailOutbox',
+    tableName: 'email_outbox',
+    underscored: true,
+    timestamps: true
+  });
+
+  return EmailOutbox;
+};
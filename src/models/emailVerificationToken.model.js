@@ -0,0 +1,57 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class EmailVerificationToken extends Model {
+    static associate(models) {
+      EmailVerificationToken.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  EmailVerificationToken.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // SHA-256 of the emailed token - the token itself is never stored
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Email-change tokens: the new address, applied when redeemed
+    new_email: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    // Set when the token is redeemed (tokens are single-use)
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'EmailVerificationToken',
+    tableName: 'email_verification_tokens',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['token_hash'], unique: true, name: 'idx_email_verification_tokens_token_hash' },
+      { fields: ['user_id', 'created_at'], name: 'idx_email_verification_tokens_user_created' }
+    ]
+  });
+
+  return EmailVerificationToken;
+};
@@ -8,6 +8,11 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'issue_id',
         as: 'reports'
       });
+
+      Issue.hasMany(models.IssueCitySla, {
+        foreignKey: 'issue_id',
+        as: 'citySlas'
+      });
     }
   }
 
@@ -28,6 +33,15 @@ module.exports = (sequelize, DataTypes) => {
     description: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    // SLA targets in hours (null = no target); cities may override via IssueCitySla
+    ack_sla_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    resolution_sla_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
     sequelize,
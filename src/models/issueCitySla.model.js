@@ -0,0 +1,55 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class IssueCitySla extends Model {
+    static associate(models) {
+      IssueCitySla.belongsTo(models.Issue, {
+        foreignKey: 'issue_id',
+        as: 'issue'
+      });
+
+      IssueCitySla.belongsTo(models.City, {
+        foreignKey: 'city_id',
+        as: 'city'
+      });
+    }
+  }
+
+  IssueCitySla.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    issue_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    city_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // null = fall back to the category target
+    ack_sla_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    resolution_sla_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'IssueCitySla',
+    tableName: 'issue_city_slas',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['issue_id', 'city_id'], unique: true, name: 'idx_issue_city_slas_unique' }
+    ]
+  });
+
+  return IssueCitySla;
+};
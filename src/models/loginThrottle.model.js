@@ -0,0 +1,59 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // Counters are reset in place, never deleted, so this model is not paranoid
+  class LoginThrottle extends Model {}
+
+  LoginThrottle.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // 'account' (key = user id) or 'ip' (key = client IP)
+    scope: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // Failures in the current window (reset on lockout and on success)
+    failed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    first_failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Consecutive lockouts - each one doubles the lockout duration
+    lockout_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'LoginThrottle',
+    tableName: 'login_throttles',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['scope', 'key'], unique: true, name: 'idx_login_throttles_scope_key' }
+    ]
+  });
+
+  return LoginThrottle;
+};
@@ -0,0 +1,68 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // In-app inbox entry: only read_at changes after creation
+  class Notification extends Model {
+    static associate(models) {
+      Notification.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      Notification.belongsTo(models.UserIssue, {
+        foreignKey: 'report_id',
+        as: 'report'
+      });
+    }
+  }
+
+  Notification.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // See NOTIFICATION_TYPES in notification.service.js
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    report_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    data: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Notification',
+    tableName: 'notifications',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['user_id', 'created_at'], name: 'idx_notifications_user_created' }
+    ]
+  });
+
+  return Notification;
+};
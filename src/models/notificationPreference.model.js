@@ -0,0 +1,46 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // Per-user email setting for one event type; no row = email enabled
+  class NotificationPreference extends Model {
+    static associate(models) {
+      NotificationPreference.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  NotificationPreference.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    event_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    email_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'NotificationPreference',
+    tableName: 'notification_preferences',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'event_type'], unique: true, name: 'idx_notification_preferences_user_event' }
+    ]
+  });
+
+  return NotificationPreference;
+};
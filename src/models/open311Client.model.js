@@ -0,0 +1,66 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Open311Client extends Model {
+    static associate(models) {
+      // Service account used as reporter_id for submitted requests
+      Open311Client.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      Open311Client.belongsTo(models.City, {
+        foreignKey: 'city_id',
+        as: 'city'
+      });
+    }
+  }
+
+  Open311Client.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // SHA-256 of the API key - the key itself is only shown once on creation
+    api_key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // First characters of the key so admins can tell keys apart
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // Jurisdiction the client may submit to (null = any city)
+    city_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Open311Client',
+    tableName: 'open311_clients',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['api_key_hash'], unique: true, name: 'idx_open311_clients_api_key_hash' }
+    ]
+  });
+
+  return Open311Client;
+};
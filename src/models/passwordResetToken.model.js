@@ -0,0 +1,56 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  PasswordResetToken.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // SHA-256 of the emailed token - the token itself is never stored
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set when the token is redeemed (tokens are single-use)
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    requested_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+    tableName: 'password_reset_tokens',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['token_hash'], unique: true, name: 'idx_password_reset_tokens_token_hash' },
+      { fields: ['user_id'], name: 'idx_password_reset_tokens_user_id' }
+    ]
+  });
+
+  return PasswordResetToken;
+};
@@ -0,0 +1,41 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Permission extends Model {
+    static associate(models) {
+      Permission.belongsToMany(models.Role, {
+        through: models.RolePermission,
+        foreignKey: 'permission_id',
+        otherKey: 'role_id',
+        as: 'roles'
+      });
+    }
+  }
+
+  Permission.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Dotted key checked in code, e.g. "report.status.update"
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Permission',
+    tableName: 'permissions',
+    underscored: true,
+    timestamps: true
+  });
+
+  return Permission;
+};
@@ -0,0 +1,67 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReportComment extends Model {
+    static associate(models) {
+      ReportComment.belongsTo(models.UserIssue, {
+        foreignKey: 'report_id',
+        as: 'report'
+      });
+
+      ReportComment.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'author'
+      });
+
+      ReportComment.belongsTo(models.User, {
+        foreignKey: 'hidden_by',
+        as: 'hiddenBy'
+      });
+    }
+  }
+
+  ReportComment.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    report_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_hidden: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    hidden_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ReportComment',
+    tableName: 'report_comments',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['report_id', 'created_at'], name: 'idx_report_comments_report_created' }
+    ]
+  });
+
+  return ReportComment;
+};
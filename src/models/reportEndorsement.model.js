@@ -0,0 +1,46 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReportEndorsement extends Model {
+    static associate(models) {
+      ReportEndorsement.belongsTo(models.UserIssue, {
+        foreignKey: 'report_id',
+        as: 'report'
+      });
+
+      ReportEndorsement.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  ReportEndorsement.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    report_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ReportEndorsement',
+    tableName: 'report_endorsements',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['report_id', 'user_id'], unique: true, name: 'idx_report_endorsements_unique' }
+    ]
+  });
+
+  return ReportEndorsement;
+};
@@ -0,0 +1,60 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ReportNote extends Model {
+    static associate(models) {
+      ReportNote.belongsTo(models.UserIssue, {
+        foreignKey: 'report_id',
+        as: 'report'
+      });
+
+      ReportNote.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'author'
+      });
+
+      ReportNote.belongsTo(models.Authority, {
+        foreignKey: 'authority_id',
+        as: 'authority'
+      });
+    }
+  }
+
+  ReportNote.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    report_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // Authority the report was assigned to when the note was written
+    authority_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ReportNote',
+    tableName: 'report_notes',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['report_id', 'created_at'], name: 'idx_report_notes_report_created' }
+    ]
+  });
+
+  return ReportNote;
+};
@@ -10,6 +10,13 @@ module.exports = (sequelize, DataTypes) => {
         otherKey: 'user_id',
         as: 'users'
       });
+
+      Role.belongsToMany(models.Permission, {
+        through: models.RolePermission,
+        foreignKey: 'role_id',
+        otherKey: 'permission_id',
+        as: 'permissions'
+      });
     }
   }
 
@@ -30,6 +37,12 @@ module.exports = (sequelize, DataTypes) => {
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    // Users logging in with this role must pass TOTP two-factor authentication
+    requires_two_factor: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
     }
   }, {
     sequelize,
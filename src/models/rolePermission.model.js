@@ -0,0 +1,38 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RolePermission extends Model {
+    static associate(models) {
+      RolePermission.belongsTo(models.Role, { foreignKey: 'role_id', as: 'role' });
+      RolePermission.belongsTo(models.Permission, { foreignKey: 'permission_id', as: 'permission' });
+    }
+  }
+
+  RolePermission.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    permission_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'RolePermission',
+    tableName: 'role_permissions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['role_id', 'permission_id'], unique: true, name: 'idx_role_permissions_role_permission' }
+    ]
+  });
+
+  return RolePermission;
+};
@@ -0,0 +1,62 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // Append-only audit trail: no updates, no soft deletes
+  class SecurityEvent extends Model {
+    static associate(models) {
+      // Account the event is about
+      SecurityEvent.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      // User who caused the event (e.g. the admin clearing a lockout)
+      SecurityEvent.belongsTo(models.User, {
+        foreignKey: 'actor_id',
+        as: 'actor'
+      });
+    }
+  }
+
+  SecurityEvent.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    event_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    actor_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'SecurityEvent',
+    tableName: 'security_events',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['user_id', 'created_at'], name: 'idx_security_events_user_created' },
+      { fields: ['event_type', 'created_at'], name: 'idx_security_events_type_created' }
+    ]
+  });
+
+  return SecurityEvent;
+};
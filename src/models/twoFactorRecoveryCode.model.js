@@ -0,0 +1,47 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TwoFactorRecoveryCode extends Model {
+    static associate(models) {
+      TwoFactorRecoveryCode.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  TwoFactorRecoveryCode.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // SHA-256 of the recovery code - shown to the user once, never stored
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Set when the code is redeemed (codes are single-use)
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TwoFactorRecoveryCode',
+    tableName: 'two_factor_recovery_codes',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['user_id', 'code_hash'], name: 'idx_two_factor_recovery_codes_user_hash' }
+    ]
+  });
+
+  return TwoFactorRecoveryCode;
+};
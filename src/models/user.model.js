@@ -26,6 +26,51 @@ module.exports = (sequelize, DataTypes) => {
         as: 'issueFlags'
       });
 
+      User.hasMany(models.ReportEndorsement, {
+        foreignKey: 'user_id',
+        as: 'endorsements'
+      });
+
+      User.hasMany(models.ReportComment, {
+        foreignKey: 'user_id',
+        as: 'comments'
+      });
+
+      User.hasMany(models.AuthSession, {
+        foreignKey: 'user_id',
+        as: 'sessions'
+      });
+
+      User.hasMany(models.ApiKey, {
+        foreignKey: 'user_id',
+        as: 'apiKeys'
+      });
+
+      User.hasMany(models.UserIdentity, {
+        foreignKey: 'user_id',
+        as: 'identities'
+      });
+
+      User.hasMany(models.AccountHistory, {
+        foreignKey: 'user_id',
+        as: 'accountHistory'
+      });
+
+      User.hasMany(models.Notification, {
+        foreignKey: 'user_id',
+        as: 'notifications'
+      });
+
+      User.hasMany(models.NotificationPreference, {
+        foreignKey: 'user_id',
+        as: 'notificationPreferences'
+      });
+
+      User.hasOne(models.UserTwoFactor, {
+        foreignKey: 'user_id',
+        as: 'twoFactor'
+      });
+
       User.hasOne(models.AuthorityUser, {
         foreignKey: 'user_id',
         as: 'authorityUser'
@@ -35,6 +80,14 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'city_id',
         as: 'city'
       });
+
+      // Cities an admin is bound to (see cityAccess.service.js)
+      User.belongsToMany(models.City, {
+        through: models.AdminCity,
+        foreignKey: 'user_id',
+        otherKey: 'city_id',
+        as: 'adminCities'
+      });
     }
   }
 
@@ -60,6 +113,21 @@ module.exports = (sequelize, DataTypes) => {
     city_id: {
       type: DataTypes.BIGINT,
       allowNull: true
+    },
+    // null until the user follows the verification link sent on register
+    email_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set when personal data was erased; name/email are placeholders from then on
+    anonymised_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Email language (see notification/emailTemplates.js); null = default
+    locale: {
+      type: DataTypes.STRING(10),
+      allowNull: true
     }
   }, {
     sequelize,
@@ -0,0 +1,56 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserIdentity extends Model {
+    static associate(models) {
+      UserIdentity.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  UserIdentity.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // OpenID Connect issuer URL
+    issuer: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // "sub" claim - stable id of the account at the issuer
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Email the provider reported at the last login
+    email: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'UserIdentity',
+    tableName: 'user_identities',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { fields: ['issuer', 'subject'], unique: true, name: 'idx_user_identities_issuer_subject' },
+      { fields: ['user_id'], name: 'idx_user_identities_user_id' }
+    ]
+  });
+
+  return UserIdentity;
+};
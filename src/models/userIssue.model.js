@@ -29,6 +29,22 @@ module.exports = (sequelize, DataTypes) => {
         as: 'flags'
       });
 
+      UserIssue.hasMany(models.ReportEndorsement, {
+        foreignKey: 'report_id',
+        as: 'endorsements'
+      });
+
+      UserIssue.hasMany(models.ReportComment, {
+        foreignKey: 'report_id',
+        as: 'comments'
+      });
+
+      // Internal authority/admin notes - never part of citizen-facing includes
+      UserIssue.hasMany(models.ReportNote, {
+        foreignKey: 'report_id',
+        as: 'internalNotes'
+      });
+
       UserIssue.hasMany(models.Log, {
         foreignKey: 'issue_id',
         as: 'logs'
@@ -38,6 +54,17 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'city_id',
         as: 'city'
       });
+
+      // Duplicate merging: a merged report points at its canonical report
+      UserIssue.belongsTo(models.UserIssue, {
+        foreignKey: 'merged_into_id',
+        as: 'mergedInto'
+      });
+
+      UserIssue.hasMany(models.UserIssue, {
+        foreignKey: 'merged_into_id',
+        as: 'mergedReports'
+      });
     }
   }
 
@@ -80,7 +107,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     status: {
-      type: DataTypes.ENUM('reported', 'in_progress', 'resolved', 'rejected'),
+      type: DataTypes.ENUM('reported', 'in_progress', 'resolved', 'rejected', 'merged'),
       allowNull: false,
       defaultValue: 'reported'
     },
@@ -91,6 +118,27 @@ module.exports = (sequelize, DataTypes) => {
     city_id: {
       type: DataTypes.BIGINT,
       allowNull: true
+    },
+    merged_into_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    // SLA due dates, computed from IssueCitySla / Issue when the report is created
+    ack_due_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolution_due_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ack_escalated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolution_escalated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
@@ -0,0 +1,52 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserTwoFactor extends Model {
+    static associate(models) {
+      UserTwoFactor.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  UserTwoFactor.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // TOTP secret, AES-256-GCM encrypted (see twoFactor.service.js)
+    secret_encrypted: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Null while the enrolment is pending confirmation
+    enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Last accepted TOTP time step - a code is never accepted twice
+    last_used_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'UserTwoFactor',
+    tableName: 'user_two_factors',
+    underscored: true,
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['user_id'], unique: true, name: 'idx_user_two_factors_user_id', where: { deleted_at: null } }
+    ]
+  });
+
+  return UserTwoFactor;
+};
@@ -2,23 +2,29 @@ const express = require("express");
 const router = express.Router();
 
 const authMiddleware = require("../auth/auth.middleware.js");
-const { allowRoles } = require("../auth/auth.roles.js");
+const { requirePermission } = require("../auth/permission.middleware.js");
+const { PERMISSIONS } = require("../auth/permission.service.js");
 
 const userRoutes = require("./user/user.route.js");
 const departmentRoutes = require("./department/department.route.js");
 const authorityRoutes = require("./authority/authority.route.js");
 const authorityUserRoutes = require("./authorityUser/authorityUser.route.js");
 const issueCategoryRoutes = require("./issueCategory/issueCategory.route.js");
+const open311ClientRoutes = require("./open311Client/open311Client.route.js");
+const roleRoutes = require("./role/role.route.js");
+const permissionRoutes = require("./role/permission.route.js");
 
-// Apply authentication and admin-only access to all admin routes
+// Apply authentication to all admin routes; each area needs its own permission
 router.use(authMiddleware);
-router.use(allowRoles("admin"));
 
-router.use("/users", userRoutes);
-router.use("/departments", departmentRoutes);
-router.use("/authorities", authorityRoutes);
-router.use("/authority-users", authorityUserRoutes);
-router.use("/issue-categories", issueCategoryRoutes);
+router.use("/users", requirePermission(PERMISSIONS.USER_MANAGE), userRoutes);
+router.use("/departments", requirePermission(PERMISSIONS.DEPARTMENT_MANAGE), departmentRoutes);
+router.use("/authorities", requirePermission(PERMISSIONS.AUTHORITY_MANAGE), authorityRoutes);
+router.use("/authority-users", requirePermission(PERMISSIONS.AUTHORITY_MANAGE), authorityUserRoutes);
+router.use("/issue-categories", requirePermission(PERMISSIONS.CATEGORY_MANAGE), issueCategoryRoutes);
+router.use("/open311-clients", requirePermission(PERMISSIONS.OPEN311_MANAGE), open311ClientRoutes);
+router.use("/roles", requirePermission(PERMISSIONS.ROLE_MANAGE), roleRoutes);
+router.use("/permissions", requirePermission(PERMISSIONS.ROLE_MANAGE), permissionRoutes);
 
 module.exports = router;
 
@@ -1,11 +1,11 @@
 const AuthorityService = require("./authority.service.js");
-const { extractAdminContext } = require("../../../shared/utils/cityScope.js");
+const { resolveAdminContext } = require("../../auth/cityAccess.service.js");
 const { extractPaginationContext } = require("../../../shared/utils/pagination.js");
 
 module.exports = {
   async listAuthorities(req, res, next) {
     try {
-      const adminContext = extractAdminContext(req);
+      const adminContext = await resolveAdminContext(req);
       const pagination = extractPaginationContext(req, 'authorities');
       const result = await AuthorityService.listAuthorities(adminContext, pagination);
       res.status(200).json({
@@ -20,7 +20,8 @@ module.exports = {
 
   async createAuthority(req, res, next) {
     try {
-      const authority = await AuthorityService.createAuthority(req.body);
+      const adminContext = await resolveAdminContext(req);
+      const authority = await AuthorityService.createAuthority(req.body, adminContext);
       res.status(201).json({
         success: true,
         message: "Authority created successfully.",
@@ -34,7 +35,8 @@ module.exports = {
   async updateAuthority(req, res, next) {
     try {
       const authorityId = Number(req.params.authorityId);
-      const authority = await AuthorityService.updateAuthority(authorityId, req.body);
+      const adminContext = await resolveAdminContext(req);
+      const authority = await AuthorityService.updateAuthority(authorityId, req.body, adminContext);
       res.status(200).json({
         success: true,
         message: "Authority updated successfully.",
@@ -48,7 +50,8 @@ module.exports = {
   async deleteAuthority(req, res, next) {
     try {
       const authorityId = Number(req.params.authorityId);
-      await AuthorityService.deleteAuthority(authorityId);
+      const adminContext = await resolveAdminContext(req);
+      await AuthorityService.deleteAuthority(authorityId, adminContext);
       res.status(200).json({
         success: true,
         message: "Authority deleted successfully."
@@ -75,7 +78,8 @@ module.exports = {
     try {
       const authorityId = Number(req.params.authorityId);
       const { issueIds } = req.body;
-      const result = await AuthorityService.updateAuthorityIssues(authorityId, issueIds);
+      const adminContext = await resolveAdminContext(req);
+      const result = await AuthorityService.updateAuthorityIssues(authorityId, issueIds, adminContext);
       res.status(200).json({
         success: true,
         message: "Authority issue categories updated successfully.",
@@ -1,6 +1,11 @@
 const { Authority, Department, AuthorityIssue, Issue, City, sequelize } = require("../../../models");
 const httpError = require("../../../shared/utils/httpError.js");
-const { validateCityScope, applyCityFilter, buildParanoidOptions } = require("../../../shared/utils/cityScope.js");
+const {
+  validateCityScope,
+  assertCityInScope,
+  applyCityFilter,
+  buildParanoidOptions
+} = require("../../../shared/utils/cityScope.js");
 const {
   buildQueryOptions,
   buildPaginatedResponse
@@ -33,6 +38,26 @@ const ensureDepartmentExists = async (departmentId) => {
   return department;
 };
 
+const OUT_OF_SCOPE_MESSAGE = "You can only manage authorities in cities you administer.";
+
+/**
+ * Load an authority in the admin's cities
+ *
+ * @param {number} authorityId
+ * @param {Object} adminContext - From resolveAdminContext (allowedCityIds)
+ * @param {string} [notFoundMessage]
+ * @returns {Promise<Authority>}
+ * @throws {HttpError} 404 for an unknown authority, 403 outside the admin's cities
+ */
+const findScopedAuthority = async (authorityId, adminContext, notFoundMessage = "The requested authority was not found.") => {
+  const authority = await Authority.findByPk(authorityId);
+  if (!authority) {
+    throw httpError(notFoundMessage, 404);
+  }
+  assertCityInScope(adminContext, authority.city_id, OUT_OF_SCOPE_MESSAGE);
+  return authority;
+};
+
 module.exports = {
   /**
    * List authorities with city scoping and mandatory pagination
@@ -72,7 +97,8 @@ module.exports = {
     });
   },
 
-  async createAuthority(payload) {
+  async createAuthority(payload, adminContext = {}) {
+    assertCityInScope(adminContext, payload.cityId, OUT_OF_SCOPE_MESSAGE);
     await ensureDepartmentExists(payload.departmentId);
 
     // Get city name from city_id
@@ -99,10 +125,10 @@ module.exports = {
     });
   },
 
-  async updateAuthority(authorityId, payload) {
-    const authority = await Authority.findByPk(authorityId);
-    if (!authority) {
-      throw httpError("The requested authority was not found.", 404);
+  async updateAuthority(authorityId, payload, adminContext = {}) {
+    const authority = await findScopedAuthority(authorityId, adminContext);
+    if (payload.cityId !== undefined) {
+      assertCityInScope(adminContext, payload.cityId, OUT_OF_SCOPE_MESSAGE);
     }
 
     if (payload.departmentId) {
@@ -142,11 +168,9 @@ module.exports = {
     });
   },
 
-  async deleteAuthority(authorityId) {
-    const deleted = await Authority.destroy({ where: { id: authorityId } });
-    if (!deleted) {
-      throw httpError("The requested authority was not found.", 404);
-    }
+  async deleteAuthority(authorityId, adminContext = {}) {
+    const authority = await findScopedAuthority(authorityId, adminContext);
+    await authority.destroy();
   },
 
   async getAuthorityIssues(authorityId) {
@@ -175,11 +199,8 @@ module.exports = {
     return issues;
   },
 
-  async updateAuthorityIssues(authorityId, issueIds) {
-    const authority = await Authority.findByPk(authorityId);
-    if (!authority) {
-      throw httpError("Authority not found.", 404);
-    }
+  async updateAuthorityIssues(authorityId, issueIds, adminContext = {}) {
+    const authority = await findScopedAuthority(authorityId, adminContext, "Authority not found.");
 
     // Normalize issueIds - handle undefined, null, or empty array
     const normalizedIssueIds = Array.isArray(issueIds) ? issueIds : [];
@@ -1,11 +1,11 @@
 const AuthorityUserService = require("./authorityUser.service.js");
-const { extractAdminContext } = require("../../../shared/utils/cityScope.js");
+const { resolveAdminContext } = require("../../auth/cityAccess.service.js");
 const { extractPaginationContext } = require("../../../shared/utils/pagination.js");
 
 module.exports = {
   async listAuthorityUsers(req, res, next) {
     try {
-      const adminContext = extractAdminContext(req);
+      const adminContext = await resolveAdminContext(req);
       const pagination = extractPaginationContext(req, 'authorityUsers');
       const result = await AuthorityUserService.listAuthorityUsers(adminContext, pagination);
       res.status(200).json({
@@ -20,7 +20,8 @@ module.exports = {
 
   async createAuthorityUser(req, res, next) {
     try {
-      const authorityUser = await AuthorityUserService.createAuthorityUser(req.body);
+      const adminContext = await resolveAdminContext(req);
+      const authorityUser = await AuthorityUserService.createAuthorityUser(req.body, adminContext);
       res.status(201).json({
         success: true,
         message: "Authority user created successfully.",
@@ -34,9 +35,11 @@ module.exports = {
   async updateAuthorityUser(req, res, next) {
     try {
       const authorityUserId = Number(req.params.authorityUserId);
+      const adminContext = await resolveAdminContext(req);
       const authorityUser = await AuthorityUserService.updateAuthorityUser(
         authorityUserId,
-        req.body
+        req.body,
+        adminContext
       );
       res.status(200).json({
         success: true,
@@ -51,7 +54,8 @@ module.exports = {
   async deleteAuthorityUser(req, res, next) {
     try {
       const authorityUserId = Number(req.params.authorityUserId);
-      await AuthorityUserService.deleteAuthorityUser(authorityUserId);
+      const adminContext = await resolveAdminContext(req);
+      await AuthorityUserService.deleteAuthorityUser(authorityUserId, adminContext);
       res.status(200).json({
         success: true,
         message: "Authority user deleted successfully."
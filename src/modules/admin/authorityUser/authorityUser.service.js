@@ -4,7 +4,12 @@ const {
   User
 } = require("../../../models");
 const httpError = require("../../../shared/utils/httpError.js");
-const { validateCityScope, buildParanoidOptions } = require("../../../shared/utils/cityScope.js");
+const {
+  validateCityScope,
+  assertCityInScope,
+  buildCityFilter,
+  buildParanoidOptions
+} = require("../../../shared/utils/cityScope.js");
 const {
   buildQueryOptions,
   buildPaginatedResponse
@@ -46,6 +51,23 @@ const ensureAuthorityExists = async (authorityId) => {
   return authority;
 };
 
+const OUT_OF_SCOPE_MESSAGE = "You can only manage authority users in cities you administer.";
+
+/**
+ * Load a mapping whose authority is in the admin's cities
+ * Soft-deleted authorities still count for their city.
+ */
+const findScopedAuthorityUser = async (authorityUserId, adminContext) => {
+  const authorityUser = await AuthorityUser.findByPk(authorityUserId);
+  if (!authorityUser) {
+    throw httpError("Authority user mapping not found.", 404);
+  }
+
+  const authority = await Authority.findByPk(authorityUser.authority_id, { attributes: ["id", "city_id"], paranoid: false });
+  assertCityInScope(adminContext, authority?.city_id, OUT_OF_SCOPE_MESSAGE);
+  return authorityUser;
+};
+
 /**
  * Validate that a user exists and is active
  */
@@ -73,7 +95,7 @@ module.exports = {
   async listAuthorityUsers(adminContext = {}, pagination = {}) {
     validateCityScope(adminContext);
     
-    const { adminCityId, includeAllCities } = adminContext;
+    const cityFilter = buildCityFilter(adminContext, 'city_id');
     const paranoidOptions = buildParanoidOptions(adminContext);
     
     // Build authority include with optional city filter
@@ -81,7 +103,7 @@ module.exports = {
       model: Authority,
       as: "authority",
       attributes: ["id", "name", "city", "region", "city_id"],
-      ...(includeAllCities ? {} : { where: { city_id: adminCityId } })
+      ...(cityFilter ? { where: cityFilter } : {})
     };
     
     // Build pagination options (defaults applied if not provided)
@@ -110,8 +132,9 @@ module.exports = {
     });
   },
 
-  async createAuthorityUser({ authorityId, userId }) {
-    await ensureAuthorityExists(authorityId);
+  async createAuthorityUser({ authorityId, userId }, adminContext = {}) {
+    const authority = await ensureAuthorityExists(authorityId);
+    assertCityInScope(adminContext, authority.city_id, OUT_OF_SCOPE_MESSAGE);
     await ensureUserExists(userId);
 
     const existing = await AuthorityUser.findOne({ where: { user_id: userId } });
@@ -129,13 +152,11 @@ module.exports = {
     });
   },
 
-  async updateAuthorityUser(authorityUserId, { authorityId }) {
-    const authorityUser = await AuthorityUser.findByPk(authorityUserId);
-    if (!authorityUser) {
-      throw httpError("Authority user mapping not found.", 404);
-    }
+  async updateAuthorityUser(authorityUserId, { authorityId }, adminContext = {}) {
+    const authorityUser = await findScopedAuthorityUser(authorityUserId, adminContext);
 
-    await ensureAuthorityExists(authorityId);
+    const authority = await ensureAuthorityExists(authorityId);
+    assertCityInScope(adminContext, authority.city_id, OUT_OF_SCOPE_MESSAGE);
 
     await authorityUser.update({
       authority_id: authorityId
@@ -146,11 +167,9 @@ module.exports = {
     });
   },
 
-  async deleteAuthorityUser(authorityUserId) {
-    const deleted = await AuthorityUser.destroy({ where: { id: authorityUserId } });
-    if (!deleted) {
-      throw httpError("Authority user mapping not found.", 404);
-    }
+  async deleteAuthorityUser(authorityUserId, adminContext = {}) {
+    const authorityUser = await findScopedAuthorityUser(authorityUserId, adminContext);
+    await authorityUser.destroy();
   }
 };
 
@@ -55,6 +55,50 @@ module.exports = {
     } catch (err) {
       next(err);
     }
+  },
+
+  async listSlaOverrides(req, res, next) {
+    try {
+      const categoryId = Number(req.params.categoryId);
+      const overrides = await IssueCategoryService.listSlaOverrides(categoryId);
+
+      return res.status(200).json({
+        success: true,
+        data: { overrides }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async upsertSlaOverride(req, res, next) {
+    try {
+      const categoryId = Number(req.params.categoryId);
+      const cityId = Number(req.params.cityId);
+      const override = await IssueCategoryService.upsertSlaOverride(categoryId, cityId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: "SLA override saved successfully.",
+        data: { override }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async deleteSlaOverride(req, res, next) {
+    try {
+      const categoryId = Number(req.params.categoryId);
+      const cityId = Number(req.params.cityId);
+      await IssueCategoryService.deleteSlaOverride(categoryId, cityId);
+
+      return res.status(200).json({
+        success: true,
+        message: "SLA override removed successfully."
+      });
+    } catch (err) {
+      next(err);
+    }
   }
 };
-
@@ -6,7 +6,9 @@ const validate = require("../../../shared/middleware/validate.js");
 const {
   categoryIdParamValidator,
   createIssueCategoryValidator,
-  updateIssueCategoryValidator
+  updateIssueCategoryValidator,
+  slaOverrideParamValidator,
+  upsertSlaOverrideValidator
 } = require("./issueCategory.validator.js");
 
 router.get("/", IssueCategoryController.listIssueCategories);
@@ -33,5 +35,28 @@ router.delete(
   IssueCategoryController.deleteIssueCategory
 );
 
+// City overrides of category SLA targets
+router.get(
+  "/:categoryId/sla-overrides",
+  categoryIdParamValidator,
+  validate,
+  IssueCategoryController.listSlaOverrides
+);
+
+router.put(
+  "/:categoryId/sla-overrides/:cityId",
+  slaOverrideParamValidator,
+  upsertSlaOverrideValidator,
+  validate,
+  IssueCategoryController.upsertSlaOverride
+);
+
+router.delete(
+  "/:categoryId/sla-overrides/:cityId",
+  slaOverrideParamValidator,
+  validate,
+  IssueCategoryController.deleteSlaOverride
+);
+
 module.exports = router;
 
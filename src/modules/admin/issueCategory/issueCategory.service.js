@@ -1,4 +1,4 @@
-const { Issue } = require("../../../models");
+const { Issue, IssueCitySla, City } = require("../../../models");
 const httpError = require("../../../shared/utils/httpError.js");
 
 module.exports = {
@@ -8,7 +8,7 @@ module.exports = {
     });
   },
 
-  async createIssueCategory({ name, slug, description }) {
+  async createIssueCategory({ name, slug, description, ackSlaHours, resolutionSlaHours }) {
     // Check if category with same name already exists
     const existing = await Issue.findOne({ where: { name } });
     if (existing) {
@@ -18,7 +18,13 @@ module.exports = {
     // Generate slug from name if not provided
     const categorySlug = slug || name.toLowerCase().replace(/\s+/g, "-");
 
-    return Issue.create({ name, slug: categorySlug, description });
+    return Issue.create({
+      name,
+      slug: categorySlug,
+      description,
+      ack_sla_hours: ackSlaHours ?? null,
+      resolution_sla_hours: resolutionSlaHours ?? null
+    });
   },
 
   async updateIssueCategory(categoryId, payload) {
@@ -38,7 +44,12 @@ module.exports = {
     await category.update({
       name: payload.name ?? category.name,
       slug: payload.slug ?? category.slug,
-      description: payload.description ?? category.description
+      description: payload.description ?? category.description,
+      // SLA targets accept an explicit null to remove the target
+      ack_sla_hours: payload.ackSlaHours !== undefined ? payload.ackSlaHours : category.ack_sla_hours,
+      resolution_sla_hours: payload.resolutionSlaHours !== undefined
+        ? payload.resolutionSlaHours
+        : category.resolution_sla_hours
     });
 
     return category;
@@ -49,6 +60,61 @@ module.exports = {
     if (!deleted) {
       throw httpError("The requested issue category was not found.", 404);
     }
+  },
+
+  async listSlaOverrides(categoryId) {
+    const category = await Issue.findByPk(categoryId);
+    if (!category) {
+      throw httpError("The requested issue category was not found.", 404);
+    }
+
+    return IssueCitySla.findAll({
+      where: { issue_id: categoryId },
+      include: [{ model: City, as: "city", attributes: ["id", "name"] }],
+      order: [["city_id", "ASC"]]
+    });
+  },
+
+  async upsertSlaOverride(categoryId, cityId, { ackSlaHours, resolutionSlaHours }) {
+    const category = await Issue.findByPk(categoryId);
+    if (!category) {
+      throw httpError("The requested issue category was not found.", 404);
+    }
+
+    const city = await City.findByPk(cityId);
+    if (!city) {
+      throw httpError("The requested city was not found.", 404);
+    }
+
+    const values = {
+      ack_sla_hours: ackSlaHours ?? null,
+      resolution_sla_hours: resolutionSlaHours ?? null
+    };
+
+    // A removed override is soft-deleted; reuse its row (unique per category/city)
+    const existing = await IssueCitySla.findOne({
+      where: { issue_id: categoryId, city_id: cityId },
+      paranoid: false
+    });
+
+    if (!existing) {
+      return IssueCitySla.create({ issue_id: categoryId, city_id: cityId, ...values });
+    }
+
+    if (existing.isSoftDeleted()) {
+      await existing.restore();
+    }
+    await existing.update(values);
+    return existing;
+  },
+
+  async deleteSlaOverride(categoryId, cityId) {
+    const deleted = await IssueCitySla.destroy({
+      where: { issue_id: categoryId, city_id: cityId }
+    });
+    if (!deleted) {
+      throw httpError("No SLA override exists for this category and city.", 404);
+    }
   }
 };
 
@@ -1,5 +1,15 @@
 const { body, param } = require("express-validator");
 
+// One year; longer targets are almost certainly a unit mistake
+const MAX_SLA_HOURS = 24 * 365;
+
+// null clears the target (no SLA for that stage)
+const slaHoursValidator = (field) =>
+  body(field)
+    .optional({ values: "undefined" })
+    .custom((value) => value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_SLA_HOURS))
+    .withMessage(`${field} must be null or an integer between 1 and ${MAX_SLA_HOURS}`);
+
 exports.categoryIdParamValidator = [
   param("categoryId")
     .isInt({ min: 1 })
@@ -27,7 +37,10 @@ exports.createIssueCategoryValidator = [
     .optional({ values: "falsy" })
     .trim()
     .isLength({ max: 500 })
-    .withMessage("Description must be at most 500 characters")
+    .withMessage("Description must be at most 500 characters"),
+
+  slaHoursValidator("ackSlaHours"),
+  slaHoursValidator("resolutionSlaHours")
 ];
 
 exports.updateIssueCategoryValidator = [
@@ -51,6 +64,28 @@ exports.updateIssueCategoryValidator = [
     .optional({ values: "falsy" })
     .trim()
     .isLength({ max: 500 })
-    .withMessage("Description must be at most 500 characters")
+    .withMessage("Description must be at most 500 characters"),
+
+  slaHoursValidator("ackSlaHours"),
+  slaHoursValidator("resolutionSlaHours")
 ];
 
+
+exports.slaOverrideParamValidator = [
+  param("categoryId")
+    .isInt({ min: 1 })
+    .withMessage("categoryId must be a positive integer"),
+
+  param("cityId")
+    .isInt({ min: 1 })
+    .withMessage("cityId must be a positive integer")
+];
+
+exports.upsertSlaOverrideValidator = [
+  slaHoursValidator("ackSlaHours"),
+  slaHoursValidator("resolutionSlaHours"),
+
+  body()
+    .custom((value) => value && (value.ackSlaHours != null || value.resolutionSlaHours != null))
+    .withMessage("At least one of ackSlaHours or resolutionSlaHours is required")
+];
@@ -0,0 +1,44 @@
+const Open311ClientService = require("./open311Client.service.js");
+
+module.exports = {
+  async listClients(req, res, next) {
+    try {
+      const clients = await Open311ClientService.listClients();
+
+      return res.status(200).json({
+        success: true,
+        data: { clients }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createClient(req, res, next) {
+    try {
+      const { client, apiKey } = await Open311ClientService.createClient(req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: "Open311 client created. Store the API key now - it will not be shown again.",
+        data: { client, apiKey }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async revokeClient(req, res, next) {
+    try {
+      const clientId = Number(req.params.clientId);
+      await Open311ClientService.revokeClient(clientId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Open311 client revoked."
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+};
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+
+const Open311ClientController = require("./open311Client.controller.js");
+const validate = require("../../../shared/middleware/validate.js");
+const {
+  clientIdParamValidator,
+  createClientValidator
+} = require("./open311Client.validator.js");
+
+router.get("/", Open311ClientController.listClients);
+
+router.post(
+  "/",
+  createClientValidator,
+  validate,
+  Open311ClientController.createClient
+);
+
+router.delete(
+  "/:clientId",
+  clientIdParamValidator,
+  validate,
+  Open311ClientController.revokeClient
+);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const { Open311Client, User, City } = require("../../../models");
+const httpError = require("../../../shared/utils/httpError.js");
+const { generateApiKey } = require("../../../shared/utils/apiKey.js");
+
+/**
+ * Public client attributes - the key hash is never returned
+ */
+const CLIENT_ATTRIBUTES = ["id", "name", "key_prefix", "user_id", "city_id", "last_used_at", "createdAt"];
+
+module.exports = {
+  async listClients() {
+    return Open311Client.findAll({
+      attributes: CLIENT_ATTRIBUTES,
+      include: [
+        { model: User, as: "user", attributes: ["id", "name", "email"], required: false },
+        { model: City, as: "city", attributes: ["id", "name"], required: false }
+      ],
+      order: [["createdAt", "DESC"]]
+    });
+  },
+
+  /**
+   * Register a third-party Open311 client
+   *
+   * @param {Object} payload
+   * @param {string} payload.name - Client/app name
+   * @param {number} payload.userId - Service account used as reporter for submissions
+   * @param {number} [payload.cityId] - Restrict submissions to one jurisdiction
+   * @returns {Promise<Object>} { client, apiKey } - apiKey is only returned here
+   */
+  async createClient({ name, userId, cityId }) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw httpError("The selected service account does not exist.", 404);
+    }
+
+    if (cityId) {
+      const city = await City.findByPk(cityId);
+      if (!city) {
+        throw httpError("The selected city does not exist.", 404);
+      }
+    }
+
+    const { key, hash, displayPrefix } = generateApiKey("o311");
+
+    const created = await Open311Client.create({
+      name,
+      api_key_hash: hash,
+      key_prefix: displayPrefix,
+      user_id: userId,
+      city_id: cityId || null
+    });
+
+    const client = await Open311Client.findByPk(created.id, { attributes: CLIENT_ATTRIBUTES });
+
+    return { client, apiKey: key };
+  },
+
+  async revokeClient(clientId) {
+    const deleted = await Open311Client.destroy({ where: { id: clientId } });
+    if (!deleted) {
+      throw httpError("The requested Open311 client was not found.", 404);
+    }
+  }
+};
@@ -0,0 +1,28 @@
+const { body, param } = require("express-validator");
+
+exports.clientIdParamValidator = [
+  param("clientId")
+    .isInt({ min: 1 })
+    .withMessage("clientId must be a positive integer")
+];
+
+exports.createClientValidator = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name can be up to 100 characters")
+    .escape(),
+
+  body("userId")
+    .isInt({ min: 1 })
+    .withMessage("A valid service account userId is required")
+    .toInt(),
+
+  body("cityId")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .withMessage("cityId must be a positive integer")
+    .toInt()
+];
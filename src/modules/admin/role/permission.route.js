@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+
+const RoleController = require("./role.controller.js");
+
+// Catalogue of permission keys that can be granted to roles
+router.get("/", RoleController.listPermissions);
+
+module.exports = router;
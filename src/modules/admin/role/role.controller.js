@@ -0,0 +1,87 @@
+const RoleService = require("./role.service.js");
+
+module.exports = {
+  async listRoles(req, res, next) {
+    try {
+      const roles = await RoleService.listRoles();
+
+      return res.status(200).json({
+        success: true,
+        data: { roles }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listPermissions(req, res, next) {
+    try {
+      const permissions = await RoleService.listPermissions();
+
+      return res.status(200).json({
+        success: true,
+        data: { permissions }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createRole(req, res, next) {
+    try {
+      const role = await RoleService.createRole(req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: "Role created.",
+        data: { role }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async updateRole(req, res, next) {
+    try {
+      const roleId = Number(req.params.roleId);
+      const role = await RoleService.updateRole(roleId, req.body, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Role updated.",
+        data: { role }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setRolePermissions(req, res, next) {
+    try {
+      const roleId = Number(req.params.roleId);
+      const role = await RoleService.setRolePermissions(roleId, req.body.permissions, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Role permissions updated.",
+        data: { role }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async deleteRole(req, res, next) {
+    try {
+      const roleId = Number(req.params.roleId);
+      await RoleService.deleteRole(roleId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Role deleted."
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+};
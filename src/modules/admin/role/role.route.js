@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+
+const RoleController = require("./role.controller.js");
+const validate = require("../../../shared/middleware/validate.js");
+const {
+  roleIdParamValidator,
+  createRoleValidator,
+  updateRoleValidator,
+  setRolePermissionsValidator
+} = require("./role.validator.js");
+
+router.get("/", RoleController.listRoles);
+
+router.post(
+  "/",
+  createRoleValidator,
+  validate,
+  RoleController.createRole
+);
+
+router.patch(
+  "/:roleId",
+  roleIdParamValidator,
+  updateRoleValidator,
+  validate,
+  RoleController.updateRole
+);
+
+// Replaces the role's grants with the given permission keys
+router.put(
+  "/:roleId/permissions",
+  roleIdParamValidator,
+  setRolePermissionsValidator,
+  validate,
+  RoleController.setRolePermissions
+);
+
+router.delete(
+  "/:roleId",
+  roleIdParamValidator,
+  validate,
+  RoleController.deleteRole
+);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const { Role, Permission, RolePermission, UserRole, sequelize } = require("../../../models");
+const httpError = require("../../../shared/utils/httpError.js");
+const {
+  PERMISSIONS,
+  can,
+  invalidatePermissionCache
+} = require("../../auth/permission.service.js");
+
+const ROLE_ATTRIBUTES = ["id", "name", "description", "is_active", "requires_two_factor"];
+
+// Referenced by name in code and migrations (registration, authority scoping), so never deleted
+const BUILT_IN_ROLES = ["super_admin", "admin", "authority", "citizen"];
+
+/**
+ * Shape a role for API responses, with its permission keys
+ *
+ * @param {Role} role - Loaded with the "permissions" association
+ * @returns {Object}
+ */
+function toRoleResponse(role) {
+  const { permissions = [], ...attributes } = role.get({ plain: true });
+  return {
+    ...attributes,
+    built_in: BUILT_IN_ROLES.includes(role.name),
+    permissions: permissions.map((permission) => permission.key).sort()
+  };
+}
+
+async function findRoleOrFail(roleId) {
+  const role = await Role.findByPk(roleId, {
+    attributes: ROLE_ATTRIBUTES,
+    include: [{ model: Permission, as: "permissions", attributes: ["key"], through: { attributes: [] } }]
+  });
+  if (!role) {
+    throw httpError("The requested role was not found.", 404);
+  }
+  return role;
+}
+
+/**
+ * Resolve permission keys to catalogue rows
+ *
+ * @param {Array<string>} keys
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Permission>>}
+ * @throws {HttpError} 422 listing unknown keys
+ */
+async function resolvePermissions(keys, transaction) {
+  const uniqueKeys = [...new Set(keys)];
+  const permissions = await Permission.findAll({
+    where: { key: uniqueKeys },
+    attributes: ["id", "key"],
+    transaction
+  });
+
+  const known = new Set(permissions.map((permission) => permission.key));
+  const unknown = uniqueKeys.filter((key) => !known.has(key));
+  if (unknown.length) {
+    const err = httpError(`Unknown permissions: ${unknown.join(", ")}.`, 422);
+    err.details = { unknownPermissions: unknown };
+    throw err;
+  }
+
+  return permissions;
+}
+
+/**
+ * Only super-admins may hand out cross-city access
+ *
+ * @param {Array<string>} keys - Permission keys being granted
+ * @param {Object} actor - req.user
+ * @throws {HttpError} 403
+ */
+async function assertCanGrant(keys, actor) {
+  if (keys.includes(PERMISSIONS.CITY_ALL) && !(await can(actor, PERMISSIONS.CITY_ALL))) {
+    throw httpError(`Only super-admins can grant "${PERMISSIONS.CITY_ALL}".`, 403);
+  }
+}
+
+/**
+ * Only super-admins may change roles that carry cross-city access
+ *
+ * @param {Role} role - Loaded with the "permissions" association
+ * @param {Object} actor - req.user
+ * @throws {HttpError} 403
+ */
+async function assertCanEdit(role, actor) {
+  const grantsCityAll = role.permissions.some((permission) => permission.key === PERMISSIONS.CITY_ALL);
+  if (grantsCityAll && !(await can(actor, PERMISSIONS.CITY_ALL))) {
+    throw httpError(`Only super-admins can change the ${role.name} role.`, 403);
+  }
+}
+
+module.exports = {
+  BUILT_IN_ROLES,
+
+  async listRoles() {
+    const roles = await Role.findAll({
+      attributes: ROLE_ATTRIBUTES,
+      include: [{ model: Permission, as: "permissions", attributes: ["key"], through: { attributes: [] } }],
+      order: [["name", "ASC"]]
+    });
+    return roles.map(toRoleResponse);
+  },
+
+  async listPermissions() {
+    return Permission.findAll({
+      attributes: ["key", "description"],
+      order: [["key", "ASC"]]
+    });
+  },
+
+  /**
+   * Create a custom role (e.g. "city_moderator", "auditor")
+   *
+   * @param {Object} payload
+   * @param {string} payload.name
+   * @param {string} [payload.description]
+   * @param {Array<string>} [payload.permissions] - Permission keys
+   * @param {boolean} [payload.requiresTwoFactor]
+   * @param {Object} actor - req.user
+   * @returns {Promise<Object>}
+   */
+  async createRole({ name, description, permissions = [], requiresTwoFactor = false }, actor) {
+    await assertCanGrant(permissions, actor);
+
+    // Names of deleted roles stay reserved (the unique index ignores deleted_at)
+    const existing = await Role.findOne({ where: { name }, paranoid: false });
+    if (existing) {
+      throw httpError("A role with this name already exists.", 409);
+    }
+
+    const roleId = await sequelize.transaction(async (transaction) => {
+      const grants = await resolvePermissions(permissions, transaction);
+      const role = await Role.create({
+        name,
+        description: description || null,
+        is_active: true,
+        requires_two_factor: requiresTwoFactor
+      }, { transaction });
+
+      await RolePermission.bulkCreate(
+        grants.map((permission) => ({ role_id: role.id, permission_id: permission.id })),
+        { transaction }
+      );
+      return role.id;
+    });
+
+    invalidatePermissionCache(name);
+    return toRoleResponse(await findRoleOrFail(roleId));
+  },
+
+  /**
+   * Update role settings
+   * Requiring 2FA takes effect at each user's next login; existing sessions stay valid.
+   * A deactivated role loses its permissions immediately and can no longer be logged into.
+   *
+   * @param {number} roleId
+   * @param {Object} payload
+   * @param {string} [payload.description]
+   * @param {boolean} [payload.isActive]
+   * @param {boolean} [payload.requiresTwoFactor]
+   * @param {Object} [actor] - req.user
+   * @returns {Promise<Object>}
+   * @throws {HttpError} 403 when the role grants city.all and the actor does not hold it
+   */
+  async updateRole(roleId, { description, isActive, requiresTwoFactor }, actor = {}) {
+    const role = await findRoleOrFail(roleId);
+    await assertCanEdit(role, actor);
+
+    if (isActive === false && role.name === actor.role) {
+      throw httpError("You cannot deactivate the role you are currently using.", 409);
+    }
+
+    await role.update({
+      description: description ?? role.description,
+      is_active: isActive ?? role.is_active,
+      requires_two_factor: requiresTwoFactor ?? role.requires_two_factor
+    });
+
+    invalidatePermissionCache(role.name);
+    return toRoleResponse(role);
+  },
+
+  /**
+   * Replace the permissions granted to a role
+   *
+   * @param {number} roleId
+   * @param {Array<string>} keys - Permission keys (the complete new set)
+   * @param {Object} actor - req.user
+   * @returns {Promise<Object>}
+   * @throws {HttpError} 409 when the actor would remove their own role-management access,
+   *   403 when the role grants city.all and the actor does not hold it
+   */
+  async setRolePermissions(roleId, keys, actor) {
+    const role = await findRoleOrFail(roleId);
+    await assertCanEdit(role, actor);
+
+    // Guard against locking every administrator out of this API
+    if (role.name === actor.role && !keys.includes(PERMISSIONS.ROLE_MANAGE)) {
+      throw httpError(
+        `You cannot remove "${PERMISSIONS.ROLE_MANAGE}" from the role you are currently using.`,
+        409
+      );
+    }
+    await assertCanGrant(keys, actor);
+
+    await sequelize.transaction(async (transaction) => {
+      const grants = await resolvePermissions(keys, transaction);
+      await RolePermission.destroy({ where: { role_id: role.id }, transaction });
+      await RolePermission.bulkCreate(
+        grants.map((permission) => ({ role_id: role.id, permission_id: permission.id })),
+        { transaction }
+      );
+    });
+
+    invalidatePermissionCache(role.name);
+    return toRoleResponse(await findRoleOrFail(roleId));
+  },
+
+  /**
+   * Delete a custom role
+   * Built-in roles and roles still assigned to users cannot be deleted.
+   *
+   * @param {number} roleId
+   */
+  async deleteRole(roleId) {
+    const role = await findRoleOrFail(roleId);
+
+    if (BUILT_IN_ROLES.includes(role.name)) {
+      throw httpError("Built-in roles cannot be deleted.", 409);
+    }
+
+    const assigned = await UserRole.count({ where: { role_id: role.id } });
+    if (assigned > 0) {
+      throw httpError("This role is still assigned to users. Remove it from them first.", 409);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await RolePermission.destroy({ where: { role_id: role.id }, transaction });
+      await role.destroy({ transaction });
+    });
+
+    invalidatePermissionCache(role.name);
+  }
+};
@@ -0,0 +1,68 @@
+const { body, param } = require("express-validator");
+
+// Role names appear in session tokens and login requests, so keep them simple
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+const permissionKeysValidator = body("permissions.*")
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage("Each permission must be a permission key");
+
+exports.roleIdParamValidator = [
+  param("roleId")
+    .isInt({ min: 1 })
+    .withMessage("roleId must be a positive integer")
+];
+
+exports.createRoleValidator = [
+  body("name")
+    .trim()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage("Name must be 2-50 lowercase letters, digits or underscores, starting with a letter"),
+  body("description")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description can be up to 500 characters"),
+  body("requiresTwoFactor")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("requiresTwoFactor must be true or false"),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("permissions must be an array of permission keys"),
+  permissionKeysValidator
+];
+
+exports.updateRoleValidator = [
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description can be up to 500 characters"),
+  body("isActive")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("isActive must be true or false"),
+  body("requiresTwoFactor")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("requiresTwoFactor must be true or false"),
+  body().custom((value, { req }) => {
+    const { description, isActive, requiresTwoFactor } = req.body;
+    if (description === undefined && isActive === undefined && requiresTwoFactor === undefined) {
+      throw new Error("Provide at least one field to update.");
+    }
+    return true;
+  })
+];
+
+exports.setRolePermissionsValidator = [
+  body("permissions")
+    .isArray()
+    .withMessage("permissions must be an array of permission keys"),
+  permissionKeysValidator
+];
@@ -1,11 +1,14 @@
 const UserService = require("./user.service.js");
-const { extractAdminContext } = require("../../../shared/utils/cityScope.js");
+const { resolveAdminContext } = require("../../auth/cityAccess.service.js");
 const { extractPaginationContext } = require("../../../shared/utils/pagination.js");
+const { startImpersonation } = require("../../auth/impersonation.service.js");
+const { renderPersonalDataExport } = require("../../auth/personalData.service.js");
+const { setAccessCookie, requestContext } = require("../../auth/auth.cookies.js");
 
 module.exports = {
   async listUsers(req, res, next) {
     try {
-      const adminContext = extractAdminContext(req);
+      const adminContext = await resolveAdminContext(req);
       const pagination = extractPaginationContext(req, 'users');
       const result = await UserService.listUsers(adminContext, pagination);
       res.status(200).json({
@@ -20,7 +23,7 @@ module.exports = {
 
   async createUser(req, res, next) {
     try {
-      const user = await UserService.createUser(req.body);
+      const user = await UserService.createUser(req.body, req.user);
       res.status(201).json({
         success: true,
         message: "User created successfully.",
@@ -34,7 +37,7 @@ module.exports = {
   async updateUser(req, res, next) {
     try {
       const userId = Number(req.params.userId);
-      const user = await UserService.updateUser(userId, req.body);
+      const user = await UserService.updateUser(userId, req.body, req.user, { ipAddress: req.ip || null });
       res.status(200).json({
         success: true,
         message: "User updated successfully.",
@@ -51,7 +54,7 @@ module.exports = {
       const { roleIds } = req.body;
       // Normalize authorityId - support both authorityId and authority field names
       const authorityId = req.body.authorityId || req.body.authority || null;
-      const user = await UserService.updateUserRoles(userId, roleIds, authorityId);
+      const user = await UserService.updateUserRoles(userId, roleIds, authorityId, req.user);
       res.status(200).json({
         success: true,
         message: "User roles updated successfully.",
@@ -65,7 +68,7 @@ module.exports = {
   async deleteUser(req, res, next) {
     try {
       const userId = Number(req.params.userId);
-      await UserService.deleteUser(userId);
+      await UserService.deleteUser(userId, req.user);
       res.status(200).json({
         success: true,
         message: "User deleted successfully."
@@ -75,10 +78,37 @@ module.exports = {
     }
   },
 
+  async exportUserData(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const bundle = await UserService.exportUserData(userId, req.user, requestContext(req));
+      const { contentType, fileName, body } = renderPersonalDataExport(bundle, req.query.format);
+
+      res.set("Content-Type", contentType);
+      res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+      res.status(200).send(body);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async eraseUserData(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      await UserService.eraseUserData(userId, req.user, requestContext(req));
+      res.status(200).json({
+        success: true,
+        message: "Personal data erased. The user's reports remain without their identity."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async changeUserPassword(req, res, next) {
     try {
       const userId = Number(req.params.userId);
-      const user = await UserService.changeUserPassword(userId, req.body);
+      const user = await UserService.changeUserPassword(userId, req.body, req.user);
       res.status(200).json({
         success: true,
         message: "User password changed successfully.",
@@ -87,6 +117,104 @@ module.exports = {
     } catch (err) {
       next(err);
     }
+  },
+
+  async getUserLockout(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const lockout = await UserService.getUserLockout(userId, req.user);
+      res.status(200).json({
+        success: true,
+        data: { lockout }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async clearUserLockout(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const lockout = await UserService.clearUserLockout(userId, req.user);
+      res.status(200).json({
+        success: true,
+        message: "Login lockout cleared.",
+        data: { lockout }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async resetUserTwoFactor(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      await UserService.resetUserTwoFactor(userId, req.user);
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication reset. The user must set it up again."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listAdminCities(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const cities = await UserService.listAdminCities(userId);
+      res.status(200).json({
+        success: true,
+        data: { cities }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setAdminCities(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const cities = await UserService.setAdminCities(userId, req.body.cityIds);
+      res.status(200).json({
+        success: true,
+        message: "Admin cities updated.",
+        data: { cities }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async impersonateUser(req, res, next) {
+    try {
+      const userId = Number(req.params.userId);
+      const { user, role, token, session, ttlMinutes } = await startImpersonation(
+        req.user,
+        userId,
+        { role: req.body.role, reason: req.body.reason },
+        requestContext(req)
+      );
+
+      // Replaces only the access cookie; the admin's refresh cookie is untouched
+      setAccessCookie(res, token, ttlMinutes * 60 * 1000);
+
+      res.status(200).json({
+        success: true,
+        message: `You are now acting as ${user.name}.`,
+        data: {
+          user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role,
+            city_id: user.city_id
+          },
+          expiresAt: session.expires_at
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
   }
 };
-
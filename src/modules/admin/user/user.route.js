@@ -3,12 +3,18 @@ const router = express.Router();
 
 const UserController = require("./user.controller.js");
 const validate = require("../../../shared/middleware/validate.js");
+const { requirePermission } = require("../../auth/permission.middleware.js");
+const { requireSession } = require("../../auth/apiKey.middleware.js");
+const { PERMISSIONS } = require("../../auth/permission.service.js");
 const {
   createUserValidator,
   updateUserValidator,
   updateUserRolesValidator,
   userIdParamValidator,
-  changeUserPasswordValidator
+  changeUserPasswordValidator,
+  setAdminCitiesValidator,
+  impersonateUserValidator,
+  exportUserDataValidator
 } = require("./user.validator.js");
 
 router.get("/", UserController.listUsers);
@@ -44,6 +50,73 @@ router.patch(
   UserController.changeUserPassword
 );
 
+router.get(
+  "/:userId/lockout",
+  userIdParamValidator,
+  validate,
+  UserController.getUserLockout
+);
+
+router.delete(
+  "/:userId/lockout",
+  userIdParamValidator,
+  validate,
+  UserController.clearUserLockout
+);
+
+router.delete(
+  "/:userId/two-factor",
+  userIdParamValidator,
+  validate,
+  UserController.resetUserTwoFactor
+);
+
+router.get(
+  "/:userId/cities",
+  userIdParamValidator,
+  validate,
+  UserController.listAdminCities
+);
+
+// City-bound admins must not widen anyone's scope, including their own
+router.put(
+  "/:userId/cities",
+  requirePermission(PERMISSIONS.CITY_ALL),
+  userIdParamValidator,
+  setAdminCitiesValidator,
+  validate,
+  UserController.setAdminCities
+);
+
+// Starts a time-limited session as the user; ended via POST /api/auth/impersonation/stop
+router.post(
+  "/:userId/impersonate",
+  requireSession,
+  requirePermission(PERMISSIONS.USER_IMPERSONATE),
+  userIdParamValidator,
+  impersonateUserValidator,
+  validate,
+  UserController.impersonateUser
+);
+
+// Data subject requests - same bundle as GET /api/auth/me/export
+router.get(
+  "/:userId/export",
+  userIdParamValidator,
+  exportUserDataValidator,
+  validate,
+  UserController.exportUserData
+);
+
+// Irreversible: anonymises the account (DELETE /:userId only soft-deletes)
+router.delete(
+  "/:userId/personal-data",
+  requireSession,
+  userIdParamValidator,
+  validate,
+  UserController.eraseUserData
+);
+
 router.delete(
   "/:userId",
   userIdParamValidator,
@@ -7,6 +7,7 @@ const {
   Authority,
   AuthorityUser,
   City,
+  AdminCity,
   sequelize
 } = require("../../../models");
 
@@ -16,6 +17,22 @@ const {
   buildQueryOptions,
   buildPaginatedResponse
 } = require("../../../shared/utils/pagination.js");
+const { revokeAllSessions, REVOKE_REASONS } = require("../../auth/session.service.js");
+const {
+  THROTTLE_SCOPES,
+  getAccountLockout,
+  resetLoginThrottle
+} = require("../../auth/loginThrottle.service.js");
+const {
+  SECURITY_EVENTS,
+  recordSecurityEvent,
+  listUserSecurityEvents
+} = require("../../auth/securityEvent.service.js");
+const { resetTwoFactor } = require("../../auth/twoFactor.service.js");
+const { ACCOUNT_FIELDS, recordAccountChanges } = require("../../auth/accountHistory.service.js");
+const { can, getRolePermissions, PERMISSIONS } = require("../../auth/permission.service.js");
+const { assertCanAccessCity } = require("../../auth/cityAccess.service.js");
+const { exportPersonalData, anonymiseUser } = require("../../auth/personalData.service.js");
 
 /**
  * Role include for user queries
@@ -47,6 +64,77 @@ const sanitizeRoleIds = (roleIds = []) => {
   return [Number(roleIds)].filter(Boolean);
 };
 
+/**
+ * Cities an admin is bound to, by name
+ *
+ * @param {number} userId
+ * @returns {Promise<Array<City>>}
+ */
+const findAdminCities = async (userId) => {
+  const rows = await AdminCity.findAll({ where: { user_id: userId }, attributes: ["city_id"] });
+  return City.findAll({
+    where: { id: rows.map((row) => row.city_id) },
+    attributes: ["id", "name"],
+    order: [["name", "ASC"]]
+  });
+};
+
+/**
+ * First of the roles that grants city.all
+ *
+ * @param {Array<Role>} roles
+ * @returns {Promise<Role|null>}
+ */
+const findCrossCityRole = async (roles) => {
+  for (const role of roles) {
+    const permissions = await getRolePermissions(role.name);
+    if (permissions.has(PERMISSIONS.CITY_ALL)) return role;
+  }
+  return null;
+};
+
+/**
+ * Only super-admins may assign roles that carry cross-city access
+ *
+ * @param {Array<Role>} roles - Roles being assigned
+ * @param {Object} actor - req.user
+ * @throws {HttpError} 403
+ */
+const assertCanAssignRoles = async (roles, actor) => {
+  if (await can(actor, PERMISSIONS.CITY_ALL)) return;
+
+  const role = await findCrossCityRole(roles);
+  if (role) {
+    throw httpError(`Only super-admins can assign the ${role.name} role.`, 403);
+  }
+};
+
+/**
+ * Load a user the actor may manage
+ *
+ * Bound admins only reach users in their cities, and only super-admins
+ * manage accounts that hold city.all.
+ *
+ * @param {number} userId
+ * @param {Object} actor - req.user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted] - Also find soft-deleted users
+ * @returns {Promise<User>} With roles
+ * @throws {HttpError} 404 for an unknown user, 403 when out of reach
+ */
+const findManagedUser = async (userId, actor, { includeDeleted = false } = {}) => {
+  const user = await User.findByPk(userId, { include: [roleInclude], paranoid: false });
+  if (!user || (user.isSoftDeleted() && !includeDeleted)) {
+    throw httpError("User not found.", 404);
+  }
+  await assertCanAccessCity(actor, user.city_id, "You can only manage users in cities you administer.");
+
+  if (!(await can(actor, PERMISSIONS.CITY_ALL)) && (await findCrossCityRole(user.roles))) {
+    throw httpError("Only super-admins can manage super-admin accounts.", 403);
+  }
+  return user;
+};
+
 module.exports = {
   /**
    * List users with city scoping and mandatory pagination
@@ -86,7 +174,7 @@ module.exports = {
     });
   },
 
-  async createUser({ name, email, password, roleIds }) {
+  async createUser({ name, email, password, roleIds }, actor) {
     const existing = await User.findOne({ where: { email } });
     if (existing) {
       throw httpError("Email is already registered.", 409);
@@ -96,8 +184,9 @@ module.exports = {
     const rolesToAssign = sanitizeRoleIds(roleIds);
 
     return sequelize.transaction(async (transaction) => {
+      // Accounts created by an admin are vouched for; only self-registration needs verification
       const user = await User.create(
-        { name, email, password_hash: hashedPassword },
+        { name, email, password_hash: hashedPassword, email_verified_at: new Date() },
         { transaction }
       );
 
@@ -109,6 +198,7 @@ module.exports = {
         if (foundRoles.length !== rolesToAssign.length) {
           throw httpError("One or more selected roles do not exist.", 404);
         }
+        await assertCanAssignRoles(foundRoles, actor);
 
         const userRoles = rolesToAssign.map((roleId) => ({
           user_id: user.id,
@@ -125,11 +215,8 @@ module.exports = {
     });
   },
 
-  async updateUser(userId, payload) {
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw httpError("User not found.", 404);
-    }
+  async updateUser(userId, payload, actor, context = {}) {
+    const user = await findManagedUser(userId, actor);
 
     if (payload.email && payload.email !== user.email) {
       const duplicate = await User.findOne({ where: { email: payload.email } });
@@ -138,23 +225,36 @@ module.exports = {
       }
     }
 
-    await user.update(
-      {
-        name: payload.name ?? user.name,
-        email: payload.email ?? user.email
-      }
-    );
+    const changes = [
+      { field: ACCOUNT_FIELDS.NAME, from: user.name, to: payload.name ?? user.name },
+      { field: ACCOUNT_FIELDS.EMAIL, from: user.email, to: payload.email ?? user.email }
+    ];
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update(
+        {
+          name: payload.name ?? user.name,
+          email: payload.email ?? user.email
+        },
+        { transaction }
+      );
+
+      // Shown to the user in GET /api/auth/me/history as changed by an admin
+      await recordAccountChanges({
+        userId: user.id,
+        actorId: actor?.id || null,
+        ipAddress: context.ipAddress || null,
+        changes
+      }, { transaction });
+    });
 
     return User.findByPk(user.id, {
       include: [roleInclude]
     });
   },
 
-  async updateUserRoles(userId, roleIds = [], authorityId = null) {
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw httpError("User not found.", 404);
-    }
+  async updateUserRoles(userId, roleIds = [], authorityId = null, actor) {
+    const user = await findManagedUser(userId, actor);
 
     // Validate roleIds is an array
     if (!Array.isArray(roleIds)) {
@@ -186,6 +286,7 @@ module.exports = {
     if (adminRole) {
       throw httpError("Admin role cannot be assigned from this interface.", 403);
     }
+    await assertCanAssignRoles(foundRoles, actor);
 
     // Final roles to assign (after filtering)
     const rolesToAssign = sanitizedRoleIds;
@@ -207,6 +308,7 @@ module.exports = {
       if (!authority) {
         throw httpError("Selected authority does not exist.", 404);
       }
+      await assertCanAccessCity(actor, authority.city_id, "You can only assign authorities in cities you administer.");
       // Validate user's city matches authority's city (if both have city assigned)
       // If user has no city, allow assignment but the user should be assigned to a city
       // Convert to numbers for consistent comparison (handles string vs number type mismatch)
@@ -270,25 +372,124 @@ module.exports = {
     });
   },
 
-  async deleteUser(userId) {
-    const deleted = await User.destroy({ where: { id: userId } });
-    if (!deleted) {
+  async deleteUser(userId, actor) {
+    const user = await findManagedUser(userId, actor);
+    await user.destroy();
+  },
+
+  /**
+   * Export a user's personal data (data subject request handled by an admin)
+   * Deleted accounts are included; city-bound admins only reach their cities.
+   */
+  async exportUserData(userId, admin, context = {}) {
+    const user = await findManagedUser(userId, admin, { includeDeleted: true });
+
+    return exportPersonalData(user.id, { actorId: admin.id, ipAddress: context.ipAddress || null });
+  },
+
+  /**
+   * Erase a user's personal data (see personalData.service.js)
+   * Unlike deleteUser this cannot be undone.
+   */
+  async eraseUserData(userId, admin, context = {}) {
+    const user = await findManagedUser(userId, admin, { includeDeleted: true });
+
+    await anonymiseUser(user.id, { actorId: admin.id, ipAddress: context.ipAddress || null });
+  },
+
+  async changeUserPassword(userId, { newPassword }, actor) {
+    const user = await findManagedUser(userId, actor);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ password_hash: hashedPassword }, { transaction });
+
+      // A reset password must not leave the old sessions signed in
+      await revokeAllSessions(user.id, { reason: REVOKE_REASONS.ADMIN_PASSWORD_RESET, transaction });
+    });
+
+    return User.findByPk(user.id, {
+      include: [roleInclude]
+    });
+  },
+
+  async getUserLockout(userId, actor) {
+    const user = await findManagedUser(userId, actor);
+
+    const [lockout, events] = await Promise.all([
+      getAccountLockout(user.id),
+      listUserSecurityEvents(user.id)
+    ]);
+    return { ...lockout, events };
+  },
+
+  async clearUserLockout(userId, adminUser) {
+    const user = await findManagedUser(userId, adminUser);
+
+    const before = await getAccountLockout(user.id);
+    await resetLoginThrottle(THROTTLE_SCOPES.ACCOUNT, user.id);
+
+    await recordSecurityEvent({
+      type: SECURITY_EVENTS.LOCKOUT_CLEARED,
+      userId: user.id,
+      actorId: adminUser.id,
+      metadata: { wasLocked: before.locked, failedCount: before.failedCount }
+    });
+
+    return getAccountLockout(user.id);
+  },
+
+  async resetUserTwoFactor(userId, adminUser) {
+    const user = await findManagedUser(userId, adminUser);
+
+    const removed = await resetTwoFactor(user.id, adminUser.id);
+    if (!removed) {
+      throw httpError("Two-factor authentication is not set up for this user.", 404);
+    }
+  },
+
+  /**
+   * Cities an admin is bound to (ignored while their role holds city.all)
+   *
+   * @param {number} userId
+   * @returns {Promise<Array<City>>}
+   */
+  async listAdminCities(userId) {
+    const user = await User.findByPk(userId, { attributes: ["id"] });
+    if (!user) {
       throw httpError("User not found.", 404);
     }
+
+    return findAdminCities(user.id);
   },
 
-  async changeUserPassword(userId, { newPassword }) {
-    const user = await User.findByPk(userId);
+  /**
+   * Replace the cities an admin is bound to
+   *
+   * @param {number} userId
+   * @param {Array<number>} cityIds - The complete new set (may be empty)
+   * @returns {Promise<Array<City>>}
+   */
+  async setAdminCities(userId, cityIds) {
+    const user = await User.findByPk(userId, { attributes: ["id"] });
     if (!user) {
       throw httpError("User not found.", 404);
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await user.update({ password_hash: hashedPassword });
+    const uniqueCityIds = [...new Set(cityIds.map(Number))];
+    const cities = await City.findAll({ where: { id: uniqueCityIds }, attributes: ["id"] });
+    if (cities.length !== uniqueCityIds.length) {
+      throw httpError("One or more selected cities do not exist.", 404);
+    }
 
-    return User.findByPk(user.id, {
-      include: [roleInclude]
+    await sequelize.transaction(async (transaction) => {
+      await AdminCity.destroy({ where: { user_id: user.id }, transaction });
+      await AdminCity.bulkCreate(
+        uniqueCityIds.map((cityId) => ({ user_id: user.id, city_id: cityId })),
+        { transaction }
+      );
     });
+
+    return findAdminCities(user.id);
   }
 };
-
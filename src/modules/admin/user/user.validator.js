@@ -1,4 +1,4 @@
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 exports.userIdParamValidator = [
   param("userId").isInt({ min: 1 }).withMessage("userId must be numeric")
@@ -52,6 +52,37 @@ exports.updateUserRolesValidator = [
     .withMessage("authorityId must be a valid numeric id")
 ];
 
+exports.setAdminCitiesValidator = [
+  body("cityIds")
+    .isArray()
+    .withMessage("cityIds must be an array"),
+  body("cityIds.*")
+    .isInt({ min: 1 })
+    .withMessage("cityIds must contain numeric ids")
+];
+
+exports.exportUserDataValidator = [
+  query("format")
+    .optional()
+    .isIn(["json", "zip"])
+    .withMessage("format must be json or zip")
+];
+
+exports.impersonateUserValidator = [
+  body("role")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Please select a valid role."),
+  body("reason")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Reason must be at most 255 characters")
+];
+
 exports.changeUserPasswordValidator = [
   body("newPassword")
     .isLength({ min: 8 })
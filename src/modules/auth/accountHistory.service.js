@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Account History Service
+ *
+ * Append-only record of profile changes, so users (and support) can see
+ * when a name, city or email address changed and who changed it.
+ *
+ * RULES:
+ * - One row per changed field; unchanged fields are not recorded
+ * - city rows store city IDs; the response resolves them to names
+ * - actor_id is the user for self-service changes and the admin otherwise
+ */
+
+const { AccountHistory, City } = require('../../models');
+
+/**
+ * Recorded fields
+ */
+const ACCOUNT_FIELDS = {
+  NAME: 'name',
+  CITY: 'city',
+  EMAIL: 'email'
+};
+
+const toValue = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Record changed fields
+ *
+ * @param {Object} entry
+ * @param {number} entry.userId - Account that changed
+ * @param {number|null} [entry.actorId] - User who made the change
+ * @param {string|null} [entry.ipAddress]
+ * @param {Array<Object>} entry.changes - [{ field, from, to }] (ACCOUNT_FIELDS)
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<Array<AccountHistory>>}
+ */
+async function recordAccountChanges({ userId, actorId = null, ipAddress = null, changes }, options = {}) {
+  const rows = changes
+    .filter(change => toValue(change.from) !== toValue(change.to))
+    .map(change => ({
+      user_id: userId,
+      actor_id: actorId,
+      field: change.field,
+      old_value: toValue(change.from),
+      new_value: toValue(change.to),
+      ip_address: ipAddress
+    }));
+
+  if (!rows.length) {
+    return [];
+  }
+  return AccountHistory.bulkCreate(rows, options);
+}
+
+/**
+ * List a user's account history, newest first
+ *
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAccountHistory(userId, { limit = 50 } = {}) {
+  const entries = await AccountHistory.findAll({
+    where: { user_id: userId },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit
+  });
+
+  const cityIds = new Set();
+  entries
+    .filter(entry => entry.field === ACCOUNT_FIELDS.CITY)
+    .forEach(entry => [entry.old_value, entry.new_value].filter(Boolean).forEach(id => cityIds.add(id)));
+
+  const cities = cityIds.size
+    ? await City.findAll({ where: { id: [...cityIds] }, attributes: ['id', 'name'], paranoid: false })
+    : [];
+  const cityNames = new Map(cities.map(city => [String(city.id), city.name]));
+  const display = (entry, value) => (entry.field === ACCOUNT_FIELDS.CITY && value ? cityNames.get(value) || null : value);
+
+  return entries.map(entry => ({
+    id: entry.id,
+    field: entry.field,
+    oldValue: display(entry, entry.old_value),
+    newValue: display(entry, entry.new_value),
+    changedBy: entry.actor_id && String(entry.actor_id) !== String(userId) ? 'admin' : 'self',
+    createdAt: entry.createdAt
+  }));
+}
+
+module.exports = {
+  ACCOUNT_FIELDS,
+  recordAccountChanges,
+  listAccountHistory
+};
@@ -0,0 +1,15 @@
+/**
+ * Reject requests authenticated with an API key
+ * Account management (password, sessions, 2FA, API keys) needs a signed-in
+ * session, so a leaked key cannot take over the account.
+ * Must run after auth.middleware.js
+ */
+module.exports.requireSession = (req, res, next) => {
+  if (req.user && req.user.apiKeyId) {
+    const err = new Error("API keys cannot be used for this action. Please log in instead.");
+    err.statusCode = 403;
+    return next(err);
+  }
+
+  next();
+};
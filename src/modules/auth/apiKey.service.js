@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * API Key Service
+ *
+ * Personal API keys for machine clients (field-crew tablets, partner
+ * dashboards) that cannot use cookie sessions. Keys are sent as
+ * "Authorization: Bearer ctk_..." and act as their owner.
+ *
+ * RULES:
+ * - Keys are stored only as a SHA-256 hash (see shared/utils/apiKey.js); the
+ *   plaintext is returned once on creation
+ * - A key acts with one role its owner holds and a subset of that role's
+ *   permissions; losing the role (or the role losing a permission) narrows
+ *   the key without reissuing it
+ * - Every key expires (at most API_KEY_DEFAULTS.maxTtlDays)
+ * - Keys cannot manage the account (password, sessions, 2FA, other keys);
+ *   those routes require a cookie session (see apiKey.middleware.js)
+ * - Every authenticated request records last_used_at / last_used_ip
+ */
+
+const { ApiKey, User, Role, UserRole } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey, generateApiKey } = require('../../shared/utils/apiKey.js');
+const { getRolePermissions } = require('./permission.service.js');
+
+/**
+ * Key limits
+ */
+const API_KEY_DEFAULTS = {
+  ttlDays: 90,
+  maxTtlDays: 365,
+  maxKeysPerUser: 10
+};
+
+const API_KEY_PREFIX = 'ctk';
+
+/**
+ * Public key attributes - the key hash is never returned
+ */
+const KEY_ATTRIBUTES = [
+  'id', 'name', 'key_prefix', 'role', 'permissions',
+  'expires_at', 'last_used_at', 'last_used_ip', 'createdAt'
+];
+
+const invalidKeyError = () => httpError('This API key is invalid or has been revoked.', 401);
+
+/**
+ * Shape a key for API responses
+ *
+ * @param {ApiKey} apiKey
+ * @returns {Object}
+ */
+function toApiKeyResponse(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.key_prefix,
+    role: apiKey.role,
+    permissions: apiKey.permissions,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    lastUsedIp: apiKey.last_used_ip,
+    createdAt: apiKey.createdAt,
+    expired: new Date(apiKey.expires_at) <= new Date()
+  };
+}
+
+/**
+ * Whether a user holds an active role
+ *
+ * @param {number} userId
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+async function holdsRole(userId, roleName) {
+  const role = await Role.findOne({ where: { name: roleName, is_active: true }, attributes: ['id'] });
+  if (!role) {
+    return false;
+  }
+  return Boolean(await UserRole.findOne({ where: { user_id: userId, role_id: role.id }, attributes: ['id'] }));
+}
+
+/**
+ * List a user's keys, newest first (expired keys included until deleted)
+ *
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiKeys(userId) {
+  const keys = await ApiKey.findAll({
+    where: { user_id: userId },
+    attributes: KEY_ATTRIBUTES,
+    order: [['createdAt', 'DESC']]
+  });
+  return keys.map(toApiKeyResponse);
+}
+
+/**
+ * Create a key for the calling user
+ *
+ * @param {Object} user - req.user ({ id, role })
+ * @param {Object} payload
+ * @param {string} payload.name - Label, e.g. "Crew tablet 4"
+ * @param {Array<string>} payload.permissions - Permission keys the key may use
+ * @param {string} [payload.role] - Role to act with (default: the current role)
+ * @param {number} [payload.expiresInDays] - Default API_KEY_DEFAULTS.ttlDays
+ * @returns {Promise<Object>} { apiKey, key } - key is only returned here
+ * @throws {HttpError} 403 for a role the user does not hold, 422 for
+ *   permissions the role does not grant, 409 when the key limit is reached
+ */
+async function createApiKey(user, { name, permissions, role, expiresInDays = API_KEY_DEFAULTS.ttlDays }) {
+  const keyRole = role || user.role;
+  if (!(await holdsRole(user.id, keyRole))) {
+    throw httpError(`You do not have access as ${keyRole}.`, 403);
+  }
+
+  const granted = await getRolePermissions(keyRole);
+  const requested = [...new Set(permissions)];
+  const notGranted = requested.filter(permission => !granted.has(permission));
+  if (notGranted.length) {
+    const err = httpError(`The ${keyRole} role does not grant: ${notGranted.join(', ')}.`, 422);
+    err.details = { notGrantedPermissions: notGranted };
+    throw err;
+  }
+
+  const count = await ApiKey.count({ where: { user_id: user.id } });
+  if (count >= API_KEY_DEFAULTS.maxKeysPerUser) {
+    throw httpError(`You can have at most ${API_KEY_DEFAULTS.maxKeysPerUser} API keys. Delete one first.`, 409);
+  }
+
+  const { key, hash, displayPrefix } = generateApiKey(API_KEY_PREFIX);
+  const days = Math.min(expiresInDays, API_KEY_DEFAULTS.maxTtlDays);
+
+  const created = await ApiKey.create({
+    user_id: user.id,
+    name,
+    api_key_hash: hash,
+    key_prefix: displayPrefix,
+    role: keyRole,
+    permissions: requested.sort(),
+    expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  const apiKey = await ApiKey.findByPk(created.id, { attributes: KEY_ATTRIBUTES });
+  return { apiKey: toApiKeyResponse(apiKey), key };
+}
+
+/**
+ * Delete one of a user's keys (takes effect on the next request)
+ *
+ * @param {number} userId
+ * @param {number|string} keyId
+ * @throws {HttpError} 404 when the user has no such key
+ */
+async function revokeApiKey(userId, keyId) {
+  const deleted = await ApiKey.destroy({ where: { id: keyId, user_id: userId } });
+  if (!deleted) {
+    throw httpError('API key not found.', 404);
+  }
+}
+
+/**
+ * Authenticate a request by API key
+ *
+ * @param {string} key - Plaintext key from the Authorization header
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object>} { apiKey, user }
+ * @throws {HttpError} 401 when the key is unknown, deleted or expired, or
+ *   its owner no longer holds its role
+ */
+async function authenticateApiKey(key, context = {}) {
+  if (!key || !String(key).startsWith(`${API_KEY_PREFIX}_`)) {
+    throw invalidKeyError();
+  }
+
+  const apiKey = await ApiKey.findOne({
+    where: { api_key_hash: hashApiKey(key) },
+    include: [{ model: User, as: 'user', attributes: ['id', 'city_id'] }]
+  });
+  if (!apiKey || !apiKey.user) {
+    throw invalidKeyError();
+  }
+  if (new Date(apiKey.expires_at) <= new Date()) {
+    throw httpError('This API key has expired.', 401);
+  }
+  if (!(await holdsRole(apiKey.user_id, apiKey.role))) {
+    throw invalidKeyError();
+  }
+
+  await apiKey.update({ last_used_at: new Date(), last_used_ip: context.ipAddress || null });
+  return { apiKey, user: apiKey.user };
+}
+
+module.exports = {
+  // Constants
+  API_KEY_DEFAULTS,
+  API_KEY_PREFIX,
+
+  // Management
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+
+  // Authentication
+  authenticateApiKey
+};
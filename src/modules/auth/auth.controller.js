@@ -1,4 +1,33 @@
 const AuthService = require("./auth.service.js");
+const SessionService = require("./session.service.js");
+const PasswordResetService = require("./passwordReset.service.js");
+const EmailVerificationService = require("./emailVerification.service.js");
+const TwoFactorService = require("./twoFactor.service.js");
+const ImpersonationService = require("./impersonation.service.js");
+const ApiKeyService = require("./apiKey.service.js");
+const OidcService = require("./oidc.service.js");
+const ProfileService = require("./profile.service.js");
+const { listAccountHistory } = require("./accountHistory.service.js");
+const PersonalDataService = require("./personalData.service.js");
+const {
+  REFRESH_COOKIE,
+  OIDC_STATE_COOKIE,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  requestContext
+} = require("./auth.cookies.js");
+
+const loginUserResponse = (user, role) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role,
+  city_id: user.city_id,
+  email_verified: Boolean(user.email_verified_at)
+});
 
 module.exports = {
   async listCities(req, res, next) {
@@ -19,7 +48,7 @@ module.exports = {
 
       return res.status(201).json({
         success: true,
-        message: "Registered successfully.",
+        message: "Registered successfully. Please check your email to verify your account.",
         data: { user }
       });
     } catch (err) {
@@ -29,45 +58,175 @@ module.exports = {
 
   async login(req, res, next) {
     try {
-      const { user, token } = await AuthService.login(req.body);
+      const result = await AuthService.login(req.body, requestContext(req));
 
-      const isProduction = process.env.NODE_ENV === "production";
+      // Second factor required: no cookies until POST /login/two-factor
+      if (result.twoFactor) {
+        return res.status(200).json({
+          success: true,
+          message: result.twoFactor.setupRequired
+            ? "Two-factor authentication must be set up for this role."
+            : "Enter your authentication code.",
+          data: {
+            twoFactor: {
+              required: true,
+              setupRequired: result.twoFactor.setupRequired,
+              challengeToken: result.twoFactor.challengeToken
+            }
+          }
+        });
+      }
 
-      res.cookie("token", token, {
-        httpOnly: true,
-        // In production we need SameSite=None + Secure for cross-site cookies.
-        // In local development, browsers will reject SameSite=None without Secure,
-        // so we fall back to Lax to make sure the cookie is accepted.
-        sameSite: isProduction ? "None" : "Lax",
-        secure: isProduction,
-        maxAge: 24 * 60 * 60 * 1000
-      });
+      const { user, token, refreshToken, session } = result;
+      setAuthCookies(res, { token, refreshToken, session });
 
       return res.status(200).json({
         success: true,
         message: "Login successful.",
         data: { 
+          user: loginUserResponse(user, req.body.role) // Include the active role that was used for login
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async loginTwoFactorSetup(req, res, next) {
+    try {
+      const { secret, otpauthUri } = await AuthService.beginTwoFactorLoginSetup(req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: "Scan the QR code with your authenticator app, then enter a code to finish logging in.",
+        data: { secret, otpauthUri }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { user, role, token, refreshToken, session, recoveryCodes } =
+        await AuthService.completeTwoFactorLogin(req.body, requestContext(req));
+
+      setAuthCookies(res, { token, refreshToken, session });
+
+      return res.status(200).json({
+        success: true,
+        message: recoveryCodes
+          ? "Login successful. Store your recovery codes now - they will not be shown again."
+          : "Login successful.",
+        data: {
+          user: loginUserResponse(user, role),
+          ...(recoveryCodes ? { recoveryCodes } : {})
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async oidcLogin(req, res, next) {
+    try {
+      const { authorizationUrl, stateToken } = await OidcService.beginOidcLogin({ role: req.query.role });
+
+      setOidcStateCookie(res, stateToken);
+      return res.redirect(302, authorizationUrl);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async oidcCallback(req, res, next) {
+    try {
+      if (req.query.error) {
+        const err = new Error("Sign-in was cancelled or denied by the identity provider.");
+        err.statusCode = 401;
+        err.details = { providerError: String(req.query.error) };
+        throw err;
+      }
+
+      const { user, role, token, refreshToken, session } = await OidcService.completeOidcLogin(
+        req.query,
+        req.cookies?.[OIDC_STATE_COOKIE],
+        requestContext(req)
+      );
+
+      clearOidcStateCookie(res);
+      setAuthCookies(res, { token, refreshToken, session });
+
+      // Browsers arrive here from the provider, so send them back to the app
+      if (process.env.OIDC_POST_LOGIN_REDIRECT) {
+        return res.redirect(302, process.env.OIDC_POST_LOGIN_REDIRECT);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Login successful.",
+        data: { user: loginUserResponse(user, role) }
+      });
+    } catch (err) {
+      clearOidcStateCookie(res);
+      next(err);
+    }
+  },
+
+  async refresh(req, res, next) {
+    try {
+      const { user, role, token, refreshToken, session } = await SessionService.refreshSession(
+        req.cookies?.[REFRESH_COOKIE],
+        requestContext(req)
+      );
+
+      setAuthCookies(res, { token, refreshToken, session });
+
+      return res.status(200).json({
+        success: true,
+        message: "Session refreshed.",
+        data: {
           user: {
             id: user.id,
             name: user.name,
             email: user.email,
-            role: req.body.role, // Include the active role that was used for login
+            role,
             city_id: user.city_id
           }
         }
       });
     } catch (err) {
+      if (err.statusCode === 401) {
+        clearAuthCookies(res);
+      }
       next(err);
     }
   },
 
   async logout(req, res, next) {
     try {
-      res.cookie("token", "", {
-        httpOnly: true,
-        sameSite: "lax",
-        expires: new Date(0)
-      });
+      // Logging out of an impersonation ends it (and signs the browser out)
+      if (req.user.impersonatorId) {
+        await ImpersonationService.stopImpersonation(
+          req.user,
+          { reason: ImpersonationService.STOP_REASONS.LOGOUT },
+          requestContext(req)
+        );
+        clearAuthCookies(res);
+
+        return res.status(200).json({
+          success: true,
+          message: "Logged out successfully."
+        });
+      }
+
+      await SessionService.revokeSession(
+        req.user.id,
+        req.user.sessionId,
+        SessionService.REVOKE_REASONS.LOGOUT
+      );
+
+      clearAuthCookies(res);
 
       return res.status(200).json({
         success: true,
@@ -79,12 +238,119 @@ module.exports = {
     }
   },
 
+  async stopImpersonation(req, res, next) {
+    try {
+      const { admin, role, token } = await ImpersonationService.stopImpersonation(
+        req.user,
+        {},
+        requestContext(req)
+      );
+
+      // The admin's refresh cookie was never replaced; only the access token changes back
+      if (!token) {
+        clearAuthCookies(res);
+        return res.status(200).json({
+          success: true,
+          message: "Impersonation ended. Please log in again."
+        });
+      }
+
+      setAccessCookie(res, token);
+
+      return res.status(200).json({
+        success: true,
+        message: "Impersonation ended.",
+        data: { user: loginUserResponse(admin, role) }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async switchRole(req, res, next) {
+    try {
+      const { user, role, token, authority } = await AuthService.switchRole(req.user, req.body.role);
+
+      // Same session and refresh token - only the access token changes
+      setAccessCookie(res, token);
+
+      return res.status(200).json({
+        success: true,
+        message: `Switched to ${role}.`,
+        data: {
+          user: loginUserResponse(user, role),
+          ...(role === "authority" ? { authority } : {})
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async forgotPassword(req, res, next) {
+    try {
+      // Not awaited: waiting for the token write and the mail server would
+      // make known emails answer measurably slower than unknown ones
+      PasswordResetService.requestPasswordReset(req.body.email, requestContext(req))
+        .catch((err) => console.error("Password reset request failed:", err.message));
+
+      return res.status(200).json({
+        success: true,
+        message: "If an account exists for this email, a password reset link has been sent."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async resetPassword(req, res, next) {
+    try {
+      await PasswordResetService.resetPassword(req.body);
+
+      // The reset signed out every session, including this browser's
+      clearAuthCookies(res);
+
+      return res.status(200).json({
+        success: true,
+        message: "Password reset successfully. Please log in with your new password."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async verifyEmail(req, res, next) {
+    try {
+      await EmailVerificationService.verifyEmail(req.query.token, requestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: "Email verified successfully."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async resendVerification(req, res, next) {
+    try {
+      await EmailVerificationService.resendVerification(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Verification email sent."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async me(req, res, next) {
     try {
       // Fetch full user details including roles
       const { User, Role, City } = require("../../models");
       const user = await User.findByPk(req.user.id, {
-        attributes: ["id", "name", "email", "city_id"],
+        attributes: ["id", "name", "email", "city_id", "email_verified_at"],
         include: [
           {
             model: Role,
@@ -107,6 +373,8 @@ module.exports = {
         });
       }
 
+      const impersonation = await ImpersonationService.getImpersonation(req.user);
+
       return res.status(200).json({
         success: true,
         data: { 
@@ -116,8 +384,13 @@ module.exports = {
             email: user.email,
             role: req.user.role, // Current active role from token
             roles: user.roles,
+            // Roles POST /auth/switch-role accepts from this session
+            switchable_roles: user.roles.map(role => role.name).filter(name => name !== req.user.role),
             city_id: user.city_id,
-            city: user.city
+            city: user.city,
+            email_verified: Boolean(user.email_verified_at),
+            // Set when an admin is acting as this user
+            impersonation
           }
         }
       });
@@ -126,9 +399,89 @@ module.exports = {
     }
   },
 
+  async updateProfile(req, res, next) {
+    try {
+      const { user, changed, token } = await ProfileService.updateProfile(req.user, req.body, requestContext(req));
+
+      // A new city means a new city_id claim in the access token
+      if (token) {
+        setAccessCookie(res, token);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: changed.length ? "Profile updated." : "No changes to save.",
+        data: {
+          user: loginUserResponse(user, req.user.role),
+          changed
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async requestEmailChange(req, res, next) {
+    try {
+      await EmailVerificationService.requestEmailChange(req.user.id, req.body);
+
+      return res.status(202).json({
+        success: true,
+        message: "Check your new email address for a confirmation link. Your current address stays in use until then."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async accountHistory(req, res, next) {
+    try {
+      const history = await listAccountHistory(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { history }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async exportPersonalData(req, res, next) {
+    try {
+      const bundle = await PersonalDataService.exportPersonalData(req.user.id, {
+        actorId: req.user.id,
+        ipAddress: requestContext(req).ipAddress
+      });
+      const { contentType, fileName, body } = PersonalDataService.renderPersonalDataExport(bundle, req.query.format);
+
+      res.set("Content-Type", contentType);
+      res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+      return res.status(200).send(body);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async deleteAccount(req, res, next) {
+    try {
+      await PersonalDataService.deleteOwnAccount(req.user.id, req.body);
+
+      // Every session was removed with the account
+      clearAuthCookies(res);
+
+      return res.status(200).json({
+        success: true,
+        message: "Your account has been deleted. Your reports remain without your name or contact details."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async changePassword(req, res, next) {
     try {
-      const user = await AuthService.changePassword(req.user.id, req.body);
+      await AuthService.changePassword(req.user.id, req.body, req.user.sessionId);
 
       return res.status(200).json({
         success: true,
@@ -137,5 +490,169 @@ module.exports = {
     } catch (err) {
       next(err);
     }
+  },
+
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await SessionService.listSessions(req.user.id, req.user.sessionId);
+
+      return res.status(200).json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async revokeSession(req, res, next) {
+    try {
+      await SessionService.revokeSession(req.user.id, req.params.sessionId);
+
+      // Revoking the current session is a logout
+      if (String(req.params.sessionId) === String(req.user.sessionId)) {
+        clearAuthCookies(res);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Session revoked."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const revoked = await SessionService.revokeAllSessions(req.user.id, {
+        reason: SessionService.REVOKE_REASONS.USER_REVOKED,
+        exceptSessionId: req.user.sessionId
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Signed out of all other sessions.",
+        data: { revoked }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listApiKeys(req, res, next) {
+    try {
+      const apiKeys = await ApiKeyService.listApiKeys(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { apiKeys }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createApiKey(req, res, next) {
+    try {
+      const { apiKey, key } = await ApiKeyService.createApiKey(req.user, req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: "API key created. Copy it now - it will not be shown again.",
+        data: { apiKey, key }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async revokeApiKey(req, res, next) {
+    try {
+      await ApiKeyService.revokeApiKey(req.user.id, req.params.apiKeyId);
+
+      return res.status(200).json({
+        success: true,
+        message: "API key deleted."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async twoFactorStatus(req, res, next) {
+    try {
+      const twoFactor = await TwoFactorService.getTwoFactorStatus(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { twoFactor }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setupTwoFactor(req, res, next) {
+    try {
+      const { secret, otpauthUri } = await TwoFactorService.beginSetup(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Scan the QR code with your authenticator app, then confirm with a code.",
+        data: { secret, otpauthUri }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async enableTwoFactor(req, res, next) {
+    try {
+      const recoveryCodes = await TwoFactorService.enableTwoFactor(
+        req.user.id,
+        req.body.code,
+        requestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled. Store your recovery codes now - they will not be shown again.",
+        data: { recoveryCodes }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async disableTwoFactor(req, res, next) {
+    try {
+      await TwoFactorService.disableTwoFactor(req.user.id, req.body, requestContext(req));
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(
+        req.user.id,
+        req.body.code,
+        requestContext(req)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "New recovery codes generated. Your old codes no longer work.",
+        data: { recoveryCodes }
+      });
+    } catch (err) {
+      next(err);
+    }
   }
 };
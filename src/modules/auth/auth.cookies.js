@@ -0,0 +1,85 @@
+const REFRESH_COOKIE = "refresh_token";
+// The refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+const ACCESS_COOKIE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Carries state, nonce and PKCE verifier between /oidc/login and /oidc/callback
+const OIDC_STATE_COOKIE = "oidc_state";
+const OIDC_STATE_COOKIE_PATH = "/api/auth/oidc";
+const OIDC_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const cookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    // In production we need SameSite=None + Secure for cross-site cookies.
+    // In local development, browsers will reject SameSite=None without Secure,
+    // so we fall back to Lax to make sure the cookie is accepted.
+    sameSite: isProduction ? "None" : "Lax",
+    secure: isProduction
+  };
+};
+
+const setAccessCookie = (res, token, maxAge = ACCESS_COOKIE_MAX_AGE_MS) => {
+  res.cookie("token", token, {
+    ...cookieOptions(),
+    maxAge
+  });
+};
+
+const setAuthCookies = (res, { token, refreshToken, session }) => {
+  setAccessCookie(res, token);
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(session.expires_at)
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie("token", "", {
+    httpOnly: true,
+    sameSite: "lax",
+    expires: new Date(0)
+  });
+
+  res.cookie(REFRESH_COOKIE, "", {
+    httpOnly: true,
+    sameSite: "lax",
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(0)
+  });
+};
+
+const setOidcStateCookie = (res, stateToken) => {
+  res.cookie(OIDC_STATE_COOKIE, stateToken, {
+    ...cookieOptions(),
+    path: OIDC_STATE_COOKIE_PATH,
+    maxAge: OIDC_STATE_MAX_AGE_MS
+  });
+};
+
+const clearOidcStateCookie = (res) => {
+  res.cookie(OIDC_STATE_COOKIE, "", {
+    httpOnly: true,
+    sameSite: "lax",
+    path: OIDC_STATE_COOKIE_PATH,
+    expires: new Date(0)
+  });
+};
+
+const requestContext = (req) => ({
+  userAgent: req.get("user-agent") || null,
+  ipAddress: req.ip || null
+});
+
+module.exports = {
+  REFRESH_COOKIE,
+  OIDC_STATE_COOKIE,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  requestContext
+};
@@ -1,6 +1,8 @@
 const { jwtDecrypt } = require("jose");
 const crypto = require("crypto");
 const { User } = require("../../models");
+const { assertSessionActive } = require("./session.service.js");
+const { authenticateApiKey } = require("./apiKey.service.js");
 
 module.exports = async (req, res, next) => {
   try {
@@ -11,6 +13,30 @@ module.exports = async (req, res, next) => {
       throw err;
     }
 
+    // Machine clients send a personal API key instead of the session cookie
+    const authorization = req.headers?.authorization;
+    if (authorization) {
+      const [scheme, key] = authorization.split(" ");
+      if (scheme !== "Bearer" || !key) {
+        const err = new Error("Use \"Authorization: Bearer <api key>\".");
+        err.statusCode = 401;
+        throw err;
+      }
+
+      const { apiKey, user } = await authenticateApiKey(key, { ipAddress: req.ip || null });
+      req.user = {
+        id: user.id,
+        role: apiKey.role,
+        city_id: user.city_id || null,
+        sessionId: null,
+        impersonatorId: null,
+        apiKeyId: apiKey.id,
+        // Narrows the role's grants (see permission.service.js getUserPermissions)
+        apiKeyPermissions: apiKey.permissions
+      };
+      return next();
+    }
+
     const token = req.cookies?.token;
 
     if (!token) {
@@ -64,13 +90,16 @@ module.exports = async (req, res, next) => {
       throw err;
     }
 
-    // Validate decoded payload
-    if (!decoded.id || !decoded.role) {
+    // Validate decoded payload (tokens without a session id predate server-side sessions)
+    if (!decoded.id || !decoded.role || !decoded.sid) {
       const err = new Error("Your session is invalid. Please log in again.");
       err.statusCode = 401;
       throw err;
     }
 
+    // Reject sessions revoked by logout, password change or the user
+    const session = await assertSessionActive(decoded.sid, decoded.id);
+
     // If city_id is not in token (old tokens), fetch from database
     let cityId = decoded.city_id || null;
     if (!cityId && decoded.role === "citizen") {
@@ -81,17 +110,21 @@ module.exports = async (req, res, next) => {
     req.user = {
       id: decoded.id,
       role: decoded.role,
-      city_id: cityId
+      city_id: cityId,
+      sessionId: decoded.sid,
+      // Real admin behind an impersonation session (from the session row, not the token)
+      impersonatorId: session.impersonator_id || null
     };
 
     next();
 
   } catch (err) {
-    // JWE/JWT error handling
-    if (err.code === "ERR_JWT_EXPIRED" || err.message?.includes("expired")) {
+    // JWE/JWT error handling (errors with a statusCode already carry their message)
+    const isHttpError = Boolean(err.statusCode);
+    if (!isHttpError && (err.code === "ERR_JWT_EXPIRED" || err.message?.includes("expired"))) {
       err = new Error("Your session has expired. Please log in again.");
       err.statusCode = 401;
-    } else if (err.code === "ERR_JWT_INVALID" || err.message?.includes("decrypt") || err.message?.includes("Invalid")) {
+    } else if (!isHttpError && (err.code === "ERR_JWT_INVALID" || err.message?.includes("decrypt") || err.message?.includes("Invalid"))) {
       err = new Error("Your session is invalid. Please log in again.");
       err.statusCode = 401;
     } else if (!err.statusCode) {
@@ -3,7 +3,30 @@ const router = express.Router();
 
 const AuthController = require("./auth.controller.js");
 const authMiddleware = require("./auth.middleware.js");
-const { registerValidator, loginValidator, changePasswordValidator } = require("./auth.validator.js");
+const { blockDuringImpersonation } = require("./impersonation.middleware.js");
+const { requireSession } = require("./apiKey.middleware.js");
+const {
+  registerValidator,
+  loginValidator,
+  changePasswordValidator,
+  switchRoleValidator,
+  updateProfileValidator,
+  changeEmailValidator,
+  exportPersonalDataValidator,
+  deleteAccountValidator,
+  oidcLoginValidator,
+  oidcCallbackValidator,
+  sessionIdParamValidator,
+  createApiKeyValidator,
+  apiKeyIdParamValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  verifyEmailValidator,
+  twoFactorChallengeValidator,
+  twoFactorLoginValidator,
+  twoFactorCodeValidator,
+  twoFactorDisableValidator
+} = require("./auth.validator.js");
 const validate = require("../../shared/middleware/validate.js");
 
 // Public route - no auth required (needed for registration form)
@@ -13,10 +36,175 @@ router.post("/register", registerValidator, validate, AuthController.register);
 
 router.post("/login", loginValidator, validate, AuthController.login);
 
-router.post("/logout", authMiddleware, AuthController.logout);
+// Second login step - authenticated by the challenge token from /login
+router.post(
+  "/login/two-factor/setup",
+  twoFactorChallengeValidator,
+  validate,
+  AuthController.loginTwoFactorSetup
+);
 
+router.post("/login/two-factor", twoFactorLoginValidator, validate, AuthController.loginTwoFactor);
+
+// Single sign-on (OpenID Connect) - redirects to the identity provider and back
+router.get("/oidc/login", oidcLoginValidator, validate, AuthController.oidcLogin);
+
+router.get("/oidc/callback", oidcCallbackValidator, validate, AuthController.oidcCallback);
+
+// Uses the refresh_token cookie, so it works after the access token expires
+router.post("/refresh", AuthController.refresh);
+
+router.post("/logout", authMiddleware, requireSession, AuthController.logout);
+
+// Public - responses never reveal whether the email is registered
+router.post("/forgot-password", forgotPasswordValidator, validate, AuthController.forgotPassword);
+
+router.post("/reset-password", resetPasswordValidator, validate, AuthController.resetPassword);
+
+// Public - opened from the verification email
+router.get("/verify-email", verifyEmailValidator, validate, AuthController.verifyEmail);
+
+router.post("/verify-email/resend", authMiddleware, requireSession, blockDuringImpersonation, AuthController.resendVerification);
+
+// Also works with an API key, so machine clients can check who they act as
 router.get("/me", authMiddleware, AuthController.me);
 
-router.patch("/change-password", authMiddleware, changePasswordValidator, validate, AuthController.changePassword);
+router.patch(
+  "/me",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  updateProfileValidator,
+  validate,
+  AuthController.updateProfile
+);
+
+// Takes effect when the link sent to the new address is followed (GET /verify-email)
+router.post(
+  "/me/email",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  changeEmailValidator,
+  validate,
+  AuthController.requestEmailChange
+);
+
+router.get("/me/history", authMiddleware, requireSession, AuthController.accountHistory);
+
+router.get(
+  "/me/export",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  exportPersonalDataValidator,
+  validate,
+  AuthController.exportPersonalData
+);
+
+// Anonymises the account; reports stay without the user's identity
+router.delete(
+  "/me",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  deleteAccountValidator,
+  validate,
+  AuthController.deleteAccount
+);
+
+// Ends an impersonation started from /api/admin/users/:userId/impersonate
+router.post("/impersonation/stop", authMiddleware, requireSession, AuthController.stopImpersonation);
+
+router.post(
+  "/switch-role",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  switchRoleValidator,
+  validate,
+  AuthController.switchRole
+);
+
+router.patch(
+  "/change-password",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  changePasswordValidator,
+  validate,
+  AuthController.changePassword
+);
+
+router.get("/sessions", authMiddleware, requireSession, AuthController.listSessions);
+
+router.delete("/sessions", authMiddleware, requireSession, blockDuringImpersonation, AuthController.revokeOtherSessions);
+
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  sessionIdParamValidator,
+  validate,
+  AuthController.revokeSession
+);
+
+// Managing keys needs a signed-in session; a key cannot mint or delete keys
+router.get("/api-keys", authMiddleware, requireSession, AuthController.listApiKeys);
+
+router.post(
+  "/api-keys",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  createApiKeyValidator,
+  validate,
+  AuthController.createApiKey
+);
+
+router.delete(
+  "/api-keys/:apiKeyId",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  apiKeyIdParamValidator,
+  validate,
+  AuthController.revokeApiKey
+);
+
+router.get("/two-factor", authMiddleware, requireSession, AuthController.twoFactorStatus);
+
+router.post("/two-factor/setup", authMiddleware, requireSession, blockDuringImpersonation, AuthController.setupTwoFactor);
+
+router.post(
+  "/two-factor/enable",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  twoFactorCodeValidator,
+  validate,
+  AuthController.enableTwoFactor
+);
+
+router.post(
+  "/two-factor/disable",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  twoFactorDisableValidator,
+  validate,
+  AuthController.disableTwoFactor
+);
+
+router.post(
+  "/two-factor/recovery-codes",
+  authMiddleware,
+  requireSession,
+  blockDuringImpersonation,
+  twoFactorCodeValidator,
+  validate,
+  AuthController.regenerateRecoveryCodes
+);
 
 module.exports = router;
@@ -1,7 +1,28 @@
 const bcrypt = require("bcrypt");
-const { EncryptJWT } = require("jose");
-const crypto = require("crypto");
-const { User, UserRole, Role, City, sequelize } = require("../../models");
+const { User, UserRole, Role, City, AuthorityUser, Authority, sequelize } = require("../../models");
+const {
+  createSession,
+  switchSessionRole,
+  revokeAllSessions,
+  REVOKE_REASONS
+} = require("./session.service.js");
+const { sendInitialVerification } = require("./emailVerification.service.js");
+const {
+  THROTTLE_SCOPES,
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginThrottle
+} = require("./loginThrottle.service.js");
+const {
+  startLoginChallenge,
+  readLoginChallenge,
+  verifyLoginFactor,
+  beginSetup,
+  isEnrolled
+} = require("./twoFactor.service.js");
+
+// Compared against when the email is unknown, so both paths cost one bcrypt
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("civictrack-login-timing", 10);
 
 module.exports = {
   async register({ name, email, password, cityId }) {
@@ -43,6 +64,10 @@ module.exports = {
       );
 
       await t.commit();
+
+      // Sent after commit so a mail outage never blocks registration
+      await sendInitialVerification(user);
+
       return user;
 
     } catch (err) {
@@ -52,23 +77,34 @@ module.exports = {
     }
   },
 
-  async login({ email, password, role }) {
+  async login({ email, password, role }, context = {}) {
     try {
+      const ipAddress = context.ipAddress || null;
+
+      // Throttled attempts are rejected before any password check
+      await assertLoginAllowed(THROTTLE_SCOPES.IP, ipAddress);
+
       const user = await User.findOne({ where: { email } });
       if (!user) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await recordLoginFailure(THROTTLE_SCOPES.IP, ipAddress, { ipAddress });
         const err = new Error("Invalid email or password.");
         err.statusCode = 401;
         throw err;
       }
 
+      await assertLoginAllowed(THROTTLE_SCOPES.ACCOUNT, user.id);
+
       const match = await bcrypt.compare(password, user.password_hash);
       if (!match) {
+        await recordLoginFailure(THROTTLE_SCOPES.ACCOUNT, user.id, { ipAddress });
+        await recordLoginFailure(THROTTLE_SCOPES.IP, ipAddress, { ipAddress });
         const err = new Error("Invalid email or password.");
         err.statusCode = 401;
         throw err;
       }
 
-      const roleRecord = await Role.findOne({ where: { name: role } });
+      const roleRecord = await Role.findOne({ where: { name: role, is_active: true } });
       if (!roleRecord) {
         const err = new Error("Invalid role selected.");
         err.statusCode = 400;
@@ -92,27 +128,61 @@ module.exports = {
         throw err;
       }
 
-      // Create encrypted token using JWE (JSON Web Encryption)
-      // The payload is encrypted with AES-256-GCM, so it CANNOT be decoded without the secret
-      // This provides encryption (payload hidden) and integrity protection
-      // Derive a 32-byte (256-bit) key from JWT_SECRET using PBKDF2
-      // This ensures the key is exactly 32 bytes as required by AES-256-GCM
-      const salt = process.env.JWT_SALT || "civictrack-salt";
-      const secretKey = crypto.pbkdf2Sync(
-        process.env.JWT_SECRET,
-        salt,
-        100000, // Iterations
-        32, // 32 bytes = 256 bits for AES-256
-        "sha256"
-      );
-      
-      const token = await new EncryptJWT({ id: user.id, role, city_id: user.city_id })
-        .setProtectedHeader({ alg: "dir", enc: "A256GCM" })
-        .setIssuedAt()
-        .setExpirationTime(process.env.JWT_EXPIRES_IN || "2h")
-        .encrypt(secretKey);
+      // Second factor: no session until the challenge is completed, and the
+      // account counter keeps running so codes cannot be brute-forced
+      const twoFactor = await startLoginChallenge(user, role);
+      if (twoFactor) {
+        return { user, twoFactor };
+      }
+
+      await resetLoginThrottle(THROTTLE_SCOPES.ACCOUNT, user.id);
+
+      // Persist a session; the access token carries its id (sid)
+      const { session, token, refreshToken } = await createSession(user, role, context);
+
+      return { user, token, refreshToken, session };
+
+    } catch (err) {
+      if (!err.statusCode) err.statusCode = 500;
+      throw err;
+    }
+  },
+
+  async beginTwoFactorLoginSetup({ challengeToken }) {
+    const { userId } = await readLoginChallenge(challengeToken);
+    return beginSetup(userId);
+  },
+
+  async completeTwoFactorLogin({ challengeToken, code, recoveryCode }, context = {}) {
+    try {
+      const ipAddress = context.ipAddress || null;
+      const { userId, role } = await readLoginChallenge(challengeToken);
+
+      await assertLoginAllowed(THROTTLE_SCOPES.IP, ipAddress);
+      await assertLoginAllowed(THROTTLE_SCOPES.ACCOUNT, userId);
+
+      const user = await User.findByPk(userId);
+      if (!user) {
+        const err = new Error("Your login attempt has expired. Please log in again.");
+        err.statusCode = 401;
+        throw err;
+      }
+
+      const verified = await verifyLoginFactor(user.id, { code, recoveryCode }, { ipAddress });
+      if (!verified) {
+        await recordLoginFailure(THROTTLE_SCOPES.ACCOUNT, user.id, { ipAddress });
+        await recordLoginFailure(THROTTLE_SCOPES.IP, ipAddress, { ipAddress });
+        const err = new Error("Invalid authentication code.");
+        err.statusCode = 401;
+        throw err;
+      }
+
+      await resetLoginThrottle(THROTTLE_SCOPES.ACCOUNT, user.id);
 
-      return { user, token };
+      const { session, token, refreshToken } = await createSession(user, role, context);
+
+      // Only set on first enrolment - shown once
+      return { user, role, token, refreshToken, session, recoveryCodes: verified.recoveryCodes || null };
 
     } catch (err) {
       if (!err.statusCode) err.statusCode = 500;
@@ -120,7 +190,60 @@ module.exports = {
     }
   },
 
-  async changePassword(userId, { oldPassword, newPassword }) {
+  async switchRole({ id, role: currentRole, sessionId }, role) {
+    if (role === currentRole) {
+      const err = new Error(`You are already using the ${role} role.`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const roleRecord = await Role.findOne({ where: { name: role, is_active: true } });
+    if (!roleRecord) {
+      const err = new Error("Invalid role selected.");
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const userRole = await UserRole.findOne({
+      where: { user_id: id, role_id: roleRecord.id }
+    });
+    if (!userRole) {
+      const err = new Error(`You do not have access as ${role}.`);
+      err.statusCode = 403;
+      throw err;
+    }
+
+    // Enrolled users passed 2FA at login; others cannot switch into a role that requires it
+    if (roleRecord.requires_two_factor && !(await isEnrolled(id))) {
+      const err = new Error(`Set up two-factor authentication before switching to ${role}.`);
+      err.statusCode = 403;
+      err.details = { code: "TWO_FACTOR_SETUP_REQUIRED" };
+      throw err;
+    }
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      const err = new Error("User not found.");
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const { session, token } = await switchSessionRole(sessionId, user, role);
+
+    // Authority users act for the authority they are linked to
+    let authority = null;
+    if (role === "authority") {
+      const link = await AuthorityUser.findOne({
+        where: { user_id: user.id },
+        include: [{ model: Authority, as: "authority", attributes: ["id", "name", "city_id"] }]
+      });
+      authority = link?.authority || null;
+    }
+
+    return { user, role, token, session, authority };
+  },
+
+  async changePassword(userId, { oldPassword, newPassword }, currentSessionId = null) {
     try {
       const user = await User.findByPk(userId);
       if (!user) {
@@ -143,7 +266,16 @@ module.exports = {
       }
 
       const hashedPassword = await bcrypt.hash(newPassword, 10);
-      await user.update({ password_hash: hashedPassword });
+      await sequelize.transaction(async (transaction) => {
+        await user.update({ password_hash: hashedPassword }, { transaction });
+
+        // Sign out every other device; the caller stays logged in
+        await revokeAllSessions(user.id, {
+          reason: REVOKE_REASONS.PASSWORD_CHANGED,
+          exceptSessionId: currentSessionId,
+          transaction
+        });
+      });
 
       return user;
     } catch (err) {
@@ -1,6 +1,7 @@
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
-const VALID_ROLES = ["citizen", "authority", "admin"];
+// Roles are managed at runtime (/api/admin/roles); the service checks the name exists
+const ROLE_NAME_MAX_LENGTH = 50;
 
 exports.registerValidator = [
   body("name").trim().notEmpty().escape().withMessage("Name is required"),
@@ -20,12 +21,80 @@ exports.loginValidator = [
   body("password").notEmpty().withMessage("Password is required"),
   body("role")
     .optional()
-    .custom((value) => {
-      if (!VALID_ROLES.includes(value)) {
-        throw new Error("Please select a valid role: citizen, authority, or admin.");
-      }
-      return true;
-    })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: ROLE_NAME_MAX_LENGTH })
+    .withMessage("Please select a valid role.")
+];
+
+exports.switchRoleValidator = [
+  body("role")
+    .exists({ values: "falsy" })
+    .withMessage("Role is required")
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: ROLE_NAME_MAX_LENGTH })
+    .withMessage("Please select a valid role.")
+];
+
+exports.updateProfileValidator = [
+  body().custom((value) => {
+    if (value?.name === undefined && value?.cityId === undefined) {
+      throw new Error("Provide name or cityId to update");
+    }
+    return true;
+  }),
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .bail()
+    .isLength({ max: 100 })
+    .withMessage("Name must be at most 100 characters")
+    .escape(),
+  body("cityId")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Invalid city selected")
+    .toInt()
+];
+
+exports.changeEmailValidator = [
+  body("email").trim().isEmail().withMessage("A valid email is required"),
+  body("currentPassword").notEmpty().withMessage("Current password is required")
+];
+
+exports.exportPersonalDataValidator = [
+  query("format")
+    .optional()
+    .isIn(["json", "zip"])
+    .withMessage("format must be json or zip")
+];
+
+exports.deleteAccountValidator = [
+  body("currentPassword").notEmpty().withMessage("Current password is required")
+];
+
+exports.oidcLoginValidator = [
+  query("role")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: ROLE_NAME_MAX_LENGTH })
+    .withMessage("Please select a valid role.")
+];
+
+exports.oidcCallbackValidator = [
+  query("state")
+    .isString()
+    .notEmpty()
+    .withMessage("state is required"),
+  query("code")
+    .optional()
+    .isString()
 ];
 
 exports.changePasswordValidator = [
@@ -37,3 +106,86 @@ exports.changePasswordValidator = [
     .withMessage("Password must contain at least one uppercase letter, one lowercase letter, and one number")
 ];
 
+exports.sessionIdParamValidator = [
+  param("sessionId")
+    .isInt({ min: 1 })
+    .withMessage("sessionId must be a positive integer")
+];
+
+exports.createApiKeyValidator = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name is required (at most 100 characters)"),
+  body("permissions")
+    .isArray({ min: 1 })
+    .withMessage("permissions must be a non-empty array of permission keys"),
+  body("permissions.*")
+    .isString()
+    .withMessage("permissions must contain permission keys"),
+  body("role")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: ROLE_NAME_MAX_LENGTH })
+    .withMessage("Please select a valid role."),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("expiresInDays must be between 1 and 365")
+    .toInt()
+];
+
+exports.apiKeyIdParamValidator = [
+  param("apiKeyId")
+    .isInt({ min: 1 })
+    .withMessage("apiKeyId must be a positive integer")
+];
+
+exports.forgotPasswordValidator = [
+  body("email").trim().isEmail().withMessage("A valid email is required")
+];
+
+exports.resetPasswordValidator = [
+  body("token").trim().notEmpty().withMessage("Reset token is required"),
+  body("newPassword")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage("Password must contain at least one uppercase letter, one lowercase letter, and one number")
+];
+
+exports.verifyEmailValidator = [
+  query("token").trim().notEmpty().withMessage("Verification token is required")
+];
+
+const totpCode = (field) => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage("Authentication code must be 6 digits");
+
+exports.twoFactorChallengeValidator = [
+  body("challengeToken").trim().notEmpty().withMessage("Challenge token is required")
+];
+
+// Either a TOTP code or a recovery code
+const secondFactorValidator = [
+  body().custom((value) => {
+    if (!value?.code && !value?.recoveryCode) {
+      throw new Error("An authentication code or recovery code is required");
+    }
+    return true;
+  }),
+  totpCode("code").optional(),
+  body("recoveryCode").optional().trim().isLength({ min: 10, max: 20 }).withMessage("Invalid recovery code")
+];
+
+exports.twoFactorLoginValidator = [
+  ...exports.twoFactorChallengeValidator,
+  ...secondFactorValidator
+];
+
+exports.twoFactorCodeValidator = [totpCode("code")];
+
+exports.twoFactorDisableValidator = secondFactorValidator;
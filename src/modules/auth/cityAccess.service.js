@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * City Access Service
+ *
+ * Admins in a multi-municipality deployment are bound to the cities listed
+ * in admin_cities. Only super-admins (city.all) work across every city.
+ *
+ * RULES:
+ * - Users holding city.all are unrestricted (allowedCityIds = null)
+ * - Everyone else is limited to their admin_cities rows (possibly none)
+ * - Admin contexts for requests are built with resolveAdminContext, which
+ *   attaches allowedCityIds; validateCityScope / applyCityFilter enforce it
+ * - Without an explicit cityId, a bound admin defaults to their home city
+ *   when it is in their set, or to their only city
+ */
+
+const { AdminCity } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { extractAdminContext } = require('../../shared/utils/cityScope.js');
+const { can, PERMISSIONS } = require('./permission.service.js');
+
+/**
+ * Cities a user may administer
+ *
+ * @param {Object} user - req.user ({ id, role })
+ * @returns {Promise<Array<number>|null>} City IDs, or null when unrestricted
+ */
+async function getAdminCityIds(user) {
+  if (await can(user, PERMISSIONS.CITY_ALL)) {
+    return null;
+  }
+
+  const rows = await AdminCity.findAll({
+    where: { user_id: user.id },
+    attributes: ['city_id'],
+    order: [['city_id', 'ASC']]
+  });
+  return rows.map(row => Number(row.city_id));
+}
+
+/**
+ * Build the admin context for a request, bound to the user's cities
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} extractAdminContext fields plus allowedCityIds
+ */
+async function resolveAdminContext(req) {
+  const context = extractAdminContext(req);
+  const allowedCityIds = await getAdminCityIds(req.user);
+
+  const explicitCityId = req.query.cityId || req.body?.cityId;
+  if (allowedCityIds && !explicitCityId && !allowedCityIds.includes(context.adminCityId)) {
+    context.adminCityId = allowedCityIds.length === 1 ? allowedCityIds[0] : null;
+  }
+
+  return { ...context, allowedCityIds };
+}
+
+/**
+ * Throw unless the user may administer a city
+ *
+ * @param {Object} user - req.user ({ id, role })
+ * @param {number|string|null} cityId
+ * @param {string} [message] - 403 message
+ * @throws {HttpError} 403 when the city is outside the user's set
+ */
+async function assertCanAccessCity(user, cityId, message = 'You do not have access to this city.') {
+  const allowedCityIds = await getAdminCityIds(user);
+  if (allowedCityIds && !allowedCityIds.includes(Number(cityId))) {
+    throw httpError(message, 403);
+  }
+}
+
+module.exports = {
+  getAdminCityIds,
+  resolveAdminContext,
+  assertCanAccessCity
+};
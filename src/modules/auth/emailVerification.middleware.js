@@ -0,0 +1,14 @@
+const { assertVerified } = require("./emailVerification.service.js");
+
+/**
+ * Block unverified citizens (when EMAIL_VERIFICATION_REQUIRED is on)
+ * Must run after auth.middleware.js
+ */
+module.exports.requireVerifiedEmail = async (req, res, next) => {
+  try {
+    await assertVerified(req.user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * Email Verification Service
+ *
+ * Proves that a self-registered user owns their email address.
+ *
+ * RULES:
+ * - register sends a verification link; users.email_verified_at stays null
+ *   until it is followed
+ * - Tokens are random, stored as SHA-256 hashes, expire after
+ *   EMAIL_VERIFICATION_TTL_HOURS and can be redeemed once
+ * - Resending is throttled per user: one email per cooldown and at most
+ *   maxPerDay per rolling 24 hours (429 with retryAfterSeconds)
+ * - Unverified citizens may browse but not report or flag while
+ *   EMAIL_VERIFICATION_REQUIRED is on (default; see emailVerification.middleware.js)
+ * - Changing the email address (POST /api/auth/me/email) sends the link to
+ *   the new address; users.email only changes when that link is followed,
+ *   which also marks the new address verified. A newer request replaces a
+ *   pending one, and change emails share the resend throttle
+ */
+
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { User, EmailVerificationToken, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey, generateApiKey } = require('../../shared/utils/apiKey.js');
+const { sendMail } = require('../../shared/mail/mailer.js');
+const { ACCOUNT_FIELDS, recordAccountChanges } = require('./accountHistory.service.js');
+
+/**
+ * Verification settings
+ */
+const EMAIL_VERIFICATION_DEFAULTS = {
+  ttlHours: 48,
+  resendCooldownSeconds: 60,
+  maxPerDay: 5
+};
+
+const VERIFICATION_TOKEN_PREFIX = 'ev';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ttlHours = () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || EMAIL_VERIFICATION_DEFAULTS.ttlHours;
+
+/**
+ * Whether unverified citizens are blocked from reporting and flagging
+ *
+ * @returns {boolean}
+ */
+function isVerificationRequired() {
+  return process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
+}
+
+/**
+ * Build the verification link (handled by GET /api/auth/verify-email)
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function buildVerificationLink(token) {
+  const baseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4000}/api`).replace(/\/$/, '');
+  return `${baseUrl}/auth/verify-email?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a token and email the verification link
+ *
+ * @param {User} user
+ * @param {string|null} [newEmail] - Email change: the address to verify and switch to
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user, newEmail = null) {
+  const { key: token, hash } = generateApiKey(VERIFICATION_TOKEN_PREFIX);
+  const hours = ttlHours();
+
+  await EmailVerificationToken.create({
+    user_id: user.id,
+    token_hash: hash,
+    new_email: newEmail,
+    expires_at: new Date(Date.now() + hours * 60 * 60 * 1000)
+  });
+
+  await sendMail({
+    to: newEmail || user.email,
+    subject: newEmail ? 'Confirm your new CivicTrack email address' : 'Verify your CivicTrack email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      newEmail
+        ? 'Please confirm this address to use it for your CivicTrack account. Your current address stays in use until you do.'
+        : 'Please confirm your email address to start reporting issues in your city.',
+      `This link is valid for ${hours} hours:`,
+      '',
+      buildVerificationLink(token)
+    ].join('\n')
+  });
+}
+
+/**
+ * Throw when the user has to wait before another verification email
+ *
+ * @param {number} userId
+ * @returns {Promise<void>}
+ * @throws {Error} 429 with details.retryAfterSeconds
+ */
+async function assertCanSendVerification(userId) {
+  const now = Date.now();
+  const recent = await EmailVerificationToken.findAll({
+    where: { user_id: userId, createdAt: { [Op.gt]: new Date(now - DAY_MS) } },
+    attributes: ['id', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    paranoid: false
+  });
+
+  const { resendCooldownSeconds, maxPerDay } = EMAIL_VERIFICATION_DEFAULTS;
+  let retryAfterMs = 0;
+  if (recent.length >= maxPerDay) {
+    retryAfterMs = recent[maxPerDay - 1].createdAt.getTime() + DAY_MS - now;
+  } else if (recent.length) {
+    retryAfterMs = recent[0].createdAt.getTime() + resendCooldownSeconds * 1000 - now;
+  }
+
+  if (retryAfterMs > 0) {
+    const err = httpError('Please wait before requesting another verification email.', 429);
+    err.details = { retryAfterSeconds: Math.ceil(retryAfterMs / 1000) };
+    throw err;
+  }
+}
+
+/**
+ * Whether an email address belongs to another account (deleted accounts included)
+ *
+ * @param {string} email
+ * @param {number} userId
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<boolean>}
+ */
+async function isEmailTaken(email, userId, options = {}) {
+  const owner = await User.findOne({
+    where: { email, id: { [Op.ne]: userId } },
+    attributes: ['id'],
+    paranoid: false,
+    ...options
+  });
+  return Boolean(owner);
+}
+
+/**
+ * Send the first verification email after registration
+ * Failures are logged only: the account exists and the user can resend.
+ *
+ * @param {User} user
+ * @returns {Promise<void>}
+ */
+async function sendInitialVerification(user) {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Verification email failed:', error.message);
+  }
+}
+
+/**
+ * Resend the verification email, throttled
+ *
+ * @param {number} userId
+ * @returns {Promise<void>}
+ * @throws {Error} 409 when already verified, 429 when throttled
+ */
+async function resendVerification(userId) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'name', 'email', 'email_verified_at'] });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+  if (user.email_verified_at) {
+    throw httpError('Your email address is already verified.', 409);
+  }
+
+  await assertCanSendVerification(user.id);
+  await sendVerificationEmail(user);
+}
+
+/**
+ * Start an email change: email a verification link to the new address
+ *
+ * @param {number} userId
+ * @param {Object} payload
+ * @param {string} payload.email - New address
+ * @param {string} payload.currentPassword
+ * @returns {Promise<void>}
+ * @throws {Error} 401 for a wrong password, 400 for the current address,
+ *   409 when the address is registered, 429 when throttled
+ */
+async function requestEmailChange(userId, { email, currentPassword }) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'name', 'email', 'password_hash'] });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+  if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+    throw httpError('Current password is incorrect.', 401);
+  }
+
+  const newEmail = email.trim();
+  if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+    throw httpError('This is already your email address.', 400);
+  }
+  if (await isEmailTaken(newEmail, user.id)) {
+    throw httpError('This email is already registered.', 409);
+  }
+
+  await assertCanSendVerification(user.id);
+
+  // Only the latest requested address can be confirmed
+  await EmailVerificationToken.destroy({
+    where: { user_id: user.id, used_at: null, new_email: { [Op.ne]: null } }
+  });
+  await sendVerificationEmail(user, newEmail);
+}
+
+/**
+ * Tell the previous address that the account email changed
+ * Failures are logged only: the change has already been applied.
+ *
+ * @param {User} user - With the new email
+ * @param {string} previousEmail
+ * @returns {Promise<void>}
+ */
+async function sendEmailChangedNotice(user, previousEmail) {
+  try {
+    await sendMail({
+      to: previousEmail,
+      subject: 'Your CivicTrack email address was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `The email address for your CivicTrack account was changed to ${user.email}.`,
+        'If you did not make this change, please contact support.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Email change notice failed:', error.message);
+  }
+}
+
+/**
+ * Redeem a verification token
+ * Email-change tokens also switch users.email to the new address.
+ *
+ * @param {string} token - From the verification link
+ * @param {Object} [context] - { ipAddress } for the account history
+ * @returns {Promise<User>} The verified user
+ * @throws {Error} 400 when the token is unknown, used or expired, 409 when
+ *   the new address was registered by someone else in the meantime
+ */
+async function verifyEmail(token, context = {}) {
+  const invalidToken = () => httpError('This verification link is invalid or has expired.', 400);
+
+  const verification = await EmailVerificationToken.findOne({
+    where: {
+      token_hash: hashApiKey(token),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+  if (!verification) {
+    throw invalidToken();
+  }
+
+  let previousEmail = null;
+  const user = await sequelize.transaction(async (transaction) => {
+    const [redeemed] = await EmailVerificationToken.update(
+      { used_at: new Date() },
+      { where: { id: verification.id, used_at: null }, transaction }
+    );
+    if (!redeemed) {
+      throw invalidToken();
+    }
+
+    const record = await User.findByPk(verification.user_id, { transaction });
+    if (!record) {
+      throw invalidToken();
+    }
+
+    if (verification.new_email) {
+      if (await isEmailTaken(verification.new_email, record.id, { transaction })) {
+        throw httpError('This email is already registered.', 409);
+      }
+
+      previousEmail = record.email;
+      await record.update({ email: verification.new_email, email_verified_at: new Date() }, { transaction });
+      await recordAccountChanges({
+        userId: record.id,
+        actorId: record.id,
+        ipAddress: context.ipAddress || null,
+        changes: [{ field: ACCOUNT_FIELDS.EMAIL, from: previousEmail, to: record.email }]
+      }, { transaction });
+    } else if (!record.email_verified_at) {
+      await record.update({ email_verified_at: new Date() }, { transaction });
+    }
+    return record;
+  });
+
+  if (previousEmail) {
+    await sendEmailChangedNotice(user, previousEmail);
+  }
+  return user;
+}
+
+/**
+ * Throw unless the user may act as a verified citizen
+ *
+ * @param {Object} user - req.user ({ id, role })
+ * @returns {Promise<void>}
+ * @throws {Error} 403 for unverified citizens while verification is required
+ */
+async function assertVerified(user) {
+  if (!isVerificationRequired() || user.role !== 'citizen') {
+    return;
+  }
+
+  const record = await User.findByPk(user.id, { attributes: ['id', 'email_verified_at'] });
+  if (!record || !record.email_verified_at) {
+    const err = httpError('Please verify your email address before continuing.', 403);
+    err.details = { code: 'EMAIL_NOT_VERIFIED' };
+    throw err;
+  }
+}
+
+module.exports = {
+  // Constants
+  EMAIL_VERIFICATION_DEFAULTS,
+
+  // Policy
+  isVerificationRequired,
+  assertVerified,
+
+  // Operations
+  sendInitialVerification,
+  resendVerification,
+  requestEmailChange,
+  verifyEmail
+};
@@ -0,0 +1,13 @@
+/**
+ * Reject account-changing actions while an admin is impersonating the user
+ * Must run after auth.middleware.js
+ */
+module.exports.blockDuringImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatorId) {
+    const err = new Error("This action is not available while impersonating a user.");
+    err.statusCode = 403;
+    return next(err);
+  }
+
+  next();
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Impersonation Service
+ *
+ * Lets support admins see the app as a given user. The admin gets a
+ * separate, short-lived session owned by the target user and marked with
+ * impersonator_id; their own session stays open and is restored on stop.
+ *
+ * RULES:
+ * - Requires user.impersonate; the admin must administer the target's city
+ * - Roles carrying administrative permissions cannot be impersonated, so
+ *   impersonation never widens what the admin can do
+ * - Sessions last IMPERSONATION_TTL_MINUTES and are never refreshed
+ * - Account-changing actions (password, 2FA, sessions, role switch) are
+ *   blocked while impersonating (see impersonation.middleware.js)
+ * - Start and stop are written to security_events with the target as
+ *   user_id and the real admin as actor_id
+ */
+
+const { User, Role, AuthSession } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const {
+  REVOKE_REASONS,
+  createImpersonationSession,
+  isSessionActive,
+  issueAccessToken,
+  revokeSession
+} = require('./session.service.js');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('./securityEvent.service.js');
+const { isAdministrativeRole } = require('./permission.service.js');
+const { assertCanAccessCity } = require('./cityAccess.service.js');
+
+/**
+ * Impersonation settings
+ */
+const IMPERSONATION_DEFAULTS = {
+  ttlMinutes: 30
+};
+
+/**
+ * Why an impersonation ended (stored in the stop event metadata)
+ */
+const STOP_REASONS = {
+  STOPPED: 'stopped',
+  LOGOUT: 'logout'
+};
+
+const impersonationTtlMinutes = () =>
+  Number(process.env.IMPERSONATION_TTL_MINUTES) || IMPERSONATION_DEFAULTS.ttlMinutes;
+
+/**
+ * Pick the role to impersonate with
+ *
+ * @param {User} target - Loaded with "roles"
+ * @param {string} [role] - Requested role
+ * @returns {string}
+ * @throws {HttpError} 422 when the role is missing or not held by the target
+ */
+function resolveTargetRole(target, role) {
+  const roleNames = target.roles.map(targetRole => targetRole.name);
+
+  if (!role) {
+    if (roleNames.length !== 1) {
+      throw httpError('This user has several roles. Choose one with "role".', 422);
+    }
+    return roleNames[0];
+  }
+
+  if (!roleNames.includes(role)) {
+    throw httpError('This user does not have the selected role.', 422);
+  }
+  return role;
+}
+
+/**
+ * Start impersonating a user
+ *
+ * @param {Object} admin - req.user of the admin
+ * @param {number} targetUserId
+ * @param {Object} [options]
+ * @param {string} [options.role] - Role to act with (required if the user has several)
+ * @param {string} [options.reason] - Recorded in the audit event
+ * @param {Object} [context] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { user, role, token, session, ttlMinutes }
+ */
+async function startImpersonation(admin, targetUserId, { role, reason = null } = {}, context = {}) {
+  if (admin.impersonatorId) {
+    throw httpError('Stop the current impersonation first.', 409);
+  }
+  if (String(admin.id) === String(targetUserId)) {
+    throw httpError('You cannot impersonate yourself.', 400);
+  }
+
+  const target = await User.findByPk(targetUserId, {
+    attributes: ['id', 'name', 'email', 'city_id', 'email_verified_at'],
+    include: [{ model: Role, as: 'roles', attributes: ['name'], where: { is_active: true }, required: false, through: { attributes: [] } }]
+  });
+  if (!target) {
+    throw httpError('User not found.', 404);
+  }
+
+  const activeRole = resolveTargetRole(target, role);
+
+  if (await isAdministrativeRole(activeRole)) {
+    throw httpError('Administrator roles cannot be impersonated.', 403);
+  }
+
+  await assertCanAccessCity(admin, target.city_id, 'You can only impersonate users in cities you administer.');
+
+  const ttlMinutes = impersonationTtlMinutes();
+  const { session, token } = await createImpersonationSession(target, activeRole, {
+    impersonatorId: admin.id,
+    impersonatorSessionId: admin.sessionId,
+    ttlMinutes,
+    context
+  });
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.IMPERSONATION_STARTED,
+    userId: target.id,
+    actorId: admin.id,
+    ipAddress: context.ipAddress || null,
+    metadata: { sessionId: session.id, role: activeRole, reason, expiresAt: session.expires_at }
+  });
+
+  return { user: target, role: activeRole, token, session, ttlMinutes };
+}
+
+/**
+ * Stop impersonating and hand the admin their own session back
+ *
+ * @param {Object} user - req.user of the impersonation session
+ * @param {Object} [options]
+ * @param {string} [options.reason] - STOP_REASONS value
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object>} { admin, role, token } - token is null when the
+ *   admin's own session has ended meanwhile
+ * @throws {HttpError} 400 when the session is not an impersonation
+ */
+async function stopImpersonation(user, { reason = STOP_REASONS.STOPPED } = {}, context = {}) {
+  if (!user.impersonatorId) {
+    throw httpError('You are not impersonating anyone.', 400);
+  }
+
+  const session = await AuthSession.findByPk(user.sessionId, {
+    attributes: ['id', 'impersonator_session_id']
+  });
+  await revokeSession(user.id, user.sessionId, REVOKE_REASONS.IMPERSONATION_ENDED);
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.IMPERSONATION_STOPPED,
+    userId: user.id,
+    actorId: user.impersonatorId,
+    ipAddress: context.ipAddress || null,
+    metadata: { sessionId: user.sessionId, reason }
+  });
+
+  const adminSession = session?.impersonator_session_id
+    ? await AuthSession.findByPk(session.impersonator_session_id)
+    : null;
+  const admin = await User.findByPk(user.impersonatorId, {
+    attributes: ['id', 'name', 'email', 'city_id', 'email_verified_at']
+  });
+
+  if (!admin || !isSessionActive(adminSession) || String(adminSession.user_id) !== String(admin.id)) {
+    return { admin: null, role: null, token: null };
+  }
+
+  const token = await issueAccessToken({
+    id: admin.id,
+    role: adminSession.role,
+    city_id: admin.city_id,
+    sid: adminSession.id
+  });
+  return { admin, role: adminSession.role, token };
+}
+
+/**
+ * Describe the impersonation behind a session, for GET /auth/me
+ *
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} { impersonator: { id, name, email }, expiresAt }
+ */
+async function getImpersonation(user) {
+  if (!user.impersonatorId) {
+    return null;
+  }
+
+  const [impersonator, session] = await Promise.all([
+    User.findByPk(user.impersonatorId, { attributes: ['id', 'name', 'email'] }),
+    AuthSession.findByPk(user.sessionId, { attributes: ['expires_at'] })
+  ]);
+
+  return {
+    impersonator: impersonator
+      ? { id: impersonator.id, name: impersonator.name, email: impersonator.email }
+      : { id: user.impersonatorId, name: null, email: null },
+    expiresAt: session ? session.expires_at : null
+  };
+}
+
+module.exports = {
+  IMPERSONATION_DEFAULTS,
+  STOP_REASONS,
+  startImpersonation,
+  stopImpersonation,
+  getImpersonation
+};
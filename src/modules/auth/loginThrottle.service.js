@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Login Throttle Service
+ *
+ * Brute-force protection for AuthService.login, stored in Postgres
+ * (login_throttles) so it works without Redis and across processes.
+ *
+ * SCOPES:
+ * - account: key = user id (unknown emails are only throttled per IP)
+ * - ip:      key = client IP (req.ip; set TRUST_PROXY behind a proxy, or
+ *            every client shares the proxy's address)
+ *
+ * RULES:
+ * - Failures count within a rolling window; a quiet window starts over
+ * - From delayAfterFailures on, each attempt must wait an exponentially
+ *   growing delay after the previous failure (progressive delay)
+ * - maxFailures in a window locks the scope; each consecutive lockout
+ *   doubles the lockout duration (capped)
+ * - Locked or delayed attempts are rejected with 429 before bcrypt runs
+ * - A successful login resets the account counter (never the IP counter)
+ * - Every lockout is recorded as a security event
+ */
+
+const { LoginThrottle, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { recordSecurityEvent, SECURITY_EVENTS } = require('./securityEvent.service.js');
+
+/**
+ * Throttle scopes
+ */
+const THROTTLE_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+/**
+ * Throttle limits
+ */
+const LOGIN_THROTTLE = {
+  windowMinutes: 15,
+  delayAfterFailures: 3,
+  maxDelaySeconds: 30,
+  lockoutMinutes: 15,
+  maxLockoutMinutes: 24 * 60,
+  maxFailures: {
+    [THROTTLE_SCOPES.ACCOUNT]: 5,
+    // Shared IPs (offices, carrier NAT) see many users' typos
+    [THROTTLE_SCOPES.IP]: 20
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Progressive delay required after the latest failure
+ *
+ * @param {number} failedCount
+ * @returns {number} Milliseconds (0 = no delay)
+ */
+function progressiveDelayMs(failedCount) {
+  const excess = failedCount - LOGIN_THROTTLE.delayAfterFailures;
+  if (excess < 0) return 0;
+  return Math.min(2 ** excess, LOGIN_THROTTLE.maxDelaySeconds) * 1000;
+}
+
+/**
+ * Lockout duration for the nth consecutive lockout
+ *
+ * @param {number} lockoutCount - Including this one (1 = first)
+ * @returns {number} Milliseconds
+ */
+function lockoutDurationMs(lockoutCount) {
+  const minutes = LOGIN_THROTTLE.lockoutMinutes * 2 ** Math.max(lockoutCount - 1, 0);
+  return Math.min(minutes, LOGIN_THROTTLE.maxLockoutMinutes) * MINUTE_MS;
+}
+
+const tooManyAttempts = (retryAfterMs, locked) => {
+  const err = httpError(
+    locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Please wait a moment before trying to log in again.',
+    429
+  );
+  err.details = { retryAfterSeconds: Math.ceil(retryAfterMs / 1000) };
+  return err;
+};
+
+/**
+ * Reject the attempt if the scope is locked or inside its progressive delay
+ *
+ * @param {string} scope - THROTTLE_SCOPES value
+ * @param {string|number|null} key - Skipped when empty (e.g. no client IP)
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ * @throws {Error} 429 with details.retryAfterSeconds
+ */
+async function assertLoginAllowed(scope, key, now = new Date()) {
+  if (key === null || key === undefined || key === '') return;
+
+  const throttle = await LoginThrottle.findOne({ where: { scope, key: String(key) } });
+  if (!throttle) return;
+
+  if (throttle.locked_until && throttle.locked_until > now) {
+    throw tooManyAttempts(throttle.locked_until.getTime() - now.getTime(), true);
+  }
+
+  const windowStart = now.getTime() - LOGIN_THROTTLE.windowMinutes * MINUTE_MS;
+  if (throttle.last_failed_at && throttle.last_failed_at.getTime() > windowStart) {
+    const readyAt = throttle.last_failed_at.getTime() + progressiveDelayMs(throttle.failed_count);
+    if (readyAt > now.getTime()) {
+      throw tooManyAttempts(readyAt - now.getTime(), false);
+    }
+  }
+}
+
+/**
+ * Record a failed attempt and lock the scope when it reaches maxFailures
+ *
+ * @param {string} scope - THROTTLE_SCOPES value
+ * @param {string|number|null} key
+ * @param {Object} [context]
+ * @param {string|null} [context.ipAddress] - For the security event
+ * @param {Date} [context.now]
+ * @returns {Promise<Object|null>} { failedCount, lockedUntil } (null when skipped)
+ */
+async function recordLoginFailure(scope, key, { ipAddress = null, now = new Date() } = {}) {
+  if (key === null || key === undefined || key === '') return null;
+
+  const windowStart = new Date(now.getTime() - LOGIN_THROTTLE.windowMinutes * MINUTE_MS);
+
+  // Atomic increment; a failure after a quiet window starts a new count
+  const [[counted]] = await sequelize.query(`
+    INSERT INTO login_throttles (scope, key, failed_count, first_failed_at, last_failed_at, created_at, updated_at)
+    VALUES (:scope, :key, 1, :now, :now, :now, :now)
+    ON CONFLICT (scope, key) DO UPDATE SET
+      failed_count = CASE
+        WHEN login_throttles.last_failed_at IS NULL OR login_throttles.last_failed_at < :windowStart THEN 1
+        ELSE login_throttles.failed_count + 1
+      END,
+      first_failed_at = CASE
+        WHEN login_throttles.last_failed_at IS NULL OR login_throttles.last_failed_at < :windowStart THEN :now
+        ELSE login_throttles.first_failed_at
+      END,
+      last_failed_at = :now,
+      updated_at = :now
+    RETURNING failed_count, lockout_count, locked_until;
+  `, {
+    replacements: { scope, key: String(key), now, windowStart }
+  });
+
+  if (counted.failed_count < LOGIN_THROTTLE.maxFailures[scope]) {
+    return { failedCount: counted.failed_count, lockedUntil: counted.locked_until };
+  }
+
+  const lockoutCount = counted.lockout_count + 1;
+  const lockedUntil = new Date(now.getTime() + lockoutDurationMs(lockoutCount));
+  const failedCount = counted.failed_count;
+
+  // Conditional update: concurrent failures produce a single lockout
+  const [locked] = await LoginThrottle.update({
+    locked_until: lockedUntil,
+    lockout_count: lockoutCount,
+    failed_count: 0
+  }, {
+    where: { scope, key: String(key), lockout_count: counted.lockout_count }
+  });
+
+  if (locked) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENTS.LOGIN_LOCKOUT,
+      userId: scope === THROTTLE_SCOPES.ACCOUNT ? key : null,
+      ipAddress,
+      metadata: { scope, key: String(key), failedCount, lockoutCount, lockedUntil: lockedUntil.toISOString() }
+    });
+  }
+
+  return { failedCount, lockedUntil };
+}
+
+/**
+ * Reset a scope after a successful login or an admin clear
+ *
+ * @param {string} scope - THROTTLE_SCOPES value
+ * @param {string|number} key
+ * @returns {Promise<boolean>} Whether a counter existed
+ */
+async function resetLoginThrottle(scope, key) {
+  const [updated] = await LoginThrottle.update({
+    failed_count: 0,
+    first_failed_at: null,
+    last_failed_at: null,
+    locked_until: null,
+    lockout_count: 0
+  }, {
+    where: { scope, key: String(key) }
+  });
+  return updated > 0;
+}
+
+/**
+ * Current throttle state of a user account
+ *
+ * @param {number} userId
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { locked, lockedUntil, failedCount, lastFailedAt, lockoutCount }
+ */
+async function getAccountLockout(userId, now = new Date()) {
+  const throttle = await LoginThrottle.findOne({
+    where: { scope: THROTTLE_SCOPES.ACCOUNT, key: String(userId) }
+  });
+
+  const locked = Boolean(throttle && throttle.locked_until && throttle.locked_until > now);
+  return {
+    locked,
+    lockedUntil: locked ? throttle.locked_until : null,
+    failedCount: throttle ? throttle.failed_count : 0,
+    lastFailedAt: throttle ? throttle.last_failed_at : null,
+    lockoutCount: throttle ? throttle.lockout_count : 0
+  };
+}
+
+module.exports = {
+  // Constants
+  THROTTLE_SCOPES,
+  LOGIN_THROTTLE,
+
+  // Policy
+  progressiveDelayMs,
+  lockoutDurationMs,
+
+  // Operations
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginThrottle,
+  getAccountLockout
+};
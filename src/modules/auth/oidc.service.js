@@ -0,0 +1,450 @@
+'use strict';
+
+/**
+ * OIDC Service
+ *
+ * Single sign-on for municipal staff through their identity provider
+ * (OpenID Connect authorization-code flow with PKCE).
+ *
+ * FLOW:
+ * 1. beginOidcLogin: build the authorization URL; state, nonce and the PKCE
+ *    verifier travel in an encrypted, short-lived cookie
+ * 2. The provider redirects back with a code
+ * 3. completeOidcLogin: exchange the code, verify the ID token (signature,
+ *    issuer, audience, nonce), provision the user and open a session
+ *
+ * RULES:
+ * - Users are matched by (issuer, sub) in user_identities; on first login an
+ *   existing account is linked by email only when the provider marks the
+ *   email as verified, otherwise a new user is created
+ * - Roles come from OIDC_ROLE_CLAIM through OIDC_ROLE_MAP. Mapped roles are
+ *   managed by the provider: they are added and removed at each login; other
+ *   roles (e.g. a citizen account) are left alone
+ * - OIDC_AUTHORITY_CLAIM through OIDC_AUTHORITY_MAP links authority users to
+ *   their authority (AuthorityUser)
+ * - Nobody is provisioned without at least one mapped role
+ * - Sessions are only opened with a mapped role. Other roles the account
+ *   holds (e.g. admin on an account linked by email) need a password login,
+ *   where their two-factor requirement applies
+ * - Two-factor requirements of mapped roles are left to the identity provider
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+const { User, Role, UserRole, Authority, AuthorityUser, UserIdentity, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { encryptToken, decryptToken, createSession } = require('./session.service.js');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('./securityEvent.service.js');
+
+/**
+ * Flow settings
+ */
+const OIDC_DEFAULTS = {
+  scopes: 'openid email profile',
+  roleClaim: 'groups',
+  authorityClaim: 'authority',
+  stateExpiresIn: '10m',
+  requestTimeoutMs: 10 * 1000,
+  discoveryCacheMs: 60 * 60 * 1000
+};
+
+// issuer -> { metadata, jwks, loadedAt }
+const discoveryCache = new Map();
+
+/**
+ * Parse a JSON object from an environment variable
+ *
+ * @param {string} name
+ * @returns {Object}
+ * @throws {HttpError} 500 when the value is not a JSON object
+ */
+function readJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw httpError(`${name} must be a JSON object.`, 500);
+}
+
+/**
+ * Provider settings from the environment
+ *
+ * @returns {Object|null} null when single sign-on is not configured
+ */
+function getOidcConfig() {
+  const { OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI } = process.env;
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID || !OIDC_CLIENT_SECRET || !OIDC_REDIRECT_URI) {
+    return null;
+  }
+
+  return {
+    issuer: OIDC_ISSUER.replace(/\/+$/, ''),
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET,
+    redirectUri: OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || OIDC_DEFAULTS.scopes,
+    roleClaim: process.env.OIDC_ROLE_CLAIM || OIDC_DEFAULTS.roleClaim,
+    roleMap: readJsonEnv('OIDC_ROLE_MAP'),
+    authorityClaim: process.env.OIDC_AUTHORITY_CLAIM || OIDC_DEFAULTS.authorityClaim,
+    authorityMap: readJsonEnv('OIDC_AUTHORITY_MAP')
+  };
+}
+
+function requireOidcConfig() {
+  const config = getOidcConfig();
+  if (!config) {
+    throw httpError('Single sign-on is not configured.', 404);
+  }
+  return config;
+}
+
+const base64Url = (buffer) => buffer.toString('base64url');
+const randomToken = () => base64Url(crypto.randomBytes(32));
+
+/**
+ * Fetch JSON from the provider
+ *
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>}
+ * @throws {HttpError} 502 when the provider fails or answers with an error
+ */
+async function fetchProviderJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(OIDC_DEFAULTS.requestTimeoutMs) });
+  } catch (error) {
+    throw httpError('The identity provider could not be reached.', 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const err = httpError('The identity provider rejected the sign-in.', 502);
+    err.details = { providerError: body?.error || null };
+    throw err;
+  }
+  return body;
+}
+
+/**
+ * Load (and cache) the provider's discovery document and signing keys
+ *
+ * @param {string} issuer
+ * @returns {Promise<Object>} { metadata, jwks }
+ */
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.loadedAt < OIDC_DEFAULTS.discoveryCacheMs) {
+    return cached;
+  }
+
+  const metadata = await fetchProviderJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== issuer) {
+    throw httpError('The identity provider reported a different issuer.', 502);
+  }
+
+  const entry = { metadata, jwks: createRemoteJWKSet(new URL(metadata.jwks_uri)), loadedAt: Date.now() };
+  discoveryCache.set(issuer, entry);
+  return entry;
+}
+
+/**
+ * Start a login: build the authorization URL
+ *
+ * @param {Object} [options]
+ * @param {string} [options.role] - Mapped role to log in with (default: the first one)
+ * @returns {Promise<Object>} { authorizationUrl, stateToken } - stateToken goes in
+ *   the oidc_state cookie and must come back to completeOidcLogin
+ */
+async function beginOidcLogin({ role = null } = {}) {
+  const config = requireOidcConfig();
+  const { metadata } = await discover(config.issuer);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  const stateToken = await encryptToken(
+    { purpose: 'oidc_state', state, nonce, codeVerifier, role },
+    OIDC_DEFAULTS.stateExpiresIn
+  );
+
+  return { authorizationUrl: url.toString(), stateToken };
+}
+
+/**
+ * Exchange the authorization code and verify the ID token
+ *
+ * @param {Object} config
+ * @param {Object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<Object>} Verified claims (merged with userinfo when available)
+ */
+async function exchangeCode(config, { code, codeVerifier, nonce }) {
+  const { metadata, jwks } = await discover(config.issuer);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic unless the provider only supports client_secret_post
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', config.clientId);
+    form.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchProviderJson(metadata.token_endpoint, { method: 'POST', headers, body: form });
+  if (!tokens.id_token) {
+    throw httpError('The identity provider did not return an ID token.', 502);
+  }
+
+  let claims;
+  try {
+    ({ payload: claims } = await jwtVerify(tokens.id_token, jwks, {
+      issuer: config.issuer,
+      audience: config.clientId
+    }));
+  } catch (error) {
+    throw httpError('The identity provider returned an invalid ID token.', 401);
+  }
+  if (claims.nonce !== nonce) {
+    throw httpError('The sign-in response does not match this login attempt.', 401);
+  }
+
+  // Some providers only put group/department claims in userinfo
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchProviderJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  return claims;
+}
+
+const claimValues = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+/**
+ * Map provider claims to role names and an authority
+ *
+ * @param {Object} claims
+ * @param {Object} config
+ * @returns {Object} { roles, authorityId }
+ */
+function mapClaims(claims, config) {
+  const roles = [];
+  for (const value of claimValues(claims[config.roleClaim])) {
+    const role = config.roleMap[value];
+    if (role && !roles.includes(role)) {
+      roles.push(role);
+    }
+  }
+
+  const authorityValue = claimValues(claims[config.authorityClaim])
+    .find(value => config.authorityMap[value] !== undefined);
+
+  return {
+    roles,
+    authorityId: authorityValue !== undefined ? Number(config.authorityMap[authorityValue]) : null
+  };
+}
+
+/**
+ * Find or create the user behind an identity and sync provider-managed data
+ *
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} config
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object>} { user, mappedRoles }
+ */
+async function provisionUser(claims, config, context = {}) {
+  const { roles: mappedRoles, authorityId } = mapClaims(claims, config);
+  const managedRoleNames = [...new Set(Object.values(config.roleMap))];
+
+  const [roleRecords, authority] = await Promise.all([
+    Role.findAll({ where: { name: managedRoleNames, is_active: true }, attributes: ['id', 'name'] }),
+    authorityId ? Authority.findByPk(authorityId, { attributes: ['id', 'city_id'] }) : null
+  ]);
+  const roleIdsByName = Object.fromEntries(roleRecords.map(role => [role.name, role.id]));
+  const grantedRoles = mappedRoles.filter(name => roleIdsByName[name]);
+
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  const identity = await UserIdentity.findOne({ where: { issuer: config.issuer, subject: String(claims.sub) } });
+
+  const result = await sequelize.transaction(async (transaction) => {
+    let user = identity ? await User.findByPk(identity.user_id, { transaction }) : null;
+    let linked = false;
+    let created = false;
+
+    if (identity && !user) {
+      throw httpError('This account has been disabled.', 403);
+    }
+
+    if (!user) {
+      if (!grantedRoles.length) {
+        throw httpError('Your account at the identity provider does not have access to CivicTrack.', 403);
+      }
+      if (!email) {
+        throw httpError('The identity provider did not share an email address.', 422);
+      }
+
+      const existing = await User.findOne({ where: { email }, paranoid: false, transaction });
+      if (existing && (existing.deletedAt || claims.email_verified !== true)) {
+        throw httpError('An account with this email already exists. Ask an administrator to link it.', 409);
+      }
+
+      if (existing) {
+        user = existing;
+        linked = true;
+      } else {
+        // Password logins stay impossible until the user resets a password
+        user = await User.create({
+          name: String(claims.name || claims.preferred_username || email).slice(0, 100),
+          email,
+          password_hash: await bcrypt.hash(randomToken(), 10),
+          city_id: authority ? authority.city_id : null,
+          email_verified_at: claims.email_verified === true ? new Date() : null
+        }, { transaction });
+        created = true;
+      }
+
+      await UserIdentity.create({
+        user_id: user.id,
+        issuer: config.issuer,
+        subject: String(claims.sub),
+        email,
+        last_login_at: new Date()
+      }, { transaction });
+    } else {
+      await identity.update({ email, last_login_at: new Date() }, { transaction });
+    }
+
+    // Provider-managed roles: add the mapped ones, drop the ones no longer mapped
+    const heldRoles = await UserRole.findAll({
+      where: { user_id: user.id, role_id: Object.values(roleIdsByName) },
+      transaction
+    });
+    const heldRoleIds = heldRoles.map(userRole => String(userRole.role_id));
+    const grantedRoleIds = grantedRoles.map(name => String(roleIdsByName[name]));
+
+    const toAdd = grantedRoleIds.filter(id => !heldRoleIds.includes(id));
+    const toRemove = heldRoles.filter(userRole => !grantedRoleIds.includes(String(userRole.role_id)));
+    if (toAdd.length) {
+      await UserRole.bulkCreate(toAdd.map(roleId => ({ user_id: user.id, role_id: roleId })), { transaction });
+    }
+    if (toRemove.length) {
+      // Hard delete, as in the admin role editor: (user_id, role_id) is unique even when soft-deleted
+      await UserRole.destroy({ where: { id: toRemove.map(userRole => userRole.id) }, force: true, transaction });
+    }
+
+    if (authority && grantedRoles.includes('authority')) {
+      const link = await AuthorityUser.findOne({ where: { user_id: user.id }, paranoid: false, transaction });
+      if (!link) {
+        await AuthorityUser.create({ user_id: user.id, authority_id: authority.id }, { transaction });
+      } else {
+        if (link.deletedAt) {
+          await link.restore({ transaction });
+        }
+        if (String(link.authority_id) !== String(authority.id)) {
+          await link.update({ authority_id: authority.id }, { transaction });
+        }
+      }
+    }
+
+    return { user, linked, created };
+  });
+
+  if (result.linked || result.created) {
+    await recordSecurityEvent({
+      type: SECURITY_EVENTS.OIDC_ACCOUNT_LINKED,
+      userId: result.user.id,
+      ipAddress: context.ipAddress || null,
+      metadata: { issuer: config.issuer, subject: String(claims.sub), created: result.created }
+    });
+  }
+
+  return { user: result.user, mappedRoles: grantedRoles };
+}
+
+/**
+ * Finish a login from the provider's redirect
+ *
+ * @param {Object} params
+ * @param {string} params.code - From the callback query
+ * @param {string} params.state - From the callback query
+ * @param {string} stateToken - oidc_state cookie set by beginOidcLogin
+ * @param {Object} [context] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { user, role, token, refreshToken, session }
+ */
+async function completeOidcLogin({ code, state }, stateToken, context = {}) {
+  const config = requireOidcConfig();
+
+  const saved = await decryptToken(stateToken);
+  if (!saved || saved.purpose !== 'oidc_state' || !state || saved.state !== state) {
+    throw httpError('This sign-in link has expired. Please try again.', 401);
+  }
+  if (!code) {
+    throw httpError('The identity provider did not return an authorization code.', 401);
+  }
+
+  const claims = await exchangeCode(config, { code, codeVerifier: saved.codeVerifier, nonce: saved.nonce });
+  const { user, mappedRoles } = await provisionUser(claims, config, context);
+
+  const role = saved.role || mappedRoles[0];
+  if (!role) {
+    throw httpError('Your account at the identity provider does not have access to CivicTrack.', 403);
+  }
+  if (!mappedRoles.includes(role)) {
+    throw httpError(`Single sign-on does not grant access as ${role}. Log in with your password instead.`, 403);
+  }
+
+  const { session, token, refreshToken } = await createSession(user, role, context);
+  return { user, role, token, refreshToken, session };
+}
+
+module.exports = {
+  // Constants
+  OIDC_DEFAULTS,
+
+  // Configuration
+  getOidcConfig,
+
+  // Flow
+  beginOidcLogin,
+  completeOidcLogin
+};
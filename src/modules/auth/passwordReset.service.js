@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Password Reset Service
+ *
+ * Self-service "forgot password" flow.
+ *
+ * RULES:
+ * - Requesting a reset never reveals whether the email is registered: the
+ *   caller gets the same result either way and mail failures are only logged.
+ *   The forgot-password route does not wait for it, so the response time is
+ *   the same too
+ * - Reset tokens are random, stored as SHA-256 hashes, expire after
+ *   PASSWORD_RESET_TTL_MINUTES and can be redeemed once
+ * - A new request invalidates the user's earlier unused tokens
+ * - A successful reset signs the user out everywhere
+ */
+
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { User, PasswordResetToken, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey, generateApiKey } = require('../../shared/utils/apiKey.js');
+const { sendMail } = require('../../shared/mail/mailer.js');
+const { revokeAllSessions, REVOKE_REASONS } = require('./session.service.js');
+
+/**
+ * Reset token settings
+ */
+const PASSWORD_RESET_DEFAULTS = {
+  ttlMinutes: 60
+};
+
+const RESET_TOKEN_PREFIX = 'pr';
+
+const resetTtlMinutes = () => Number(process.env.PASSWORD_RESET_TTL_MINUTES) || PASSWORD_RESET_DEFAULTS.ttlMinutes;
+
+/**
+ * Build the link the user follows from the email
+ * Points at the frontend (first FRONTEND_ORIGIN), which posts to /reset-password
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function buildResetLink(token) {
+  const origin = (process.env.FRONTEND_ORIGIN || 'http://localhost:5173').split(',')[0].trim();
+  return `${origin.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Start a password reset
+ *
+ * Always resolves the same way; unknown emails are a silent no-op.
+ *
+ * @param {string} email
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email, context = {}) {
+  const user = await User.findOne({
+    where: { email: String(email).trim() },
+    attributes: ['id', 'name', 'email']
+  });
+  if (!user) {
+    return;
+  }
+
+  const { key: token, hash } = generateApiKey(RESET_TOKEN_PREFIX);
+  const ttlMinutes = resetTtlMinutes();
+
+  await sequelize.transaction(async (transaction) => {
+    // Only the most recent link works
+    await PasswordResetToken.destroy({
+      where: { user_id: user.id, used_at: null },
+      transaction
+    });
+
+    await PasswordResetToken.create({
+      user_id: user.id,
+      token_hash: hash,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      requested_ip: context.ipAddress || null
+    }, { transaction });
+  });
+
+  const link = buildResetLink(token);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your CivicTrack password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your CivicTrack password.',
+        `Use the link below within ${ttlMinutes} minutes to choose a new one:`,
+        '',
+        link,
+        '',
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\n')
+    });
+  } catch (mailError) {
+    // Never surfaced to the caller - it would reveal that the account exists
+    console.error('Password reset email failed:', mailError.message);
+  }
+}
+
+/**
+ * Redeem a reset token and set a new password
+ *
+ * @param {Object} payload
+ * @param {string} payload.token - Token from the reset link
+ * @param {string} payload.newPassword
+ * @returns {Promise<void>}
+ * @throws {Error} 400 when the token is unknown, used or expired
+ */
+async function resetPassword({ token, newPassword }) {
+  const invalidToken = () => httpError('This password reset link is invalid or has expired.', 400);
+
+  const resetToken = await PasswordResetToken.findOne({
+    where: {
+      token_hash: hashApiKey(token),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+  if (!resetToken) {
+    throw invalidToken();
+  }
+
+  const user = await User.findByPk(resetToken.user_id);
+  if (!user) {
+    throw invalidToken();
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await sequelize.transaction(async (transaction) => {
+    // Conditional update makes the token single-use even under concurrent requests
+    const [redeemed] = await PasswordResetToken.update(
+      { used_at: new Date() },
+      { where: { id: resetToken.id, used_at: null }, transaction }
+    );
+    if (!redeemed) {
+      throw invalidToken();
+    }
+
+    await user.update({ password_hash: hashedPassword }, { transaction });
+    await revokeAllSessions(user.id, { reason: REVOKE_REASONS.PASSWORD_RESET, transaction });
+  });
+}
+
+module.exports = {
+  // Constants
+  PASSWORD_RESET_DEFAULTS,
+
+  // Operations
+  requestPasswordReset,
+  resetPassword
+};
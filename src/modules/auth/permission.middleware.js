@@ -0,0 +1,32 @@
+const { getUserPermissions } = require("./permission.service.js");
+
+/**
+ * Allow the request only if the active role (and API key, if any) holds every listed permission
+ * Must run after auth.middleware.js
+ *
+ * @param {...string} permissions - PERMISSIONS values
+ */
+module.exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.role) {
+        const err = new Error("Please log in to access this resource.");
+        err.statusCode = 401;
+        throw err;
+      }
+
+      const granted = await getUserPermissions(req.user);
+      const missingPermissions = permissions.filter(permission => !granted.has(permission));
+      if (missingPermissions.length) {
+        const err = new Error("You do not have permission to perform this action.");
+        err.statusCode = 403;
+        err.details = { missingPermissions };
+        throw err;
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
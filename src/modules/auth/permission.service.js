@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Permission Service
+ *
+ * Fine-grained authorization: roles are granted permissions (role_permissions)
+ * and code checks permissions, never role names. New roles ("city moderator",
+ * "read-only auditor") are created and granted through /api/admin/roles.
+ *
+ * RULES:
+ * - Routes use requirePermission (permission.middleware.js); services use
+ *   can / assertCan for checks that depend on the report or the data scope
+ * - Report read scope is decided by the broadest view permission held:
+ *   report.view.all > report.view.assigned > report.view.city
+ * - Grants are cached per role for PERMISSION_CACHE_TTL_MS and the cache is
+ *   cleared whenever this process edits grants
+ * - Inactive or deleted roles have no permissions
+ * - Requests made with an API key only get the key's permissions that the
+ *   role still grants (getUserPermissions)
+ */
+
+const { Role, Permission } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+
+/**
+ * Permission keys
+ * Must stay in sync with the permissions table (see the migrations that insert into permissions)
+ */
+const PERMISSIONS = {
+  REPORT_CREATE: 'report.create',
+  REPORT_FLAG: 'report.flag',
+  REPORT_ENDORSE: 'report.endorse',
+  REPORT_VIEW_CITY: 'report.view.city',
+  REPORT_VIEW_ASSIGNED: 'report.view.assigned',
+  REPORT_VIEW_ALL: 'report.view.all',
+  REPORT_EXPORT: 'report.export',
+  REPORT_STATUS_UPDATE: 'report.status.update',
+  REPORT_STATUS_OVERRIDE: 'report.status.override',
+  REPORT_MERGE: 'report.merge',
+  REPORT_UNMERGE: 'report.unmerge',
+  REPORT_VISIBILITY_TOGGLE: 'report.visibility.toggle',
+  REPORT_FLAGGED_VIEW: 'report.flagged.view',
+  REPORT_DUPLICATES_VIEW: 'report.duplicates.view',
+  REPORT_ASSIGNMENT_VIEW: 'report.assignment.view',
+  REPORT_ASSIGNMENT_MANAGE: 'report.assignment.manage',
+  REPORT_NOTE_MANAGE: 'report.note.manage',
+  COMMENT_MODERATE: 'comment.moderate',
+  USER_MANAGE: 'user.manage',
+  USER_IMPERSONATE: 'user.impersonate',
+  ROLE_MANAGE: 'role.manage',
+  DEPARTMENT_MANAGE: 'department.manage',
+  AUTHORITY_MANAGE: 'authority.manage',
+  CATEGORY_MANAGE: 'category.manage',
+  OPEN311_MANAGE: 'open311.manage',
+  CITY_ALL: 'city.all'
+};
+
+/**
+ * A role holding any of these is an administrator: its holders cannot be
+ * impersonated and their accounts cannot be erased
+ */
+const ADMIN_PERMISSIONS = [
+  PERMISSIONS.USER_MANAGE,
+  PERMISSIONS.USER_IMPERSONATE,
+  PERMISSIONS.ROLE_MANAGE,
+  PERMISSIONS.CITY_ALL
+];
+
+const PERMISSION_CACHE_TTL_MS = 30 * 1000;
+
+// roleName -> { permissions: Set<string>, loadedAt }
+const cache = new Map();
+
+/**
+ * Forget cached grants (all roles, or one)
+ *
+ * @param {string} [roleName]
+ */
+function invalidatePermissionCache(roleName) {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+}
+
+/**
+ * Permissions granted to a role
+ *
+ * @param {string} roleName
+ * @returns {Promise<Set<string>>}
+ */
+async function getRolePermissions(roleName) {
+  if (!roleName) {
+    return new Set();
+  }
+
+  const cached = cache.get(roleName);
+  if (cached && Date.now() - cached.loadedAt < PERMISSION_CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({
+    where: { name: roleName, is_active: true },
+    attributes: ['id'],
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }]
+  });
+
+  const permissions = new Set(role ? role.permissions.map(permission => permission.key) : []);
+  cache.set(roleName, { permissions, loadedAt: Date.now() });
+  return permissions;
+}
+
+/**
+ * Whether a role grants any of ADMIN_PERMISSIONS
+ *
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+async function isAdministrativeRole(roleName) {
+  const granted = await getRolePermissions(roleName);
+  return ADMIN_PERMISSIONS.some(permission => granted.has(permission));
+}
+
+/**
+ * Permissions of a request's user, acting with their current role
+ *
+ * @param {Object} user - req.user ({ role, apiKeyPermissions })
+ * @returns {Promise<Set<string>>}
+ */
+async function getUserPermissions(user) {
+  const granted = await getRolePermissions(user && user.role);
+  if (!user || !Array.isArray(user.apiKeyPermissions)) {
+    return granted;
+  }
+
+  return new Set(user.apiKeyPermissions.filter(permission => granted.has(permission)));
+}
+
+/**
+ * Whether a user (acting with their current role) holds a permission
+ *
+ * @param {Object} user - req.user ({ role })
+ * @param {string} permission - PERMISSIONS value
+ * @returns {Promise<boolean>}
+ */
+async function can(user, permission) {
+  const permissions = await getUserPermissions(user);
+  return permissions.has(permission);
+}
+
+/**
+ * Throw unless the user holds a permission
+ *
+ * @param {Object} user - req.user ({ role })
+ * @param {string} permission - PERMISSIONS value
+ * @param {string} [message] - 403 message
+ * @returns {Promise<void>}
+ * @throws {Error} 403 with details.missingPermissions
+ */
+async function assertCan(user, permission, message = 'You do not have permission to perform this action.') {
+  if (!(await can(user, permission))) {
+    const err = httpError(message, 403);
+    err.details = { missingPermissions: [permission] };
+    throw err;
+  }
+}
+
+/**
+ * The report read scope of a user
+ *
+ * @param {Object} user - req.user ({ role })
+ * @returns {Promise<string|null>} 'all' | 'assigned' | 'city', or null when none
+ */
+async function getReportViewScope(user) {
+  const permissions = await getUserPermissions(user);
+  if (permissions.has(PERMISSIONS.REPORT_VIEW_ALL)) return 'all';
+  if (permissions.has(PERMISSIONS.REPORT_VIEW_ASSIGNED)) return 'assigned';
+  if (permissions.has(PERMISSIONS.REPORT_VIEW_CITY)) return 'city';
+  return null;
+}
+
+module.exports = {
+  // Constants
+  PERMISSIONS,
+  ADMIN_PERMISSIONS,
+  PERMISSION_CACHE_TTL_MS,
+
+  // Lookups
+  getRolePermissions,
+  getUserPermissions,
+  getReportViewScope,
+  isAdministrativeRole,
+  invalidatePermissionCache,
+
+  // Policy
+  can,
+  assertCan
+};
@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * Personal Data Service
+ *
+ * Data subject requests: download everything stored about an account
+ * (GET /api/auth/me/export) and erase it (DELETE /api/auth/me). Admins run
+ * the same operations from /api/admin/users/:userId.
+ *
+ * RULES:
+ * - The export covers the profile, the user's reports (with images and
+ *   status history), flags, status changes they made, comments,
+ *   endorsements, account history and sign-in sessions
+ * - Erasing anonymises instead of deleting: the users row keeps its ID with
+ *   placeholder name/email and an unusable password, so reports, comments
+ *   and logs stay intact but no longer identify anyone
+ * - Sessions, API keys, identities, two-factor secrets, tokens, role links,
+ *   account history, notifications, notification preferences and queued
+ *   emails are removed; security events keep their type but lose IP address
+ *   and metadata
+ * - Administrator accounts cannot be erased until their admin roles are
+ *   removed, so nobody can erase the last administrator by accident
+ * - Exports and erasures are recorded as security events
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const {
+  User,
+  Role,
+  City,
+  Issue,
+  UserIssue,
+  IssueImage,
+  UserIssueFlag,
+  Flag,
+  Log,
+  ReportComment,
+  ReportEndorsement,
+  AuthSession,
+  ApiKey,
+  UserIdentity,
+  UserTwoFactor,
+  TwoFactorRecoveryCode,
+  EmailVerificationToken,
+  PasswordResetToken,
+  Notification,
+  NotificationPreference,
+  EmailOutbox,
+  UserRole,
+  AuthorityUser,
+  AdminCity,
+  AccountHistory,
+  SecurityEvent,
+  sequelize
+} = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { createZip } = require('../../shared/utils/zip.js');
+const { listAccountHistory } = require('./accountHistory.service.js');
+const { SECURITY_EVENTS, recordSecurityEvent } = require('./securityEvent.service.js');
+const { isAdministrativeRole } = require('./permission.service.js');
+
+/**
+ * Export formats
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  zip: { contentType: 'application/zip', extension: 'zip' }
+};
+
+/**
+ * Placeholders written over erased accounts
+ */
+const ANONYMISED_NAME = 'Deleted user';
+const ANONYMISED_EMAIL_DOMAIN = 'deleted.invalid';
+
+// Removed outright on erasure (all keyed by user_id)
+const ERASED_MODELS = [
+  AuthSession,
+  ApiKey,
+  UserIdentity,
+  UserTwoFactor,
+  TwoFactorRecoveryCode,
+  EmailVerificationToken,
+  PasswordResetToken,
+  UserRole,
+  AuthorityUser,
+  AdminCity,
+  AccountHistory,
+  Notification,
+  NotificationPreference,
+  EmailOutbox
+];
+
+const ids = (rows, field) => [...new Set(rows.map(row => row[field]))];
+
+/**
+ * Load an account, including soft-deleted ones
+ *
+ * @param {number} userId
+ * @returns {Promise<User>}
+ * @throws {HttpError} 404 when there is no such user
+ */
+async function findAccount(userId) {
+  const user = await User.findByPk(userId, {
+    paranoid: false,
+    include: [
+      { model: Role, as: 'roles', attributes: ['id', 'name'], through: { attributes: [] } },
+      { model: City, as: 'city', attributes: ['id', 'name'], paranoid: false }
+    ]
+  });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+  return user;
+}
+
+/**
+ * Collect everything stored about a user
+ *
+ * @param {User} user - From findAccount
+ * @returns {Promise<Object>} Export bundle, one key per section
+ */
+async function collectPersonalData(user) {
+  const reports = await UserIssue.findAll({
+    where: { reporter_id: user.id },
+    include: [
+      { model: Issue, as: 'issue', attributes: ['id', 'name'], paranoid: false },
+      { model: City, as: 'city', attributes: ['id', 'name'], paranoid: false }
+    ],
+    order: [['id', 'ASC']],
+    paranoid: false
+  });
+  const reportIds = ids(reports, 'id');
+
+  const [images, statusHistory, flags, logEntries, comments, endorsements, sessions, identities, accountHistory] = await Promise.all([
+    IssueImage.findAll({ where: { report_id: reportIds }, order: [['id', 'ASC']], paranoid: false }),
+    Log.findAll({ where: { issue_id: reportIds }, order: [['id', 'ASC']] }),
+    UserIssueFlag.findAll({
+      where: { user_id: user.id },
+      include: [{ model: Flag, as: 'flag', attributes: ['id', 'name'], paranoid: false }],
+      order: [['id', 'ASC']],
+      paranoid: false
+    }),
+    Log.findAll({ where: { updated_by: user.id }, order: [['id', 'ASC']] }),
+    ReportComment.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']], paranoid: false }),
+    ReportEndorsement.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] }),
+    AuthSession.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] }),
+    UserIdentity.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] }),
+    listAccountHistory(user.id, { limit: null })
+  ]);
+
+  const byReport = (rows, field) => rows.reduce((groups, row) => {
+    const key = String(row[field]);
+    (groups[key] = groups[key] || []).push(row);
+    return groups;
+  }, {});
+  const imagesByReport = byReport(images, 'report_id');
+  const historyByReport = byReport(statusHistory, 'issue_id');
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      cityId: user.city_id,
+      city: user.city ? user.city.name : null,
+      roles: (user.roles || []).map(role => role.name),
+      emailVerifiedAt: user.email_verified_at,
+      createdAt: user.createdAt,
+      deletedAt: user.deletedAt,
+      anonymisedAt: user.anonymised_at,
+      identities: identities.map(identity => ({
+        issuer: identity.issuer,
+        email: identity.email,
+        lastLoginAt: identity.last_login_at
+      }))
+    },
+    reports: reports.map(report => ({
+      id: report.id,
+      title: report.title,
+      description: report.description,
+      status: report.status,
+      categoryId: report.issue_id,
+      category: report.issue ? report.issue.name : null,
+      cityId: report.city_id,
+      city: report.city ? report.city.name : null,
+      region: report.region,
+      latitude: report.latitude,
+      longitude: report.longitude,
+      isHidden: report.is_hidden,
+      createdAt: report.createdAt,
+      updatedAt: report.updatedAt,
+      deletedAt: report.deletedAt,
+      images: (imagesByReport[String(report.id)] || []).map(image => ({
+        url: image.url,
+        createdAt: image.createdAt
+      })),
+      // Who made each change is staff data and is left out
+      statusHistory: (historyByReport[String(report.id)] || []).map(log => ({
+        fromStatus: log.from_status,
+        toStatus: log.to_status,
+        comment: log.comment,
+        createdAt: log.createdAt
+      }))
+    })),
+    flags: flags.map(flag => ({
+      reportId: flag.report_id,
+      flag: flag.flag ? flag.flag.name : null,
+      createdAt: flag.createdAt
+    })),
+    logEntries: logEntries.map(log => ({
+      reportId: log.issue_id,
+      fromStatus: log.from_status,
+      toStatus: log.to_status,
+      comment: log.comment,
+      createdAt: log.createdAt
+    })),
+    comments: comments.map(comment => ({
+      reportId: comment.report_id,
+      body: comment.body,
+      isHidden: comment.is_hidden,
+      createdAt: comment.createdAt,
+      editedAt: comment.edited_at,
+      deletedAt: comment.deletedAt
+    })),
+    endorsements: endorsements.map(endorsement => ({
+      reportId: endorsement.report_id,
+      createdAt: endorsement.createdAt
+    })),
+    accountHistory,
+    sessions: sessions.map(session => ({
+      role: session.role,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.createdAt,
+      lastUsedAt: session.last_used_at,
+      revokedAt: session.revoked_at
+    }))
+  };
+}
+
+/**
+ * Export a user's personal data
+ *
+ * @param {number} userId
+ * @param {Object} [context]
+ * @param {number|null} [context.actorId] - Who requested it (the user or an admin)
+ * @param {string|null} [context.ipAddress]
+ * @returns {Promise<Object>} Export bundle (see collectPersonalData)
+ * @throws {HttpError} 404 when there is no such user
+ */
+async function exportPersonalData(userId, { actorId = null, ipAddress = null } = {}) {
+  const user = await findAccount(userId);
+  const bundle = await collectPersonalData(user);
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.PERSONAL_DATA_EXPORTED,
+    userId: user.id,
+    actorId,
+    ipAddress
+  });
+
+  return bundle;
+}
+
+/**
+ * Serialise an export bundle for download
+ * JSON is a single document; ZIP holds one JSON file per section.
+ *
+ * @param {Object} bundle - From exportPersonalData
+ * @param {string} [format] - EXPORT_FORMATS key (default json)
+ * @returns {Object} { contentType, fileName, body }
+ */
+function renderPersonalDataExport(bundle, format = 'json') {
+  const { contentType, extension } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const fileName = `civictrack-personal-data-${bundle.profile.id}.${extension}`;
+
+  if (extension === 'zip') {
+    const entries = Object.entries(bundle)
+      .filter(([section]) => section !== 'exportedAt')
+      .map(([section, data]) => ({ name: `${section}.json`, data: JSON.stringify(data, null, 2) }));
+    entries.unshift({
+      name: 'README.txt',
+      data: `CivicTrack personal data export for account ${bundle.profile.id}, created ${bundle.exportedAt}.\n`
+    });
+    return { contentType, fileName, body: createZip(entries, new Date(bundle.exportedAt)) };
+  }
+
+  return { contentType, fileName, body: JSON.stringify(bundle, null, 2) };
+}
+
+/**
+ * Whether any of the user's roles grants administrator permissions
+ *
+ * @param {User} user - With roles (findAccount)
+ * @returns {Promise<boolean>}
+ */
+async function holdsAdminRole(user) {
+  for (const role of user.roles || []) {
+    if (await isAdministrativeRole(role.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Erase a user's personal data (see RULES)
+ *
+ * @param {number} userId
+ * @param {Object} [context]
+ * @param {number|null} [context.actorId] - Who requested it (the user or an admin)
+ * @param {string|null} [context.ipAddress] - Recorded for admin erasures only
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 for an unknown user, 409 when already anonymised
+ *   or still an administrator
+ */
+async function anonymiseUser(userId, { actorId = null, ipAddress = null } = {}) {
+  const user = await findAccount(userId);
+  if (user.anonymised_at) {
+    throw httpError('This account has already been anonymised.', 409);
+  }
+  if (await holdsAdminRole(user)) {
+    throw httpError('Administrator accounts cannot be erased. Remove the administrator roles first.', 409);
+  }
+
+  const selfService = String(actorId) === String(user.id);
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await sequelize.transaction(async (transaction) => {
+    await user.update({
+      name: ANONYMISED_NAME,
+      email: `deleted-user-${user.id}@${ANONYMISED_EMAIL_DOMAIN}`,
+      password_hash: unusablePassword,
+      city_id: null,
+      email_verified_at: null,
+      anonymised_at: new Date()
+    }, { transaction });
+
+    for (const model of ERASED_MODELS) {
+      await model.destroy({ where: { user_id: user.id }, force: true, transaction });
+    }
+
+    await SecurityEvent.update(
+      { ip_address: null, metadata: null },
+      { where: { user_id: user.id }, transaction }
+    );
+
+    if (!user.deletedAt) {
+      await user.destroy({ transaction });
+    }
+
+    await recordSecurityEvent({
+      type: SECURITY_EVENTS.ACCOUNT_ANONYMISED,
+      userId: user.id,
+      actorId,
+      // The user's own address is personal data; an admin's is kept for the audit
+      ipAddress: selfService ? null : ipAddress,
+      metadata: { selfService }
+    }, { transaction });
+  });
+}
+
+/**
+ * Erase the caller's own account after confirming their password
+ *
+ * @param {number} userId
+ * @param {Object} payload
+ * @param {string} payload.currentPassword
+ * @returns {Promise<void>}
+ * @throws {HttpError} 401 for a wrong password, otherwise as anonymiseUser
+ */
+async function deleteOwnAccount(userId, { currentPassword }) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'password_hash'] });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+  if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+    throw httpError('Current password is incorrect.', 401);
+  }
+
+  await anonymiseUser(user.id, { actorId: user.id });
+}
+
+module.exports = {
+  // Constants
+  EXPORT_FORMATS,
+  ANONYMISED_NAME,
+
+  // Export
+  exportPersonalData,
+  renderPersonalDataExport,
+
+  // Erasure
+  anonymiseUser,
+  deleteOwnAccount
+};
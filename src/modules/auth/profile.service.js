@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Profile Service
+ *
+ * Self-service profile changes (PATCH /api/auth/me). Email changes go
+ * through verification instead (see emailVerification.service.js).
+ *
+ * RULES:
+ * - Every changed field is written to the account history
+ * - City changes reissue the current access token, which carries city_id;
+ *   other devices pick up the new city on their next refresh
+ * - Users linked to an authority cannot move city themselves: the
+ *   authority's city must match (an admin changes both)
+ * - Reports keep the city they were filed in. After a move, the citizen's
+ *   report feed shows the new city only; their own reports from the old
+ *   city stay listed under myIssues=true (see reportListScope.service.js)
+ */
+
+const { User, City, AuthorityUser, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { switchSessionRole } = require('./session.service.js');
+const { ACCOUNT_FIELDS, recordAccountChanges } = require('./accountHistory.service.js');
+
+/**
+ * Update the caller's name and/or city
+ *
+ * @param {Object} user - req.user ({ id, role, sessionId })
+ * @param {Object} payload
+ * @param {string} [payload.name]
+ * @param {number} [payload.cityId]
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object>} { user, changed, token } - token is set when
+ *   the city changed and the access token was reissued
+ * @throws {HttpError} 400 for an unknown city, 409 for authority users
+ *   changing city
+ */
+async function updateProfile(user, { name, cityId }, context = {}) {
+  const record = await User.findByPk(user.id);
+  if (!record) {
+    throw httpError('User not found.', 404);
+  }
+
+  const changes = [];
+  if (name !== undefined && name !== record.name) {
+    changes.push({ field: ACCOUNT_FIELDS.NAME, from: record.name, to: name });
+  }
+
+  const cityChanged = cityId !== undefined && String(cityId) !== String(record.city_id);
+  if (cityChanged) {
+    const city = await City.findByPk(cityId, { attributes: ['id'] });
+    if (!city) {
+      throw httpError('Please select a valid city.', 400);
+    }
+    if (await AuthorityUser.findOne({ where: { user_id: record.id }, attributes: ['id'] })) {
+      throw httpError('Your account is linked to an authority. Please ask an administrator to change your city.', 409);
+    }
+    changes.push({ field: ACCOUNT_FIELDS.CITY, from: record.city_id, to: city.id });
+  }
+
+  if (!changes.length) {
+    return { user: record, changed: [], token: null };
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await record.update({
+      name: name ?? record.name,
+      city_id: cityChanged ? cityId : record.city_id
+    }, { transaction });
+
+    await recordAccountChanges({
+      userId: record.id,
+      actorId: record.id,
+      ipAddress: context.ipAddress || null,
+      changes
+    }, { transaction });
+  });
+
+  // Same session and role - only the city claim in the access token changes
+  let token = null;
+  if (cityChanged && user.sessionId) {
+    ({ token } = await switchSessionRole(user.sessionId, record, user.role));
+  }
+
+  return { user: record, changed: changes.map(change => change.field), token };
+}
+
+module.exports = {
+  updateProfile
+};
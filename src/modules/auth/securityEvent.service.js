@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Security Event Service
+ *
+ * Append-only audit trail for account security (lockouts, two-factor
+ * changes, admin interventions, impersonation, data exports and erasure).
+ * Events are also written to the console as a warning so they reach the
+ * process logs. The log line carries only the type and account IDs: IP
+ * addresses and metadata are kept in the table only.
+ */
+
+const { SecurityEvent } = require('../../models');
+
+/**
+ * Event types
+ */
+const SECURITY_EVENTS = {
+  LOGIN_LOCKOUT: 'login_lockout',
+  LOCKOUT_CLEARED: 'lockout_cleared',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  TWO_FACTOR_RESET: 'two_factor_reset',
+  RECOVERY_CODES_REGENERATED: 'recovery_codes_regenerated',
+  RECOVERY_CODE_USED: 'recovery_code_used',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATION_STOPPED: 'impersonation_stopped',
+  OIDC_ACCOUNT_LINKED: 'oidc_account_linked',
+  PERSONAL_DATA_EXPORTED: 'personal_data_exported',
+  ACCOUNT_ANONYMISED: 'account_anonymised'
+};
+
+/**
+ * Record a security event
+ *
+ * @param {Object} event
+ * @param {string} event.type - SECURITY_EVENTS value
+ * @param {number|null} [event.userId] - Account the event is about
+ * @param {number|null} [event.actorId] - User who caused it
+ * @param {string|null} [event.ipAddress]
+ * @param {Object} [event.metadata]
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<SecurityEvent>}
+ */
+async function recordSecurityEvent({ type, userId = null, actorId = null, ipAddress = null, metadata = null }, options = {}) {
+  console.warn(`Security event: ${type}`, JSON.stringify({ userId, actorId }));
+
+  return SecurityEvent.create({
+    event_type: type,
+    user_id: userId,
+    actor_id: actorId,
+    ip_address: ipAddress,
+    metadata
+  }, options);
+}
+
+/**
+ * List a user's security events, newest first
+ *
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<SecurityEvent>>}
+ */
+async function listUserSecurityEvents(userId, { limit = 20 } = {}) {
+  return SecurityEvent.findAll({
+    where: { user_id: userId },
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+}
+
+module.exports = {
+  SECURITY_EVENTS,
+  recordSecurityEvent,
+  listUserSecurityEvents
+};
@@ -0,0 +1,430 @@
+'use strict';
+
+/**
+ * Session Service
+ *
+ * Server-side login sessions with rotating refresh tokens.
+ *
+ * TOKENS:
+ * - Access token: short-lived JWE in the "token" cookie, carries the session
+ *   id (sid) so auth.middleware.js can reject revoked sessions
+ * - Refresh token: random secret in the "refresh_token" cookie, stored only
+ *   as a SHA-256 hash (see shared/utils/apiKey.js)
+ *
+ * RULES:
+ * - Every refresh rotates the refresh token and extends the session
+ * - Presenting a rotated-out refresh token is treated as theft: the whole
+ *   session is revoked
+ * - Revoked or expired sessions never refresh and fail the auth middleware
+ * - A password change revokes every other session of the user; a reset
+ *   (self-service or by an admin) revokes all of them
+ * - Switching role keeps the session and its refresh token; only the access
+ *   token is reissued, and later refreshes use the new role
+ * - Impersonation sessions (impersonator_id set) have a fixed lifetime and no
+ *   usable refresh token: they end when their access token expires
+ */
+
+const crypto = require('crypto');
+const { EncryptJWT, jwtDecrypt } = require('jose');
+const { Op } = require('sequelize');
+const { AuthSession, User, Role, UserRole } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey, generateApiKey } = require('../../shared/utils/apiKey.js');
+
+/**
+ * Session lifetimes
+ */
+const SESSION_DEFAULTS = {
+  accessTokenExpiresIn: '2h',
+  refreshTokenTtlDays: 30
+};
+
+/**
+ * Why a session was revoked (stored in revoked_reason)
+ */
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ADMIN_PASSWORD_RESET: 'admin_password_reset',
+  REFRESH_REUSE: 'refresh_reuse',
+  IMPERSONATION_ENDED: 'impersonation_ended'
+};
+
+const REFRESH_TOKEN_PREFIX = 'rt';
+const USER_AGENT_MAX_LENGTH = 255;
+
+const refreshTokenTtlMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || SESSION_DEFAULTS.refreshTokenTtlDays;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+const sessionInvalidError = () => httpError('Your session is invalid. Please log in again.', 401);
+
+/**
+ * Derive the 32-byte token encryption key from JWT_SECRET (PBKDF2)
+ * Must match the derivation in auth.middleware.js.
+ *
+ * @returns {Buffer}
+ */
+function tokenKey() {
+  if (!process.env.JWT_SECRET || process.env.JWT_SECRET.trim() === '') {
+    throw httpError('JWT secret key is not configured.', 500);
+  }
+
+  const salt = process.env.JWT_SALT || 'civictrack-salt';
+  return crypto.pbkdf2Sync(process.env.JWT_SECRET, salt, 100000, 32, 'sha256');
+}
+
+/**
+ * Encrypt claims into a compact JWE (AES-256-GCM)
+ *
+ * @param {Object} claims
+ * @param {string} expiresIn - e.g. '2h', '5m'
+ * @returns {Promise<string>}
+ */
+async function encryptToken(claims, expiresIn) {
+  return new EncryptJWT(claims)
+    .setProtectedHeader({ alg: 'dir', enc: 'A256GCM' })
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .encrypt(tokenKey());
+}
+
+/**
+ * Decrypt a JWE created by encryptToken
+ *
+ * @param {string} token
+ * @returns {Promise<Object|null>} Claims, or null when invalid or expired
+ */
+async function decryptToken(token) {
+  if (typeof token !== 'string' || token.split('.').length !== 5) {
+    return null;
+  }
+
+  const key = tokenKey();
+  try {
+    const { payload } = await jwtDecrypt(token, key, {
+      keyManagementAlgorithms: ['dir'],
+      contentEncryptionAlgorithms: ['A256GCM']
+    });
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create an encrypted access token (JWE)
+ *
+ * The payload is encrypted with AES-256-GCM, so it cannot be decoded without
+ * the secret.
+ *
+ * @param {Object} claims - { id, role, city_id, sid }
+ * @returns {Promise<string>} Compact JWE
+ */
+async function issueAccessToken(claims) {
+  return encryptToken(claims, process.env.JWT_EXPIRES_IN || SESSION_DEFAULTS.accessTokenExpiresIn);
+}
+
+/**
+ * Open a session for a user logging in with a role
+ *
+ * @param {User} user
+ * @param {string} role - Active role
+ * @param {Object} [context] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ */
+async function createSession(user, role, context = {}) {
+  const { key: refreshToken, hash } = generateApiKey(REFRESH_TOKEN_PREFIX);
+  const now = new Date();
+
+  const session = await AuthSession.create({
+    user_id: user.id,
+    role,
+    refresh_token_hash: hash,
+    user_agent: context.userAgent ? String(context.userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null,
+    ip_address: context.ipAddress || null,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + refreshTokenTtlMs())
+  });
+
+  const token = await issueAccessToken({ id: user.id, role, city_id: user.city_id, sid: session.id });
+  return { session, token, refreshToken };
+}
+
+/**
+ * Open a short-lived session for an admin acting as another user
+ * The refresh token is never handed out, so the session cannot be extended.
+ *
+ * @param {User} user - User being impersonated
+ * @param {string} role - Role to act with
+ * @param {Object} params
+ * @param {number} params.impersonatorId - The real admin
+ * @param {number|string|null} params.impersonatorSessionId - The admin's own session
+ * @param {number} params.ttlMinutes
+ * @param {Object} [params.context] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { session, token }
+ */
+async function createImpersonationSession(user, role, { impersonatorId, impersonatorSessionId, ttlMinutes, context = {} }) {
+  const { hash } = generateApiKey(REFRESH_TOKEN_PREFIX);
+  const now = new Date();
+
+  const session = await AuthSession.create({
+    user_id: user.id,
+    role,
+    refresh_token_hash: hash,
+    user_agent: context.userAgent ? String(context.userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null,
+    ip_address: context.ipAddress || null,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+    impersonator_id: impersonatorId,
+    impersonator_session_id: impersonatorSessionId || null
+  });
+
+  const token = await encryptToken(
+    { id: user.id, role, city_id: user.city_id, sid: session.id },
+    `${ttlMinutes}m`
+  );
+  return { session, token };
+}
+
+/**
+ * Whether a session can still be used
+ *
+ * @param {AuthSession} session
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSessionActive(session, now = new Date()) {
+  return Boolean(session) && !session.revoked_at && new Date(session.expires_at) > now;
+}
+
+/**
+ * Load an active session for the auth middleware
+ *
+ * @param {number|string} sessionId - sid claim
+ * @param {number|string} userId - id claim
+ * @returns {Promise<AuthSession>}
+ * @throws {Error} 401 when the session is unknown, revoked or expired
+ */
+async function assertSessionActive(sessionId, userId) {
+  const session = await AuthSession.findByPk(sessionId, {
+    attributes: ['id', 'user_id', 'revoked_at', 'expires_at', 'impersonator_id']
+  });
+
+  if (!session || String(session.user_id) !== String(userId)) {
+    throw sessionInvalidError();
+  }
+  if (session.revoked_at) {
+    throw httpError('Your session has been signed out. Please log in again.', 401);
+  }
+  if (!isSessionActive(session)) {
+    throw httpError('Your session has expired. Please log in again.', 401);
+  }
+
+  return session;
+}
+
+/**
+ * Rotate a refresh token and issue a new access token
+ *
+ * @param {string} refreshToken - From the refresh_token cookie
+ * @param {Object} [context] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { user, role, session, token, refreshToken }
+ * @throws {Error} 401 when the token is unknown, reused, revoked or expired
+ */
+async function refreshSession(refreshToken, context = {}) {
+  if (!refreshToken) {
+    throw httpError('Please log in to access this resource.', 401);
+  }
+
+  const presentedHash = hashApiKey(refreshToken);
+  const session = await AuthSession.findOne({ where: { refresh_token_hash: presentedHash } });
+
+  if (!session) {
+    // A rotated-out token is being replayed: someone else holds the session
+    const reused = await AuthSession.findOne({
+      where: { previous_refresh_token_hash: presentedHash, revoked_at: null }
+    });
+    if (reused) {
+      await reused.update({ revoked_at: new Date(), revoked_reason: REVOKE_REASONS.REFRESH_REUSE });
+    }
+    throw sessionInvalidError();
+  }
+
+  if (!isSessionActive(session)) {
+    throw sessionInvalidError();
+  }
+
+  // The user (or their role) may have been removed since login
+  const user = await User.findByPk(session.user_id, { attributes: ['id', 'name', 'email', 'city_id'] });
+  const roleRecord = user && await Role.findOne({ where: { name: session.role } });
+  const hasRole = roleRecord && await UserRole.findOne({
+    where: { user_id: user.id, role_id: roleRecord.id }
+  });
+  if (!hasRole) {
+    await session.update({ revoked_at: new Date(), revoked_reason: REVOKE_REASONS.USER_REVOKED });
+    throw sessionInvalidError();
+  }
+
+  const { key: nextRefreshToken, hash: nextHash } = generateApiKey(REFRESH_TOKEN_PREFIX);
+  const now = new Date();
+
+  // Conditional update: of two concurrent refreshes with the same token, only one wins
+  const [rotated] = await AuthSession.update({
+    refresh_token_hash: nextHash,
+    previous_refresh_token_hash: presentedHash,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + refreshTokenTtlMs()),
+    ...(context.userAgent ? { user_agent: String(context.userAgent).slice(0, USER_AGENT_MAX_LENGTH) } : {}),
+    ...(context.ipAddress ? { ip_address: context.ipAddress } : {})
+  }, {
+    where: { id: session.id, refresh_token_hash: presentedHash, revoked_at: null }
+  });
+  if (!rotated) {
+    throw sessionInvalidError();
+  }
+
+  const token = await issueAccessToken({
+    id: user.id,
+    role: session.role,
+    city_id: user.city_id,
+    sid: session.id
+  });
+
+  return { user, role: session.role, session: await session.reload(), token, refreshToken: nextRefreshToken };
+}
+
+/**
+ * Change the active role of a session and reissue its access token
+ * The caller must already have checked that the user holds the role.
+ *
+ * @param {number|string} sessionId
+ * @param {User} user
+ * @param {string} role - New active role
+ * @returns {Promise<Object>} { session, token }
+ * @throws {Error} 401 when the session is no longer active
+ */
+async function switchSessionRole(sessionId, user, role) {
+  const [updated] = await AuthSession.update(
+    { role, last_used_at: new Date() },
+    { where: { id: sessionId, user_id: user.id, revoked_at: null, expires_at: { [Op.gt]: new Date() } } }
+  );
+  if (!updated) {
+    throw sessionInvalidError();
+  }
+
+  const token = await issueAccessToken({ id: user.id, role, city_id: user.city_id, sid: sessionId });
+  return { session: await AuthSession.findByPk(sessionId), token };
+}
+
+/**
+ * Shape a session for API responses (never exposes token hashes)
+ *
+ * @param {AuthSession} session
+ * @param {number|string|null} currentSessionId
+ * @returns {Object}
+ */
+function toSessionResponse(session, currentSessionId) {
+  return {
+    id: session.id,
+    role: session.role,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.createdAt,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    impersonated: Boolean(session.impersonator_id),
+    current: currentSessionId !== null && currentSessionId !== undefined &&
+      String(session.id) === String(currentSessionId)
+  };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ *
+ * @param {number} userId
+ * @param {number|string|null} currentSessionId - Marks the caller's session
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await AuthSession.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC']]
+  });
+
+  return sessions.map((session) => toSessionResponse(session, currentSessionId));
+}
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @param {number} userId
+ * @param {number|string} sessionId
+ * @param {string} [reason] - REVOKE_REASONS value
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when the user has no such active session
+ */
+async function revokeSession(userId, sessionId, reason = REVOKE_REASONS.USER_REVOKED) {
+  const [revoked] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { id: sessionId, user_id: userId, revoked_at: null } }
+  );
+
+  if (!revoked) {
+    throw httpError('Session not found.', 404);
+  }
+}
+
+/**
+ * Revoke all of a user's sessions
+ *
+ * @param {number} userId
+ * @param {Object} options
+ * @param {string} options.reason - REVOKE_REASONS value
+ * @param {number|string} [options.exceptSessionId] - Keep this session (the caller's)
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, { reason, exceptSessionId = null, transaction } = {}) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [revoked] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where, transaction }
+  );
+  return revoked;
+}
+
+module.exports = {
+  // Constants
+  SESSION_DEFAULTS,
+  REVOKE_REASONS,
+
+  // Tokens
+  encryptToken,
+  decryptToken,
+  issueAccessToken,
+
+  // Lifecycle
+  createSession,
+  createImpersonationSession,
+  isSessionActive,
+  assertSessionActive,
+  refreshSession,
+  switchSessionRole,
+
+  // Management
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
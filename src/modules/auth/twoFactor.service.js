@@ -0,0 +1,541 @@
+'use strict';
+
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (authenticator app) second factor with single-use recovery codes.
+ *
+ * ENROLMENT:
+ * - setup creates a pending secret and returns it with an otpauth:// URI
+ * - enable confirms the first code, activates the enrolment and returns
+ *   recoveryCodeCount recovery codes (shown once, stored as SHA-256 hashes)
+ *
+ * LOGIN (see AuthService.login / completeTwoFactorLogin):
+ * - When the user is enrolled, or the login role requires 2FA, the password
+ *   step returns a short-lived challenge token instead of a session
+ * - The session cookie is only issued once a TOTP or recovery code is verified;
+ *   users who must enrol do so with the challenge token first
+ *
+ * RULES:
+ * - Secrets are stored AES-256-GCM encrypted (TWO_FACTOR_ENCRYPTION_KEY,
+ *   falling back to JWT_SECRET)
+ * - A TOTP time step is accepted once per user (replay protection)
+ * - Users cannot disable 2FA while one of their roles requires it
+ * - Admins can reset a user's 2FA (lost device); every change is recorded
+ *   as a security event
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Role, UserTwoFactor, TwoFactorRecoveryCode, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey } = require('../../shared/utils/apiKey.js');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../../shared/utils/totp.js');
+const { encryptToken, decryptToken } = require('./session.service.js');
+const { recordSecurityEvent, SECURITY_EVENTS } = require('./securityEvent.service.js');
+
+/**
+ * Two-factor settings
+ */
+const TWO_FACTOR_DEFAULTS = {
+  issuer: 'CivicTrack',
+  recoveryCodeCount: 10,
+  challengeExpiresIn: '5m'
+};
+
+const CHALLENGE_PURPOSE = 'two_factor_login';
+const SECRET_KEY_SALT = 'civictrack-two-factor';
+
+let cachedKey = null;
+
+/**
+ * Key for encrypting TOTP secrets at rest (derived once per secret value)
+ *
+ * @returns {Buffer}
+ */
+function secretKey() {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source || source.trim() === '') {
+    throw httpError('Two-factor encryption key is not configured.', 500);
+  }
+  if (!cachedKey || cachedKey.source !== source) {
+    cachedKey = { source, key: crypto.pbkdf2Sync(source, SECRET_KEY_SALT, 100000, 32, 'sha256') };
+  }
+  return cachedKey.key;
+}
+
+/**
+ * Encrypt a TOTP secret as "iv.tag.ciphertext" (base64url)
+ *
+ * @param {string} secret
+ * @returns {string}
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ *
+ * @param {string} encrypted
+ * @returns {string}
+ */
+function decryptSecret(encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes are typed by hand: ignore case, spaces and dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate recovery codes ("xxxxx-xxxxx")
+ *
+ * @returns {Array<string>}
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: TWO_FACTOR_DEFAULTS.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Replace a user's recovery codes
+ *
+ * @param {number} userId
+ * @param {Transaction} transaction
+ * @returns {Promise<Array<string>>} Plain codes (only ever returned here)
+ */
+async function replaceRecoveryCodes(userId, transaction) {
+  const codes = generateRecoveryCodes();
+
+  await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  await TwoFactorRecoveryCode.bulkCreate(
+    codes.map(code => ({ user_id: userId, code_hash: hashApiKey(normalizeRecoveryCode(code)) })),
+    { transaction }
+  );
+
+  return codes;
+}
+
+// ============================================================================
+// Policy
+// ============================================================================
+
+/**
+ * Whether logging in with a role requires a second factor
+ *
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+async function isRequiredForRole(roleName) {
+  const role = await Role.findOne({ where: { name: roleName }, attributes: ['id', 'requires_two_factor'] });
+  return Boolean(role && role.requires_two_factor);
+}
+
+/**
+ * Names of the user's roles that require a second factor
+ *
+ * @param {number} userId
+ * @returns {Promise<Array<string>>}
+ */
+async function rolesRequiringTwoFactor(userId) {
+  const user = await User.findByPk(userId, {
+    attributes: ['id'],
+    include: [{
+      model: Role,
+      as: 'roles',
+      attributes: ['name'],
+      where: { requires_two_factor: true },
+      through: { attributes: [] },
+      required: false
+    }]
+  });
+  return user ? user.roles.map(role => role.name) : [];
+}
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+/**
+ * Check a TOTP code and consume its time step
+ *
+ * @param {UserTwoFactor} enrolment
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotpCode(enrolment, code) {
+  const lastStep = enrolment.last_used_step === null ? null : Number(enrolment.last_used_step);
+  const step = verifyTotp(decryptSecret(enrolment.secret_encrypted), code, { afterStep: lastStep });
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update: the same code cannot be used twice, even concurrently
+  const [claimed] = await UserTwoFactor.update({ last_used_step: step }, {
+    where: {
+      id: enrolment.id,
+      [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }]
+    }
+  });
+  return claimed > 0;
+}
+
+/**
+ * Redeem a recovery code
+ *
+ * @param {number} userId
+ * @param {string} recoveryCode
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(userId, recoveryCode, { ipAddress = null } = {}) {
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) {
+    return false;
+  }
+
+  const [redeemed] = await TwoFactorRecoveryCode.update({ used_at: new Date() }, {
+    where: { user_id: userId, code_hash: hashApiKey(normalized), used_at: null }
+  });
+  if (!redeemed) {
+    return false;
+  }
+
+  const remaining = await TwoFactorRecoveryCode.count({ where: { user_id: userId, used_at: null } });
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.RECOVERY_CODE_USED,
+    userId,
+    actorId: userId,
+    ipAddress,
+    metadata: { remaining }
+  });
+  return true;
+}
+
+/**
+ * Load a user's active (confirmed) enrolment
+ *
+ * @param {number} userId
+ * @returns {Promise<UserTwoFactor|null>}
+ */
+async function findActiveEnrolment(userId) {
+  return UserTwoFactor.findOne({ where: { user_id: userId, enabled_at: { [Op.ne]: null } } });
+}
+
+/**
+ * Whether a user has confirmed 2FA
+ *
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+async function isEnrolled(userId) {
+  return Boolean(await findActiveEnrolment(userId));
+}
+
+/**
+ * Verify a second factor for an enrolled user
+ *
+ * @param {number} userId
+ * @param {Object} factor - { code } (TOTP) or { recoveryCode }
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<string|null>} 'totp' | 'recovery_code', or null when invalid
+ */
+async function verifySecondFactor(userId, { code, recoveryCode } = {}, context = {}) {
+  const enrolment = await findActiveEnrolment(userId);
+  if (!enrolment) {
+    return null;
+  }
+
+  if (code) {
+    return (await consumeTotpCode(enrolment, code)) ? 'totp' : null;
+  }
+  if (recoveryCode) {
+    return (await consumeRecoveryCode(userId, recoveryCode, context)) ? 'recovery_code' : null;
+  }
+  return null;
+}
+
+// ============================================================================
+// Enrolment
+// ============================================================================
+
+/**
+ * Two-factor status of a user
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>} { enabled, enabledAt, pendingSetup, recoveryCodesRemaining, requiredByRoles }
+ */
+async function getTwoFactorStatus(userId) {
+  const [enrolment, recoveryCodesRemaining, requiredByRoles] = await Promise.all([
+    UserTwoFactor.findOne({ where: { user_id: userId }, attributes: ['id', 'enabled_at'] }),
+    TwoFactorRecoveryCode.count({ where: { user_id: userId, used_at: null } }),
+    rolesRequiringTwoFactor(userId)
+  ]);
+
+  const enabled = Boolean(enrolment && enrolment.enabled_at);
+  return {
+    enabled,
+    enabledAt: enabled ? enrolment.enabled_at : null,
+    pendingSetup: Boolean(enrolment && !enrolment.enabled_at),
+    recoveryCodesRemaining: enabled ? recoveryCodesRemaining : 0,
+    requiredByRoles
+  };
+}
+
+/**
+ * Start (or restart) enrolment with a new pending secret
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ * @throws {Error} 409 when 2FA is already enabled
+ */
+async function beginSetup(userId) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'email'] });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+
+  const existing = await UserTwoFactor.findOne({ where: { user_id: user.id } });
+  if (existing && existing.enabled_at) {
+    throw httpError('Two-factor authentication is already enabled.', 409);
+  }
+
+  const secret = generateSecret();
+  await sequelize.transaction(async (transaction) => {
+    // An unconfirmed secret is worthless - replace it outright
+    if (existing) {
+      await existing.destroy({ force: true, transaction });
+    }
+    await UserTwoFactor.create({ user_id: user.id, secret_encrypted: encryptSecret(secret) }, { transaction });
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_DEFAULTS.issuer })
+  };
+}
+
+/**
+ * Confirm a pending enrolment with its first code
+ *
+ * @param {number} userId
+ * @param {string} code
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null when the code is wrong
+ * @throws {Error} 400 when there is no pending setup
+ */
+async function confirmSetup(userId, code, { ipAddress = null } = {}) {
+  const enrolment = await UserTwoFactor.findOne({ where: { user_id: userId } });
+  if (!enrolment || enrolment.enabled_at) {
+    throw httpError('Start two-factor setup first.', 400);
+  }
+
+  if (!(await consumeTotpCode(enrolment, code))) {
+    return null;
+  }
+
+  const recoveryCodes = await sequelize.transaction(async (transaction) => {
+    await enrolment.update({ enabled_at: new Date() }, { transaction });
+    return replaceRecoveryCodes(userId, transaction);
+  });
+
+  await recordSecurityEvent({ type: SECURITY_EVENTS.TWO_FACTOR_ENABLED, userId, actorId: userId, ipAddress });
+  return recoveryCodes;
+}
+
+/**
+ * Enable 2FA from account settings
+ *
+ * @param {number} userId
+ * @param {string} code - First code from the authenticator app
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Array<string>>} Recovery codes
+ * @throws {Error} 400 when there is no pending setup or the code is wrong
+ */
+async function enableTwoFactor(userId, code, context = {}) {
+  const recoveryCodes = await confirmSetup(userId, code, context);
+  if (!recoveryCodes) {
+    throw httpError('Invalid authentication code.', 400);
+  }
+  return recoveryCodes;
+}
+
+/**
+ * Disable 2FA (requires a current code)
+ *
+ * @param {number} userId
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<void>}
+ * @throws {Error} 400 when not enabled or the code is wrong, 403 when a role requires 2FA
+ */
+async function disableTwoFactor(userId, factor, { ipAddress = null } = {}) {
+  if (!(await findActiveEnrolment(userId))) {
+    throw httpError('Two-factor authentication is not enabled.', 400);
+  }
+
+  const requiredByRoles = await rolesRequiringTwoFactor(userId);
+  if (requiredByRoles.length) {
+    const err = httpError('Two-factor authentication is required for your role and cannot be disabled.', 403);
+    err.details = { requiredByRoles };
+    throw err;
+  }
+
+  if (!(await verifySecondFactor(userId, factor, { ipAddress }))) {
+    throw httpError('Invalid authentication code.', 400);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await UserTwoFactor.destroy({ where: { user_id: userId }, transaction });
+    await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  });
+
+  await recordSecurityEvent({ type: SECURITY_EVENTS.TWO_FACTOR_DISABLED, userId, actorId: userId, ipAddress });
+}
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ *
+ * @param {number} userId
+ * @param {string} code
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Array<string>>}
+ * @throws {Error} 400 when not enabled or the code is wrong
+ */
+async function regenerateRecoveryCodes(userId, code, { ipAddress = null } = {}) {
+  const enrolment = await findActiveEnrolment(userId);
+  if (!enrolment) {
+    throw httpError('Two-factor authentication is not enabled.', 400);
+  }
+  if (!(await consumeTotpCode(enrolment, code))) {
+    throw httpError('Invalid authentication code.', 400);
+  }
+
+  const recoveryCodes = await sequelize.transaction(transaction => replaceRecoveryCodes(userId, transaction));
+
+  await recordSecurityEvent({ type: SECURITY_EVENTS.RECOVERY_CODES_REGENERATED, userId, actorId: userId, ipAddress });
+  return recoveryCodes;
+}
+
+/**
+ * Remove a user's enrolment (admin action, e.g. lost device)
+ * The user must enrol again at their next login if their role requires it.
+ *
+ * @param {number} userId
+ * @param {number} actorId - Admin performing the reset
+ * @returns {Promise<boolean>} Whether an enrolment existed
+ */
+async function resetTwoFactor(userId, actorId) {
+  const removed = await sequelize.transaction(async (transaction) => {
+    const deleted = await UserTwoFactor.destroy({ where: { user_id: userId }, transaction });
+    await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+    return deleted > 0;
+  });
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.TWO_FACTOR_RESET,
+    userId,
+    actorId,
+    metadata: { hadEnrolment: removed }
+  });
+  return removed;
+}
+
+// ============================================================================
+// Login challenge
+// ============================================================================
+
+/**
+ * Decide whether a password login needs a second step
+ *
+ * @param {User} user
+ * @param {string} role - Role being logged into
+ * @returns {Promise<Object|null>} { challengeToken, setupRequired }, or null when not needed
+ */
+async function startLoginChallenge(user, role) {
+  const [enrolment, required] = await Promise.all([
+    findActiveEnrolment(user.id),
+    isRequiredForRole(role)
+  ]);
+  if (!enrolment && !required) {
+    return null;
+  }
+
+  const challengeToken = await encryptToken(
+    { purpose: CHALLENGE_PURPOSE, uid: user.id, role },
+    TWO_FACTOR_DEFAULTS.challengeExpiresIn
+  );
+  return { challengeToken, setupRequired: !enrolment };
+}
+
+/**
+ * Read a login challenge token
+ *
+ * @param {string} challengeToken
+ * @returns {Promise<Object>} { userId, role }
+ * @throws {Error} 401 when the token is invalid or expired
+ */
+async function readLoginChallenge(challengeToken) {
+  const claims = await decryptToken(challengeToken);
+  if (!claims || claims.purpose !== CHALLENGE_PURPOSE || !claims.uid || !claims.role) {
+    throw httpError('Your login attempt has expired. Please log in again.', 401);
+  }
+  return { userId: claims.uid, role: claims.role };
+}
+
+/**
+ * Verify the second step of a login, enrolling first-time users
+ *
+ * @param {number} userId
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object|null>} { method, recoveryCodes? }, or null when the code is wrong
+ * @throws {Error} 400 when the user must enrol but has not started setup
+ */
+async function verifyLoginFactor(userId, factor, context = {}) {
+  if (await findActiveEnrolment(userId)) {
+    const method = await verifySecondFactor(userId, factor, context);
+    return method ? { method } : null;
+  }
+
+  // Enrolment required by the role: the first code also confirms setup
+  if (!factor.code) {
+    throw httpError('Set up two-factor authentication to continue.', 400);
+  }
+  const recoveryCodes = await confirmSetup(userId, factor.code, context);
+  return recoveryCodes ? { method: 'totp', recoveryCodes } : null;
+}
+
+module.exports = {
+  // Constants
+  TWO_FACTOR_DEFAULTS,
+
+  // Policy
+  isRequiredForRole,
+  rolesRequiringTwoFactor,
+
+  // Enrolment
+  isEnrolled,
+  getTwoFactorStatus,
+  beginSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+
+  // Verification
+  verifySecondFactor,
+
+  // Login challenge
+  startLoginChallenge,
+  readLoginChallenge,
+  verifyLoginFactor
+};
@@ -18,6 +18,9 @@
  * - UNASSIGNED_AUTHORITY_INACTIVE
  * - UNASSIGNED_CONFIGURATION_ERROR
  * - REASSIGNED_BY_ADMIN
+ *
+ * Outcomes are notified to the reporter and the receiving authority's staff
+ * in the same transaction (see reportNotification.service.js).
  */
 
 const { Op } = require('sequelize');
@@ -35,6 +38,7 @@ const {
   isActive,
   withDeletedRecords
 } = require('../../shared/utils/softDelete.js');
+const { notifyAssignmentOutcome } = require('./reportNotification.service.js');
 
 /**
  * Assignment outcome constants
@@ -306,6 +310,13 @@ async function assignAuthority(params) {
         reason
       }, transaction);
 
+      await notifyAssignmentOutcome(report, {
+        outcome,
+        previousAuthorityId,
+        newAuthorityId: null,
+        isNewReport: triggeredBy === TRIGGER_TYPES.SYSTEM
+      }, transaction);
+
       return {
         outcome,
         authorityId: null,
@@ -325,6 +336,12 @@ async function assignAuthority(params) {
       reason
     }, transaction);
 
+    await notifyAssignmentOutcome(report, {
+      outcome: ASSIGNMENT_OUTCOMES.ASSIGNED,
+      previousAuthorityId,
+      newAuthorityId: authority.id
+    }, transaction);
+
     return {
       outcome: ASSIGNMENT_OUTCOMES.ASSIGNED,
       authorityId: authority.id,
@@ -374,6 +391,13 @@ async function handleAdminReassignment({
       reason
     }, transaction);
 
+    await notifyAssignmentOutcome(report, {
+      outcome: ASSIGNMENT_OUTCOMES.REASSIGNED_BY_ADMIN,
+      previousAuthorityId,
+      newAuthorityId: null,
+      actorId: logUserId
+    }, transaction);
+
     return {
       outcome: ASSIGNMENT_OUTCOMES.REASSIGNED_BY_ADMIN,
       authorityId: null,
@@ -425,6 +449,13 @@ async function handleAdminReassignment({
     reason
   }, transaction);
 
+  await notifyAssignmentOutcome(report, {
+    outcome: ASSIGNMENT_OUTCOMES.REASSIGNED_BY_ADMIN,
+    previousAuthorityId,
+    newAuthorityId: targetAuthorityId,
+    actorId: logUserId
+  }, transaction);
+
   return {
     outcome: ASSIGNMENT_OUTCOMES.REASSIGNED_BY_ADMIN,
     authorityId: targetAuthorityId,
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Report Comment Service
+ *
+ * Comment threads between citizens, the assigned authority and admins
+ * on a single report.
+ *
+ * VISIBILITY:
+ * - A comment thread is visible to exactly the users who can view the
+ *   report (same rules as getReportById, see reportAccess.service.js)
+ * - Comments hidden by a moderator are only returned to users with
+ *   comment.moderate
+ *
+ * SOFT-DELETE BEHAVIOR:
+ * - Deleting a comment soft-deletes it (paranoid: true)
+ * - Soft-deleted comments are excluded from every query
+ */
+
+const { ReportComment, User, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const {
+  buildQueryOptions,
+  buildPaginatedResponse
+} = require('../../shared/utils/pagination.js');
+const { findVisibleReport } = require('./reportAccess.service.js');
+const { can, PERMISSIONS } = require('../auth/permission.service.js');
+const { notifyNewComment } = require('./reportNotification.service.js');
+
+/**
+ * Author include for comment queries
+ * required: false keeps comments whose author was soft-deleted
+ */
+const authorInclude = {
+  model: User,
+  as: 'author',
+  attributes: ['id', 'name'],
+  required: false
+};
+
+/**
+ * Load a comment that belongs to a report
+ *
+ * @param {number} reportId - Report ID
+ * @param {number} commentId - Comment ID
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @returns {Promise<ReportComment>}
+ * @throws {HttpError} 404 if the comment does not exist on this report
+ */
+async function findReportComment(reportId, commentId, options = {}) {
+  const comment = await ReportComment.findOne({
+    where: { id: commentId, report_id: reportId },
+    ...options
+  });
+
+  if (!comment) {
+    throw httpError('Comment not found.', 404);
+  }
+
+  return comment;
+}
+
+module.exports = {
+  /**
+   * List comments on a report with mandatory pagination
+   *
+   * @param {number} reportId - Report ID
+   * @param {Object} user - Current user
+   * @param {Object} pagination - { page, limit, offset, sortBy, sortOrder, entityType }
+   * @returns {Promise<{data: Array, meta: Object}>}
+   */
+  async listComments(reportId, user, pagination = {}) {
+    await findVisibleReport(reportId, user);
+
+    const whereClause = { report_id: reportId };
+    if (!(await can(user, PERMISSIONS.COMMENT_MODERATE))) {
+      whereClause.is_hidden = false;
+    }
+
+    const paginationOptions = buildQueryOptions({
+      ...pagination,
+      entityType: 'reportComments'
+    });
+
+    const { rows, count } = await ReportComment.findAndCountAll({
+      where: whereClause,
+      include: [authorInclude],
+      ...paginationOptions,
+      distinct: true
+    });
+
+    return buildPaginatedResponse(rows, count, {
+      page: pagination.page || 1,
+      limit: pagination.limit || 20
+    });
+  },
+
+  async createComment(reportId, { body }, user) {
+    const report = await findVisibleReport(reportId, user);
+
+    const comment = await sequelize.transaction(async (transaction) => {
+      const created = await ReportComment.create({
+        report_id: reportId,
+        user_id: user.id,
+        body
+      }, { transaction });
+
+      await notifyNewComment(report, created, transaction);
+      return created;
+    });
+
+    return ReportComment.findByPk(comment.id, {
+      include: [authorInclude]
+    });
+  },
+
+  async updateComment(reportId, commentId, { body }, user) {
+    await findVisibleReport(reportId, user);
+    const comment = await findReportComment(reportId, commentId);
+
+    if (String(comment.user_id) !== String(user.id)) {
+      throw httpError('You can only edit your own comments.', 403);
+    }
+
+    if (comment.is_hidden) {
+      throw httpError('This comment has been hidden by a moderator and can no longer be edited.', 403);
+    }
+
+    await comment.update({ body, edited_at: new Date() });
+
+    return ReportComment.findByPk(comment.id, {
+      include: [authorInclude]
+    });
+  },
+
+  async deleteComment(reportId, commentId, user) {
+    await findVisibleReport(reportId, user);
+    const comment = await findReportComment(reportId, commentId);
+
+    if (String(comment.user_id) !== String(user.id)) {
+      throw httpError('You can only delete your own comments.', 403);
+    }
+
+    // Soft delete (paranoid: true)
+    await comment.destroy();
+  },
+
+  /**
+   * Hide or unhide a comment (admin-only moderation)
+   *
+   * @param {number} reportId - Report ID
+   * @param {number} commentId - Comment ID
+   * @param {boolean} isHidden - Target visibility
+   * @param {Object} adminUser - Admin performing the action
+   * @returns {Promise<ReportComment>}
+   * @throws {HttpError} 403 if the admin cannot view the report
+   */
+  async toggleCommentVisibility(reportId, commentId, isHidden, adminUser) {
+    await findVisibleReport(reportId, adminUser);
+    const comment = await findReportComment(reportId, commentId);
+
+    await comment.update({
+      is_hidden: isHidden,
+      hidden_by: isHidden ? adminUser.id : null
+    });
+
+    return ReportComment.findByPk(comment.id, {
+      include: [authorInclude]
+    });
+  }
+};
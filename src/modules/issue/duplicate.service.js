@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Duplicate Report Detection Service
+ *
+ * Finds open reports that are probably about the same problem:
+ * same city, same issue category, within a radius and a time window.
+ *
+ * CONFIGURATION (environment):
+ * - DUPLICATE_RADIUS_METERS (default 100)
+ * - DUPLICATE_WINDOW_DAYS   (default 30)
+ *
+ * Cluster scans only look at reports created within the window, at most
+ * MAX_CLUSTER_CANDIDATES of them (newest first), and only compare reports
+ * of the same category in neighbouring grid cells.
+ *
+ * "Open" means status reported or in_progress. Hidden and soft-deleted
+ * reports are never offered as duplicates.
+ */
+
+const { Op } = require('sequelize');
+const { UserIssue } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const {
+  isValidCoordinate,
+  haversineDistanceMeters,
+  boundingBoxForRadius
+} = require('../../shared/utils/geo.js');
+const { REPORT_STATUSES } = require('./statusWorkflow.service.js');
+
+/**
+ * Statuses considered "open" for duplicate detection
+ */
+const OPEN_STATUSES = [REPORT_STATUSES.REPORTED, REPORT_STATUSES.IN_PROGRESS];
+
+/**
+ * Upper bound on reports loaded for one cluster scan
+ */
+const MAX_CLUSTER_CANDIDATES = 2000;
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Resolve detection settings from the environment
+ *
+ * @returns {Object} { radiusMeters, windowDays }
+ */
+function getDuplicateSettings() {
+  return {
+    radiusMeters: readPositiveNumber(process.env.DUPLICATE_RADIUS_METERS, 100),
+    windowDays: readPositiveNumber(process.env.DUPLICATE_WINDOW_DAYS, 30)
+  };
+}
+
+/**
+ * Lightweight attributes returned for duplicate candidates
+ */
+const CANDIDATE_ATTRIBUTES = [
+  'id', 'title', 'status', 'issue_id', 'city_id',
+  'latitude', 'longitude', 'region', 'createdAt'
+];
+
+/**
+ * Shape a candidate report for API responses
+ *
+ * @param {UserIssue} report
+ * @param {number} [distanceMeters]
+ * @returns {Object}
+ */
+function toCandidate(report, distanceMeters) {
+  const candidate = {
+    id: report.id,
+    title: report.title,
+    status: report.status,
+    issueId: report.issue_id,
+    latitude: report.latitude,
+    longitude: report.longitude,
+    region: report.region,
+    createdAt: report.createdAt
+  };
+
+  if (distanceMeters !== undefined) {
+    candidate.distanceMeters = Math.round(distanceMeters);
+  }
+
+  return candidate;
+}
+
+/**
+ * Find open reports near a location that may describe the same problem
+ *
+ * @param {Object} params
+ * @param {number} params.cityId - City ID
+ * @param {number} params.issueId - Issue category ID
+ * @param {number} params.latitude - Location latitude
+ * @param {number} params.longitude - Location longitude
+ * @param {number} [params.radiusMeters] - Override configured radius
+ * @param {number} [params.windowDays] - Override configured time window
+ * @returns {Promise<Array>} Candidates sorted by distance (closest first)
+ */
+async function findPossibleDuplicates({ cityId, issueId, latitude, longitude, radiusMeters, windowDays }) {
+  if (!cityId || !issueId || !isValidCoordinate(latitude, longitude)) {
+    return [];
+  }
+
+  const settings = getDuplicateSettings();
+  const radius = radiusMeters || settings.radiusMeters;
+  const days = windowDays || settings.windowDays;
+
+  const box = boundingBoxForRadius(latitude, longitude, radius);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const candidates = await UserIssue.findAll({
+    where: {
+      city_id: cityId,
+      issue_id: issueId,
+      status: { [Op.in]: OPEN_STATUSES },
+      is_hidden: false,
+      createdAt: { [Op.gte]: since },
+      latitude: { [Op.between]: [box.minLat, box.maxLat] },
+      longitude: { [Op.between]: [box.minLng, box.maxLng] }
+    },
+    attributes: CANDIDATE_ATTRIBUTES,
+    order: [['createdAt', 'DESC']]
+  });
+
+  return candidates
+    .map((report) => ({
+      report,
+      distance: haversineDistanceMeters(
+        { latitude, longitude },
+        { latitude: report.latitude, longitude: report.longitude }
+      )
+    }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ report, distance }) => toCandidate(report, distance));
+}
+
+/**
+ * Throw 409 listing possible duplicates unless the reporter confirmed
+ *
+ * @param {Array} possibleDuplicates - From findPossibleDuplicates
+ * @param {boolean} confirmNotDuplicate - Reporter's explicit confirmation
+ * @throws {HttpError} 409 with details.possibleDuplicates
+ */
+function assertNotDuplicate(possibleDuplicates, confirmNotDuplicate) {
+  if (!possibleDuplicates.length || confirmNotDuplicate) {
+    return;
+  }
+
+  const err = httpError(
+    'Similar open reports already exist nearby. Review them, or resubmit with confirmNotDuplicate=true if yours is a different problem.',
+    409
+  );
+  err.details = { possibleDuplicates };
+  throw err;
+}
+
+/**
+ * Bucket reports by category and a grid of radius-sized cells
+ *
+ * Two reports within the radius of each other are always in the same or
+ * neighbouring cells: cells are at least the radius wide at every latitude
+ * in the set.
+ *
+ * @param {Array<UserIssue>} reports
+ * @param {number} radius - Meters
+ * @returns {Object} { cellOf, buckets, keyOf } - buckets maps keyOf(issueId, row, col)
+ *   to report indexes; cellOf(index) gives [row, col]
+ */
+function buildGrid(reports, radius) {
+  const widest = reports.reduce((max, report) => Math.max(max, Math.abs(report.latitude)), 0);
+  const cellLat = boundingBoxForRadius(0, 0, radius).maxLat;
+  const cellLng = boundingBoxForRadius(widest, 0, radius).maxLng;
+
+  const keyOf = (issueId, row, col) => `${issueId}:${row}:${col}`;
+  const cellOf = (index) => [
+    Math.floor(reports[index].latitude / cellLat),
+    Math.floor(reports[index].longitude / cellLng)
+  ];
+
+  const buckets = new Map();
+  reports.forEach((report, index) => {
+    const key = keyOf(report.issue_id, ...cellOf(index));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+
+  return { cellOf, buckets, keyOf };
+}
+
+/**
+ * Group open reports in a city into clusters of likely duplicates
+ *
+ * Reports are linked when they share an issue category and lie within the
+ * radius of each other; clusters are the connected groups (single linkage).
+ * Hidden reports and reports older than the window are left out.
+ *
+ * @param {Object} params
+ * @param {number} params.cityId - City ID (required)
+ * @param {number} [params.issueId] - Restrict to one issue category
+ * @param {number} [params.radiusMeters] - Override configured radius
+ * @param {number} [params.windowDays] - Override configured time window
+ * @returns {Promise<Array>} Clusters with 2+ reports, largest first
+ */
+async function findDuplicateClusters({ cityId, issueId, radiusMeters, windowDays }) {
+  if (!cityId) {
+    throw httpError('Please select a city to look for duplicate reports.', 400);
+  }
+
+  const settings = getDuplicateSettings();
+  const radius = radiusMeters || settings.radiusMeters;
+  const days = windowDays || settings.windowDays;
+
+  const where = {
+    city_id: cityId,
+    status: { [Op.in]: OPEN_STATUSES },
+    is_hidden: false,
+    createdAt: { [Op.gte]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    latitude: { [Op.ne]: null },
+    longitude: { [Op.ne]: null }
+  };
+  if (issueId) {
+    where.issue_id = issueId;
+  }
+
+  const reports = await UserIssue.findAll({
+    where,
+    attributes: CANDIDATE_ATTRIBUTES,
+    order: [['createdAt', 'DESC']],
+    limit: MAX_CLUSTER_CANDIDATES
+  });
+  reports.reverse();
+
+  // Union-find over reports of the same category within the radius,
+  // comparing each report with the ones in its own and neighbouring cells
+  const parent = reports.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const { cellOf, buckets, keyOf } = buildGrid(reports, radius);
+
+  reports.forEach((report, i) => {
+    const [row, col] = cellOf(i);
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        for (const j of buckets.get(keyOf(report.issue_id, row + dRow, col + dCol)) || []) {
+          if (j <= i) continue;
+          if (haversineDistanceMeters(report, reports[j]) <= radius) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  reports.forEach((report, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(report);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => ({
+      issueId: group[0].issue_id,
+      size: group.length,
+      center: {
+        latitude: group.reduce((sum, r) => sum + r.latitude, 0) / group.length,
+        longitude: group.reduce((sum, r) => sum + r.longitude, 0) / group.length
+      },
+      reports: group.map((report) => toCandidate(report))
+    }))
+    .sort((a, b) => b.size - a.size);
+}
+
+module.exports = {
+  // Constants
+  OPEN_STATUSES,
+  MAX_CLUSTER_CANDIDATES,
+
+  // Configuration
+  getDuplicateSettings,
+
+  // Detection
+  findPossibleDuplicates,
+  assertNotDuplicate,
+  findDuplicateClusters
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Report Endorsement Service
+ *
+ * "Me too" endorsements let citizens signal that a report affects them as
+ * well, so authorities can prioritise by community impact.
+ *
+ * RULES:
+ * - One endorsement per citizen per report (unique report_id + user_id)
+ * - Endorsing is a toggle; un-endorsing soft-deletes the row and
+ *   endorsing again restores it
+ * - Citizens can only endorse reports they can view in their own city
+ * - Merged reports cannot be endorsed; endorse the canonical report instead
+ *
+ * Counts are computed with a correlated subquery so list queries keep a
+ * single round-trip and can be ordered by endorsement count.
+ */
+
+const { Op } = require('sequelize');
+const { ReportEndorsement, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { withDeletedRecords, isDeleted } = require('../../shared/utils/softDelete.js');
+const { findVisibleReport } = require('./reportAccess.service.js');
+
+/**
+ * Sort field exposed through ALLOWED_SORT_FIELDS.issues
+ */
+const ENDORSEMENT_SORT_FIELD = 'endorsements';
+
+/**
+ * Active endorsement count for the outer UserIssue row
+ * Soft-deleted endorsements are excluded explicitly (raw SQL bypasses paranoid)
+ */
+const ENDORSEMENT_COUNT_SQL =
+  '(SELECT COUNT(*) FROM report_endorsements AS re ' +
+  'WHERE re.report_id = "UserIssue"."id" AND re.deleted_at IS NULL)';
+
+/**
+ * Attribute that adds endorsement_count to report queries
+ *
+ * @returns {Array} Sequelize attribute tuple
+ */
+function endorsementCountAttribute() {
+  return [sequelize.literal(`CAST(${ENDORSEMENT_COUNT_SQL} AS INTEGER)`), 'endorsement_count'];
+}
+
+/**
+ * Replace the virtual "endorsements" sort field with the count subquery
+ *
+ * @param {Array} order - Sequelize order array from buildQueryOptions
+ * @returns {Array} Order array safe to pass to Sequelize
+ */
+function resolveEndorsementOrder(order) {
+  return order.map(([field, direction]) => (
+    field === ENDORSEMENT_SORT_FIELD
+      ? [sequelize.literal(ENDORSEMENT_COUNT_SQL), direction]
+      : [field, direction]
+  ));
+}
+
+/**
+ * Where condition on UserIssue.id matching reports a user has endorsed
+ *
+ * @param {number} userId - User ID
+ * @returns {Object} Sequelize condition for the id column
+ */
+function endorsedByUserCondition(userId) {
+  return {
+    [Op.in]: sequelize.literal(
+      '(SELECT report_id FROM report_endorsements ' +
+      `WHERE user_id = ${sequelize.escape(userId)} AND deleted_at IS NULL)`
+    )
+  };
+}
+
+/**
+ * Count active endorsements on a report
+ *
+ * @param {number} reportId - Report ID
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @returns {Promise<number>}
+ */
+async function countEndorsements(reportId, options = {}) {
+  return ReportEndorsement.count({
+    where: { report_id: reportId },
+    ...options
+  });
+}
+
+/**
+ * Toggle the current citizen's endorsement of a report
+ *
+ * @param {number} reportId - Report ID
+ * @param {Object} user - Current user ({ id, role, city_id })
+ * @returns {Promise<{endorsed: boolean, endorsementCount: number}>}
+ */
+async function toggleEndorsement(reportId, user) {
+  const report = await findVisibleReport(reportId, user);
+
+  if (!user.city_id || String(report.city_id) !== String(user.city_id)) {
+    throw httpError('You can only endorse reports in your city.', 403);
+  }
+
+  if (report.merged_into_id) {
+    throw httpError(`This report was merged into report #${report.merged_into_id}. Endorse that report instead.`, 409);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Include soft-deleted rows so re-endorsing restores instead of violating the unique index
+    const existing = await ReportEndorsement.findOne(
+      withDeletedRecords({
+        where: { report_id: reportId, user_id: user.id },
+        transaction
+      })
+    );
+
+    let endorsed;
+    if (!existing) {
+      await ReportEndorsement.create(
+        { report_id: reportId, user_id: user.id },
+        { transaction }
+      );
+      endorsed = true;
+    } else if (isDeleted(existing)) {
+      await existing.restore({ transaction });
+      endorsed = true;
+    } else {
+      await existing.destroy({ transaction });
+      endorsed = false;
+    }
+
+    const endorsementCount = await countEndorsements(reportId, { transaction });
+
+    return { endorsed, endorsementCount };
+  });
+}
+
+module.exports = {
+  // Constants
+  ENDORSEMENT_SORT_FIELD,
+
+  // Query helpers
+  endorsementCountAttribute,
+  resolveEndorsementOrder,
+  endorsedByUserCondition,
+
+  // Operations
+  countEndorsements,
+  toggleEndorsement
+};
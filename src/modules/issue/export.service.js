@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Report Export Service
+ *
+ * Streams reports as GeoJSON or CSV for GIS tools and spreadsheets.
+ *
+ * RULES:
+ * - Same filters and role/city scoping as listReports (buildReportListScope)
+ * - Not paginated and not capped by PAGINATION_DEFAULTS.maxLimit: rows are
+ *   read in keyset batches (id > lastId) and written as they arrive, so
+ *   memory stays flat regardless of export size
+ * - Rows are exported oldest-first (id ASC) so batches are stable while
+ *   new reports are being created
+ * - Reporter identity is never exported
+ */
+
+const { Op } = require('sequelize');
+const { UserIssue, Issue, Authority, City } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { buildReportListScope } = require('./reportListScope.service.js');
+const { endorsementCountAttribute } = require('./endorsement.service.js');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+/**
+ * Rows fetched per query
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Exported columns (CSV header order, GeoJSON property names)
+ */
+const EXPORT_COLUMNS = [
+  'id', 'title', 'status', 'categoryId', 'category', 'authorityId', 'authority',
+  'cityId', 'city', 'region', 'latitude', 'longitude', 'endorsementCount',
+  'createdAt', 'updatedAt'
+];
+
+/**
+ * Flatten a report into export columns
+ *
+ * @param {UserIssue} report
+ * @returns {Object}
+ */
+function toExportRecord(report) {
+  return {
+    id: report.id,
+    title: report.title,
+    status: report.status,
+    categoryId: report.issue_id,
+    category: report.issue ? report.issue.name : null,
+    authorityId: report.authority_id,
+    authority: report.authority ? report.authority.name : null,
+    cityId: report.city_id,
+    city: report.city ? report.city.name : null,
+    region: report.region,
+    latitude: report.latitude,
+    longitude: report.longitude,
+    endorsementCount: report.get('endorsement_count'),
+    createdAt: report.createdAt ? report.createdAt.toISOString() : null,
+    updatedAt: report.updatedAt ? report.updatedAt.toISOString() : null
+  };
+}
+
+/**
+ * Escape a CSV field (RFC 4180)
+ *
+ * Text starting with =, +, -, @ is prefixed with a quote so spreadsheets
+ * do not evaluate it as a formula.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format one CSV line
+ *
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Format a record as a GeoJSON feature
+ * Reports without coordinates get a null geometry (valid GeoJSON)
+ *
+ * @param {Object} record - From toExportRecord
+ * @returns {Object} GeoJSON Feature
+ */
+function toGeoJsonFeature(record) {
+  const hasLocation = record.latitude !== null && record.longitude !== null;
+  return {
+    type: 'Feature',
+    id: record.id,
+    geometry: hasLocation
+      ? { type: 'Point', coordinates: [record.longitude, record.latitude] }
+      : null,
+    properties: record
+  };
+}
+
+/**
+ * Read scoped reports in keyset batches
+ *
+ * @param {Object} scope - From buildReportListScope
+ * @param {number} batchSize
+ * @returns {AsyncGenerator<UserIssue>}
+ */
+async function* iterateReports({ whereClause, paranoidOptions }, batchSize) {
+  let lastId = 0;
+
+  while (true) {
+    const batch = await UserIssue.findAll({
+      where: { [Op.and]: [whereClause, { id: { [Op.gt]: lastId } }] },
+      attributes: {
+        include: [endorsementCountAttribute()],
+        exclude: ['description']
+      },
+      include: [
+        { model: Issue, as: 'issue', attributes: ['id', 'name'], required: false },
+        { model: Authority, as: 'authority', attributes: ['id', 'name'], required: false },
+        // Also needed by the $city.name$ search filter
+        { model: City, as: 'city', attributes: ['id', 'name'], required: false }
+      ],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+      ...paranoidOptions
+    });
+
+    for (const report of batch) {
+      yield report;
+    }
+
+    if (batch.length < batchSize) {
+      return;
+    }
+    lastId = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Encode reports as CSV chunks
+ *
+ * @param {AsyncIterable<UserIssue>} reports
+ * @returns {AsyncGenerator<string>}
+ */
+async function* encodeCsv(reports) {
+  yield toCsvLine(EXPORT_COLUMNS);
+  for await (const report of reports) {
+    const record = toExportRecord(report);
+    yield toCsvLine(EXPORT_COLUMNS.map((column) => record[column]));
+  }
+}
+
+/**
+ * Encode reports as a GeoJSON FeatureCollection, one feature per chunk
+ *
+ * @param {AsyncIterable<UserIssue>} reports
+ * @returns {AsyncGenerator<string>}
+ */
+async function* encodeGeoJson(reports) {
+  yield '{"type":"FeatureCollection","features":[';
+  let first = true;
+  for await (const report of reports) {
+    const feature = JSON.stringify(toGeoJsonFeature(toExportRecord(report)));
+    yield first ? feature : `,${feature}`;
+    first = false;
+  }
+  yield ']}';
+}
+
+/**
+ * Prepare a report export
+ *
+ * Validation and scoping happen here, before anything is written, so
+ * errors still reach the client as normal JSON responses.
+ *
+ * @param {Object} user - Current user ({ id, role, city_id })
+ * @param {Object} filters - Request query (format plus listReports filters)
+ * @param {Object|null} adminContext - From resolveAdminContext (admins only)
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Rows per query
+ * @returns {Promise<Object>} { contentType, filename, chunks }
+ */
+async function exportReports(user, filters = {}, adminContext = null, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+  const format = String(filters.format || '').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw httpError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`, 400);
+  }
+
+  const scope = await buildReportListScope(user, filters, adminContext);
+  const reports = iterateReports(scope, batchSize);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  return {
+    contentType,
+    filename: `reports-${date}.${extension}`,
+    chunks: format === 'csv' ? encodeCsv(reports) : encodeGeoJson(reports)
+  };
+}
+
+module.exports = {
+  // Constants
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  EXPORT_COLUMNS,
+
+  // Formatting
+  toCsvField,
+
+  // Operations
+  exportReports
+};
@@ -1,6 +1,18 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 const IssueService = require("./issue.service.js");
-const { extractAdminContext } = require("../../shared/utils/cityScope.js");
+const CommentService = require("./comment.service.js");
+const NoteService = require("./note.service.js");
+const EndorsementService = require("./endorsement.service.js");
+const MergeService = require("./merge.service.js");
+const ExportService = require("./export.service.js");
+const { resolveAdminContext } = require("../auth/cityAccess.service.js");
 const { extractPaginationContext } = require("../../shared/utils/pagination.js");
+const { can, PERMISSIONS } = require("../auth/permission.service.js");
+
+// City scope (cityId, includeAllCities, includeDeleted) only applies to users who can view every report
+const adminContextFor = async (req) =>
+  (await can(req.user, PERMISSIONS.REPORT_VIEW_ALL)) ? resolveAdminContext(req) : null;
 
 module.exports = {
   async listCategories(req, res, next) {
@@ -29,6 +41,19 @@ module.exports = {
     }
   },
 
+  async getStatusWorkflow(req, res, next) {
+    try {
+      const workflow = IssueService.getStatusWorkflow();
+
+      return res.status(200).json({
+        success: true,
+        data: { workflow }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async createReport(req, res, next) {
     try {
       // Ensure files array is properly formatted
@@ -58,8 +83,8 @@ module.exports = {
 
   async listReports(req, res, next) {
     try {
-      // Pass admin context only for admin users
-      const adminContext = req.user.role === 'admin' ? extractAdminContext(req) : null;
+      // Pass admin context only for users who can view every report
+      const adminContext = await adminContextFor(req);
       const pagination = extractPaginationContext(req, 'issues');
       const result = await IssueService.listReports(req.user, req.query, adminContext, pagination);
 
@@ -124,6 +149,36 @@ module.exports = {
     }
   },
 
+  async mergeReports(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const report = await MergeService.mergeReports(reportId, req.body, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Reports merged.",
+        data: { report }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async unmergeReport(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const report = await MergeService.unmergeReport(reportId, req.body, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Merge reversed.",
+        data: { report }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async flagReport(req, res, next) {
     try {
       const reportId = Number(req.params.reportId);
@@ -139,9 +194,72 @@ module.exports = {
     }
   },
 
+  /**
+   * Toggle "me too" endorsement of a report (citizen-only)
+   * POST /issues/reports/:reportId/endorse
+   */
+  async toggleEndorsement(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const result = await EndorsementService.toggleEndorsement(reportId, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: result.endorsed ? "Report endorsed." : "Endorsement removed.",
+        data: result
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listMapPoints(req, res, next) {
+    try {
+      // Same scoping as listReports
+      const adminContext = await adminContextFor(req);
+      const { truncated, ...points } = await IssueService.listMapPoints(req.user, req.query, adminContext);
+
+      return res.status(200).json({
+        success: true,
+        data: { points },
+        meta: {
+          count: points.features.length,
+          truncated
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async exportReports(req, res, next) {
+    try {
+      const adminContext = await adminContextFor(req);
+      const { contentType, filename, chunks } = await ExportService.exportReports(
+        req.user,
+        req.query,
+        adminContext
+      );
+
+      res.status(200);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+      // pipeline handles backpressure and closes the response on failure
+      await pipeline(Readable.from(chunks), res);
+    } catch (err) {
+      if (res.headersSent) {
+        // Failed mid-stream - the response is already destroyed, nothing left to send
+        console.error(err);
+        return;
+      }
+      next(err);
+    }
+  },
+
   async listFlaggedReports(req, res, next) {
     try {
-      const adminContext = extractAdminContext(req);
+      const adminContext = await resolveAdminContext(req);
       const pagination = extractPaginationContext(req, 'flaggedReports');
       const result = await IssueService.listFlaggedReports(adminContext, pagination);
 
@@ -155,11 +273,31 @@ module.exports = {
     }
   },
 
+  /**
+   * List clusters of likely duplicate reports in a city (admin-only)
+   * GET /issues/reports/duplicates?cityId=&issueId=&radiusMeters=&page=&limit=&sortBy=size|createdAt
+   */
+  async listDuplicateClusters(req, res, next) {
+    try {
+      const adminContext = await resolveAdminContext(req);
+      const pagination = extractPaginationContext(req, 'duplicateClusters');
+      const result = await IssueService.listDuplicateClusters(adminContext, req.query, pagination);
+
+      return res.status(200).json({
+        success: true,
+        data: { clusters: result.data },
+        meta: result.meta
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
   async toggleReportVisibility(req, res, next) {
     try {
       const reportId = Number(req.params.reportId);
       const { isHidden } = req.body;
-      const report = await IssueService.toggleReportVisibility(reportId, isHidden);
+      const report = await IssueService.toggleReportVisibility(reportId, isHidden, req.user);
 
       return res.status(200).json({
         success: true,
@@ -189,7 +327,7 @@ module.exports = {
       const { report, assignmentResult } = await IssueService.reassignReportAuthority(
         reportId,
         targetAuthorityId,
-        req.user.id
+        req.user
       );
 
       return res.status(200).json({
@@ -219,7 +357,7 @@ module.exports = {
 
       const { report, assignmentResult } = await IssueService.retryReportAssignment(
         reportId,
-        req.user.id
+        req.user
       );
 
       const wasAssigned = assignmentResult.outcome === IssueService.ASSIGNMENT_OUTCOMES.ASSIGNED;
@@ -248,7 +386,7 @@ module.exports = {
   async getAssignmentHistory(req, res, next) {
     try {
       const reportId = Number(req.params.reportId);
-      const history = await IssueService.getReportAssignmentHistory(reportId);
+      const history = await IssueService.getReportAssignmentHistory(reportId, req.user);
 
       return res.status(200).json({
         success: true,
@@ -260,5 +398,123 @@ module.exports = {
     } catch (err) {
       next(err);
     }
+  },
+
+  /**
+   * List comments on a report
+   * GET /issues/reports/:reportId/comments
+   */
+  async listComments(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const pagination = extractPaginationContext(req, 'reportComments');
+      const result = await CommentService.listComments(reportId, req.user, pagination);
+
+      return res.status(200).json({
+        success: true,
+        data: { comments: result.data },
+        meta: result.meta
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createComment(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const comment = await CommentService.createComment(reportId, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: "Comment posted.",
+        data: { comment }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async updateComment(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const commentId = Number(req.params.commentId);
+      const comment = await CommentService.updateComment(reportId, commentId, req.body, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Comment updated.",
+        data: { comment }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async deleteComment(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const commentId = Number(req.params.commentId);
+      await CommentService.deleteComment(reportId, commentId, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: "Comment deleted."
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async toggleCommentVisibility(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const commentId = Number(req.params.commentId);
+      const { isHidden } = req.body;
+      const comment = await CommentService.toggleCommentVisibility(reportId, commentId, isHidden, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: `Comment ${isHidden ? "hidden" : "unhidden"} successfully.`,
+        data: { comment }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * List internal notes on a report (authority/admin only)
+   * GET /issues/reports/:reportId/notes
+   */
+  async listNotes(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const pagination = extractPaginationContext(req, 'reportNotes');
+      const result = await NoteService.listNotes(reportId, req.user, pagination);
+
+      return res.status(200).json({
+        success: true,
+        data: { notes: result.data },
+        meta: result.meta
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createNote(req, res, next) {
+    try {
+      const reportId = Number(req.params.reportId);
+      const note = await NoteService.createNote(reportId, req.body, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: "Note added.",
+        data: { note }
+      });
+    } catch (err) {
+      next(err);
+    }
   }
 };
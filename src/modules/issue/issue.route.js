@@ -3,7 +3,9 @@ const router = express.Router();
 
 const IssueController = require("./issue.controller.js");
 const authMiddleware = require("../auth/auth.middleware.js");
-const { allowRoles } = require("../auth/auth.roles.js");
+const { requirePermission } = require("../auth/permission.middleware.js");
+const { PERMISSIONS } = require("../auth/permission.service.js");
+const { requireVerifiedEmail } = require("../auth/emailVerification.middleware.js");
 const validate = require("../../shared/middleware/validate.js");
 const { uploadReportImages } = require("./issue.middleware.js");
 const {
@@ -11,19 +13,29 @@ const {
   updateStatusValidator,
   flagReportValidator,
   toggleVisibilityValidator,
-  reportIdParamValidator
+  reportIdParamValidator,
+  commentIdParamValidator,
+  commentBodyValidator,
+  commentVisibilityValidator,
+  noteBodyValidator,
+  duplicateClustersValidator,
+  mergeReportsValidator,
+  unmergeReportValidator,
+  exportReportsValidator
 } = require("./issue.validator.js");
 
 // Public routes - no authentication required
 router.get("/categories", IssueController.listCategories);
 router.get("/flags", IssueController.listFlags);
+router.get("/status-workflow", IssueController.getStatusWorkflow);
 
 // All other routes require authentication
 router.use(authMiddleware);
 
 router.post(
   "/reports",
-  allowRoles("citizen"),
+  requirePermission(PERMISSIONS.REPORT_CREATE),
+  requireVerifiedEmail,
   uploadReportImages,
   createReportValidator,
   validate,
@@ -32,12 +44,34 @@ router.post(
 
 router.get("/reports", IssueController.listReports);
 
+// Lightweight GeoJSON points for the map viewport
+// GET /issues/reports/map?bbox=minLng,minLat,maxLng,maxLat
+router.get("/reports/map", IssueController.listMapPoints);
+
+// Stream all matching reports (same filters as GET /reports, no pagination)
+// GET /issues/reports/export?format=geojson|csv
+router.get(
+  "/reports/export",
+  requirePermission(PERMISSIONS.REPORT_EXPORT),
+  exportReportsValidator,
+  validate,
+  IssueController.exportReports
+);
+
 router.get(
   "/reports/flagged",
-  allowRoles("admin"),
+  requirePermission(PERMISSIONS.REPORT_FLAGGED_VIEW),
   IssueController.listFlaggedReports
 );
 
+router.get(
+  "/reports/duplicates",
+  requirePermission(PERMISSIONS.REPORT_DUPLICATES_VIEW),
+  duplicateClustersValidator,
+  validate,
+  IssueController.listDuplicateClusters
+);
+
 router.get(
   "/reports/:reportId",
   reportIdParamValidator,
@@ -47,30 +81,61 @@ router.get(
 
 router.patch(
   "/reports/:reportId/status",
-  allowRoles("authority", "admin"),
+  requirePermission(PERMISSIONS.REPORT_STATUS_UPDATE),
   updateStatusValidator,
   validate,
   IssueController.updateStatus
 );
 
+// Merge duplicate reports into this (canonical) report
+// POST /issues/reports/:reportId/merge
+// Body: { duplicateIds: number[], comment?: string }
+router.post(
+  "/reports/:reportId/merge",
+  requirePermission(PERMISSIONS.REPORT_MERGE),
+  mergeReportsValidator,
+  validate,
+  IssueController.mergeReports
+);
+
+// Reverse a merge - the report gets its images, flags, endorsements and status back
+// POST /issues/reports/:reportId/unmerge
+router.post(
+  "/reports/:reportId/unmerge",
+  requirePermission(PERMISSIONS.REPORT_UNMERGE),
+  unmergeReportValidator,
+  validate,
+  IssueController.unmergeReport
+);
+
 router.post(
   "/reports/:reportId/flag",
-  allowRoles("citizen"),
+  requirePermission(PERMISSIONS.REPORT_FLAG),
+  requireVerifiedEmail,
   flagReportValidator,
   validate,
   IssueController.flagReport
 );
 
+// Toggle "me too" endorsement
+router.post(
+  "/reports/:reportId/endorse",
+  requirePermission(PERMISSIONS.REPORT_ENDORSE),
+  reportIdParamValidator,
+  validate,
+  IssueController.toggleEndorsement
+);
+
 router.patch(
   "/reports/:reportId/visibility",
-  allowRoles("admin"),
+  requirePermission(PERMISSIONS.REPORT_VISIBILITY_TOGGLE),
   toggleVisibilityValidator,
   validate,
   IssueController.toggleReportVisibility
 );
 
 /**
- * Assignment Management Routes (admin-only)
+ * Assignment Management Routes
  */
 
 // Reassign authority for a report
@@ -78,7 +143,7 @@ router.patch(
 // Body: { authorityId: number | null }
 router.post(
   "/reports/:reportId/reassign",
-  allowRoles("admin"),
+  requirePermission(PERMISSIONS.REPORT_ASSIGNMENT_MANAGE),
   reportIdParamValidator,
   validate,
   IssueController.reassignAuthority
@@ -88,7 +153,7 @@ router.post(
 // POST /issues/reports/:reportId/retry-assignment
 router.post(
   "/reports/:reportId/retry-assignment",
-  allowRoles("admin"),
+  requirePermission(PERMISSIONS.REPORT_ASSIGNMENT_MANAGE),
   reportIdParamValidator,
   validate,
   IssueController.retryAssignment
@@ -98,10 +163,75 @@ router.post(
 // GET /issues/reports/:reportId/assignment-history
 router.get(
   "/reports/:reportId/assignment-history",
-  allowRoles("admin", "authority"),
+  requirePermission(PERMISSIONS.REPORT_ASSIGNMENT_VIEW),
   reportIdParamValidator,
   validate,
   IssueController.getAssignmentHistory
 );
 
+/**
+ * Comment Thread Routes
+ * Visibility follows the same rules as GET /reports/:reportId
+ */
+
+router.get(
+  "/reports/:reportId/comments",
+  reportIdParamValidator,
+  validate,
+  IssueController.listComments
+);
+
+router.post(
+  "/reports/:reportId/comments",
+  reportIdParamValidator,
+  commentBodyValidator,
+  validate,
+  IssueController.createComment
+);
+
+router.patch(
+  "/reports/:reportId/comments/:commentId",
+  commentIdParamValidator,
+  commentBodyValidator,
+  validate,
+  IssueController.updateComment
+);
+
+router.delete(
+  "/reports/:reportId/comments/:commentId",
+  commentIdParamValidator,
+  validate,
+  IssueController.deleteComment
+);
+
+// Hide abusive comments (moderation)
+router.patch(
+  "/reports/:reportId/comments/:commentId/visibility",
+  requirePermission(PERMISSIONS.COMMENT_MODERATE),
+  commentVisibilityValidator,
+  validate,
+  IssueController.toggleCommentVisibility
+);
+
+/**
+ * Internal Note Routes (never visible to citizens)
+ */
+
+router.get(
+  "/reports/:reportId/notes",
+  requirePermission(PERMISSIONS.REPORT_NOTE_MANAGE),
+  reportIdParamValidator,
+  validate,
+  IssueController.listNotes
+);
+
+router.post(
+  "/reports/:reportId/notes",
+  requirePermission(PERMISSIONS.REPORT_NOTE_MANAGE),
+  reportIdParamValidator,
+  noteBodyValidator,
+  validate,
+  IssueController.createNote
+);
+
 module.exports = router;
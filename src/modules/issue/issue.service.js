@@ -27,6 +27,36 @@ const {
   ASSIGNMENT_OUTCOMES,
   TRIGGER_TYPES
 } = require("./assignment.service.js");
+const {
+  assertTransitionAllowed,
+  getWorkflowDefinition
+} = require("./statusWorkflow.service.js");
+const { getUserPermissions, PERMISSIONS } = require("../auth/permission.service.js");
+const { assertCanViewReport, findVisibleReport } = require("./reportAccess.service.js");
+const { assertCanAccessCity } = require("../auth/cityAccess.service.js");
+const {
+  endorsementCountAttribute,
+  resolveEndorsementOrder
+} = require("./endorsement.service.js");
+const {
+  findPossibleDuplicates,
+  assertNotDuplicate,
+  findDuplicateClusters
+} = require("./duplicate.service.js");
+const { propagateCanonicalStatus } = require("./merge.service.js");
+const { notifyStatusChange, notifyVisibilityChange } = require("./reportNotification.service.js");
+const { buildReportListScope } = require("./reportListScope.service.js");
+const { resolveSla, computeDueDates } = require("./sla.service.js");
+const {
+  distanceAttribute,
+  resolveDistanceOrder,
+  toPointFeature
+} = require("./reportGeo.service.js");
+
+/**
+ * Upper bound on points returned by listMapPoints
+ */
+const MAP_MAX_POINTS = 2000;
 
 const parseNumber = (value) => {
   if (value === undefined || value === null || value === "") return null;
@@ -41,6 +71,9 @@ const parseNumber = (value) => {
  * - All models use paranoid: true - soft-deleted records are excluded by default
  * - required: false on optional relations allows null if related entity was soft-deleted
  * - This ensures reports with deleted authorities/reporters still appear (with null relations)
+ *
+ * CITIZEN-FACING:
+ * - This include is returned to citizens - internal notes (ReportNote) must NEVER be added here
  */
 const baseReportInclude = [
   {
@@ -142,7 +175,8 @@ module.exports = {
       region,
       city,       // City name (string)
       cityId,     // City ID (optional, preferred over city name)
-      imageUrls = []
+      imageUrls = [],
+      confirmNotDuplicate
     } = payload;
 
     // Convert issueId to number (form data sends as string)
@@ -165,6 +199,18 @@ module.exports = {
       resolvedCityId = cityRecord ? cityRecord.id : null;
     }
 
+    // Duplicate detection runs before any image upload so rejected submissions cost nothing
+    const possibleDuplicates = await findPossibleDuplicates({
+      cityId: resolvedCityId,
+      issueId: issueIdNum,
+      latitude: parseNumber(latitude),
+      longitude: parseNumber(longitude)
+    });
+    assertNotDuplicate(
+      possibleDuplicates,
+      confirmNotDuplicate === true || confirmNotDuplicate === "true"
+    );
+
     const providedImageUrls = Array.isArray(imageUrls)
       ? imageUrls
       : imageUrls
@@ -206,6 +252,10 @@ module.exports = {
     const allImageUrls = [...sanitizedProvidedUrls, ...uploadedImageUrls];
 
     return sequelize.transaction(async (transaction) => {
+      // SLA due dates are fixed at creation (city override, then category target)
+      const sla = await resolveSla(issueIdNum, resolvedCityId, { transaction });
+      const dueDates = computeDueDates(new Date(), sla);
+
       // Create the report initially without authority (will be assigned by the engine)
       const report = await UserIssue.create(
         {
@@ -217,7 +267,8 @@ module.exports = {
           latitude: latitude ? parseNumber(latitude) : null,
           longitude: longitude ? parseNumber(longitude) : null,
           region: region ? String(region).trim() : null,
-          city_id: resolvedCityId
+          city_id: resolvedCityId,
+          ...dueDates
         },
         { transaction }
       );
@@ -283,6 +334,7 @@ module.exports = {
 
       // Attach assignment metadata to the response
       finalReport.dataValues.assignmentResult = assignmentResult;
+      finalReport.dataValues.possibleDuplicates = possibleDuplicates;
 
       return finalReport;
     });
@@ -297,90 +349,32 @@ module.exports = {
    *   (for admin audit/diagnostic purposes only)
    * 
    * @param {Object} user - Current user
-   * @param {Object} filters - Query filters (status, issueId, region, myIssues)
+   * @param {Object} filters - Query filters (status, issueId, region, myIssues, endorsedByMe)
    * @param {Object} adminContext - { adminCityId, includeAllCities, includeDeleted }
    * @param {Object} pagination - { page, limit, offset, sortBy, sortOrder, entityType }
    * @returns {Promise<{data: Array, meta: Object}>}
    */
   async listReports(user, filters = {}, adminContext = null, pagination = {}) {
-    const whereClause = {};
-
-    const status = filters.status;
-    if (status) {
-      whereClause.status = status;
-    }
-
-    const issueIdFilter = parseNumber(filters.issueId);
-    if (issueIdFilter) {
-      whereClause.issue_id = issueIdFilter;
-    }
-
-    if (filters.region) {
-      whereClause.region = {
-        [Op.iLike]: `${filters.region}%`
-      };
-    }
-
-    // Server-side search - searches title, description, region, and city name
-    if (filters.search && filters.search.trim()) {
-      const searchTerm = `%${filters.search.trim()}%`;
-      whereClause[Op.or] = [
-        { title: { [Op.iLike]: searchTerm } },
-        { description: { [Op.iLike]: searchTerm } },
-        { region: { [Op.iLike]: searchTerm } },
-        // Search by city name using association syntax (safe from SQL injection)
-        { '$city.name$': { [Op.iLike]: searchTerm } }
-      ];
-    }
-
-    // Default paranoid options (only admins can override)
-    let paranoidOptions = {};
-
-    if (user.role === "citizen") {
-      // CRITICAL: Citizens MUST have a city_id
-      if (!user.city_id) {
-        throw toForbiddenError("Your account is not associated with a city. Please contact support.");
-      }
-      
-      // ALWAYS filter by user's city - citizens can only see issues in their city
-      whereClause.city_id = user.city_id;
-      
-      // ALWAYS exclude hidden reports for citizens
-      whereClause.is_hidden = false;
-      
-      // If user wants to see only their own issues, add reporter_id filter
-      if (filters.myIssues === "true" || filters.myIssues === true) {
-        whereClause.reporter_id = user.id;
-      }
-    } else if (user.role === "authority") {
-      const authorityUser = await AuthorityUser.findOne({
-        where: { user_id: user.id }
-      });
-      if (!authorityUser) {
-        throw toForbiddenError("Your account is not linked to an authority. Please contact an administrator.");
-      }
-      whereClause.authority_id = authorityUser.authority_id;
-    } else if (user.role === "admin") {
-      // Admin queries are city-scoped by default
-      if (adminContext) {
-        validateCityScope(adminContext);
-        const cityFilter = applyCityFilter({}, adminContext, 'city_id');
-        Object.assign(whereClause, cityFilter);
-        // Admin can request to see deleted records
-        paranoidOptions = buildParanoidOptions(adminContext);
-      }
-    } else {
-      throw toForbiddenError("You do not have permission to view issues with this role.");
-    }
+    const { whereClause, paranoidOptions, geo } = await buildReportListScope(user, filters, adminContext);
 
     // Build pagination options (defaults applied if not provided)
     const paginationOptions = buildQueryOptions({
       ...pagination,
       entityType: 'issues'
     });
+    // sortBy=endorsements orders by the endorsement count subquery
+    paginationOptions.order = resolveEndorsementOrder(paginationOptions.order);
+    // near= sorts closest-first by default; sortBy=distance requires near
+    paginationOptions.order = resolveDistanceOrder(paginationOptions.order, pagination, geo.near);
+
+    const extraAttributes = [endorsementCountAttribute()];
+    if (geo.near) {
+      extraAttributes.push(distanceAttribute(geo.near));
+    }
 
     const { rows, count } = await UserIssue.findAndCountAll({
       where: whereClause,
+      attributes: { include: extraAttributes },
       include: [...baseReportInclude, flagInclude],
       ...paginationOptions,
       ...paranoidOptions, // Apply paranoid options (only for admin with includeDeleted)
@@ -393,8 +387,51 @@ module.exports = {
     });
   },
 
+  /**
+   * List lightweight point features for the map view
+   *
+   * Applies the same filters and role scoping as listReports but skips the
+   * heavy includes. Results are capped at MAP_MAX_POINTS (newest first) and
+   * flagged as truncated so clients can ask the user to zoom in.
+   *
+   * @param {Object} user - Current user ({ id, role, city_id })
+   * @param {Object} filters - Request query (bbox and/or near required)
+   * @param {Object|null} adminContext - From resolveAdminContext (admins only)
+   * @returns {Promise<Object>} { type: 'FeatureCollection', features, truncated }
+   */
+  async listMapPoints(user, filters = {}, adminContext = null) {
+    const { whereClause, paranoidOptions, geo } = await buildReportListScope(user, filters, adminContext);
+
+    if (!geo.bbox && !geo.near) {
+      throw httpError("Please provide a bbox (or near) to load map points.", 400);
+    }
+
+    // $city.name$ in the search filter needs the city join
+    const include = filters.search && filters.search.trim()
+      ? [{ model: City, as: "city", attributes: [], required: false }]
+      : [];
+
+    const rows = await UserIssue.findAll({
+      where: whereClause,
+      attributes: ["id", "title", "status", "issue_id", "latitude", "longitude", "createdAt"],
+      include,
+      order: [["createdAt", "DESC"], ["id", "DESC"]],
+      limit: MAP_MAX_POINTS + 1,
+      ...paranoidOptions
+    });
+
+    const truncated = rows.length > MAP_MAX_POINTS;
+
+    return {
+      type: "FeatureCollection",
+      features: rows.slice(0, MAP_MAX_POINTS).map(toPointFeature),
+      truncated
+    };
+  },
+
   async getReportById(reportId, user) {
     const report = await UserIssue.findByPk(reportId, {
+      attributes: { include: [endorsementCountAttribute()] },
       include: [...baseReportInclude, flagInclude]
     });
 
@@ -402,24 +439,8 @@ module.exports = {
       throw toNotFoundError("Issue report not found.");
     }
 
-    if (user.role === "citizen") {
-      if (report.is_hidden && report.reporter_id !== user.id) {
-        throw toForbiddenError("This report is not available for viewing.");
-      }
-      return report;
-    } else if (user.role === "authority") {
-      const authorityUser = await AuthorityUser.findOne({
-        where: { user_id: user.id }
-      });
-      if (!authorityUser || authorityUser.authority_id !== report.authority_id) {
-        throw toForbiddenError("This report is not assigned to your authority.");
-      }
-      return report;
-    } else if (user.role === "admin") {
-      return report;
-    } else {
-      throw toForbiddenError("You do not have permission to view this report.");
-    }
+    await assertCanViewReport(report, user);
+    return report;
   },
 
   async updateStatus(reportId, { status, comment }, user) {
@@ -428,17 +449,31 @@ module.exports = {
       throw toNotFoundError("Issue report not found.");
     }
 
-    if (user.role === "authority") {
+    const permissions = await getUserPermissions(user);
+    if (!permissions.has(PERMISSIONS.REPORT_STATUS_UPDATE)) {
+      throw toForbiddenError("Only authority users or administrators can update issue status.");
+    }
+
+    // Without report.view.all, only reports assigned to the user's authority
+    if (!permissions.has(PERMISSIONS.REPORT_VIEW_ALL)) {
       const authorityUser = await AuthorityUser.findOne({
         where: { user_id: user.id }
       });
       if (!authorityUser || authorityUser.authority_id !== report.authority_id) {
         throw toForbiddenError("You can only update issues assigned to your authority.");
       }
-    } else if (user.role !== "admin") {
-      throw toForbiddenError("Only authority users or administrators can update issue status.");
+    } else {
+      await assertCanAccessCity(user, report.city_id, "This report is in a city you do not administer.");
     }
 
+    // Enforce the status workflow (throws 409/422 on illegal transitions)
+    assertTransitionAllowed({
+      fromStatus: report.status,
+      toStatus: status,
+      permissions,
+      comment
+    });
+
     return sequelize.transaction(async (transaction) => {
       const previousStatus = report.status;
 
@@ -455,6 +490,21 @@ module.exports = {
         { transaction }
       );
 
+      // Reporters of duplicates merged into this report follow its outcome
+      await propagateCanonicalStatus(
+        report,
+        { fromStatus: previousStatus, toStatus: status, comment },
+        user.id,
+        transaction
+      );
+
+      await notifyStatusChange(
+        report,
+        { fromStatus: previousStatus, toStatus: status, comment },
+        user.id,
+        transaction
+      );
+
       return UserIssue.findByPk(report.id, {
         include: [...baseReportInclude, flagInclude],
         transaction
@@ -462,6 +512,16 @@ module.exports = {
     });
   },
 
+  /**
+   * Get the report status workflow (transition graph)
+   * Used by clients to render only legal status actions
+   *
+   * @returns {Object} { statuses, initialStatus, transitions }
+   */
+  getStatusWorkflow() {
+    return getWorkflowDefinition();
+  },
+
   async flagReport(reportId, { flagId }, user) {
     const report = await UserIssue.findByPk(reportId);
     if (!report) {
@@ -554,13 +614,55 @@ module.exports = {
     });
   },
 
-  async toggleReportVisibility(reportId, isHidden) {
-    const report = await UserIssue.findByPk(reportId);
-    if (!report) {
-      throw toNotFoundError("Issue report not found.");
-    }
+  /**
+   * List clusters of likely duplicate open reports in a city (admin-only)
+   * Clusters are computed per request, so they are sorted and paged in memory.
+   *
+   * @param {Object} adminContext - { adminCityId, includeAllCities, includeDeleted }
+   * @param {Object} filters - { issueId, radiusMeters }
+   * @param {Object} pagination - { page, limit, offset, sortBy, sortOrder }
+   * @returns {Promise<{data: Array, meta: Object}>}
+   */
+  async listDuplicateClusters(adminContext = {}, filters = {}, pagination = {}) {
+    validateCityScope(adminContext);
+
+    const clusters = await findDuplicateClusters({
+      cityId: adminContext.adminCityId,
+      issueId: parseNumber(filters.issueId),
+      radiusMeters: parseNumber(filters.radiusMeters)
+    });
+
+    const { limit, offset, order } = buildQueryOptions({
+      limit: 20,
+      offset: 0,
+      ...pagination,
+      entityType: "duplicateClusters"
+    });
+    const [[sortBy, sortOrder]] = order;
+    const sortValue = (cluster) => (sortBy === "createdAt"
+      ? Math.max(...cluster.reports.map((report) => new Date(report.createdAt).getTime()))
+      : cluster.size);
+    const direction = sortOrder === "ASC" ? 1 : -1;
+    clusters.sort((a, b) => direction * (sortValue(a) - sortValue(b)));
+
+    return buildPaginatedResponse(clusters.slice(offset, offset + limit), clusters.length, {
+      page: pagination.page || 1,
+      limit: pagination.limit || 20
+    });
+  },
+
+  async toggleReportVisibility(reportId, isHidden, user) {
+    const report = await findVisibleReport(reportId, user);
+    const hidden = isHidden === true || isHidden === "true";
+    const changed = report.is_hidden !== hidden;
 
-    await report.update({ is_hidden: isHidden });
+    await sequelize.transaction(async (transaction) => {
+      await report.update({ is_hidden: hidden }, { transaction });
+
+      if (changed) {
+        await notifyVisibilityChange(report, hidden, user.id, transaction);
+      }
+    });
 
     return UserIssue.findByPk(report.id, {
       include: [...baseReportInclude, flagInclude]
@@ -572,14 +674,16 @@ module.exports = {
    * 
    * @param {number} reportId - Report ID
    * @param {number|null} targetAuthorityId - New authority ID (null to unassign)
-   * @param {number} adminUserId - Admin user performing the action
+   * @param {Object} adminUser - Admin user performing the action ({ id, role })
    * @returns {Promise<{report: UserIssue, assignmentResult: Object}>}
    */
-  async reassignReportAuthority(reportId, targetAuthorityId, adminUserId) {
+  async reassignReportAuthority(reportId, targetAuthorityId, adminUser) {
+    await findVisibleReport(reportId, adminUser);
+
     const assignmentResult = await reassignAuthority({
       reportId,
       targetAuthorityId,
-      adminUserId
+      adminUserId: adminUser.id
     });
 
     const report = await UserIssue.findByPk(reportId, {
@@ -594,13 +698,15 @@ module.exports = {
    * Useful after authority configuration changes
    * 
    * @param {number} reportId - Report ID
-   * @param {number} adminUserId - Admin user triggering retry
+   * @param {Object} adminUser - Admin user triggering retry ({ id, role })
    * @returns {Promise<{report: UserIssue, assignmentResult: Object}>}
    */
-  async retryReportAssignment(reportId, adminUserId) {
+  async retryReportAssignment(reportId, adminUser) {
+    await findVisibleReport(reportId, adminUser);
+
     const assignmentResult = await retryAssignment({
       reportId,
-      adminUserId
+      adminUserId: adminUser.id
     });
 
     const report = await UserIssue.findByPk(reportId, {
@@ -614,13 +720,11 @@ module.exports = {
    * Get assignment history for a report
    * 
    * @param {number} reportId - Report ID
+   * @param {Object} user - Current user (must be able to view the report)
    * @returns {Promise<Array>} Assignment log entries
    */
-  async getReportAssignmentHistory(reportId) {
-    const report = await UserIssue.findByPk(reportId);
-    if (!report) {
-      throw toNotFoundError("Issue report not found.");
-    }
+  async getReportAssignmentHistory(reportId, user) {
+    await findVisibleReport(reportId, user);
 
     return getAssignmentHistory(reportId);
   },
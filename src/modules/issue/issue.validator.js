@@ -1,4 +1,4 @@
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 const STATUS_VALUES = ["reported", "in_progress", "resolved", "rejected"];
 
@@ -34,7 +34,28 @@ exports.createReportValidator = [
   body("imageUrls.*")
     .optional({ values: "falsy" })
     .isURL()
-    .withMessage("Each image URL must be valid")
+    .withMessage("Each image URL must be valid"),
+  body("confirmNotDuplicate")
+    .optional({ values: "falsy" })
+    .isBoolean()
+    .withMessage("confirmNotDuplicate must be a boolean value")
+];
+
+exports.duplicateClustersValidator = [
+  query("issueId")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .withMessage("issueId must be numeric"),
+  query("radiusMeters")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 1, max: 5000 })
+    .withMessage("radiusMeters must be between 1 and 5000")
+];
+
+exports.exportReportsValidator = [
+  query("format")
+    .isIn(["geojson", "csv"])
+    .withMessage("format must be one of geojson, csv")
 ];
 
 exports.updateStatusValidator = [
@@ -48,6 +69,29 @@ exports.updateStatusValidator = [
     .withMessage("Comment can be up to 1000 characters")
 ];
 
+exports.mergeReportsValidator = [
+  param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric"),
+  body("duplicateIds")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("duplicateIds must list between 1 and 50 report IDs"),
+  body("duplicateIds.*")
+    .isInt({ min: 1 })
+    .withMessage("Each duplicate report ID must be numeric")
+    .toInt(),
+  body("comment")
+    .optional({ values: "falsy" })
+    .isLength({ max: 1000 })
+    .withMessage("Comment can be up to 1000 characters")
+];
+
+exports.unmergeReportValidator = [
+  param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric"),
+  body("comment")
+    .optional({ values: "falsy" })
+    .isLength({ max: 1000 })
+    .withMessage("Comment can be up to 1000 characters")
+];
+
 exports.flagReportValidator = [
   param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric"),
   body("flagId")
@@ -66,3 +110,35 @@ exports.reportIdParamValidator = [
   param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric")
 ];
 
+exports.commentIdParamValidator = [
+  param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric"),
+  param("commentId").isInt({ min: 1 }).withMessage("commentId must be numeric")
+];
+
+exports.commentBodyValidator = [
+  body("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment cannot be empty")
+    .isLength({ max: 2000 })
+    .withMessage("Comment can be up to 2000 characters")
+    .escape()
+];
+
+exports.noteBodyValidator = [
+  body("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Note cannot be empty")
+    .isLength({ max: 5000 })
+    .withMessage("Note can be up to 5000 characters")
+    .escape()
+];
+
+exports.commentVisibilityValidator = [
+  param("reportId").isInt({ min: 1 }).withMessage("reportId must be numeric"),
+  param("commentId").isInt({ min: 1 }).withMessage("commentId must be numeric"),
+  body("isHidden")
+    .isBoolean()
+    .withMessage("isHidden must be a boolean value")
+];
@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * Report Merge Service
+ *
+ * Folds duplicate reports into one canonical report so authorities work a
+ * single ticket while every original reporter keeps following the outcome.
+ *
+ * RULES:
+ * - report.merge is required, limited to reports the user can view
+ *   (authority users: assigned to their authority; admins: any)
+ * - report.unmerge is required to reverse a merge
+ * - All reports must be in the same city; a report cannot be merged into itself
+ * - Merged reports move to the terminal "merged" status and point at the
+ *   canonical report through merged_into_id
+ * - Images, flags and endorsements move to the canonical report; a flag or
+ *   endorsement the same user already has on the canonical report stays behind
+ *   (the unique indexes allow one per user per report)
+ * - Every merge/unmerge is written to the Log table on both reports, with the
+ *   moved row IDs as structured JSON so an admin can reverse it exactly
+ * - Status changes on a canonical report are mirrored as Log entries on every
+ *   report merged into it, so their reporters see the outcome on their own report
+ */
+
+const { Op } = require('sequelize');
+const {
+  UserIssue,
+  IssueImage,
+  UserIssueFlag,
+  ReportEndorsement,
+  Log,
+  sequelize
+} = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { findVisibleReport } = require('./reportAccess.service.js');
+const { REPORT_STATUSES } = require('./statusWorkflow.service.js');
+const { assertCan, PERMISSIONS } = require('../auth/permission.service.js');
+
+/**
+ * Log types for merge operations
+ * Stored as structured JSON in the Log comment field (like assignment logs)
+ */
+const LOG_TYPES = {
+  MERGE: 'merge',
+  UNMERGE: 'unmerge',
+  CANONICAL_STATUS: 'canonical_status'
+};
+
+/**
+ * Upper bound on duplicates folded in one request
+ */
+const MAX_MERGE_BATCH = 50;
+
+const toIdSet = (rows, key) => new Set(rows.map((row) => String(row[key])));
+
+/**
+ * Move a duplicate's images, flags and endorsements to the canonical report
+ *
+ * @param {UserIssue} duplicate - Report being merged
+ * @param {UserIssue} canonical - Canonical report
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { imageIds, flagIds, endorsementIds } that were moved
+ */
+async function moveReportContent(duplicate, canonical, transaction) {
+  const images = await IssueImage.findAll({
+    where: { report_id: duplicate.id },
+    attributes: ['id'],
+    transaction
+  });
+  const imageIds = images.map((image) => image.id);
+
+  // One flag per user per report - keep the canonical report's existing rows
+  const canonicalFlaggers = toIdSet(
+    await UserIssueFlag.findAll({
+      where: { report_id: canonical.id },
+      attributes: ['user_id'],
+      paranoid: false,
+      transaction
+    }),
+    'user_id'
+  );
+  const flags = await UserIssueFlag.findAll({
+    where: { report_id: duplicate.id },
+    attributes: ['id', 'user_id'],
+    transaction
+  });
+  const flagIds = flags
+    .filter((flag) => !canonicalFlaggers.has(String(flag.user_id)))
+    .map((flag) => flag.id);
+
+  // Soft-deleted endorsements still occupy the unique (report_id, user_id) slot
+  const canonicalEndorsers = toIdSet(
+    await ReportEndorsement.findAll({
+      where: { report_id: canonical.id },
+      attributes: ['user_id'],
+      paranoid: false,
+      transaction
+    }),
+    'user_id'
+  );
+  const endorsements = await ReportEndorsement.findAll({
+    where: { report_id: duplicate.id },
+    attributes: ['id', 'user_id'],
+    transaction
+  });
+  const endorsementIds = endorsements
+    .filter((endorsement) => !canonicalEndorsers.has(String(endorsement.user_id)))
+    .map((endorsement) => endorsement.id);
+
+  await moveRows({ imageIds, flagIds, endorsementIds }, canonical.id, transaction);
+
+  return { imageIds, flagIds, endorsementIds };
+}
+
+/**
+ * Re-point rows to a report
+ *
+ * @param {Object} ids - { imageIds, flagIds, endorsementIds }
+ * @param {number} reportId - Target report ID
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function moveRows({ imageIds = [], flagIds = [], endorsementIds = [] }, reportId, transaction) {
+  // paranoid: false - rows soft-deleted after a merge still belong to the report they came from
+  if (imageIds.length) {
+    await IssueImage.update(
+      { report_id: reportId },
+      { where: { id: imageIds }, paranoid: false, transaction }
+    );
+  }
+  if (flagIds.length) {
+    await UserIssueFlag.update(
+      { report_id: reportId },
+      { where: { id: flagIds }, paranoid: false, transaction }
+    );
+  }
+  if (endorsementIds.length) {
+    await ReportEndorsement.update(
+      { report_id: reportId },
+      { where: { id: endorsementIds }, paranoid: false, transaction }
+    );
+  }
+}
+
+/**
+ * Parse the structured JSON stored in a merge log comment
+ *
+ * @param {Log} log
+ * @returns {Object|null}
+ */
+function parseLogData(log) {
+  try {
+    return JSON.parse(log.comment);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Merge duplicate reports into a canonical report
+ *
+ * @param {number} canonicalId - Canonical report ID
+ * @param {Object} payload
+ * @param {Array<number>} payload.duplicateIds - Reports to fold into the canonical report
+ * @param {string} [payload.comment] - Reason for the merge
+ * @param {Object} user - Current user ({ id, role })
+ * @returns {Promise<UserIssue>} Canonical report with its merged reports
+ */
+async function mergeReports(canonicalId, { duplicateIds, comment }, user) {
+  await assertCan(user, PERMISSIONS.REPORT_MERGE, 'Only authority users or administrators can merge reports.');
+
+  const ids = [...new Set((duplicateIds || []).map(String))];
+  if (!ids.length) {
+    throw httpError('Select at least one report to merge.', 422);
+  }
+  if (ids.length > MAX_MERGE_BATCH) {
+    throw httpError(`You can merge at most ${MAX_MERGE_BATCH} reports at once.`, 422);
+  }
+  if (ids.includes(String(canonicalId))) {
+    throw httpError('A report cannot be merged into itself.', 422);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const lockOptions = { transaction, lock: transaction.LOCK.UPDATE };
+
+    const canonical = await findVisibleReport(canonicalId, user, lockOptions);
+    if (canonical.status === REPORT_STATUSES.MERGED) {
+      throw httpError(
+        `This report was itself merged into report #${canonical.merged_into_id}. Merge into that report instead.`,
+        409
+      );
+    }
+
+    const duplicates = [];
+    for (const id of ids) {
+      const duplicate = await findVisibleReport(id, user, lockOptions);
+      if (duplicate.status === REPORT_STATUSES.MERGED) {
+        throw httpError(`Report #${duplicate.id} has already been merged.`, 409);
+      }
+      if (String(duplicate.city_id) !== String(canonical.city_id)) {
+        throw httpError('Only reports in the same city can be merged.', 422);
+      }
+      duplicates.push(duplicate);
+    }
+
+    for (const duplicate of duplicates) {
+      const moved = await moveReportContent(duplicate, canonical, transaction);
+      const previousStatus = duplicate.status;
+
+      await duplicate.update({
+        status: REPORT_STATUSES.MERGED,
+        merged_into_id: canonical.id
+      }, { transaction });
+
+      await Log.create({
+        issue_id: duplicate.id,
+        updated_by: user.id,
+        from_status: previousStatus,
+        to_status: REPORT_STATUSES.MERGED,
+        comment: JSON.stringify({
+          type: LOG_TYPES.MERGE,
+          canonicalReportId: canonical.id,
+          previousStatus,
+          moved,
+          comment: comment || null,
+          timestamp: new Date().toISOString()
+        })
+      }, { transaction });
+    }
+
+    await Log.create({
+      issue_id: canonical.id,
+      updated_by: user.id,
+      from_status: null,
+      to_status: null,
+      comment: JSON.stringify({
+        type: LOG_TYPES.MERGE,
+        mergedReportIds: duplicates.map((duplicate) => duplicate.id),
+        comment: comment || null,
+        timestamp: new Date().toISOString()
+      })
+    }, { transaction });
+  });
+
+  return getMergedReport(canonicalId);
+}
+
+/**
+ * Reverse a merge - admin only
+ *
+ * Moves the rows recorded in the latest merge log back to the report and
+ * restores its previous status.
+ *
+ * @param {number} reportId - The merged (non-canonical) report ID
+ * @param {Object} payload
+ * @param {string} [payload.comment] - Reason for reversing
+ * @param {Object} adminUser - Current admin user ({ id, role })
+ * @returns {Promise<UserIssue>} The restored report
+ */
+async function unmergeReport(reportId, { comment } = {}, adminUser) {
+  await assertCan(adminUser, PERMISSIONS.REPORT_UNMERGE, 'Only administrators can reverse a merge.');
+
+  await sequelize.transaction(async (transaction) => {
+    const report = await findVisibleReport(reportId, adminUser, { transaction, lock: transaction.LOCK.UPDATE });
+    if (report.status !== REPORT_STATUSES.MERGED) {
+      throw httpError('This report has not been merged.', 409);
+    }
+
+    const mergeLog = await Log.findOne({
+      where: {
+        issue_id: report.id,
+        to_status: REPORT_STATUSES.MERGED,
+        comment: { [Op.like]: `%"type":"${LOG_TYPES.MERGE}"%` }
+      },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      transaction
+    });
+    const mergeData = mergeLog ? parseLogData(mergeLog) : null;
+    if (!mergeData) {
+      throw httpError('No merge record was found for this report, so it cannot be reversed.', 409);
+    }
+
+    const canonicalId = report.merged_into_id;
+    const restoredStatus = mergeData.previousStatus || REPORT_STATUSES.REPORTED;
+
+    await moveRows(mergeData.moved || {}, report.id, transaction);
+
+    await report.update({
+      status: restoredStatus,
+      merged_into_id: null
+    }, { transaction });
+
+    await Log.create({
+      issue_id: report.id,
+      updated_by: adminUser.id,
+      from_status: REPORT_STATUSES.MERGED,
+      to_status: restoredStatus,
+      comment: JSON.stringify({
+        type: LOG_TYPES.UNMERGE,
+        canonicalReportId: canonicalId,
+        restored: mergeData.moved || {},
+        comment: comment || null,
+        timestamp: new Date().toISOString()
+      })
+    }, { transaction });
+
+    if (canonicalId) {
+      await Log.create({
+        issue_id: canonicalId,
+        updated_by: adminUser.id,
+        from_status: null,
+        to_status: null,
+        comment: JSON.stringify({
+          type: LOG_TYPES.UNMERGE,
+          unmergedReportId: report.id,
+          comment: comment || null,
+          timestamp: new Date().toISOString()
+        })
+      }, { transaction });
+    }
+  });
+
+  return UserIssue.findByPk(reportId);
+}
+
+/**
+ * Mirror a canonical report's status change onto its merged reports
+ * Called inside the status update transaction
+ *
+ * @param {UserIssue} canonical - Canonical report (after the update)
+ * @param {Object} change
+ * @param {string} change.fromStatus - Previous status
+ * @param {string} change.toStatus - New status
+ * @param {string} [change.comment] - Comment supplied with the change
+ * @param {number} userId - User who changed the status
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Number of merged reports notified
+ */
+async function propagateCanonicalStatus(canonical, { fromStatus, toStatus, comment }, userId, transaction) {
+  const mergedReports = await UserIssue.findAll({
+    where: { merged_into_id: canonical.id },
+    attributes: ['id'],
+    transaction
+  });
+
+  if (!mergedReports.length) {
+    return 0;
+  }
+
+  const data = JSON.stringify({
+    type: LOG_TYPES.CANONICAL_STATUS,
+    canonicalReportId: canonical.id,
+    fromStatus,
+    toStatus,
+    comment: comment || null,
+    timestamp: new Date().toISOString()
+  });
+
+  await Log.bulkCreate(mergedReports.map((report) => ({
+    issue_id: report.id,
+    updated_by: userId,
+    from_status: `canonical:${fromStatus}`,
+    to_status: `canonical:${toStatus}`,
+    comment: data
+  })), { transaction });
+
+  return mergedReports.length;
+}
+
+/**
+ * Load a canonical report with the reports merged into it
+ *
+ * @param {number} canonicalId - Canonical report ID
+ * @returns {Promise<UserIssue>}
+ */
+async function getMergedReport(canonicalId) {
+  return UserIssue.findByPk(canonicalId, {
+    include: [
+      {
+        model: UserIssue,
+        as: 'mergedReports',
+        attributes: ['id', 'title', 'reporter_id', 'createdAt'],
+        required: false
+      },
+      {
+        model: IssueImage,
+        as: 'images',
+        attributes: ['id', 'url'],
+        required: false
+      }
+    ]
+  });
+}
+
+module.exports = {
+  // Constants
+  LOG_TYPES,
+  MAX_MERGE_BATCH,
+
+  // Operations
+  mergeReports,
+  unmergeReport,
+
+  // Hooks for other services
+  propagateCanonicalStatus,
+  getMergedReport
+};
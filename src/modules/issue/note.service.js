@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Internal Report Note Service
+ *
+ * Work notes on a report (crew dispatched, contractor quote, ...) for
+ * authority staff and admins. Notes are NEVER exposed to citizens and are
+ * not part of baseReportInclude.
+ *
+ * ACCESS (report.note.manage, plus the report view rules):
+ * - Authority users linked (via AuthorityUser) to the report's CURRENT authority
+ * - Admins
+ *
+ * Notes belong to the report, not the authority: after reassignment the new
+ * authority sees every earlier note. Each note records the authority the
+ * report was assigned to when it was written, for context.
+ */
+
+const { ReportNote, User, Authority } = require('../../models');
+const {
+  buildQueryOptions,
+  buildPaginatedResponse
+} = require('../../shared/utils/pagination.js');
+const { findVisibleReport } = require('./reportAccess.service.js');
+const { assertCan, PERMISSIONS } = require('../auth/permission.service.js');
+
+/**
+ * Includes for note queries
+ * required: false keeps notes whose author/authority was soft-deleted
+ */
+const noteInclude = [
+  {
+    model: User,
+    as: 'author',
+    attributes: ['id', 'name'],
+    required: false
+  },
+  {
+    model: Authority,
+    as: 'authority',
+    attributes: ['id', 'name'],
+    required: false
+  }
+];
+
+/**
+ * Load a report for note access
+ *
+ * @param {number} reportId - Report ID
+ * @param {Object} user - Current user
+ * @returns {Promise<UserIssue>}
+ * @throws {HttpError} 403 without report.note.manage or for authorities not assigned to the report
+ */
+async function findNoteableReport(reportId, user) {
+  await assertCan(
+    user,
+    PERMISSIONS.REPORT_NOTE_MANAGE,
+    'Internal notes are only available to authority users and administrators.'
+  );
+
+  return findVisibleReport(reportId, user);
+}
+
+module.exports = {
+  /**
+   * List internal notes on a report with mandatory pagination
+   *
+   * @param {number} reportId - Report ID
+   * @param {Object} user - Current user
+   * @param {Object} pagination - { page, limit, offset, sortBy, sortOrder, entityType }
+   * @returns {Promise<{data: Array, meta: Object}>}
+   */
+  async listNotes(reportId, user, pagination = {}) {
+    await findNoteableReport(reportId, user);
+
+    const paginationOptions = buildQueryOptions({
+      ...pagination,
+      entityType: 'reportNotes'
+    });
+
+    const { rows, count } = await ReportNote.findAndCountAll({
+      where: { report_id: reportId },
+      include: noteInclude,
+      ...paginationOptions,
+      distinct: true
+    });
+
+    return buildPaginatedResponse(rows, count, {
+      page: pagination.page || 1,
+      limit: pagination.limit || 20
+    });
+  },
+
+  async createNote(reportId, { body }, user) {
+    const report = await findNoteableReport(reportId, user);
+
+    const note = await ReportNote.create({
+      report_id: report.id,
+      user_id: user.id,
+      authority_id: report.authority_id,
+      body
+    });
+
+    return ReportNote.findByPk(note.id, {
+      include: noteInclude
+    });
+  }
+};
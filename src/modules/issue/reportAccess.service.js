@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Report Access Rules
+ *
+ * Single place for "who may see / act on this report" checks so that
+ * features hanging off a report (comments, notes, ...) apply exactly the
+ * same visibility rules as getReportById.
+ *
+ * RULES (by view scope, see permission.service.js):
+ * - city: any non-hidden report, and their own hidden reports
+ * - assigned: only reports assigned to their authority
+ *   (resolved through AuthorityUser)
+ * - all: every report in the cities they administer (every city with city.all)
+ */
+
+const { AuthorityUser, UserIssue } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { getReportViewScope } = require('../auth/permission.service.js');
+const { assertCanAccessCity } = require('../auth/cityAccess.service.js');
+
+/**
+ * Resolve the authority an authority user is linked to
+ *
+ * @param {Object} user - Current user ({ id, role })
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @returns {Promise<number|null>} Authority ID or null if not linked
+ */
+async function getLinkedAuthorityId(user, options = {}) {
+  const authorityUser = await AuthorityUser.findOne({
+    where: { user_id: user.id },
+    ...options
+  });
+  return authorityUser ? authorityUser.authority_id : null;
+}
+
+/**
+ * Assert that a user may view a report
+ *
+ * @param {UserIssue} report - The report instance
+ * @param {Object} user - Current user ({ id, role })
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @throws {HttpError} 403 if the report is not visible to the user
+ */
+async function assertCanViewReport(report, user, options = {}) {
+  const viewScope = await getReportViewScope(user);
+
+  if (viewScope === 'city') {
+    if (report.is_hidden && String(report.reporter_id) !== String(user.id)) {
+      throw httpError('This report is not available for viewing.', 403);
+    }
+    return;
+  }
+
+  if (viewScope === 'assigned') {
+    const authorityId = await getLinkedAuthorityId(user, options);
+    if (!authorityId || String(authorityId) !== String(report.authority_id)) {
+      throw httpError('This report is not assigned to your authority.', 403);
+    }
+    return;
+  }
+
+  if (viewScope === 'all') {
+    await assertCanAccessCity(user, report.city_id, 'This report is in a city you do not administer.');
+    return;
+  }
+
+  throw httpError('You do not have permission to view this report.', 403);
+}
+
+/**
+ * Load a report and assert the user may view it
+ *
+ * @param {number} reportId - Report ID
+ * @param {Object} user - Current user ({ id, role })
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @returns {Promise<UserIssue>} The report instance (no includes)
+ * @throws {HttpError} 404 if the report does not exist, 403 if not visible
+ */
+async function findVisibleReport(reportId, user, options = {}) {
+  const report = await UserIssue.findByPk(reportId, options);
+  if (!report) {
+    throw httpError('Issue report not found.', 404);
+  }
+
+  await assertCanViewReport(report, user, options);
+  return report;
+}
+
+module.exports = {
+  getLinkedAuthorityId,
+  assertCanViewReport,
+  findVisibleReport
+};
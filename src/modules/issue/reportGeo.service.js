@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Report Geo Query Helpers
+ *
+ * Turns the map-related query parameters of the report list into
+ * Sequelize conditions, attributes and ordering.
+ *
+ * QUERY PARAMETERS:
+ * - near=lat,lng&radiusMeters=  reports within radiusMeters of a point
+ * - bbox=minLng,minLat,maxLng,maxLat  reports inside a viewport
+ *
+ * Filtering and distance sorting run in SQL so pagination stays correct:
+ * an index-friendly BETWEEN pre-filter narrows rows, then the haversine
+ * expression from geo.js gives the exact distance.
+ * Reports without coordinates never match a geo filter.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const {
+  parseLatLng,
+  parseBoundingBox,
+  boundingBoxForRadius,
+  haversineDistanceSql
+} = require('../../shared/utils/geo.js');
+
+/**
+ * Sort field exposed through ALLOWED_SORT_FIELDS.issues
+ */
+const DISTANCE_SORT_FIELD = 'distance';
+
+/**
+ * Radius limits for near= queries
+ */
+const RADIUS_DEFAULTS = {
+  radiusMeters: 1000,
+  maxRadiusMeters: 50000
+};
+
+const LATITUDE_COLUMN = '"UserIssue"."latitude"';
+const LONGITUDE_COLUMN = '"UserIssue"."longitude"';
+
+/**
+ * Parse and validate geo query parameters
+ *
+ * @param {Object} filters - Request query
+ * @returns {Object} { near, radiusMeters, bbox } - near/bbox are null when absent
+ * @throws {HttpError} 400 on malformed values
+ */
+function parseGeoFilters(filters = {}) {
+  let near = null;
+  let radiusMeters = null;
+  let bbox = null;
+
+  if (filters.near !== undefined && filters.near !== '') {
+    near = parseLatLng(filters.near);
+    if (!near) {
+      throw httpError('near must be "latitude,longitude" with valid coordinates.', 400);
+    }
+
+    radiusMeters = RADIUS_DEFAULTS.radiusMeters;
+    if (filters.radiusMeters !== undefined && filters.radiusMeters !== '') {
+      radiusMeters = Number(filters.radiusMeters);
+      if (!Number.isFinite(radiusMeters) || radiusMeters <= 0 || radiusMeters > RADIUS_DEFAULTS.maxRadiusMeters) {
+        throw httpError(`radiusMeters must be between 1 and ${RADIUS_DEFAULTS.maxRadiusMeters}.`, 400);
+      }
+    }
+  } else if (filters.radiusMeters !== undefined && filters.radiusMeters !== '') {
+    throw httpError('radiusMeters can only be used together with near.', 400);
+  }
+
+  if (filters.bbox !== undefined && filters.bbox !== '') {
+    bbox = parseBoundingBox(filters.bbox);
+    if (!bbox) {
+      throw httpError('bbox must be "minLng,minLat,maxLng,maxLat" with valid coordinates.', 400);
+    }
+  }
+
+  return { near, radiusMeters, bbox };
+}
+
+/**
+ * Longitude condition for a box, handling boxes that cross the antimeridian
+ *
+ * @param {number} minLng
+ * @param {number} maxLng
+ * @returns {Object} Sequelize condition for the longitude column
+ */
+function longitudeRange(minLng, maxLng) {
+  if (minLng <= maxLng) {
+    return { [Op.between]: [minLng, maxLng] };
+  }
+  return { [Op.or]: [{ [Op.gte]: minLng }, { [Op.lte]: maxLng }] };
+}
+
+/**
+ * Build the where conditions for parsed geo filters
+ *
+ * @param {Object} geo - From parseGeoFilters
+ * @returns {Array} Conditions to AND into the report where clause (empty if no geo filter)
+ */
+function buildGeoConditions({ near, radiusMeters, bbox }) {
+  const conditions = [];
+
+  if (bbox) {
+    conditions.push({
+      latitude: { [Op.between]: [bbox.minLat, bbox.maxLat] },
+      longitude: longitudeRange(bbox.minLng, bbox.maxLng)
+    });
+  }
+
+  if (near) {
+    const box = boundingBoxForRadius(near.latitude, near.longitude, radiusMeters);
+    conditions.push({
+      latitude: { [Op.between]: [box.minLat, box.maxLat] },
+      longitude: { [Op.between]: [box.minLng, box.maxLng] }
+    });
+    conditions.push(
+      sequelize.where(
+        sequelize.literal(haversineDistanceSql(LATITUDE_COLUMN, LONGITUDE_COLUMN, near)),
+        { [Op.lte]: radiusMeters }
+      )
+    );
+  }
+
+  return conditions;
+}
+
+/**
+ * Attribute that adds distance_meters (rounded) to report queries
+ *
+ * @param {Object} near - { latitude, longitude }
+ * @returns {Array} Sequelize attribute tuple
+ */
+function distanceAttribute(near) {
+  return [
+    sequelize.literal(`ROUND(CAST(${haversineDistanceSql(LATITUDE_COLUMN, LONGITUDE_COLUMN, near)} AS NUMERIC))::INTEGER`),
+    'distance_meters'
+  ];
+}
+
+/**
+ * Resolve ordering for geo queries
+ *
+ * - sortBy=distance requires near
+ * - With near and no explicit sortBy, results are closest-first
+ *
+ * @param {Array} order - Sequelize order array from buildQueryOptions
+ * @param {Object} pagination - Pagination context ({ sortBy })
+ * @param {Object|null} near - Parsed near point
+ * @returns {Array} Order array safe to pass to Sequelize
+ * @throws {HttpError} 400 when sorting by distance without near
+ */
+function resolveDistanceOrder(order, pagination, near) {
+  const wantsDistance = pagination.sortBy === DISTANCE_SORT_FIELD;
+
+  if (wantsDistance && !near) {
+    throw httpError('sortBy=distance requires near=latitude,longitude.', 400);
+  }
+  if (!near) {
+    return order;
+  }
+
+  const distanceLiteral = sequelize.literal(haversineDistanceSql(LATITUDE_COLUMN, LONGITUDE_COLUMN, near));
+  if (!pagination.sortBy) {
+    return [[distanceLiteral, 'ASC']];
+  }
+
+  return order.map(([field, direction]) => (
+    field === DISTANCE_SORT_FIELD ? [distanceLiteral, direction] : [field, direction]
+  ));
+}
+
+/**
+ * Shape a report as a GeoJSON point feature
+ *
+ * @param {UserIssue} report
+ * @returns {Object} GeoJSON Feature
+ */
+function toPointFeature(report) {
+  return {
+    type: 'Feature',
+    id: report.id,
+    geometry: {
+      type: 'Point',
+      coordinates: [report.longitude, report.latitude]
+    },
+    properties: {
+      id: report.id,
+      title: report.title,
+      status: report.status,
+      issueId: report.issue_id,
+      createdAt: report.createdAt
+    }
+  };
+}
+
+module.exports = {
+  // Constants
+  DISTANCE_SORT_FIELD,
+  RADIUS_DEFAULTS,
+
+  // Parsing
+  parseGeoFilters,
+
+  // Query helpers
+  buildGeoConditions,
+  distanceAttribute,
+  resolveDistanceOrder,
+
+  // Response shaping
+  toPointFeature
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Report List Scoping
+ *
+ * Translates list filters (status, category, region, search, endorsedByMe,
+ * breached, geo) and the caller's view scope into a single where clause, so the paginated
+ * list, the map view and exports can never disagree on what a user may see.
+ */
+
+const { Op } = require("sequelize");
+const { AuthorityUser } = require("../../models");
+const httpError = require("../../shared/utils/httpError.js");
+const { validateCityScope, applyCityFilter, buildParanoidOptions } = require("../../shared/utils/cityScope.js");
+const { endorsedByUserCondition } = require("./endorsement.service.js");
+const { parseGeoFilters, buildGeoConditions } = require("./reportGeo.service.js");
+const { breachedCondition } = require("./sla.service.js");
+const { getReportViewScope } = require("../auth/permission.service.js");
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Build the where clause and paranoid options for report lists
+ * Shared by listReports, listMapPoints and exportReports.
+ *
+ * VIEW SCOPE (see permission.service.js getReportViewScope):
+ * - city (report.view.city): own city only, never hidden reports (city_id is mandatory);
+ *   myIssues=true lists their own reports in any city, so reports filed before a
+ *   city change (PATCH /api/auth/me) stay reachable
+ * - assigned (report.view.assigned): reports assigned to their authority
+ * - all (report.view.all): city-scoped through resolveAdminContext, limited to the admin's cities (may include deleted)
+ *
+ * @param {Object} user - Current user ({ id, role, city_id })
+ * @param {Object} filters - Request query
+ * @param {Object|null} adminContext - From resolveAdminContext (report.view.all only)
+ * @returns {Promise<Object>} { whereClause, paranoidOptions, geo }
+ */
+async function buildReportListScope(user, filters, adminContext) {
+  const whereClause = {};
+
+  const status = filters.status;
+  if (status) {
+    whereClause.status = status;
+  }
+
+  const issueIdFilter = parseNumber(filters.issueId);
+  if (issueIdFilter) {
+    whereClause.issue_id = issueIdFilter;
+  }
+
+  if (filters.region) {
+    whereClause.region = {
+      [Op.iLike]: `${filters.region}%`
+    };
+  }
+
+  // Server-side search - searches title, description, region, and city name
+  if (filters.search && filters.search.trim()) {
+    const searchTerm = `%${filters.search.trim()}%`;
+    whereClause[Op.or] = [
+      { title: { [Op.iLike]: searchTerm } },
+      { description: { [Op.iLike]: searchTerm } },
+      { region: { [Op.iLike]: searchTerm } },
+      // Search by city name using association syntax (safe from SQL injection)
+      { '$city.name$': { [Op.iLike]: searchTerm } }
+    ];
+  }
+
+  // Only reports the current user has endorsed
+  if (filters.endorsedByMe === "true" || filters.endorsedByMe === true) {
+    whereClause.id = endorsedByUserCondition(user.id);
+  }
+
+  // Default paranoid options (only admins can override)
+  let paranoidOptions = {};
+
+  const viewScope = await getReportViewScope(user);
+
+  if (viewScope === "city") {
+    // ALWAYS exclude hidden reports for citizens
+    whereClause.is_hidden = false;
+
+    if (filters.myIssues === "true" || filters.myIssues === true) {
+      // Own reports keep the city they were filed in, so after a city change
+      // reports from the previous city are still listed here
+      whereClause.reporter_id = user.id;
+    } else {
+      // CRITICAL: Citizens MUST have a city_id
+      if (!user.city_id) {
+        throw httpError("Your account is not associated with a city. Please contact support.", 403);
+      }
+
+      // ALWAYS filter by user's city - citizens can only see issues in their city
+      whereClause.city_id = user.city_id;
+    }
+  } else if (viewScope === "assigned") {
+    const authorityUser = await AuthorityUser.findOne({
+      where: { user_id: user.id }
+    });
+    if (!authorityUser) {
+      throw httpError("Your account is not linked to an authority. Please contact an administrator.", 403);
+    }
+    whereClause.authority_id = authorityUser.authority_id;
+  } else if (viewScope === "all") {
+    // Admin queries are city-scoped by default
+    if (adminContext) {
+      validateCityScope(adminContext);
+      const cityFilter = applyCityFilter({}, adminContext, 'city_id');
+      Object.assign(whereClause, cityFilter);
+      // Admin can request to see deleted records
+      paranoidOptions = buildParanoidOptions(adminContext);
+    }
+  } else {
+    throw httpError("You do not have permission to view issues with this role.", 403);
+  }
+
+  const conditions = [];
+
+  // Reports past their ack or resolution due date (breached=true|false)
+  if (filters.breached !== undefined && filters.breached !== "") {
+    const breached = String(filters.breached);
+    if (breached !== "true" && breached !== "false") {
+      throw httpError("breached must be true or false.", 400);
+    }
+    conditions.push(breachedCondition(breached === "true"));
+  }
+
+  // Geo filters (near/radiusMeters, bbox) - throws 400 on malformed values
+  const geo = parseGeoFilters(filters);
+  conditions.push(...buildGeoConditions(geo));
+  if (conditions.length) {
+    whereClause[Op.and] = conditions;
+  }
+
+  return { whereClause, paranoidOptions, geo };
+}
+
+module.exports = {
+  buildReportListScope
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Report Notification Service
+ *
+ * Turns report events into in-app notifications (see
+ * notification/notification.service.js) and, for status and assignment
+ * events, queued emails (see notification/emailOutbox.service.js). Called by
+ * the services that make the change, inside their transaction.
+ *
+ * RECIPIENTS:
+ * - Status changes: the reporter, and reporters of duplicates merged into
+ *   the report (they follow its outcome)
+ * - Assignment outcomes: the reporter when the assigned authority changes,
+ *   or when a new report could not be assigned; staff of the authority
+ *   that receives the report
+ * - New comments: the reporter and staff of the assigned authority
+ * - Visibility changes by an admin: the reporter
+ * - The user who caused the event is never notified
+ * - Emails go to the same recipients as the in-app notification, minus
+ *   users who opted out of the event type
+ */
+
+const { Authority, AuthorityUser, UserIssue } = require('../../models');
+const {
+  NOTIFICATION_TYPES,
+  notifyUsers
+} = require('../notification/notification.service.js');
+const { enqueueEmails } = require('../notification/emailOutbox.service.js');
+
+const statusLabel = (status) => String(status).replace(/_/g, ' ');
+
+/**
+ * User IDs linked to an authority
+ *
+ * @param {number|null} authorityId
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<number>>}
+ */
+async function findAuthorityStaffIds(authorityId, transaction) {
+  if (!authorityId) {
+    return [];
+  }
+
+  const staff = await AuthorityUser.findAll({
+    where: { authority_id: authorityId },
+    attributes: ['user_id'],
+    transaction
+  });
+
+  return staff.map(row => row.user_id);
+}
+
+/**
+ * Notify and queue the matching email for the same recipients
+ *
+ * @param {Array<number>} userIds
+ * @param {Object} notification - As for notifyUsers
+ * @param {Object} payload - Email template variables
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyAndEmail(userIds, notification, payload, transaction) {
+  const notifications = await notifyUsers(userIds, notification, { transaction });
+
+  await enqueueEmails(notifications.map(item => item.user_id), {
+    type: notification.type,
+    reportId: notification.reportId,
+    payload
+  }, { transaction });
+
+  return notifications;
+}
+
+/**
+ * Notify about a status change
+ *
+ * @param {UserIssue} report - Report after the change
+ * @param {Object} change - { fromStatus, toStatus, comment }
+ * @param {number} actorId - User who changed the status
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyStatusChange(report, { fromStatus, toStatus, comment }, actorId, transaction) {
+  const merged = await UserIssue.findAll({
+    where: { merged_into_id: report.id },
+    attributes: ['reporter_id'],
+    transaction
+  });
+
+  return notifyAndEmail([report.reporter_id, ...merged.map(row => row.reporter_id)], {
+    type: NOTIFICATION_TYPES.REPORT_STATUS_CHANGED,
+    reportId: report.id,
+    title: `"${report.title}" is now ${statusLabel(toStatus)}`,
+    body: comment || null,
+    data: { fromStatus, toStatus },
+    actorId
+  }, { reportTitle: report.title, fromStatus, toStatus, comment: comment || null }, transaction);
+}
+
+/**
+ * Notify about an assignment outcome
+ *
+ * @param {UserIssue} report
+ * @param {Object} assignment
+ * @param {string} assignment.outcome - ASSIGNMENT_OUTCOMES
+ * @param {number|null} assignment.previousAuthorityId
+ * @param {number|null} assignment.newAuthorityId
+ * @param {boolean} [assignment.isNewReport] - First assignment attempt on creation
+ * @param {number|null} [assignment.actorId] - Admin who reassigned the report
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyAssignmentOutcome(report, {
+  outcome,
+  previousAuthorityId,
+  newAuthorityId,
+  isNewReport = false,
+  actorId = null
+}, transaction) {
+  const changed = String(previousAuthorityId ?? '') !== String(newAuthorityId ?? '');
+  const data = { outcome, previousAuthorityId, newAuthorityId };
+
+  if (!newAuthorityId) {
+    if (!changed && !isNewReport) {
+      return [];
+    }
+
+    return notifyAndEmail([report.reporter_id], {
+      type: NOTIFICATION_TYPES.REPORT_UNASSIGNED,
+      reportId: report.id,
+      title: `"${report.title}" is waiting for an authority`,
+      body: 'No authority is responsible for this report yet. An administrator will assign it.',
+      data,
+      actorId
+    }, { reportTitle: report.title }, transaction);
+  }
+
+  if (!changed) {
+    return [];
+  }
+
+  const authority = await Authority.findByPk(newAuthorityId, {
+    attributes: ['id', 'name'],
+    transaction
+  });
+  const authorityName = authority ? authority.name : 'an authority';
+  const payload = { reportTitle: report.title, authorityName };
+
+  const forReporter = await notifyAndEmail([report.reporter_id], {
+    type: NOTIFICATION_TYPES.REPORT_ASSIGNED,
+    reportId: report.id,
+    title: `"${report.title}" was assigned to ${authorityName}`,
+    data,
+    actorId
+  }, payload, transaction);
+
+  const forStaff = await notifyAndEmail(await findAuthorityStaffIds(newAuthorityId, transaction), {
+    type: NOTIFICATION_TYPES.AUTHORITY_ASSIGNMENT,
+    reportId: report.id,
+    title: `New report assigned to ${authorityName}: "${report.title}"`,
+    data,
+    actorId
+  }, payload, transaction);
+
+  return [...forReporter, ...forStaff];
+}
+
+/**
+ * Notify about a new comment
+ *
+ * @param {UserIssue} report
+ * @param {ReportComment} comment
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyNewComment(report, comment, transaction) {
+  const staffIds = await findAuthorityStaffIds(report.authority_id, transaction);
+
+  return notifyUsers([report.reporter_id, ...staffIds], {
+    type: NOTIFICATION_TYPES.REPORT_COMMENT,
+    reportId: report.id,
+    title: `New comment on "${report.title}"`,
+    body: comment.body,
+    data: { commentId: comment.id },
+    actorId: comment.user_id
+  }, { transaction });
+}
+
+/**
+ * Notify the reporter that an admin hid or restored their report
+ *
+ * @param {UserIssue} report
+ * @param {boolean} isHidden
+ * @param {number} actorId
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyVisibilityChange(report, isHidden, actorId, transaction) {
+  return notifyUsers([report.reporter_id], {
+    type: isHidden ? NOTIFICATION_TYPES.REPORT_HIDDEN : NOTIFICATION_TYPES.REPORT_UNHIDDEN,
+    reportId: report.id,
+    title: isHidden
+      ? `"${report.title}" was hidden by a moderator`
+      : `"${report.title}" is visible again`,
+    data: { isHidden },
+    actorId
+  }, { transaction });
+}
+
+module.exports = {
+  notifyStatusChange,
+  notifyAssignmentOutcome,
+  notifyNewComment,
+  notifyVisibilityChange
+};
@@ -0,0 +1,370 @@
+'use strict';
+
+/**
+ * SLA Service
+ *
+ * Service level targets per issue category, optionally overridden per city,
+ * and the escalation of reports that miss them.
+ *
+ * STAGES:
+ * - ack:        a report must leave "reported" within ack_sla_hours
+ * - resolution: a report must leave "reported"/"in_progress" within
+ *               resolution_sla_hours
+ *
+ * RULES:
+ * - Targets resolve per field: city override (IssueCitySla) first, then the
+ *   category (Issue); null means "no target" for that stage
+ * - Due dates are computed once, when the report is created, so changing a
+ *   target never moves the goalposts of existing reports
+ * - Each stage of a report is escalated at most once (ack_escalated_at /
+ *   resolution_escalated_at), with an escalation entry in Log
+ * - Admins of the report's city (admin_cities) and super-admins (city.all)
+ *   get one sla_breached notification and email per run and city
+ *
+ * The escalation job runs on an interval from server.js
+ * (SLA_ESCALATION_INTERVAL_MINUTES) or once via `npm run sla:escalate`.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Issue,
+  IssueCitySla,
+  UserIssue,
+  User,
+  Role,
+  Permission,
+  AdminCity,
+  Log,
+  sequelize
+} = require('../../models');
+const { REPORT_STATUSES } = require('./statusWorkflow.service.js');
+const { PERMISSIONS } = require('../auth/permission.service.js');
+const {
+  NOTIFICATION_TYPES,
+  notifyUsers
+} = require('../notification/notification.service.js');
+const { enqueueEmails } = require('../notification/emailOutbox.service.js');
+
+/**
+ * SLA stages
+ */
+const SLA_STAGES = {
+  ACK: 'ack',
+  RESOLUTION: 'resolution'
+};
+
+/**
+ * Statuses in which each stage's clock is still running
+ */
+const STAGE_OPEN_STATUSES = {
+  [SLA_STAGES.ACK]: [REPORT_STATUSES.REPORTED],
+  [SLA_STAGES.RESOLUTION]: [REPORT_STATUSES.REPORTED, REPORT_STATUSES.IN_PROGRESS]
+};
+
+/**
+ * Per-stage column names on user_issue
+ */
+const STAGE_COLUMNS = {
+  [SLA_STAGES.ACK]: { dueAt: 'ack_due_at', escalatedAt: 'ack_escalated_at' },
+  [SLA_STAGES.RESOLUTION]: { dueAt: 'resolution_due_at', escalatedAt: 'resolution_escalated_at' }
+};
+
+/**
+ * Log type for escalation entries (structured JSON in the comment field)
+ */
+const LOG_TYPE_ESCALATION = 'sla_escalation';
+
+/**
+ * Reports escalated per stage per run
+ */
+const ESCALATION_BATCH_SIZE = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the SLA targets for a category in a city
+ *
+ * @param {number} issueId - Issue category ID
+ * @param {number|null} cityId - City ID
+ * @param {Object} [options] - Extra query options (e.g. transaction)
+ * @returns {Promise<Object>} { ackSlaHours, resolutionSlaHours } (null = no target)
+ */
+async function resolveSla(issueId, cityId, options = {}) {
+  const category = await Issue.findByPk(issueId, {
+    attributes: ['id', 'ack_sla_hours', 'resolution_sla_hours'],
+    ...options
+  });
+  const override = cityId
+    ? await IssueCitySla.findOne({ where: { issue_id: issueId, city_id: cityId }, ...options })
+    : null;
+
+  const pick = (field) => {
+    if (override && override[field] !== null && override[field] !== undefined) return override[field];
+    return category ? category[field] : null;
+  };
+
+  return {
+    ackSlaHours: pick('ack_sla_hours'),
+    resolutionSlaHours: pick('resolution_sla_hours')
+  };
+}
+
+/**
+ * Compute due dates from SLA targets
+ *
+ * @param {Date} reportedAt - When the report was created
+ * @param {Object} sla - From resolveSla
+ * @returns {Object} { ack_due_at, resolution_due_at } ready for UserIssue.create
+ */
+function computeDueDates(reportedAt, { ackSlaHours, resolutionSlaHours }) {
+  const start = new Date(reportedAt).getTime();
+  return {
+    ack_due_at: ackSlaHours ? new Date(start + ackSlaHours * HOUR_MS) : null,
+    resolution_due_at: resolutionSlaHours ? new Date(start + resolutionSlaHours * HOUR_MS) : null
+  };
+}
+
+/**
+ * Condition matching reports past their due date for a stage
+ *
+ * @param {string} stage - SLA_STAGES value
+ * @param {Date} now
+ * @returns {Object} Sequelize where condition
+ */
+function stageBreachedCondition(stage, now) {
+  return {
+    status: { [Op.in]: STAGE_OPEN_STATUSES[stage] },
+    [STAGE_COLUMNS[stage].dueAt]: { [Op.lt]: now }
+  };
+}
+
+/**
+ * Where condition for the listReports `breached` filter
+ *
+ * @param {boolean} breached - true: any stage breached, false: no stage breached
+ * @param {Date} [now]
+ * @returns {Object} Sequelize where condition
+ */
+function breachedCondition(breached, now = new Date()) {
+  if (breached) {
+    return {
+      [Op.or]: Object.values(SLA_STAGES).map((stage) => stageBreachedCondition(stage, now))
+    };
+  }
+
+  // Spelled out (rather than NOT ...) so NULL due dates count as "not breached"
+  return {
+    [Op.and]: Object.values(SLA_STAGES).map((stage) => ({
+      [Op.or]: [
+        { status: { [Op.notIn]: STAGE_OPEN_STATUSES[stage] } },
+        { [STAGE_COLUMNS[stage].dueAt]: null },
+        { [STAGE_COLUMNS[stage].dueAt]: { [Op.gte]: now } }
+      ]
+    }))
+  };
+}
+
+/**
+ * Find admins to notify about a city's escalations
+ * Admins bound to that city (admin_cities) plus holders of an active role
+ * granting city.all
+ *
+ * @param {number|null} cityId
+ * @returns {Promise<Array<User>>}
+ */
+async function findAdminRecipients(cityId) {
+  const attributes = ['id', 'name', 'email'];
+
+  const superAdmins = await User.findAll({
+    where: { anonymised_at: null },
+    attributes,
+    include: [{
+      model: Role,
+      as: 'roles',
+      attributes: [],
+      where: { is_active: true },
+      through: { attributes: [] },
+      required: true,
+      include: [{
+        model: Permission,
+        as: 'permissions',
+        attributes: [],
+        where: { key: PERMISSIONS.CITY_ALL },
+        through: { attributes: [] },
+        required: true
+      }]
+    }]
+  });
+
+  const cityAdminIds = cityId
+    ? (await AdminCity.findAll({ where: { city_id: cityId }, attributes: ['user_id'] })).map(row => row.user_id)
+    : [];
+  const cityAdmins = cityAdminIds.length
+    ? await User.findAll({ where: { id: cityAdminIds, anonymised_at: null }, attributes })
+    : [];
+
+  const byId = new Map([...cityAdmins, ...superAdmins].map(user => [String(user.id), user]));
+  return [...byId.values()];
+}
+
+/**
+ * Default escalation notifier
+ *
+ * Groups escalations by city and sends each recipient one sla_breached
+ * notification (and email) listing the city's missed targets.
+ *
+ * @param {Array<Object>} escalations - [{ reportId, cityId, stage, dueAt }]
+ * @returns {Promise<Array<Object>>} [{ adminId, reportIds }]
+ */
+async function notifyAdmins(escalations) {
+  const byCity = new Map();
+  escalations.forEach((escalation) => {
+    const key = String(escalation.cityId);
+    if (!byCity.has(key)) byCity.set(key, []);
+    byCity.get(key).push(escalation);
+  });
+
+  const deliveries = [];
+  for (const cityEscalations of byCity.values()) {
+    const admins = await findAdminRecipients(cityEscalations[0].cityId);
+    if (!admins.length) {
+      continue;
+    }
+
+    const reportIds = cityEscalations.map((escalation) => escalation.reportId);
+    const breaches = cityEscalations.map(({ reportId, stage, dueAt }) => ({
+      reportId,
+      stage,
+      dueAt: new Date(dueAt).toISOString()
+    }));
+
+    const notifications = await sequelize.transaction(async (transaction) => {
+      const created = await notifyUsers(admins.map((admin) => admin.id), {
+        type: NOTIFICATION_TYPES.SLA_BREACHED,
+        reportId: reportIds.length === 1 ? reportIds[0] : null,
+        title: reportIds.length === 1
+          ? `Report #${reportIds[0]} missed its SLA`
+          : `${reportIds.length} reports missed their SLA`,
+        data: { breaches }
+      }, { transaction });
+
+      await enqueueEmails(created.map((item) => item.user_id), {
+        type: NOTIFICATION_TYPES.SLA_BREACHED,
+        reportId: reportIds.length === 1 ? reportIds[0] : null,
+        payload: { breaches }
+      }, { transaction });
+
+      return created;
+    });
+
+    notifications.forEach((notification) => {
+      deliveries.push({ adminId: notification.user_id, reportIds });
+    });
+  }
+
+  return deliveries;
+}
+
+/**
+ * Escalate one report stage
+ *
+ * @param {UserIssue} report
+ * @param {string} stage - SLA_STAGES value
+ * @param {Date} now
+ * @returns {Promise<Object|null>} Escalation record, or null if it was already escalated
+ */
+async function escalateReport(report, stage, now) {
+  const { dueAt, escalatedAt } = STAGE_COLUMNS[stage];
+
+  return sequelize.transaction(async (transaction) => {
+    // Conditional update guards against overlapping job runs
+    const [updated] = await UserIssue.update(
+      { [escalatedAt]: now },
+      {
+        where: { id: report.id, [escalatedAt]: null, ...stageBreachedCondition(stage, now) },
+        transaction
+      }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    const overdueMinutes = Math.round((now.getTime() - new Date(report[dueAt]).getTime()) / 60000);
+
+    // Like system assignment, system entries are attributed to the reporter
+    await Log.create({
+      issue_id: report.id,
+      updated_by: report.reporter_id,
+      from_status: report.status,
+      to_status: `escalated:${stage}`,
+      comment: JSON.stringify({
+        type: LOG_TYPE_ESCALATION,
+        stage,
+        dueAt: new Date(report[dueAt]).toISOString(),
+        overdueMinutes,
+        timestamp: now.toISOString()
+      })
+    }, { transaction });
+
+    return {
+      reportId: report.id,
+      cityId: report.city_id,
+      stage,
+      dueAt: report[dueAt]
+    };
+  });
+}
+
+/**
+ * Escalate every report past its SLA that has not been escalated yet
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock override (tests)
+ * @param {number} [options.batchSize] - Reports per stage per run
+ * @param {Function} [options.notify] - Receives the escalations (defaults to notifyAdmins)
+ * @returns {Promise<Object>} { escalations, deliveries }
+ */
+async function runEscalation({ now = new Date(), batchSize = ESCALATION_BATCH_SIZE, notify = notifyAdmins } = {}) {
+  const escalations = [];
+
+  for (const stage of Object.values(SLA_STAGES)) {
+    const { dueAt, escalatedAt } = STAGE_COLUMNS[stage];
+    const reports = await UserIssue.findAll({
+      where: { [escalatedAt]: null, ...stageBreachedCondition(stage, now) },
+      attributes: ['id', 'status', 'city_id', 'reporter_id', dueAt],
+      order: [[dueAt, 'ASC']],
+      limit: batchSize
+    });
+
+    for (const report of reports) {
+      const escalation = await escalateReport(report, stage, now);
+      if (escalation) {
+        escalations.push(escalation);
+      }
+    }
+  }
+
+  const deliveries = escalations.length ? await notify(escalations) : [];
+  return { escalations, deliveries };
+}
+
+module.exports = {
+  // Constants
+  SLA_STAGES,
+  STAGE_OPEN_STATUSES,
+  LOG_TYPE_ESCALATION,
+  ESCALATION_BATCH_SIZE,
+
+  // Targets & due dates
+  resolveSla,
+  computeDueDates,
+
+  // Query helpers
+  breachedCondition,
+
+  // Escalation
+  findAdminRecipients,
+  notifyAdmins,
+  escalateReport,
+  runEscalation
+};
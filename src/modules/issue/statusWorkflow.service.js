@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Report Status Workflow
+ *
+ * Declarative transition graph for the UserIssue status enum.
+ * All status transition rules are centralized here - services must NOT
+ * hard-code which status may follow which.
+ *
+ * RULES:
+ * - A transition is only legal if an edge exists from the current status
+ *   to the requested status AND the actor holds the edge's permission
+ *   (or, for role-based callers, the role is listed on that edge)
+ * - Some edges (rejection, reopening) require a non-empty comment
+ * - A report cannot be "moved" to the status it already has
+ * - "merged" has no edges in or out: only merging and unmerging change it
+ *
+ * Illegal transitions fail with 409 and list the valid next statuses
+ * for the acting role so clients can correct themselves.
+ */
+
+const httpError = require('../../shared/utils/httpError.js');
+
+/**
+ * Report status constants
+ * Must stay in sync with the user_issue.status ENUM
+ */
+const REPORT_STATUSES = {
+  REPORTED: 'reported',
+  IN_PROGRESS: 'in_progress',
+  RESOLVED: 'resolved',
+  REJECTED: 'rejected',
+  // Terminal - set only by merging into a canonical report (see merge.service.js)
+  MERGED: 'merged'
+};
+
+/**
+ * Status every new report starts in
+ */
+const INITIAL_STATUS = REPORT_STATUSES.REPORTED;
+
+/**
+ * Allowed transitions
+ *
+ * Each edge names the permission required to take it, the built-in roles
+ * granted that permission by default, and whether a comment explaining the
+ * change is mandatory.
+ */
+const STATUS_TRANSITIONS = [
+  {
+    from: REPORT_STATUSES.REPORTED,
+    to: REPORT_STATUSES.IN_PROGRESS,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: false
+  },
+  {
+    from: REPORT_STATUSES.REPORTED,
+    to: REPORT_STATUSES.RESOLVED,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: false
+  },
+  {
+    from: REPORT_STATUSES.REPORTED,
+    to: REPORT_STATUSES.REJECTED,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: true
+  },
+  {
+    from: REPORT_STATUSES.IN_PROGRESS,
+    to: REPORT_STATUSES.RESOLVED,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: false
+  },
+  {
+    from: REPORT_STATUSES.IN_PROGRESS,
+    to: REPORT_STATUSES.REJECTED,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: true
+  },
+  {
+    // Reopen a resolved report (e.g. the fix did not hold)
+    from: REPORT_STATUSES.RESOLVED,
+    to: REPORT_STATUSES.IN_PROGRESS,
+    permission: 'report.status.update',
+    roles: ['authority', 'admin'],
+    requiresComment: true
+  },
+  {
+    // Reopen a rejected report - admin-only override
+    from: REPORT_STATUSES.REJECTED,
+    to: REPORT_STATUSES.REPORTED,
+    permission: 'report.status.override',
+    roles: ['admin'],
+    requiresComment: true
+  }
+];
+
+/**
+ * Whether an actor may take an edge
+ *
+ * @param {Object} transition - Transition edge
+ * @param {string|Set<string>} actor - Role name, or the actor's permission keys
+ * @returns {boolean}
+ */
+function mayTake(transition, actor) {
+  return actor instanceof Set ? actor.has(transition.permission) : transition.roles.includes(actor);
+}
+
+/**
+ * Find the edge between two statuses (regardless of role)
+ *
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {Object|null} Transition edge or null if none exists
+ */
+function findTransition(fromStatus, toStatus) {
+  return STATUS_TRANSITIONS.find(
+    (transition) => transition.from === fromStatus && transition.to === toStatus
+  ) || null;
+}
+
+/**
+ * Get the transitions an actor may take from a status
+ *
+ * @param {string} fromStatus - Current status
+ * @param {string|Set<string>} actor - Role name, or the actor's permission keys
+ * @returns {Array<Object>} Allowed transition edges
+ */
+function getAllowedTransitions(fromStatus, actor) {
+  return STATUS_TRANSITIONS.filter(
+    (transition) => transition.from === fromStatus && mayTake(transition, actor)
+  );
+}
+
+/**
+ * Get the statuses an actor may move a report to from a status
+ *
+ * @param {string} fromStatus - Current status
+ * @param {string|Set<string>} actor - Role name, or the actor's permission keys
+ * @returns {Array<string>} Valid next statuses
+ */
+function getNextStatuses(fromStatus, actor) {
+  return getAllowedTransitions(fromStatus, actor).map((transition) => transition.to);
+}
+
+/**
+ * Assert that a status transition is allowed
+ *
+ * @param {Object} params
+ * @param {string} params.fromStatus - Current status
+ * @param {string} params.toStatus - Requested status
+ * @param {string} [params.role] - Acting user's role
+ * @param {Set<string>} [params.permissions] - Actor's permission keys (takes precedence over role)
+ * @param {string} [params.comment] - Comment supplied with the change
+ * @returns {Object} The matching transition edge
+ * @throws {HttpError} 409 if the transition is illegal, 422 if a required comment is missing
+ */
+function assertTransitionAllowed({ fromStatus, toStatus, role, permissions, comment }) {
+  const actor = permissions || role;
+  const nextStatuses = getNextStatuses(fromStatus, actor);
+  const transition = findTransition(fromStatus, toStatus);
+
+  if (!transition || !mayTake(transition, actor)) {
+    const validNext = nextStatuses.length ? nextStatuses.join(', ') : 'none';
+    const message = fromStatus === toStatus
+      ? `This report is already "${fromStatus}". Valid next statuses: ${validNext}.`
+      : `Cannot change status from "${fromStatus}" to "${toStatus}". Valid next statuses: ${validNext}.`;
+
+    const err = httpError(message, 409);
+    err.details = {
+      currentStatus: fromStatus,
+      requestedStatus: toStatus,
+      allowedStatuses: nextStatuses
+    };
+    throw err;
+  }
+
+  if (transition.requiresComment && !(comment && String(comment).trim())) {
+    throw httpError(
+      `A comment explaining the change is required when moving a report from "${fromStatus}" to "${toStatus}".`,
+      422
+    );
+  }
+
+  return transition;
+}
+
+/**
+ * Get the full workflow definition for clients
+ *
+ * @returns {Object} { statuses, initialStatus, transitions }
+ */
+function getWorkflowDefinition() {
+  return {
+    statuses: Object.values(REPORT_STATUSES),
+    initialStatus: INITIAL_STATUS,
+    transitions: STATUS_TRANSITIONS.map((transition) => ({ ...transition, roles: [...transition.roles] }))
+  };
+}
+
+module.exports = {
+  // Constants
+  REPORT_STATUSES,
+  INITIAL_STATUS,
+  STATUS_TRANSITIONS,
+
+  // Lookups
+  findTransition,
+  getAllowedTransitions,
+  getNextStatuses,
+  getWorkflowDefinition,
+
+  // Assertions
+  assertTransitionAllowed
+};
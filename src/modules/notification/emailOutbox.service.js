@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Email Outbox Service
+ *
+ * Notification emails go through a transactional outbox: the event writes
+ * an email_outbox row in its own transaction (so a rolled back status change
+ * never emails anyone) and the outbox worker (jobs/emailOutbox.job.js)
+ * renders and sends it later.
+ *
+ * RULES:
+ * - Only EMAIL_EVENT_TYPES are emailed
+ * - Users who opted out of an event type get no row; the worker checks the
+ *   preference again before sending, so a later opt-out still applies
+ * - Address, name and locale are read when sending, not when queueing
+ * - Failed sends are retried with exponential backoff up to MAX_ATTEMPTS;
+ *   permanent SMTP rejections (5xx) fail at once
+ * - A worker claims a batch in a short transaction (SKIP LOCKED, then
+ *   locked_until), so concurrent workers never pick the same email; no
+ *   transaction or row lock is held while talking to the mail server
+ * - Each outcome is written as soon as its email is sent, so a later
+ *   failure in the batch cannot undo it. Delivery is at-least-once: rows
+ *   claimed by a worker that dies are picked up again after CLAIM_TIMEOUT_MS
+ * - Deleted or anonymised recipients are skipped
+ */
+
+const { Op } = require('sequelize');
+const {
+  EmailOutbox,
+  NotificationPreference,
+  User,
+  sequelize
+} = require('../../models');
+const { sendMail } = require('../../shared/mail/mailer.js');
+const { NOTIFICATION_TYPES } = require('./notification.service.js');
+const { renderEmail } = require('./emailTemplates.js');
+
+/**
+ * Outbox row states
+ */
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Event types that send email (and can be opted out of)
+ */
+const EMAIL_EVENT_TYPES = [
+  NOTIFICATION_TYPES.REPORT_STATUS_CHANGED,
+  NOTIFICATION_TYPES.REPORT_ASSIGNED,
+  NOTIFICATION_TYPES.REPORT_UNASSIGNED,
+  NOTIFICATION_TYPES.AUTHORITY_ASSIGNMENT,
+  NOTIFICATION_TYPES.SLA_BREACHED
+];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+// Longer than a batch can take to send (see the SMTP timeouts)
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: 1, 2, 4, 8, 16 minutes (capped at an hour)
+ *
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Users among userIds who turned off email for an event type
+ *
+ * @param {Array<number>} userIds
+ * @param {string} eventType
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<Set<string>>}
+ */
+async function findOptedOutUserIds(userIds, eventType, options = {}) {
+  const rows = await NotificationPreference.findAll({
+    where: { user_id: userIds, event_type: eventType, email_enabled: false },
+    attributes: ['user_id'],
+    ...options
+  });
+
+  return new Set(rows.map(row => String(row.user_id)));
+}
+
+/**
+ * Queue one email per recipient
+ *
+ * @param {Array<number>} userIds - Recipients
+ * @param {Object} email
+ * @param {string} email.type - NOTIFICATION_TYPES value
+ * @param {number|null} [email.reportId]
+ * @param {Object} [email.payload] - Template variables
+ * @param {Object} [options] - Query options; pass the event's transaction
+ * @returns {Promise<Array<EmailOutbox>>}
+ */
+async function enqueueEmails(userIds, { type, reportId = null, payload = {} }, options = {}) {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!EMAIL_EVENT_TYPES.includes(type) || !recipients.length) {
+    return [];
+  }
+
+  const optedOut = await findOptedOutUserIds(recipients, type, options);
+
+  return EmailOutbox.bulkCreate(
+    recipients
+      .filter(userId => !optedOut.has(userId))
+      .map(userId => ({
+        user_id: userId,
+        event_type: type,
+        report_id: reportId,
+        payload
+      })),
+    options
+  );
+}
+
+/**
+ * Claim due rows for this worker
+ *
+ * @param {number} batchSize
+ * @param {Date} now
+ * @returns {Promise<Array<EmailOutbox>>}
+ */
+async function claimDueRows(batchSize, now) {
+  const order = [['next_attempt_at', 'ASC'], ['id', 'ASC']];
+
+  return sequelize.transaction(async (transaction) => {
+    const due = await EmailOutbox.findAll({
+      where: {
+        status: OUTBOX_STATUS.PENDING,
+        next_attempt_at: { [Op.lte]: now },
+        [Op.or]: [{ locked_until: null }, { locked_until: { [Op.lte]: now } }]
+      },
+      attributes: ['id'],
+      order,
+      limit: batchSize,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+    if (!due.length) {
+      return [];
+    }
+
+    const ids = due.map(row => row.id);
+    await EmailOutbox.update(
+      { locked_until: new Date(now.getTime() + CLAIM_TIMEOUT_MS) },
+      { where: { id: ids }, transaction }
+    );
+    return EmailOutbox.findAll({ where: { id: ids }, order, transaction });
+  });
+}
+
+/**
+ * Render and send one claimed row, then record the outcome on it (and release it)
+ *
+ * @param {EmailOutbox} row - Claimed pending row
+ * @param {Date} now
+ * @returns {Promise<string>} 'sent' | 'retried' | 'failed' | 'skipped'
+ */
+async function deliver(row, now) {
+  const user = await User.findByPk(row.user_id, {
+    attributes: ['id', 'name', 'email', 'locale', 'anonymised_at']
+  });
+
+  let skipReason = null;
+  if (!user || user.anonymised_at) {
+    skipReason = 'Recipient account no longer exists.';
+  } else if ((await findOptedOutUserIds([user.id], row.event_type)).size) {
+    skipReason = 'Recipient opted out of this email.';
+  }
+
+  if (skipReason) {
+    await row.update({ status: OUTBOX_STATUS.SKIPPED, last_error: skipReason, locked_until: null });
+    return 'skipped';
+  }
+
+  const attempts = row.attempts + 1;
+  try {
+    const { subject, text } = renderEmail(row.event_type, user.locale, {
+      ...row.payload,
+      name: user.name,
+      reportId: row.report_id
+    });
+    const { messageId } = await sendMail({ to: user.email, subject, text });
+
+    await row.update({
+      status: OUTBOX_STATUS.SENT,
+      attempts,
+      message_id: messageId || null,
+      sent_at: now,
+      last_error: null,
+      locked_until: null
+    });
+    return 'sent';
+  } catch (error) {
+    const giveUp = attempts >= MAX_ATTEMPTS || error.temporary === false;
+
+    await row.update({
+      status: giveUp ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+      attempts,
+      last_error: String(error.message).slice(0, 2000),
+      next_attempt_at: giveUp ? row.next_attempt_at : new Date(now.getTime() + retryDelayMs(attempts)),
+      locked_until: null
+    });
+    return giveUp ? 'failed' : 'retried';
+  }
+}
+
+/**
+ * Send due emails
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Rows per pass (default 20)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { sent, retried, failed, skipped }
+ */
+async function processOutbox({ batchSize = DEFAULT_BATCH_SIZE, now = new Date() } = {}) {
+  const result = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+
+  const rows = await claimDueRows(batchSize, now);
+  for (const row of rows) {
+    result[await deliver(row, now)] += 1;
+  }
+
+  return result;
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  EMAIL_EVENT_TYPES,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  enqueueEmails,
+  processOutbox
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Notification Email Templates
+ *
+ * Plain-text emails per locale and event type. A template is a pair of
+ * functions taking the outbox payload plus the recipient's name:
+ * { name, reportId, reportTitle, fromStatus, toStatus, comment, authorityName,
+ *   breaches: [{ reportId, stage, dueAt }] }
+ *
+ * RULES:
+ * - DEFAULT_LOCALE must have a template for every emailed event type
+ * - Other locales may be partial: missing templates fall back to
+ *   DEFAULT_LOCALE, as do unknown or unset user locales
+ * - To add a language, add a block to TEMPLATES (and STATUS_LABELS,
+ *   SLA_STAGE_LABELS);
+ *   it becomes selectable in the notification preferences
+ */
+
+const { NOTIFICATION_TYPES } = require('./notification.service.js');
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Report status names per locale
+ */
+const STATUS_LABELS = {
+  en: {
+    reported: 'reported',
+    in_progress: 'in progress',
+    resolved: 'resolved',
+    rejected: 'rejected',
+    merged: 'merged'
+  },
+  es: {
+    reported: 'reportado',
+    in_progress: 'en curso',
+    resolved: 'resuelto',
+    rejected: 'rechazado',
+    merged: 'fusionado'
+  }
+};
+
+/**
+ * SLA stage names per locale
+ */
+const SLA_STAGE_LABELS = {
+  en: {
+    ack: 'acknowledgement',
+    resolution: 'resolution'
+  },
+  es: {
+    ack: 'acuse de recibo',
+    resolution: 'resolución'
+  }
+};
+
+const FOOTERS = {
+  en: 'You receive this email because of your CivicTrack notification settings. You can turn these emails off in your notification preferences.',
+  es: 'Recibes este correo por tu configuración de notificaciones de CivicTrack. Puedes desactivar estos correos en tus preferencias de notificación.'
+};
+
+const lines = (...parts) => parts.filter(part => part !== null && part !== undefined).join('\n');
+
+const breachLines = (locale, breaches, due) => breaches.map(({ reportId, stage, dueAt }) =>
+  `- #${reportId}: ${SLA_STAGE_LABELS[locale][stage] || stage} (${due} ${dueAt})`);
+
+const TEMPLATES = {
+  en: {
+    [NOTIFICATION_TYPES.REPORT_STATUS_CHANGED]: {
+      subject: ({ reportTitle, toStatus }) => `Your report "${reportTitle}" is now ${STATUS_LABELS.en[toStatus] || toStatus}`,
+      text: ({ name, reportId, reportTitle, fromStatus, toStatus, comment }) => lines(
+        `Hi ${name},`,
+        '',
+        `The status of your report #${reportId} "${reportTitle}" changed from ${STATUS_LABELS.en[fromStatus] || fromStatus} to ${STATUS_LABELS.en[toStatus] || toStatus}.`,
+        comment ? `\nComment: ${comment}` : null
+      )
+    },
+    [NOTIFICATION_TYPES.REPORT_ASSIGNED]: {
+      subject: ({ reportTitle, authorityName }) => `Your report "${reportTitle}" was assigned to ${authorityName}`,
+      text: ({ name, reportId, reportTitle, authorityName }) => lines(
+        `Hi ${name},`,
+        '',
+        `${authorityName} is now responsible for your report #${reportId} "${reportTitle}". We will let you know when its status changes.`
+      )
+    },
+    [NOTIFICATION_TYPES.REPORT_UNASSIGNED]: {
+      subject: ({ reportTitle }) => `Your report "${reportTitle}" is waiting for an authority`,
+      text: ({ name, reportId, reportTitle }) => lines(
+        `Hi ${name},`,
+        '',
+        `No authority is responsible for your report #${reportId} "${reportTitle}" yet. An administrator will assign it.`
+      )
+    },
+    [NOTIFICATION_TYPES.AUTHORITY_ASSIGNMENT]: {
+      subject: ({ reportTitle, authorityName }) => `New report for ${authorityName}: "${reportTitle}"`,
+      text: ({ name, reportId, reportTitle, authorityName }) => lines(
+        `Hi ${name},`,
+        '',
+        `Report #${reportId} "${reportTitle}" was assigned to ${authorityName}.`
+      )
+    },
+    [NOTIFICATION_TYPES.SLA_BREACHED]: {
+      subject: ({ breaches }) => (breaches.length === 1
+        ? `Report #${breaches[0].reportId} missed its SLA`
+        : `${breaches.length} reports missed their SLA`),
+      text: ({ name, breaches }) => lines(
+        `Hi ${name},`,
+        '',
+        'These reports in a city you administer missed a service level target:',
+        ...breachLines('en', breaches, 'due')
+      )
+    }
+  },
+  es: {
+    [NOTIFICATION_TYPES.REPORT_STATUS_CHANGED]: {
+      subject: ({ reportTitle, toStatus }) => `Tu reporte "${reportTitle}" ahora está ${STATUS_LABELS.es[toStatus] || toStatus}`,
+      text: ({ name, reportId, reportTitle, fromStatus, toStatus, comment }) => lines(
+        `Hola ${name}:`,
+        '',
+        `El estado de tu reporte #${reportId} "${reportTitle}" cambió de ${STATUS_LABELS.es[fromStatus] || fromStatus} a ${STATUS_LABELS.es[toStatus] || toStatus}.`,
+        comment ? `\nComentario: ${comment}` : null
+      )
+    },
+    [NOTIFICATION_TYPES.REPORT_ASSIGNED]: {
+      subject: ({ reportTitle, authorityName }) => `Tu reporte "${reportTitle}" fue asignado a ${authorityName}`,
+      text: ({ name, reportId, reportTitle, authorityName }) => lines(
+        `Hola ${name}:`,
+        '',
+        `${authorityName} es ahora responsable de tu reporte #${reportId} "${reportTitle}". Te avisaremos cuando cambie su estado.`
+      )
+    },
+    [NOTIFICATION_TYPES.REPORT_UNASSIGNED]: {
+      subject: ({ reportTitle }) => `Tu reporte "${reportTitle}" espera una autoridad`,
+      text: ({ name, reportId, reportTitle }) => lines(
+        `Hola ${name}:`,
+        '',
+        `Todavía ninguna autoridad es responsable de tu reporte #${reportId} "${reportTitle}". Un administrador lo asignará.`
+      )
+    },
+    [NOTIFICATION_TYPES.AUTHORITY_ASSIGNMENT]: {
+      subject: ({ reportTitle, authorityName }) => `Nuevo reporte para ${authorityName}: "${reportTitle}"`,
+      text: ({ name, reportId, reportTitle, authorityName }) => lines(
+        `Hola ${name}:`,
+        '',
+        `Se asignó el reporte #${reportId} "${reportTitle}" a ${authorityName}.`
+      )
+    },
+    [NOTIFICATION_TYPES.SLA_BREACHED]: {
+      subject: ({ breaches }) => (breaches.length === 1
+        ? `El reporte #${breaches[0].reportId} incumplió su plazo`
+        : `${breaches.length} reportes incumplieron su plazo`),
+      text: ({ name, breaches }) => lines(
+        `Hola ${name}:`,
+        '',
+        'Estos reportes de una ciudad que administras incumplieron un plazo de servicio:',
+        ...breachLines('es', breaches, 'vencía')
+      )
+    }
+  }
+};
+
+/**
+ * Locales users can choose
+ */
+const SUPPORTED_LOCALES = Object.keys(TEMPLATES);
+
+/**
+ * Render an email
+ *
+ * @param {string} eventType - NOTIFICATION_TYPES value
+ * @param {string|null} locale - Recipient's locale
+ * @param {Object} variables - Template variables
+ * @returns {Object} { subject, text, locale } - locale actually used
+ * @throws {Error} When DEFAULT_LOCALE has no template for the event type
+ */
+function renderEmail(eventType, locale, variables) {
+  const resolved = TEMPLATES[locale] && TEMPLATES[locale][eventType] ? locale : DEFAULT_LOCALE;
+  const template = TEMPLATES[resolved][eventType];
+  if (!template) {
+    throw new Error(`No email template for "${eventType}".`);
+  }
+
+  return {
+    locale: resolved,
+    subject: template.subject(variables),
+    text: lines(template.text(variables), '', '--', FOOTERS[resolved])
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  renderEmail
+};
@@ -0,0 +1,104 @@
+const NotificationService = require("./notification.service.js");
+const PreferenceService = require("./notificationPreference.service.js");
+const { extractPaginationContext } = require("../../shared/utils/pagination.js");
+
+module.exports = {
+  /**
+   * List the current user's notifications
+   * GET /api/notifications?unread=true
+   */
+  async listNotifications(req, res, next) {
+    try {
+      const pagination = extractPaginationContext(req, 'notifications');
+      const result = await NotificationService.listNotifications(
+        req.user.id,
+        { unreadOnly: req.query.unread === "true" },
+        pagination
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          notifications: result.data,
+          unreadCount: result.unreadCount
+        },
+        meta: result.meta
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getUnreadCount(req, res, next) {
+    try {
+      const unreadCount = await NotificationService.countUnread(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { unreadCount }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async markRead(req, res, next) {
+    try {
+      const notification = await NotificationService.markRead(
+        req.user.id,
+        Number(req.params.notificationId)
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: { notification }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getPreferences(req, res, next) {
+    try {
+      const preferences = await PreferenceService.getPreferences(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { preferences }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async updatePreferences(req, res, next) {
+    try {
+      const preferences = await PreferenceService.updatePreferences(req.user.id, {
+        locale: req.body.locale,
+        email: req.body.email
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Notification preferences updated.",
+        data: { preferences }
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async markAllRead(req, res, next) {
+    try {
+      const updated = await NotificationService.markAllRead(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: "All notifications marked as read.",
+        data: { updated }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+};
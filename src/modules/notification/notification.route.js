@@ -0,0 +1,52 @@
+const express = require("express");
+const router = express.Router();
+
+const NotificationController = require("./notification.controller.js");
+const authMiddleware = require("../auth/auth.middleware.js");
+const { requireSession } = require("../auth/apiKey.middleware.js");
+const { blockDuringImpersonation } = require("../auth/impersonation.middleware.js");
+const validate = require("../../shared/middleware/validate.js");
+const {
+  listNotificationsValidator,
+  updatePreferencesValidator,
+  notificationIdParamValidator
+} = require("./notification.validator.js");
+
+/**
+ * In-app notifications for the current user
+ * Mounted at /api/notifications
+ */
+router.use(authMiddleware);
+
+router.get(
+  "/",
+  listNotificationsValidator,
+  validate,
+  NotificationController.listNotifications
+);
+
+// Cheap badge polling
+router.get("/unread-count", NotificationController.getUnreadCount);
+
+router.post("/read-all", NotificationController.markAllRead);
+
+// Email opt-outs by event type and email language
+router.get("/preferences", NotificationController.getPreferences);
+
+router.put(
+  "/preferences",
+  requireSession,
+  blockDuringImpersonation,
+  updatePreferencesValidator,
+  validate,
+  NotificationController.updatePreferences
+);
+
+router.patch(
+  "/:notificationId/read",
+  notificationIdParamValidator,
+  validate,
+  NotificationController.markRead
+);
+
+module.exports = router;
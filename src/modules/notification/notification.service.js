@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Notification Service
+ *
+ * In-app notification inbox (GET /api/notifications). Notifications are
+ * written by the services that change reports (see
+ * issue/reportNotification.service.js); this module only stores and reads
+ * them.
+ *
+ * RULES:
+ * - A user only ever sees and marks their own notifications
+ * - The user who caused an event is never notified about it
+ * - Notifications are written in the caller's transaction, so a rolled
+ *   back change leaves no notification behind
+ * - Marking read is idempotent: the first read_at is kept
+ */
+
+const { Notification } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const {
+  buildQueryOptions,
+  buildPaginatedResponse
+} = require('../../shared/utils/pagination.js');
+
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = {
+  REPORT_STATUS_CHANGED: 'report_status_changed',
+  REPORT_ASSIGNED: 'report_assigned',
+  REPORT_UNASSIGNED: 'report_unassigned',
+  AUTHORITY_ASSIGNMENT: 'authority_assignment',
+  REPORT_COMMENT: 'report_comment',
+  REPORT_HIDDEN: 'report_hidden',
+  REPORT_UNHIDDEN: 'report_unhidden',
+  SLA_BREACHED: 'sla_breached'
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean).map(String))];
+
+/**
+ * Notify a set of users about one event
+ *
+ * @param {Array<number>} userIds - Recipients (duplicates and nulls are ignored)
+ * @param {Object} notification
+ * @param {string} notification.type - NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} [notification.body]
+ * @param {number|null} [notification.reportId]
+ * @param {Object} [notification.data]
+ * @param {number|null} [notification.actorId] - Excluded from the recipients
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<Array<Notification>>}
+ */
+async function notifyUsers(userIds, { type, title, body = null, reportId = null, data = null, actorId = null }, options = {}) {
+  const recipients = unique(userIds).filter(userId => userId !== String(actorId));
+  if (!recipients.length) {
+    return [];
+  }
+
+  return Notification.bulkCreate(recipients.map(userId => ({
+    user_id: userId,
+    type,
+    report_id: reportId,
+    title,
+    body,
+    data
+  })), options);
+}
+
+/**
+ * Number of unread notifications
+ *
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+async function countUnread(userId) {
+  return Notification.count({ where: { user_id: userId, read_at: null } });
+}
+
+/**
+ * List the user's notifications, newest first
+ *
+ * @param {number} userId
+ * @param {Object} [filters] - { unreadOnly }
+ * @param {Object} [pagination] - { page, limit, offset, sortBy, sortOrder }
+ * @returns {Promise<{data: Array, meta: Object, unreadCount: number}>}
+ */
+async function listNotifications(userId, { unreadOnly = false } = {}, pagination = {}) {
+  const where = { user_id: userId };
+  if (unreadOnly) {
+    where.read_at = null;
+  }
+
+  const { rows, count } = await Notification.findAndCountAll({
+    where,
+    ...buildQueryOptions({ ...pagination, entityType: 'notifications' })
+  });
+
+  const result = buildPaginatedResponse(rows, count, {
+    page: pagination.page || 1,
+    limit: pagination.limit || 20
+  });
+
+  return { ...result, unreadCount: await countUnread(userId) };
+}
+
+/**
+ * Mark one notification as read
+ *
+ * @param {number} userId
+ * @param {number} notificationId
+ * @returns {Promise<Notification>}
+ * @throws {HttpError} 404 if the notification does not belong to the user
+ */
+async function markRead(userId, notificationId) {
+  const notification = await Notification.findOne({
+    where: { id: notificationId, user_id: userId }
+  });
+
+  if (!notification) {
+    throw httpError('Notification not found.', 404);
+  }
+
+  if (!notification.read_at) {
+    await notification.update({ read_at: new Date() });
+  }
+
+  return notification;
+}
+
+/**
+ * Mark every unread notification as read
+ *
+ * @param {number} userId
+ * @returns {Promise<number>} Number of notifications marked
+ */
+async function markAllRead(userId) {
+  const [updated] = await Notification.update(
+    { read_at: new Date() },
+    { where: { user_id: userId, read_at: null } }
+  );
+
+  return updated;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notifyUsers,
+  countUnread,
+  listNotifications,
+  markRead,
+  markAllRead
+};
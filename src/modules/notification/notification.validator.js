@@ -0,0 +1,45 @@
+const { body, param, query } = require("express-validator");
+const { EMAIL_EVENT_TYPES } = require("./emailOutbox.service.js");
+const { SUPPORTED_LOCALES } = require("./emailTemplates.js");
+
+exports.listNotificationsValidator = [
+  query("unread")
+    .optional()
+    .isBoolean()
+    .withMessage("unread must be a boolean value")
+];
+
+exports.updatePreferencesValidator = [
+  body().custom((value) => {
+    if (value?.locale === undefined && value?.email === undefined) {
+      throw new Error("Provide locale or email to update");
+    }
+    return true;
+  }),
+  body("locale")
+    .optional({ values: "null" })
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`),
+  body("email")
+    .optional()
+    .isObject()
+    .withMessage("email must map notification types to true or false")
+    .bail()
+    .custom((value) => {
+      for (const [type, enabled] of Object.entries(value)) {
+        if (!EMAIL_EVENT_TYPES.includes(type)) {
+          throw new Error(`email: unknown notification type "${type}"`);
+        }
+        if (typeof enabled !== "boolean") {
+          throw new Error(`email.${type} must be true or false`);
+        }
+      }
+      return true;
+    })
+];
+
+exports.notificationIdParamValidator = [
+  param("notificationId")
+    .isInt({ min: 1 })
+    .withMessage("notificationId must be numeric")
+];
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Notification Preference Service
+ *
+ * Per-user email settings (GET/PUT /api/notifications/preferences): which
+ * event types are emailed and in which language.
+ *
+ * RULES:
+ * - Every emailed event type is on until the user turns it off
+ * - Only EMAIL_EVENT_TYPES can be changed; in-app notifications are always on
+ * - locale is one of SUPPORTED_LOCALES, or null for the default
+ */
+
+const { User, NotificationPreference, sequelize } = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { EMAIL_EVENT_TYPES } = require('./emailOutbox.service.js');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./emailTemplates.js');
+
+/**
+ * Current settings
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>} { locale, defaultLocale, supportedLocales, email: { [eventType]: boolean } }
+ */
+async function getPreferences(userId) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'locale'] });
+  if (!user) {
+    throw httpError('User not found.', 404);
+  }
+
+  const rows = await NotificationPreference.findAll({
+    where: { user_id: userId, event_type: EMAIL_EVENT_TYPES },
+    attributes: ['event_type', 'email_enabled']
+  });
+  const stored = new Map(rows.map(row => [row.event_type, row.email_enabled]));
+
+  return {
+    locale: user.locale,
+    defaultLocale: DEFAULT_LOCALE,
+    supportedLocales: SUPPORTED_LOCALES,
+    email: Object.fromEntries(EMAIL_EVENT_TYPES.map(type => [type, stored.get(type) ?? true]))
+  };
+}
+
+/**
+ * Change settings
+ *
+ * @param {number} userId
+ * @param {Object} changes
+ * @param {string|null} [changes.locale]
+ * @param {Object} [changes.email] - { [eventType]: boolean }; omitted types keep their setting
+ * @returns {Promise<Object>} Settings as returned by getPreferences
+ * @throws {HttpError} 400 for an unknown locale or event type
+ */
+async function updatePreferences(userId, { locale, email = {} }) {
+  if (locale !== undefined && locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+    throw httpError(`locale must be one of: ${SUPPORTED_LOCALES.join(', ')}.`, 400);
+  }
+
+  const unknown = Object.keys(email).filter(type => !EMAIL_EVENT_TYPES.includes(type));
+  if (unknown.length) {
+    throw httpError(`Unknown notification type: ${unknown.join(', ')}.`, 400);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    if (locale !== undefined) {
+      await User.update({ locale }, { where: { id: userId }, transaction });
+    }
+
+    for (const [eventType, enabled] of Object.entries(email)) {
+      const [preference, created] = await NotificationPreference.findOrCreate({
+        where: { user_id: userId, event_type: eventType },
+        defaults: { email_enabled: enabled },
+        transaction
+      });
+      if (!created && preference.email_enabled !== enabled) {
+        await preference.update({ email_enabled: enabled }, { transaction });
+      }
+    }
+  });
+
+  return getPreferences(userId);
+}
+
+module.exports = {
+  getPreferences,
+  updatePreferences
+};
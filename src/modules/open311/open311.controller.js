@@ -0,0 +1,41 @@
+const Open311Service = require("./open311.service.js");
+const { sendOpen311 } = require("./open311.format.js");
+
+module.exports = {
+  async listServices(req, res, next) {
+    try {
+      const services = await Open311Service.listServices(req.query);
+      return sendOpen311(res, req.params.format, 200, "services", services);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listRequests(req, res, next) {
+    try {
+      const requests = await Open311Service.listServiceRequests(req.query);
+      return sendOpen311(res, req.params.format, 200, "requests", requests);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getRequest(req, res, next) {
+    try {
+      const serviceRequestId = Number(req.params.serviceRequestId);
+      const requests = await Open311Service.getServiceRequest(serviceRequestId, req.query);
+      return sendOpen311(res, req.params.format, 200, "requests", requests);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async createRequest(req, res, next) {
+    try {
+      const result = await Open311Service.createServiceRequest(req.open311Client, req.body);
+      return sendOpen311(res, req.params.format, 201, "requests", result);
+    } catch (err) {
+      next(err);
+    }
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Open311 Response Formatting
+ *
+ * GeoReport v2 responses are arrays of flat objects, returned as JSON or
+ * as XML with fixed root/item element names (e.g. <services><service>).
+ * The format is chosen by the URL extension (.json / .xml).
+ */
+
+/**
+ * Root and item element names per response type
+ */
+const XML_ELEMENTS = {
+  services: { root: 'services', item: 'service' },
+  requests: { root: 'service_requests', item: 'request' },
+  errors: { root: 'errors', item: 'error' }
+};
+
+const SUPPORTED_FORMATS = ['json', 'xml'];
+
+/**
+ * Escape text for XML element content
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize a list of flat objects as an Open311 XML document
+ * null/undefined values become empty elements
+ *
+ * @param {Array<Object>} items
+ * @param {Object} elements - { root, item } from XML_ELEMENTS
+ * @returns {string}
+ */
+function toXml(items, { root, item }) {
+  const body = items.map((entry) => {
+    const fields = Object.entries(entry).map(([key, value]) => (
+      value === null || value === undefined
+        ? `<${key}/>`
+        : `<${key}>${escapeXml(value instanceof Date ? value.toISOString() : value)}</${key}>`
+    ));
+    return `<${item}>${fields.join('')}</${item}>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?><${root}>${body.join('')}</${root}>`;
+}
+
+/**
+ * Resolve the response format from the request path extension
+ * Used by the error handler, where route params are no longer available
+ *
+ * @param {Object} req - Express request
+ * @returns {string} 'json' or 'xml'
+ */
+function formatFromRequest(req) {
+  return req.path.toLowerCase().endsWith('.xml') ? 'xml' : 'json';
+}
+
+/**
+ * Send an Open311 response
+ *
+ * @param {Object} res - Express response
+ * @param {string} format - 'json' or 'xml'
+ * @param {number} statusCode - HTTP status
+ * @param {string} type - Key of XML_ELEMENTS
+ * @param {Array<Object>} items - Response entries
+ */
+function sendOpen311(res, format, statusCode, type, items) {
+  if (format === 'xml') {
+    return res
+      .status(statusCode)
+      .type('application/xml; charset=utf-8')
+      .send(toXml(items, XML_ELEMENTS[type]));
+  }
+
+  return res.status(statusCode).json(items);
+}
+
+module.exports = {
+  XML_ELEMENTS,
+  SUPPORTED_FORMATS,
+  escapeXml,
+  toXml,
+  formatFromRequest,
+  sendOpen311
+};
@@ -0,0 +1,52 @@
+const { validationResult } = require("express-validator");
+const Open311Service = require("./open311.service.js");
+const { sendOpen311, formatFromRequest } = require("./open311.format.js");
+
+/**
+ * Open311 counterpart of shared/middleware/validate.js
+ * GeoReport v2 clients expect 400 with a list of { code, description }
+ */
+exports.validateOpen311 = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return sendOpen311(
+      res,
+      formatFromRequest(req),
+      400,
+      "errors",
+      errors.array().map((e) => ({ code: 400, description: e.msg }))
+    );
+  }
+
+  next();
+};
+
+/**
+ * Authenticate third-party submissions by api_key (body) or X-API-Key header
+ * Sets req.open311Client
+ */
+exports.requireOpen311Client = async (req, res, next) => {
+  try {
+    const apiKey = req.body?.api_key || req.get("X-API-Key");
+    req.open311Client = await Open311Service.authenticateClient(apiKey);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Error handler for the Open311 router
+ * Formats errors as GeoReport v2 error lists instead of the app-wide JSON shape
+ */
+exports.open311ErrorHandler = (err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error(err);
+  }
+
+  const description = statusCode < 500 ? err.message : "An error occurred";
+  return sendOpen311(res, formatFromRequest(req), statusCode, "errors", [{ code: statusCode, description }]);
+};
@@ -0,0 +1,59 @@
+const express = require("express");
+const router = express.Router();
+
+const Open311Controller = require("./open311.controller.js");
+const {
+  validateOpen311,
+  requireOpen311Client,
+  open311ErrorHandler
+} = require("./open311.middleware.js");
+const {
+  listServicesValidator,
+  listRequestsValidator,
+  getRequestValidator,
+  createRequestValidator
+} = require("./open311.validator.js");
+
+/**
+ * Open311 GeoReport v2
+ * Mounted at /open311/v2 - every endpoint takes a .json or .xml extension
+ */
+
+// GeoReport v2 clients usually POST application/x-www-form-urlencoded
+// (extended: true parses attribute[region] into req.body.attribute.region)
+router.use(express.urlencoded({ extended: true, limit: "1mb" }));
+
+// Public read endpoints
+router.get(
+  "/services.:format(json|xml)",
+  listServicesValidator,
+  validateOpen311,
+  Open311Controller.listServices
+);
+
+router.get(
+  "/requests.:format(json|xml)",
+  listRequestsValidator,
+  validateOpen311,
+  Open311Controller.listRequests
+);
+
+router.get(
+  "/requests/:serviceRequestId.:format(json|xml)",
+  getRequestValidator,
+  validateOpen311,
+  Open311Controller.getRequest
+);
+
+// Submission - requires an API key issued via /api/admin/open311-clients
+router.post(
+  "/requests.:format(json|xml)",
+  requireOpen311Client,
+  createRequestValidator,
+  validateOpen311,
+  Open311Controller.createRequest
+);
+
+router.use(open311ErrorHandler);
+
+module.exports = router;
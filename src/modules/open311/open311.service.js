@@ -0,0 +1,410 @@
+'use strict';
+
+/**
+ * Open311 GeoReport v2 Service
+ *
+ * Maps our domain onto the Open311 GeoReport v2 vocabulary:
+ * - Issue (category)   -> service (service_code = issue id)
+ * - UserIssue (report) -> service request (service_request_id = report id)
+ * - City               -> jurisdiction (jurisdiction_id = city id)
+ *
+ * RULES:
+ * - Reading services and requests is public; hidden and soft-deleted
+ *   reports are never exposed, and reporter identity is never returned
+ * - Submitting requires an API key issued to an Open311Client; the
+ *   client's service account becomes the reporter
+ * - Submissions go through IssueService.createReport, so authority
+ *   assignment (assignAuthority) and logging behave exactly as for
+ *   reports created in the app
+ * - Open311 has no duplicate confirmation step: possible duplicates are
+ *   listed in service_notice instead of rejecting the request
+ */
+
+const { Op } = require('sequelize');
+const {
+  Issue,
+  UserIssue,
+  IssueImage,
+  Authority,
+  City,
+  Log,
+  Open311Client
+} = require('../../models');
+const httpError = require('../../shared/utils/httpError.js');
+const { hashApiKey } = require('../../shared/utils/apiKey.js');
+const IssueService = require('../issue/issue.service.js');
+const { REPORT_STATUSES } = require('../issue/statusWorkflow.service.js');
+
+/**
+ * Our status enum -> Open311 open/closed
+ */
+const STATUS_MAP = {
+  [REPORT_STATUSES.REPORTED]: 'open',
+  [REPORT_STATUSES.IN_PROGRESS]: 'open',
+  [REPORT_STATUSES.RESOLVED]: 'closed',
+  [REPORT_STATUSES.REJECTED]: 'closed',
+  [REPORT_STATUSES.MERGED]: 'closed'
+};
+
+/**
+ * Request list limits (GeoReport v2 recommends 90 days / 1000 requests)
+ */
+const REQUEST_LIST_DEFAULTS = {
+  windowDays: 90,
+  maxRequests: 1000
+};
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map((part) => part.trim())
+  .filter(Boolean);
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Map one of our statuses to Open311
+ *
+ * @param {string} status
+ * @returns {string} 'open' or 'closed'
+ */
+function toOpen311Status(status) {
+  return STATUS_MAP[status] || 'open';
+}
+
+/**
+ * Our statuses that map to the given Open311 statuses
+ *
+ * @param {Array<string>} open311Statuses - e.g. ['open']
+ * @returns {Array<string>}
+ */
+function fromOpen311Statuses(open311Statuses) {
+  return Object.keys(STATUS_MAP).filter((status) => open311Statuses.includes(STATUS_MAP[status]));
+}
+
+/**
+ * Resolve jurisdiction_id to a city
+ *
+ * @param {string|number} [jurisdictionId]
+ * @returns {Promise<City|null>} null when no jurisdiction was given
+ * @throws {HttpError} 404 for unknown jurisdictions
+ */
+async function resolveJurisdiction(jurisdictionId) {
+  if (jurisdictionId === undefined || jurisdictionId === null || jurisdictionId === '') {
+    return null;
+  }
+
+  const city = await City.findByPk(jurisdictionId);
+  if (!city) {
+    throw httpError('jurisdiction_id was not found.', 404);
+  }
+  return city;
+}
+
+/**
+ * Authenticate a third-party client by API key
+ *
+ * @param {string} apiKey - Plaintext key from api_key
+ * @returns {Promise<Open311Client>}
+ * @throws {HttpError} 403 when the key is missing, unknown or revoked
+ */
+async function authenticateClient(apiKey) {
+  if (!apiKey) {
+    throw httpError('api_key is required to submit service requests.', 403);
+  }
+
+  const client = await Open311Client.findOne({
+    where: { api_key_hash: hashApiKey(apiKey) }
+  });
+  if (!client) {
+    throw httpError('api_key is invalid or has been revoked.', 403);
+  }
+
+  await client.update({ last_used_at: new Date() });
+  return client;
+}
+
+/**
+ * List services (issue categories)
+ *
+ * @param {Object} query - { jurisdiction_id }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listServices({ jurisdiction_id: jurisdictionId } = {}) {
+  await resolveJurisdiction(jurisdictionId);
+
+  const categories = await Issue.findAll({
+    attributes: ['id', 'name', 'slug', 'description'],
+    order: [['name', 'ASC']]
+  });
+
+  return categories.map((category) => ({
+    service_code: String(category.id),
+    service_name: category.name,
+    description: category.description || null,
+    metadata: false,
+    type: 'realtime',
+    keywords: category.slug || null,
+    group: null
+  }));
+}
+
+/**
+ * Shape a report as an Open311 service request
+ *
+ * @param {UserIssue} report - With issue, authority and images included
+ * @param {string|null} statusNotes
+ * @returns {Object}
+ */
+function toServiceRequest(report, statusNotes) {
+  const [image] = report.images || [];
+
+  return {
+    service_request_id: String(report.id),
+    status: toOpen311Status(report.status),
+    status_notes: statusNotes || null,
+    service_name: report.issue ? report.issue.name : null,
+    service_code: String(report.issue_id),
+    description: report.description,
+    agency_responsible: report.authority ? report.authority.name : null,
+    service_notice: null,
+    requested_datetime: toIso(report.createdAt),
+    updated_datetime: toIso(report.updatedAt),
+    expected_datetime: null,
+    address: report.region || null,
+    address_id: null,
+    zipcode: null,
+    lat: report.latitude,
+    long: report.longitude,
+    media_url: image ? image.url : null
+  };
+}
+
+/**
+ * Resolve public status notes for closed reports
+ *
+ * Uses the comment of the latest log entry that moved each report into its
+ * current status (one query for the whole page).
+ *
+ * @param {Array<UserIssue>} reports
+ * @returns {Promise<Map<string, string>>} report id -> notes
+ */
+async function loadStatusNotes(reports) {
+  const notes = new Map();
+
+  reports
+    .filter((report) => report.status === REPORT_STATUSES.MERGED)
+    .forEach((report) => notes.set(String(report.id), `Merged into service request ${report.merged_into_id}.`));
+
+  const closed = reports.filter((report) => (
+    report.status === REPORT_STATUSES.RESOLVED || report.status === REPORT_STATUSES.REJECTED
+  ));
+  if (!closed.length) {
+    return notes;
+  }
+
+  const logs = await Log.findAll({
+    where: {
+      issue_id: closed.map((report) => report.id),
+      to_status: [REPORT_STATUSES.RESOLVED, REPORT_STATUSES.REJECTED],
+      comment: { [Op.ne]: null }
+    },
+    attributes: ['issue_id', 'to_status', 'comment'],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  const statusById = new Map(closed.map((report) => [String(report.id), report.status]));
+  logs.forEach((log) => {
+    if (statusById.get(String(log.issue_id)) === log.to_status) {
+      notes.set(String(log.issue_id), log.comment);
+    }
+  });
+
+  return notes;
+}
+
+/**
+ * Includes needed to build a service request
+ */
+const serviceRequestInclude = [
+  { model: Issue, as: 'issue', attributes: ['id', 'name'], required: false },
+  { model: Authority, as: 'authority', attributes: ['id', 'name'], required: false },
+  { model: IssueImage, as: 'images', attributes: ['id', 'url'], required: false }
+];
+
+/**
+ * List service requests
+ *
+ * @param {Object} query - GeoReport v2 query parameters
+ * @param {string} [query.jurisdiction_id]
+ * @param {string} [query.service_request_id] - Comma-separated; other filters are ignored
+ * @param {string} [query.service_code] - Comma-separated
+ * @param {string} [query.status] - Comma-separated open/closed
+ * @param {string} [query.start_date] - ISO 8601
+ * @param {string} [query.end_date] - ISO 8601
+ * @returns {Promise<Array<Object>>} Newest first, at most REQUEST_LIST_DEFAULTS.maxRequests
+ */
+async function listServiceRequests(query = {}) {
+  const city = await resolveJurisdiction(query.jurisdiction_id);
+
+  const where = { is_hidden: false };
+  if (city) {
+    where.city_id = city.id;
+  }
+
+  const requestIds = splitList(query.service_request_id);
+  if (requestIds.length) {
+    where.id = requestIds;
+  } else {
+    const serviceCodes = splitList(query.service_code);
+    if (serviceCodes.length) {
+      where.issue_id = serviceCodes;
+    }
+
+    const statuses = splitList(query.status);
+    if (statuses.length) {
+      where.status = fromOpen311Statuses(statuses);
+    }
+
+    const endDate = query.end_date ? new Date(query.end_date) : new Date();
+    const startDate = query.start_date
+      ? new Date(query.start_date)
+      : new Date(endDate.getTime() - REQUEST_LIST_DEFAULTS.windowDays * 24 * 60 * 60 * 1000);
+    where.createdAt = { [Op.between]: [startDate, endDate] };
+  }
+
+  const reports = await UserIssue.findAll({
+    where,
+    include: serviceRequestInclude,
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit: REQUEST_LIST_DEFAULTS.maxRequests
+  });
+
+  const notes = await loadStatusNotes(reports);
+  return reports.map((report) => toServiceRequest(report, notes.get(String(report.id))));
+}
+
+/**
+ * Get a single service request
+ *
+ * @param {number} serviceRequestId - Report ID
+ * @param {Object} [query] - { jurisdiction_id }
+ * @returns {Promise<Array<Object>>} Single-element array (GeoReport v2 shape)
+ * @throws {HttpError} 404 when not found or not public
+ */
+async function getServiceRequest(serviceRequestId, query = {}) {
+  const city = await resolveJurisdiction(query.jurisdiction_id);
+
+  const report = await UserIssue.findOne({
+    where: { id: serviceRequestId, is_hidden: false },
+    include: serviceRequestInclude
+  });
+  if (!report || (city && String(report.city_id) !== String(city.id))) {
+    throw httpError(`Service request ${serviceRequestId} was not found.`, 404);
+  }
+
+  const notes = await loadStatusNotes([report]);
+  return [toServiceRequest(report, notes.get(String(report.id)))];
+}
+
+/**
+ * Build the report title Open311 does not have
+ *
+ * @param {Issue} category
+ * @param {string} [address]
+ * @returns {string}
+ */
+function buildTitle(category, address) {
+  const title = address ? `${category.name} at ${address}` : category.name;
+  return title.slice(0, 255);
+}
+
+/**
+ * Create a service request on behalf of an authenticated client
+ *
+ * @param {Open311Client} client - From authenticateClient
+ * @param {Object} payload - GeoReport v2 POST parameters
+ * @returns {Promise<Array<Object>>} [{ service_request_id, service_notice, account_id }]
+ */
+async function createServiceRequest(client, payload) {
+  const {
+    jurisdiction_id: jurisdictionId,
+    service_code: serviceCode,
+    lat,
+    long,
+    address_string: addressString,
+    description,
+    media_url: mediaUrl,
+    attribute = {}
+  } = payload;
+
+  const jurisdiction = await resolveJurisdiction(jurisdictionId);
+  if (client.city_id && jurisdiction && String(jurisdiction.id) !== String(client.city_id)) {
+    throw httpError('This api_key may not submit requests to that jurisdiction.', 403);
+  }
+  const cityId = client.city_id || (jurisdiction && jurisdiction.id);
+  if (!cityId) {
+    throw httpError('jurisdiction_id is required.', 400);
+  }
+
+  const category = await Issue.findByPk(serviceCode);
+  if (!category) {
+    throw httpError(`service_code ${serviceCode} was not found.`, 400);
+  }
+
+  const hasCoordinates = lat !== undefined && lat !== '' && long !== undefined && long !== '';
+  if (!hasCoordinates && !addressString) {
+    throw httpError('A location is required: provide lat and long, or address_string.', 400);
+  }
+
+  const address = addressString ? String(addressString).trim() : null;
+  // Region drives authority matching; clients can pass it explicitly as attribute[region]
+  const region = (attribute.region || address || '').slice(0, 100) || null;
+
+  const report = await IssueService.createReport(client.user_id, {
+    title: buildTitle(category, address),
+    description,
+    issueId: category.id,
+    latitude: hasCoordinates ? lat : null,
+    longitude: hasCoordinates ? long : null,
+    region,
+    cityId,
+    imageUrls: mediaUrl ? [mediaUrl] : [],
+    confirmNotDuplicate: true
+  });
+
+  const notices = [];
+  if (report.authority) {
+    notices.push(`Assigned to ${report.authority.name}.`);
+  } else {
+    notices.push('Received and awaiting assignment.');
+  }
+  const duplicates = report.dataValues.possibleDuplicates || [];
+  if (duplicates.length) {
+    notices.push(`Similar open requests nearby: ${duplicates.map((d) => d.id).join(', ')}.`);
+  }
+
+  return [{
+    service_request_id: String(report.id),
+    service_notice: notices.join(' '),
+    account_id: null
+  }];
+}
+
+module.exports = {
+  // Constants
+  STATUS_MAP,
+  REQUEST_LIST_DEFAULTS,
+
+  // Mapping
+  toOpen311Status,
+  fromOpen311Statuses,
+
+  // Authentication
+  authenticateClient,
+
+  // Services & requests
+  listServices,
+  listServiceRequests,
+  getServiceRequest,
+  createServiceRequest
+};
@@ -0,0 +1,79 @@
+const { body, param, query } = require("express-validator");
+
+const OPEN311_STATUSES = ["open", "closed"];
+
+const jurisdictionValidator = (location) => location("jurisdiction_id")
+  .optional({ values: "falsy" })
+  .isInt({ min: 1 })
+  .withMessage("jurisdiction_id must be a numeric city ID");
+
+exports.listServicesValidator = [
+  jurisdictionValidator(query)
+];
+
+exports.listRequestsValidator = [
+  jurisdictionValidator(query),
+  query("service_request_id")
+    .optional({ values: "falsy" })
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage("service_request_id must be a comma-separated list of IDs"),
+  query("service_code")
+    .optional({ values: "falsy" })
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage("service_code must be a comma-separated list of service codes"),
+  query("status")
+    .optional({ values: "falsy" })
+    .custom((value) => String(value).split(",").every((s) => OPEN311_STATUSES.includes(s.trim())))
+    .withMessage("status must be open, closed or both (comma-separated)"),
+  query("start_date")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("start_date must be an ISO 8601 date"),
+  query("end_date")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("end_date must be an ISO 8601 date")
+];
+
+exports.getRequestValidator = [
+  param("serviceRequestId").isInt({ min: 1 }).withMessage("service_request_id must be numeric"),
+  jurisdictionValidator(query)
+];
+
+exports.createRequestValidator = [
+  jurisdictionValidator(body),
+  body("service_code")
+    .isInt({ min: 1 })
+    .withMessage("service_code is required"),
+  body("lat")
+    .optional({ values: "falsy" })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("lat must be between -90 and 90"),
+  body("long")
+    .optional({ values: "falsy" })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("long must be between -180 and 180"),
+  body("address_string")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("address_string can be up to 255 characters")
+    .escape(),
+  body("description")
+    .trim()
+    .notEmpty()
+    .withMessage("description is required")
+    .isLength({ max: 4000 })
+    .withMessage("description can be up to 4000 characters")
+    .escape(),
+  body("media_url")
+    .optional({ values: "falsy" })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("media_url must be an http(s) URL"),
+  body("attribute.region")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("attribute[region] can be up to 100 characters")
+    .escape()
+];
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Mailer
+ *
+ * Single entry point for outgoing email. The transport is chosen by
+ * MAIL_TRANSPORT (console | file | smtp, default console) on first use, or set
+ * explicitly with setTransport() (tests, production transports).
+ *
+ * RULES:
+ * - Callers never talk to a transport directly
+ * - Every message gets MAIL_FROM as sender unless it sets its own
+ */
+
+const httpError = require('../utils/httpError.js');
+const { TRANSPORTS } = require('./transports.js');
+
+const DEFAULT_FROM = 'CivicTrack <no-reply@civictrack.local>';
+
+let activeTransport = null;
+
+/**
+ * Build the transport configured in the environment
+ *
+ * @returns {Object} Transport
+ */
+function createConfiguredTransport() {
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw httpError(`Unknown MAIL_TRANSPORT "${name}".`, 500);
+  }
+  return factory();
+}
+
+/**
+ * Replace the active transport
+ *
+ * @param {Object|null} transport - { send(message) }; null restores the configured one
+ */
+function setTransport(transport) {
+  if (transport && typeof transport.send !== 'function') {
+    throw new TypeError('Mail transport must implement send(message).');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Get the active transport (created from the environment on first use)
+ *
+ * @returns {Object} Transport
+ */
+function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createConfiguredTransport();
+  }
+  return activeTransport;
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, text, html?, from? }
+ * @returns {Promise<Object>} { messageId }
+ */
+async function sendMail(message) {
+  if (!message || !message.to || !message.subject) {
+    throw httpError('A mail message needs a recipient and a subject.', 500);
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+}
+
+module.exports = {
+  setTransport,
+  getTransport,
+  sendMail
+};
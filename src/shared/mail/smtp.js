@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * SMTP Client
+ *
+ * Submission for the smtp mail transport, on top of nodemailer: one
+ * connection per message, STARTTLS when offered (or implicit TLS), AUTH.
+ * Failures are reported as SmtpError so the outbox can tell retryable
+ * errors from permanent rejections.
+ *
+ * RULES:
+ * - Every stage (connect, greeting, STARTTLS handshake, each command) is
+ *   bounded by timeoutMs, so a stalled server never blocks the worker
+ * - Credentials are never sent without TLS unless requireTls is false
+ */
+
+const os = require('os');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Error carrying the SMTP reply code (4xx = temporary, 5xx = permanent)
+ */
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.temporary = code === null || (code >= 400 && code < 500);
+  }
+}
+
+/**
+ * Convert a nodemailer error; errors without a reply code (network,
+ * timeouts) are temporary
+ *
+ * @param {Error} error
+ * @returns {SmtpError}
+ */
+function toSmtpError(error) {
+  const code = Number.isInteger(error.responseCode) ? error.responseCode : null;
+  return new SmtpError(`SMTP ${error.command ? `${error.command} ` : ''}failed: ${error.message}`, code);
+}
+
+/**
+ * Send one message over SMTP
+ *
+ * @param {Object} config
+ * @param {string} config.host
+ * @param {number} [config.port] - Default 587, or 465 when secure
+ * @param {boolean} [config.secure] - Implicit TLS (port 465)
+ * @param {string} [config.user]
+ * @param {string} [config.pass]
+ * @param {boolean} [config.requireTls] - Fail unless STARTTLS succeeds (default true with credentials)
+ * @param {number} [config.timeoutMs] - Per stage (default 30 seconds)
+ * @param {string} [config.name] - EHLO name (default: this host's name)
+ * @param {Object} [config.tlsOptions] - Passed to tls.connect (e.g. ca)
+ * @param {Object} message - { from, to, subject, text, html? }
+ * @returns {Promise<Object>} { messageId }
+ * @throws {SmtpError}
+ */
+async function sendSmtp(config, message) {
+  const {
+    host,
+    secure = false,
+    user,
+    pass,
+    requireTls = Boolean(user),
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    tlsOptions = {}
+  } = config;
+
+  const transport = nodemailer.createTransport({
+    host,
+    port: config.port || (secure ? 465 : 587),
+    secure,
+    requireTLS: requireTls,
+    name: config.name || os.hostname(),
+    auth: user ? { user, pass: pass || '' } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+    tls: tlsOptions
+  });
+
+  try {
+    const { messageId } = await transport.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    return { messageId: messageId.replace(/^<|>$/g, '') };
+  } catch (error) {
+    throw toSmtpError(error);
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  SmtpError,
+  sendSmtp
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Mail Transports
+ *
+ * A transport is any object with `async send(message)` returning
+ * `{ messageId }`. Messages are `{ from, to, subject, text, html }`.
+ *
+ * Built-in transports:
+ * - console: prints the message to stdout (development)
+ * - file:    writes each message as JSON into a directory (MAIL_FILE_DIR)
+ * - smtp:    submits to an SMTP server (SMTP_HOST, see smtp.js)
+ *
+ * Other transports (provider APIs) are plugged in with mailer.setTransport().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { sendSmtp } = require('./smtp.js');
+
+const newMessageId = () => `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * Print messages to the console
+ *
+ * @returns {Object} Transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const messageId = newMessageId();
+      console.log(
+        `[mail:${messageId}] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+      );
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Write messages as JSON files (one file per message)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Output directory (created if missing)
+ * @returns {Object} Transport
+ */
+function createFileTransport({ directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail') } = {}) {
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      const messageId = newMessageId();
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Submit messages to an SMTP server
+ *
+ * @param {Object} [options] - Defaults from SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER and SMTP_PASS
+ * @returns {Object} Transport
+ */
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || undefined,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  ...options
+} = {}) {
+  if (!host) {
+    throw new Error('The smtp mail transport needs SMTP_HOST.');
+  }
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      return sendSmtp({ host, port, secure, user, pass, ...options }, message);
+    }
+  };
+}
+
+/**
+ * Built-in transports by MAIL_TRANSPORT name
+ */
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+module.exports = {
+  TRANSPORTS,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport
+};
@@ -13,6 +13,11 @@ module.exports = (err, req, res, next) => {
     message: isDevelopment ? message : (statusCode < 500 ? message : 'An error occurred')
   };
 
+  // Structured details (e.g. valid next statuses) are safe to expose for client errors
+  if (err.details && statusCode < 500) {
+    response.details = err.details;
+  }
+
   if (isDevelopment && err.stack) {
     response.stack = err.stack;
   }
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * API Key Utilities
+ *
+ * Keys are random, prefixed with their purpose (e.g. "o311_") and stored
+ * only as a SHA-256 hash. The plaintext key is returned once on creation.
+ *
+ * SHA-256 (not bcrypt) is deliberate: keys carry 256 bits of entropy, so
+ * brute force is not a concern, and a deterministic hash lets us look keys
+ * up by an indexed column.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Number of plaintext characters kept for display
+ */
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Hash an API key for storage/lookup
+ *
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ *
+ * @param {string} prefix - Purpose prefix, e.g. "o311"
+ * @returns {Object} { key, hash, displayPrefix }
+ */
+function generateApiKey(prefix) {
+  const key = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    hash: hashApiKey(key),
+    displayPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH)
+  };
+}
+
+module.exports = {
+  DISPLAY_PREFIX_LENGTH,
+  hashApiKey,
+  generateApiKey
+};
@@ -9,6 +9,11 @@
  * 
  * Also handles admin override for viewing soft-deleted records
  * (audit/diagnostic purposes only).
+ *
+ * City-bound admins: a context may carry allowedCityIds (attached by
+ * resolveAdminContext in cityAccess.service.js). When it is an array, only
+ * those cities can be selected and includeAllCities is rejected; when it is
+ * null or absent the context is unrestricted (super-admins, internal jobs).
  */
 
 const httpError = require('./httpError.js');
@@ -53,17 +58,64 @@ function extractAdminContext(req) {
   };
 }
 
+/**
+ * Reject cities outside a city-bound admin's set
+ *
+ * @param {Object} context - Admin context object
+ * @throws {HttpError} 403 for cross-city access or a city outside allowedCityIds
+ */
+function assertCityAllowed(context) {
+  const { adminCityId, includeAllCities, allowedCityIds } = context;
+
+  if (!Array.isArray(allowedCityIds)) {
+    return;
+  }
+
+  if (includeAllCities) {
+    throw httpError('Only super-admins can view data across all cities.', 403);
+  }
+
+  if (adminCityId && !allowedCityIds.includes(Number(adminCityId))) {
+    throw httpError('You do not have access to this city.', 403);
+  }
+}
+
+/**
+ * Reject a record whose city is outside a city-bound admin's set
+ *
+ * For single-record mutations; records without a city are out of reach
+ * of bound admins.
+ *
+ * @param {Object} context - Admin context object
+ * @param {number|string|null} cityId - The record's city
+ * @param {string} [message] - 403 message
+ * @throws {HttpError} 403 when the city is not in allowedCityIds
+ */
+function assertCityInScope(context = {}, cityId, message = 'You do not have access to this city.') {
+  const { allowedCityIds } = context;
+
+  if (Array.isArray(allowedCityIds) && !allowedCityIds.includes(Number(cityId))) {
+    throw httpError(message, 403);
+  }
+}
+
 /**
  * Validate that city scope is properly defined
- * Throws error if neither cityId nor includeAllCities is provided
+ * Throws error if neither cityId nor includeAllCities is provided,
+ * or if the selected scope is outside allowedCityIds
  * 
  * @param {Object} context - Admin context object
- * @throws {HttpError} If city scope is ambiguous
+ * @throws {HttpError} If city scope is ambiguous or not permitted
  */
 function validateCityScope(context) {
-  const { adminCityId, includeAllCities } = context;
+  const { adminCityId, includeAllCities, allowedCityIds } = context;
+
+  assertCityAllowed(context);
 
   if (!includeAllCities && !adminCityId) {
+    if (Array.isArray(allowedCityIds) && !allowedCityIds.length) {
+      throw httpError('You are not assigned to any city.', 403);
+    }
     throw httpError(
       'Please select a city to view data, or enable cross-city access.',
       400
@@ -77,10 +129,14 @@ function validateCityScope(context) {
  * @param {Object} context - Admin context with cityId and includeAllCities
  * @param {string} fieldName - The field name to filter (default: 'city_id')
  * @returns {Object|null} Where clause object or null if no filtering needed
+ * @throws {HttpError} 403 if the context is outside allowedCityIds
  */
 function buildCityFilter(context, fieldName = 'city_id') {
   const { adminCityId, includeAllCities } = context;
 
+  // Defense in depth for callers that skipped validateCityScope
+  assertCityAllowed(context);
+
   // If includeAllCities is true, return null (no city filter)
   if (includeAllCities) {
     return null;
@@ -91,6 +147,11 @@ function buildCityFilter(context, fieldName = 'city_id') {
     return { [fieldName]: adminCityId };
   }
 
+  // City-bound admin without a selection: never wider than their cities
+  if (Array.isArray(context.allowedCityIds)) {
+    return { [fieldName]: context.allowedCityIds };
+  }
+
   // This shouldn't happen if validateCityScope was called first
   return null;
 }
@@ -171,6 +232,7 @@ function withAdminScope(options = {}, context, fieldName = 'city_id') {
 module.exports = {
   extractAdminContext,
   validateCityScope,
+  assertCityInScope,
   buildCityFilter,
   applyCityFilter,
   withCityScope,
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Geo Utilities
+ *
+ * Plain-math helpers for working with report coordinates
+ * (latitude/longitude stored as DOUBLE on user_issue).
+ *
+ * No PostGIS dependency: callers pre-filter in SQL with a bounding box
+ * (index-friendly BETWEEN on latitude/longitude) and then compute exact
+ * great-circle distances in JS with the haversine formula.
+ */
+
+/**
+ * Mean Earth radius in meters
+ */
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Check that a latitude/longitude pair is usable
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) &&
+    Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ *
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+function haversineDistanceMeters(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box that fully contains a circle
+ * Used as a cheap SQL pre-filter before exact distance checks
+ *
+ * @param {number} latitude - Circle center latitude
+ * @param {number} longitude - Circle center longitude
+ * @param {number} radiusMeters - Circle radius
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function boundingBoxForRadius(latitude, longitude, radiusMeters) {
+  const latDelta = toDegrees(radiusMeters / EARTH_RADIUS_METERS);
+  const cosLat = Math.cos(toRadians(latitude));
+  // Near the poles the longitude span degenerates - fall back to the full range
+  const lngDelta = cosLat > 1e-6 ? latDelta / cosLat : 180;
+
+  return {
+    minLat: Math.max(-90, latitude - latDelta),
+    maxLat: Math.min(90, latitude + latDelta),
+    minLng: Math.max(-180, longitude - lngDelta),
+    maxLng: Math.min(180, longitude + lngDelta)
+  };
+}
+
+/**
+ * Parse a "lat,lng" query value
+ *
+ * @param {string} value - e.g. "28.6139,77.2090"
+ * @returns {Object|null} { latitude, longitude } or null if malformed/out of range
+ */
+function parseLatLng(value) {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map((part) => part.trim());
+  if (parts.length !== 2 || parts.some((part) => part === '')) return null;
+
+  const [latitude, longitude] = parts.map(Number);
+  return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+}
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" query value (GeoJSON bbox order)
+ *
+ * minLng > maxLng is allowed and means the box crosses the antimeridian.
+ *
+ * @param {string} value - e.g. "77.1,28.5,77.3,28.7"
+ * @returns {Object|null} { minLng, minLat, maxLng, maxLat } or null if malformed
+ */
+function parseBoundingBox(value) {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map((part) => part.trim());
+  if (parts.length !== 4 || parts.some((part) => part === '')) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  if (!isValidCoordinate(minLat, minLng) || !isValidCoordinate(maxLat, maxLng)) return null;
+  if (minLat > maxLat) return null;
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * SQL expression for the haversine distance from a fixed point
+ * Mirrors haversineDistanceMeters so SQL filtering/sorting matches JS
+ *
+ * @param {string} latitudeColumn - Quoted column reference, e.g. '"UserIssue"."latitude"'
+ * @param {string} longitudeColumn - Quoted column reference
+ * @param {Object} point - { latitude, longitude } (validated numbers only)
+ * @returns {string} SQL expression in meters
+ */
+function haversineDistanceSql(latitudeColumn, longitudeColumn, point) {
+  if (!isValidCoordinate(point.latitude, point.longitude)) {
+    throw new Error('haversineDistanceSql requires a valid coordinate');
+  }
+
+  const lat = Number(point.latitude);
+  const lng = Number(point.longitude);
+
+  return `(2 * ${EARTH_RADIUS_METERS} * ASIN(LEAST(1, SQRT(` +
+    `POWER(SIN(RADIANS(${latitudeColumn} - (${lat})) / 2), 2) + ` +
+    `COS(RADIANS(${lat})) * COS(RADIANS(${latitudeColumn})) * ` +
+    `POWER(SIN(RADIANS(${longitudeColumn} - (${lng})) / 2), 2)))))`;
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  isValidCoordinate,
+  haversineDistanceMeters,
+  boundingBoxForRadius,
+  parseLatLng,
+  parseBoundingBox,
+  haversineDistanceSql
+};
@@ -39,7 +39,11 @@ const SUPPORTED_ENTITY_TYPES = [
   'flaggedReports',
   'users',
   'authorities',
-  'authorityUsers'
+  'authorityUsers',
+  'reportComments',
+  'reportNotes',
+  'notifications',
+  'duplicateClusters'
 ];
 
 /**
@@ -49,11 +53,15 @@ const SUPPORTED_ENTITY_TYPES = [
  * INVARIANT: Every entity in SUPPORTED_ENTITY_TYPES MUST have an entry here
  */
 const ALLOWED_SORT_FIELDS = {
-  issues: ['createdAt', 'updatedAt', 'status', 'title'],
+  issues: ['createdAt', 'updatedAt', 'status', 'title', 'endorsements', 'distance'],
   flaggedReports: ['createdAt', 'updatedAt', 'flagCount'],
   users: ['createdAt', 'updatedAt', 'name', 'email'],
   authorities: ['createdAt', 'updatedAt', 'name', 'city', 'region'],
-  authorityUsers: ['createdAt', 'updatedAt']
+  authorityUsers: ['createdAt', 'updatedAt'],
+  reportComments: ['createdAt', 'updatedAt'],
+  reportNotes: ['createdAt'],
+  notifications: ['createdAt'],
+  duplicateClusters: ['size', 'createdAt'] // Sorted in memory (createdAt = newest report)
 };
 
 /**
@@ -67,7 +75,11 @@ const DEFAULT_ORDER = {
   flaggedReports: [['updatedAt', 'DESC']],
   users: [['createdAt', 'DESC']],
   authorities: [['createdAt', 'DESC']],
-  authorityUsers: [['createdAt', 'DESC']]
+  authorityUsers: [['createdAt', 'DESC']],
+  reportComments: [['createdAt', 'ASC']], // Threads read oldest-first
+  reportNotes: [['createdAt', 'ASC']],
+  notifications: [['createdAt', 'DESC'], ['id', 'DESC']],
+  duplicateClusters: [['size', 'DESC']]
 };
 
 /**
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * TOTP Utilities (RFC 6238 / RFC 4226)
+ *
+ * Time-based one-time passwords compatible with authenticator apps
+ * (Google Authenticator, Authy, 1Password...): HMAC-SHA1, 6 digits,
+ * 30-second steps, base32 secrets.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * TOTP parameters (the defaults every authenticator app understands)
+ */
+const TOTP_DEFAULTS = {
+  digits: 6,
+  stepSeconds: 30,
+  // Accept codes one step early/late to absorb clock drift
+  window: 1,
+  secretBytes: 20
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 (case-insensitive, ignores spaces and padding)
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret
+ *
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_DEFAULTS.secretBytes));
+}
+
+/**
+ * Time step for a moment
+ *
+ * @param {number} [timeMs]
+ * @returns {number}
+ */
+function timeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_DEFAULTS.stepSeconds);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ *
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DEFAULTS.digits).padStart(TOTP_DEFAULTS.digits, '0');
+}
+
+/**
+ * TOTP code for a moment
+ *
+ * @param {string} secret - base32
+ * @param {number} [timeMs]
+ * @returns {string}
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+  return hotp(secret, timeStep(timeMs));
+}
+
+/**
+ * Verify a TOTP code within the drift window
+ *
+ * @param {string} secret - base32
+ * @param {string} code - As typed by the user (spaces allowed)
+ * @param {Object} [options]
+ * @param {number} [options.timeMs]
+ * @param {number|null} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyTotp(secret, code, { timeMs = Date.now(), afterStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DEFAULTS.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = timeStep(timeMs);
+  for (let offset = -TOTP_DEFAULTS.window; offset <= TOTP_DEFAULTS.window; offset++) {
+    const step = current + offset;
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ *
+ * @param {Object} params
+ * @param {string} params.secret - base32
+ * @param {string} params.accountName - e.g. the user's email
+ * @param {string} params.issuer - e.g. "CivicTrack"
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.stepSeconds)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+module.exports = {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  hotp
+};
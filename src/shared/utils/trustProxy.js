@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Proxy Trust
+ *
+ * Behind a reverse proxy or load balancer every request comes from the
+ * proxy's address. TRUST_PROXY tells Express which hops to trust so that
+ * req.ip is the client's address (login throttling per IP, audit tables).
+ *
+ * RULES:
+ * - Unset or "false": trust nothing; req.ip is the socket address
+ * - "true": trust every hop (only when the proxy overwrites X-Forwarded-For)
+ * - A number: trust that many hops in front of the app
+ * - Anything else is passed on as Express's list of trusted addresses or
+ *   subnets (e.g. "loopback, 10.0.0.0/8")
+ */
+
+/**
+ * Parse TRUST_PROXY into the "trust proxy" setting
+ *
+ * @param {string|undefined} value
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed || trimmed.toLowerCase() === 'false') {
+    return false;
+  }
+  if (trimmed.toLowerCase() === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return trimmed;
+}
+
+module.exports = {
+  parseTrustProxy
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * ZIP Utilities
+ *
+ * Builds small ZIP archives in memory (deflate, no ZIP64), enough for
+ * bundles of generated text files such as personal data exports. Not meant
+ * for large or streamed archives: every entry is held in memory.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_NAMES_FLAG = 0x0800;
+const DEFLATE = 8;
+
+/**
+ * Date in MS-DOS format as stored in ZIP headers
+ *
+ * @param {Date} date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP archive
+ *
+ * @param {Array<Object>} entries - [{ name, data }] where data is a string or Buffer
+ * @param {Date} [modifiedAt] - Timestamp for every entry
+ * @returns {Buffer}
+ */
+function createZip(entries, modifiedAt = new Date()) {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = zlib.crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+    central.writeUInt16LE(DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    // extra field, comment, disk number, internal and external attributes: all zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  createZip
+};
@@ -8,6 +8,7 @@
  * - includeAllCities bypasses city filter
  * - includeDeleted shows soft-deleted records
  * - Pagination is always enforced
+ * - City-bound admins only change authorities in their cities
  */
 
 process.env.NODE_ENV = 'test';
@@ -374,6 +375,55 @@ describe('Admin Authority Service', () => {
 
   });
 
+  describe('City-Bound Admins', () => {
+    let otherCityAuthority = null;
+    const boundContext = () => ({ adminCityId: testCity.id, allowedCityIds: [Number(testCity.id)] });
+
+    beforeEach(async () => {
+      otherCityAuthority = await Authority.create({
+        name: 'Other City Authority',
+        city: 'Admin Auth Test City 2',
+        region: 'Other Region',
+        city_id: testCity2.id
+      });
+    });
+
+    afterEach(async () => {
+      if (otherCityAuthority) {
+        await Authority.destroy({ where: { id: otherCityAuthority.id }, force: true });
+      }
+    });
+
+    it('should reject authorities in other cities', async () => {
+      const context = boundContext();
+
+      await expect(authorityService.updateAuthority(otherCityAuthority.id, { name: 'Renamed' }, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(authorityService.updateAuthorityIssues(otherCityAuthority.id, [], context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(authorityService.deleteAuthority(otherCityAuthority.id, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should reject creating or moving authorities into other cities', async () => {
+      const context = boundContext();
+      const authority = await authorityService.createAuthority({
+        name: 'Bound Admin Authority',
+        region: 'Bound Region',
+        cityId: testCity.id
+      }, context);
+
+      await expect(authorityService.createAuthority({
+        name: 'Foreign Authority',
+        region: 'Bound Region',
+        cityId: testCity2.id
+      }, context)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(authorityService.updateAuthority(authority.id, { cityId: testCity2.id }, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+  });
+
 });
 
 
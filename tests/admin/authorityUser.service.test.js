@@ -8,6 +8,7 @@
  * - Cannot link authority/user from different cities
  * - Soft-delete exclusion for both sides
  * - Pagination is always enforced
+ * - City-bound admins only change links to authorities in their cities
  */
 
 process.env.NODE_ENV = 'test';
@@ -434,6 +435,20 @@ describe('Admin Authority-User Service', () => {
       expect(foundWithDeleted.deleted_at).not.toBeNull();
     });
 
+    it('should reject changes by admins bound to other cities', async () => {
+      const context = { adminCityId: testCity2.id, allowedCityIds: [Number(testCity2.id)] };
+
+      await expect(authorityUserService.deleteAuthorityUser(link.id, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(authorityUserService.updateAuthorityUser(link.id, { authorityId: authority.id }, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(authorityUserService.createAuthorityUser({ authorityId: authority.id, userId: user.id }, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const result = await authorityUserService.listAuthorityUsers({ allowedCityIds: [Number(testCity2.id)], adminCityId: testCity2.id });
+      expect(result.data.map(row => String(row.id))).not.toContain(String(link.id));
+    });
+
   });
 
   describe('Cross-City Validation', () => {
@@ -9,6 +9,7 @@
  * - includeDeleted shows soft-deleted records
  * - Pagination is always enforced
  * - Role assignment works correctly
+ * - Bound admins only manage users in their cities, and never super-admins
  */
 
 process.env.NODE_ENV = 'test';
@@ -19,7 +20,9 @@ const {
   User, 
   Role,
   UserRole,
-  City 
+  City,
+  AdminCity,
+  AccountHistory
 } = require('../../src/models');
 const userService = require('../../src/modules/admin/user/user.service.js');
 const { 
@@ -33,6 +36,8 @@ describe('Admin User Service', () => {
   let testCity2 = null;
   let citizenRole = null;
   let adminRole = null;
+  let admin = null;
+  let actor = null;
 
   beforeAll(async () => {
     await ensureDbConnection();
@@ -58,9 +63,22 @@ describe('Admin User Service', () => {
       where: { name: 'admin' },
       defaults: { name: 'admin', description: 'Administrator' }
     });
+
+    // Admin bound to the first test city
+    [admin] = await User.findOrCreate({
+      where: { email: 'admin-user-test-admin@example.com' },
+      defaults: { name: 'Admin User Test Admin', password_hash: 'test-hash', city_id: testCity.id }
+    });
+    await AdminCity.findOrCreate({ where: { user_id: admin.id, city_id: testCity.id } });
+    actor = { id: admin.id, role: 'admin' };
   });
 
   afterAll(async () => {
+    if (admin) {
+      await AccountHistory.destroy({ where: { actor_id: admin.id } });
+      await AdminCity.destroy({ where: { user_id: admin.id } });
+      await User.destroy({ where: { id: admin.id }, force: true });
+    }
     if (testCity2) {
       await City.destroy({ where: { id: testCity2.id }, force: true });
     }
@@ -341,14 +359,25 @@ describe('Admin User Service', () => {
     it('should update user name', async () => {
       const updated = await userService.updateUser(testUser.id, {
         name: 'Updated Name'
-      });
+      }, actor);
       
       expect(updated.name).toBe('Updated Name');
     });
 
+    it('should record changes in the account history as made by the admin', async () => {
+      await userService.updateUser(testUser.id, { name: 'Renamed By Admin' }, actor);
+
+      const entry = await AccountHistory.findOne({
+        where: { user_id: testUser.id, field: 'name' },
+        order: [['id', 'DESC']]
+      });
+      expect(entry).toMatchObject({ old_value: testUser.name, new_value: 'Renamed By Admin' });
+      expect(String(entry.actor_id)).toBe(String(admin.id));
+    });
+
     it('should throw 404 for non-existent user', async () => {
       await expect(
-        userService.updateUser(999999, { name: 'Test' })
+        userService.updateUser(999999, { name: 'Test' }, actor)
       ).rejects.toMatchObject({
         statusCode: 404
       });
@@ -356,6 +385,57 @@ describe('Admin User Service', () => {
 
   });
 
+  describe('managing users out of reach', () => {
+    let otherCityUser = null;
+    let superAdmin = null;
+
+    beforeAll(async () => {
+      const [superAdminRole] = await Role.findOrCreate({
+        where: { name: 'super_admin' },
+        defaults: { name: 'super_admin', description: 'Super administrator' }
+      });
+
+      otherCityUser = await User.create({
+        ...createTestUserData(),
+        password_hash: 'test-hash',
+        city_id: testCity2.id
+      });
+      superAdmin = await User.create({
+        ...createTestUserData(),
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      });
+      await UserRole.create({ user_id: superAdmin.id, role_id: superAdminRole.id });
+    });
+
+    afterAll(async () => {
+      const ids = [otherCityUser, superAdmin].filter(Boolean).map(user => user.id);
+      await UserRole.destroy({ where: { user_id: ids }, force: true });
+      await User.destroy({ where: { id: ids }, force: true });
+    });
+
+    it('should refuse users in cities the admin is not bound to', async () => {
+      await expect(userService.updateUser(otherCityUser.id, { name: 'Renamed' }, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(userService.changeUserPassword(otherCityUser.id, { newPassword: 'NewPassword1!' }, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(userService.deleteUser(otherCityUser.id, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should refuse super-admin accounts to bound admins', async () => {
+      await expect(userService.changeUserPassword(superAdmin.id, { newPassword: 'NewPassword1!' }, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(userService.resetUserTwoFactor(superAdmin.id, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(userService.getUserLockout(superAdmin.id, actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const renamed = await userService.updateUser(superAdmin.id, { name: 'Renamed' }, { ...actor, role: 'super_admin' });
+      expect(renamed.name).toBe('Renamed');
+    });
+  });
+
   describe('deleteUser', () => {
     let testUser = null;
 
@@ -377,7 +457,7 @@ describe('Admin User Service', () => {
     });
 
     it('should soft-delete user', async () => {
-      await userService.deleteUser(testUser.id);
+      await userService.deleteUser(testUser.id, actor);
       
       // Should not be found with default paranoid query
       const found = await User.findByPk(testUser.id);
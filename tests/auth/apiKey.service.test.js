@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * API Key Service Tests
+ *
+ * Tests the API key invariants:
+ * - Keys are stored hashed and returned once on creation
+ * - A key is limited to a subset of its role's permissions
+ * - Unknown, deleted and expired keys, and keys whose owner lost the role,
+ *   are rejected
+ * - The auth middleware accepts "Authorization: Bearer <key>" and marks the
+ *   request so account routes can refuse it
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const { User, Role, UserRole, ApiKey } = require('../../src/models');
+const {
+  API_KEY_DEFAULTS,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey
+} = require('../../src/modules/auth/apiKey.service.js');
+const { PERMISSIONS, can, getUserPermissions } = require('../../src/modules/auth/permission.service.js');
+const authMiddleware = require('../../src/modules/auth/auth.middleware.js');
+const { requireSession } = require('../../src/modules/auth/apiKey.middleware.js');
+const { hashApiKey } = require('../../src/shared/utils/apiKey.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('API Key Service', () => {
+  let testUser = null;
+  let sessionUser = null;
+  let authorityRole = null;
+
+  const runMiddleware = (authorization) => new Promise((resolve) => {
+    const req = { headers: { authorization }, cookies: {}, ip: '127.0.0.1' };
+    authMiddleware(req, {}, (err) => resolve({ req, err }));
+  });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    const [citizenRole] = await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+    authorityRole = await Role.findOne({ where: { name: 'authority' } });
+
+    const userData = createTestUserData();
+    testUser = await User.create({ name: userData.name, email: userData.email, password_hash: 'unused' });
+    await UserRole.bulkCreate([
+      { user_id: testUser.id, role_id: citizenRole.id },
+      { user_id: testUser.id, role_id: authorityRole.id }
+    ]);
+    sessionUser = { id: testUser.id, role: 'citizen', sessionId: 1 };
+  });
+
+  afterAll(async () => {
+    if (testUser) {
+      await ApiKey.destroy({ where: { user_id: testUser.id }, force: true });
+      await UserRole.destroy({ where: { user_id: testUser.id }, force: true });
+      await User.destroy({ where: { id: testUser.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('createApiKey', () => {
+
+    it('should store only a hash and return the key once', async () => {
+      const { apiKey, key } = await createApiKey(sessionUser, {
+        name: 'Tablet',
+        permissions: [PERMISSIONS.REPORT_CREATE]
+      });
+
+      expect(key).toMatch(/^ctk_[0-9a-f]{64}$/);
+      expect(apiKey).toMatchObject({ name: 'Tablet', role: 'citizen', permissions: [PERMISSIONS.REPORT_CREATE] });
+      expect(apiKey).not.toHaveProperty('api_key_hash');
+
+      const stored = await ApiKey.findByPk(apiKey.id);
+      expect(stored.api_key_hash).toBe(hashApiKey(key));
+
+      const ttlMs = API_KEY_DEFAULTS.ttlDays * 24 * 60 * 60 * 1000;
+      expect(Math.abs(new Date(stored.expires_at).getTime() - (Date.now() + ttlMs))).toBeLessThan(60 * 1000);
+
+      const listed = await listApiKeys(testUser.id);
+      expect(listed.map(item => item.id)).toContain(apiKey.id);
+    });
+
+    it('should only allow permissions the role grants', async () => {
+      await expect(createApiKey(sessionUser, { name: 'Too much', permissions: [PERMISSIONS.USER_MANAGE] }))
+        .rejects.toMatchObject({ statusCode: 422, details: { notGrantedPermissions: [PERMISSIONS.USER_MANAGE] } });
+    });
+
+    it('should only allow roles the user holds', async () => {
+      await expect(createApiKey(sessionUser, { name: 'Admin', role: 'admin', permissions: [PERMISSIONS.USER_MANAGE] }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const { apiKey } = await createApiKey(sessionUser, {
+        name: 'Crew',
+        role: 'authority',
+        permissions: [PERMISSIONS.REPORT_STATUS_UPDATE]
+      });
+      expect(apiKey.role).toBe('authority');
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+
+    it('should authenticate a key and record its use', async () => {
+      const { apiKey, key } = await createApiKey(sessionUser, { name: 'Use', permissions: [PERMISSIONS.REPORT_CREATE] });
+
+      const result = await authenticateApiKey(key, { ipAddress: '10.0.0.1' });
+      expect(String(result.user.id)).toBe(String(testUser.id));
+
+      const stored = await ApiKey.findByPk(apiKey.id);
+      expect(stored.last_used_at).not.toBeNull();
+      expect(stored.last_used_ip).toBe('10.0.0.1');
+    });
+
+    it('should reject unknown, deleted and expired keys', async () => {
+      await expect(authenticateApiKey('ctk_unknown')).rejects.toMatchObject({ statusCode: 401 });
+      await expect(authenticateApiKey('not-a-key')).rejects.toMatchObject({ statusCode: 401 });
+
+      const deleted = await createApiKey(sessionUser, { name: 'Deleted', permissions: [PERMISSIONS.REPORT_CREATE] });
+      await revokeApiKey(testUser.id, deleted.apiKey.id);
+      await expect(authenticateApiKey(deleted.key)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(revokeApiKey(testUser.id, deleted.apiKey.id)).rejects.toMatchObject({ statusCode: 404 });
+
+      const expired = await createApiKey(sessionUser, { name: 'Expired', permissions: [PERMISSIONS.REPORT_CREATE] });
+      await ApiKey.update({ expires_at: new Date(Date.now() - 1000) }, { where: { id: expired.apiKey.id } });
+      await expect(authenticateApiKey(expired.key)).rejects.toMatchObject({ statusCode: 401, message: 'This API key has expired.' });
+    });
+
+    it('should stop working when the owner loses the role', async () => {
+      const { key } = await createApiKey(sessionUser, {
+        name: 'Lost role',
+        role: 'authority',
+        permissions: [PERMISSIONS.REPORT_STATUS_UPDATE]
+      });
+
+      await UserRole.destroy({ where: { user_id: testUser.id, role_id: authorityRole.id }, force: true });
+      try {
+        await expect(authenticateApiKey(key)).rejects.toMatchObject({ statusCode: 401 });
+      } finally {
+        await UserRole.create({ user_id: testUser.id, role_id: authorityRole.id });
+      }
+    });
+  });
+
+  describe('permissions', () => {
+
+    it('should limit a request to the key permissions the role still grants', async () => {
+      const user = { id: testUser.id, role: 'authority', apiKeyPermissions: [PERMISSIONS.REPORT_STATUS_UPDATE, PERMISSIONS.USER_MANAGE] };
+
+      const permissions = await getUserPermissions(user);
+      expect([...permissions]).toEqual([PERMISSIONS.REPORT_STATUS_UPDATE]);
+      expect(await can(user, PERMISSIONS.REPORT_VIEW_ASSIGNED)).toBe(false);
+      expect(await can({ id: testUser.id, role: 'authority' }, PERMISSIONS.REPORT_VIEW_ASSIGNED)).toBe(true);
+    });
+  });
+
+  describe('auth middleware', () => {
+
+    it('should accept a bearer key as its owner and role', async () => {
+      const { apiKey, key } = await createApiKey(sessionUser, { name: 'Header', permissions: [PERMISSIONS.REPORT_CREATE] });
+
+      const { req, err } = await runMiddleware(`Bearer ${key}`);
+      expect(err).toBeUndefined();
+      expect(req.user).toMatchObject({
+        role: 'citizen',
+        sessionId: null,
+        apiKeyId: apiKey.id,
+        apiKeyPermissions: [PERMISSIONS.REPORT_CREATE]
+      });
+      expect(String(req.user.id)).toBe(String(testUser.id));
+    });
+
+    it('should reject other schemes and bad keys', async () => {
+      expect((await runMiddleware('Basic abc')).err).toMatchObject({ statusCode: 401 });
+      expect((await runMiddleware('Bearer ctk_unknown')).err).toMatchObject({
+        statusCode: 401,
+        message: 'This API key is invalid or has been revoked.'
+      });
+    });
+
+    it('should keep key requests out of account routes', () => {
+      const next = jest.fn();
+
+      requireSession({ user: { id: 1, apiKeyId: 5 } }, {}, next);
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403 });
+
+      requireSession({ user: { id: 1, sessionId: 3 } }, {}, next);
+      expect(next.mock.calls[1]).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * City Access Service Tests
+ *
+ * Tests the city-bound admin invariants:
+ * - Admins without city.all only reach the cities in admin_cities
+ * - Only super-admins (city.all) may request includeAllCities
+ * - Report access for admins is limited to their cities
+ * - City-bound admins cannot grant themselves or others cross-city access,
+ *   nor change roles that already carry it
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { User, City, Role, AdminCity } = require('../../src/models');
+const {
+  getAdminCityIds,
+  resolveAdminContext,
+  assertCanAccessCity
+} = require('../../src/modules/auth/cityAccess.service.js');
+const { assertCanViewReport } = require('../../src/modules/issue/reportAccess.service.js');
+const { PERMISSIONS } = require('../../src/modules/auth/permission.service.js');
+const adminUserService = require('../../src/modules/admin/user/user.service.js');
+const roleService = require('../../src/modules/admin/role/role.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('City Access Service', () => {
+  let boundAdmin = null;
+  let target = null;
+  let homeCity = null;
+  let otherCity = null;
+
+  const requestFor = (user, query = {}) => ({ query, body: {}, user });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [homeCity] = await City.findOrCreate({
+      where: { name: 'City Access Test City 1' },
+      defaults: { name: 'City Access Test City 1', state: 'Test State' }
+    });
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'City Access Test City 2' },
+      defaults: { name: 'City Access Test City 2', state: 'Test State' }
+    });
+
+    const adminData = createTestUserData();
+    const admin = await User.create({
+      name: adminData.name,
+      email: adminData.email,
+      password_hash: 'unused',
+      city_id: otherCity.id
+    });
+    boundAdmin = { id: admin.id, role: 'admin', city_id: otherCity.id };
+
+    const targetData = createTestUserData();
+    target = await User.create({ name: targetData.name, email: targetData.email, password_hash: 'unused' });
+
+    await adminUserService.setAdminCities(admin.id, [homeCity.id]);
+  });
+
+  afterAll(async () => {
+    await User.destroy({ where: { id: [boundAdmin?.id, target?.id].filter(Boolean) }, force: true });
+    await City.destroy({ where: { id: [homeCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('admin city set', () => {
+
+    it('should list the cities an admin is bound to', async () => {
+      expect(await getAdminCityIds(boundAdmin)).toEqual([Number(homeCity.id)]);
+
+      const cities = await adminUserService.listAdminCities(boundAdmin.id);
+      expect(cities.map(city => city.name)).toEqual(['City Access Test City 1']);
+    });
+
+    it('should leave super-admins unrestricted', async () => {
+      expect(await getAdminCityIds({ id: boundAdmin.id, role: 'super_admin' })).toBeNull();
+    });
+
+    it('should reject unknown cities', async () => {
+      await expect(adminUserService.setAdminCities(boundAdmin.id, [999999999]))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(await AdminCity.count({ where: { user_id: boundAdmin.id } })).toBe(1);
+    });
+  });
+
+  describe('resolveAdminContext', () => {
+
+    it('should default to the only bound city instead of a home city outside the set', async () => {
+      const context = await resolveAdminContext(requestFor(boundAdmin));
+
+      expect(context.adminCityId).toBe(Number(homeCity.id));
+      expect(context.allowedCityIds).toEqual([Number(homeCity.id)]);
+    });
+
+    it('should reject a city outside the set', async () => {
+      const context = await resolveAdminContext(requestFor(boundAdmin, { cityId: String(otherCity.id) }));
+
+      await expect(adminUserService.listUsers(context)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should restrict includeAllCities to super-admins', async () => {
+      const query = { includeAllCities: 'true' };
+
+      const bound = await resolveAdminContext(requestFor(boundAdmin, query));
+      await expect(adminUserService.listUsers(bound)).rejects.toMatchObject({ statusCode: 403 });
+
+      const superAdmin = await resolveAdminContext(requestFor({ ...boundAdmin, role: 'super_admin' }, query));
+      expect(superAdmin.allowedCityIds).toBeNull();
+      await expect(adminUserService.listUsers(superAdmin)).resolves.toHaveProperty('data');
+    });
+  });
+
+  describe('report and city checks', () => {
+
+    it('should only let bound admins view reports in their cities', async () => {
+      await expect(assertCanViewReport({ city_id: homeCity.id }, boundAdmin)).resolves.toBeUndefined();
+      await expect(assertCanViewReport({ city_id: otherCity.id }, boundAdmin))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should reject cities outside the set', async () => {
+      await expect(assertCanAccessCity(boundAdmin, otherCity.id)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(assertCanAccessCity({ ...boundAdmin, role: 'super_admin' }, otherCity.id)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('privilege escalation', () => {
+
+    it('should not let a bound admin grant city.all', async () => {
+      const adminRole = await Role.findOne({ where: { name: 'admin' } });
+      const current = (await roleService.listRoles()).find(role => role.name === 'admin');
+
+      await expect(
+        roleService.setRolePermissions(adminRole.id, [...current.permissions, PERMISSIONS.CITY_ALL], boundAdmin)
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not let a bound admin change a role that grants city.all', async () => {
+      const superAdminRole = await Role.findOne({ where: { name: 'super_admin' } });
+      const current = (await roleService.listRoles()).find(role => role.name === 'super_admin');
+
+      await expect(roleService.updateRole(superAdminRole.id, { requiresTwoFactor: false }, boundAdmin))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(roleService.setRolePermissions(superAdminRole.id, current.permissions, boundAdmin))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not let a bound admin assign the super_admin role', async () => {
+      const superAdminRole = await Role.findOne({ where: { name: 'super_admin' } });
+
+      await expect(adminUserService.updateUserRoles(target.id, [superAdminRole.id], null, boundAdmin))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
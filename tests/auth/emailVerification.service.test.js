@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Email Verification Service Tests
+ *
+ * Tests the verification invariants:
+ * - Registering sends a verification link and leaves the user unverified
+ * - Following the link verifies the user once
+ * - Resending is throttled
+ * - Unverified citizens are blocked while verification is required
+ */
+
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { User, Role, UserRole, City, EmailVerificationToken } = require('../../src/models');
+const authService = require('../../src/modules/auth/auth.service.js');
+const verificationService = require('../../src/modules/auth/emailVerification.service.js');
+const mailer = require('../../src/shared/mail/mailer.js');
+const { createFileTransport } = require('../../src/shared/mail/transports.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Email Verification Service', () => {
+  let testCity = null;
+  let user = null;
+  let mailDir = null;
+
+  const readMails = async () => {
+    const files = (await fs.readdir(mailDir)).sort();
+    return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(mailDir, file), 'utf8'))));
+  };
+
+  const tokenFromMail = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'civictrack-mail-'));
+    mailer.setTransport(createFileTransport({ directory: mailDir }));
+
+    await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Verification Test City' },
+      defaults: { name: 'Verification Test City', state: 'Test State' }
+    });
+
+    user = await authService.register({ ...createTestUserData(), cityId: testCity.id });
+  });
+
+  afterAll(async () => {
+    mailer.setTransport(null);
+    await fs.rm(mailDir, { recursive: true, force: true });
+    if (user) {
+      await EmailVerificationToken.destroy({ where: { user_id: user.id }, force: true });
+      await UserRole.destroy({ where: { user_id: user.id }, force: true });
+      await User.destroy({ where: { id: user.id }, force: true });
+    }
+    if (testCity) {
+      await City.destroy({ where: { id: testCity.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  it('should send a verification link on register', async () => {
+    const mails = await readMails();
+    expect(mails).toHaveLength(1);
+    expect(mails[0].to).toBe(user.email);
+    expect(mails[0].text).toContain('/auth/verify-email?token=');
+
+    await user.reload();
+    expect(user.email_verified_at).toBeNull();
+  });
+
+  it('should block unverified citizens while verification is required', async () => {
+    await expect(
+      verificationService.assertVerified({ id: user.id, role: 'citizen' })
+    ).rejects.toMatchObject({ statusCode: 403, details: { code: 'EMAIL_NOT_VERIFIED' } });
+
+    // Other roles and a disabled policy are never blocked
+    await expect(verificationService.assertVerified({ id: user.id, role: 'admin' })).resolves.toBeUndefined();
+    process.env.EMAIL_VERIFICATION_REQUIRED = 'false';
+    try {
+      await expect(verificationService.assertVerified({ id: user.id, role: 'citizen' })).resolves.toBeUndefined();
+    } finally {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED;
+    }
+  });
+
+  it('should throttle resends', async () => {
+    await expect(
+      verificationService.resendVerification(user.id)
+    ).rejects.toMatchObject({ statusCode: 429 });
+
+    // Move the first token outside the cooldown
+    await EmailVerificationToken.update(
+      { createdAt: new Date(Date.now() - 5 * 60 * 1000) },
+      { where: { user_id: user.id }, silent: true }
+    );
+    await verificationService.resendVerification(user.id);
+    expect(await readMails()).toHaveLength(2);
+  });
+
+  it('should verify the email once', async () => {
+    const mails = await readMails();
+    const token = tokenFromMail(mails[mails.length - 1]);
+
+    await verificationService.verifyEmail(token);
+    await user.reload();
+    expect(user.email_verified_at).not.toBeNull();
+
+    await expect(verificationService.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(verificationService.assertVerified({ id: user.id, role: 'citizen' })).resolves.toBeUndefined();
+  });
+
+  it('should refuse to resend once verified', async () => {
+    await expect(
+      verificationService.resendVerification(user.id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Impersonation Service Tests
+ *
+ * Tests the impersonation invariants:
+ * - The admin gets a time-limited session owned by the target and marked
+ *   with the real admin; it has no usable refresh token
+ * - Admins cannot impersonate themselves, administrators, or users outside
+ *   their cities
+ * - Stopping revokes the session and restores the admin's own session
+ * - Start and stop are audited with the real admin as the actor
+ * - Account-changing routes are blocked while impersonating
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const { User, Role, UserRole, City, AdminCity, AuthSession, SecurityEvent } = require('../../src/models');
+const {
+  IMPERSONATION_DEFAULTS,
+  STOP_REASONS,
+  startImpersonation,
+  stopImpersonation,
+  getImpersonation
+} = require('../../src/modules/auth/impersonation.service.js');
+const sessionService = require('../../src/modules/auth/session.service.js');
+const { SECURITY_EVENTS } = require('../../src/modules/auth/securityEvent.service.js');
+const { blockDuringImpersonation } = require('../../src/modules/auth/impersonation.middleware.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Impersonation Service', () => {
+  let admin = null;
+  let adminUser = null;
+  let citizen = null;
+  let otherAdmin = null;
+  let farCitizen = null;
+  let homeCity = null;
+  let otherCity = null;
+  const context = { userAgent: 'jest', ipAddress: '127.0.0.1' };
+
+  const createUser = async (cityId, roleNames) => {
+    const data = createTestUserData();
+    const user = await User.create({ name: data.name, email: data.email, password_hash: 'unused', city_id: cityId });
+    const roles = await Role.findAll({ where: { name: roleNames } });
+    await UserRole.bulkCreate(roles.map(role => ({ user_id: user.id, role_id: role.id })));
+    return user;
+  };
+
+  // req.user of a session, as built by auth.middleware.js
+  const requestUser = (session, user) => ({
+    id: user.id,
+    role: session.role,
+    city_id: user.city_id,
+    sessionId: session.id,
+    impersonatorId: session.impersonator_id || null
+  });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [homeCity] = await City.findOrCreate({
+      where: { name: 'Impersonation Test City 1' },
+      defaults: { name: 'Impersonation Test City 1', state: 'Test State' }
+    });
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Impersonation Test City 2' },
+      defaults: { name: 'Impersonation Test City 2', state: 'Test State' }
+    });
+
+    admin = await createUser(homeCity.id, ['admin']);
+    await AdminCity.create({ user_id: admin.id, city_id: homeCity.id });
+    citizen = await createUser(homeCity.id, ['citizen', 'authority']);
+    otherAdmin = await createUser(homeCity.id, ['admin']);
+    farCitizen = await createUser(otherCity.id, ['citizen']);
+
+    const { session } = await sessionService.createSession(admin, 'admin', context);
+    adminUser = requestUser(session, admin);
+  });
+
+  afterAll(async () => {
+    const ids = [admin, citizen, otherAdmin, farCitizen].filter(Boolean).map(user => user.id);
+    await SecurityEvent.destroy({ where: { user_id: ids } });
+    await AuthSession.destroy({ where: { user_id: ids }, force: true });
+    await UserRole.destroy({ where: { user_id: ids }, force: true });
+    await User.destroy({ where: { id: ids }, force: true });
+    await City.destroy({ where: { id: [homeCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('startImpersonation', () => {
+
+    it('should open a time-limited session as the user, marked with the admin', async () => {
+      const before = Date.now();
+      const { session, token, role } = await startImpersonation(
+        adminUser, citizen.id, { role: 'citizen', reason: 'Support ticket' }, context
+      );
+
+      expect(role).toBe('citizen');
+      expect(String(session.user_id)).toBe(String(citizen.id));
+      expect(String(session.impersonator_id)).toBe(String(admin.id));
+      expect(String(session.impersonator_session_id)).toBe(String(adminUser.sessionId));
+
+      const ttlMs = IMPERSONATION_DEFAULTS.ttlMinutes * 60 * 1000;
+      expect(new Date(session.expires_at).getTime()).toBeLessThanOrEqual(Date.now() + ttlMs);
+      expect(new Date(session.expires_at).getTime()).toBeGreaterThanOrEqual(before + ttlMs - 1000);
+
+      const claims = await sessionService.decryptToken(token);
+      expect(claims).toMatchObject({ role: 'citizen', sid: session.id });
+      expect(String(claims.id)).toBe(String(citizen.id));
+
+      const active = await sessionService.assertSessionActive(session.id, citizen.id);
+      expect(String(active.impersonator_id)).toBe(String(admin.id));
+
+      const event = await SecurityEvent.findOne({
+        where: { user_id: citizen.id, event_type: SECURITY_EVENTS.IMPERSONATION_STARTED },
+        order: [['id', 'DESC']]
+      });
+      expect(String(event.actor_id)).toBe(String(admin.id));
+      expect(event.metadata).toMatchObject({ role: 'citizen', reason: 'Support ticket' });
+    });
+
+    it('should require a role when the user has several', async () => {
+      await expect(startImpersonation(adminUser, citizen.id, {}, context))
+        .rejects.toMatchObject({ statusCode: 422 });
+      await expect(startImpersonation(adminUser, citizen.id, { role: 'admin' }, context))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should refuse self, administrators and users outside the admin\'s cities', async () => {
+      await expect(startImpersonation(adminUser, admin.id, {}, context))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(startImpersonation(adminUser, otherAdmin.id, {}, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(startImpersonation(adminUser, farCitizen.id, {}, context))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(startImpersonation(adminUser, 999999999, {}, context))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should not start an impersonation from an impersonation session', async () => {
+      const { session } = await startImpersonation(adminUser, citizen.id, { role: 'citizen' }, context);
+
+      await expect(startImpersonation(requestUser(session, citizen), farCitizen.id, {}, context))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('stopImpersonation', () => {
+
+    it('should revoke the session and restore the admin session', async () => {
+      const { session } = await startImpersonation(adminUser, citizen.id, { role: 'citizen' }, context);
+      const impersonating = requestUser(session, citizen);
+
+      expect(await getImpersonation(impersonating)).toMatchObject({
+        impersonator: { id: admin.id, name: admin.name }
+      });
+
+      const { admin: restored, role, token } = await stopImpersonation(impersonating, {}, context);
+      expect(String(restored.id)).toBe(String(admin.id));
+      expect(role).toBe('admin');
+
+      const claims = await sessionService.decryptToken(token);
+      expect(String(claims.sid)).toBe(String(adminUser.sessionId));
+
+      await expect(sessionService.assertSessionActive(session.id, citizen.id))
+        .rejects.toMatchObject({ statusCode: 401 });
+      expect((await AuthSession.findByPk(session.id)).revoked_reason)
+        .toBe(sessionService.REVOKE_REASONS.IMPERSONATION_ENDED);
+
+      const event = await SecurityEvent.findOne({
+        where: { user_id: citizen.id, event_type: SECURITY_EVENTS.IMPERSONATION_STOPPED },
+        order: [['id', 'DESC']]
+      });
+      expect(String(event.actor_id)).toBe(String(admin.id));
+      expect(event.metadata.reason).toBe(STOP_REASONS.STOPPED);
+    });
+
+    it('should not restore an admin session that has ended meanwhile', async () => {
+      const { session: adminSession } = await sessionService.createSession(admin, 'admin', context);
+      const { session } = await startImpersonation(
+        requestUser(adminSession, admin), citizen.id, { role: 'citizen' }, context
+      );
+      await sessionService.revokeSession(admin.id, adminSession.id);
+
+      const { token } = await stopImpersonation(requestUser(session, citizen), {}, context);
+      expect(token).toBeNull();
+    });
+
+    it('should reject sessions that are not impersonations', async () => {
+      await expect(stopImpersonation(adminUser, {}, context)).rejects.toMatchObject({ statusCode: 400 });
+      expect(await getImpersonation(adminUser)).toBeNull();
+    });
+  });
+
+  describe('blockDuringImpersonation', () => {
+
+    it('should reject impersonation sessions and let others through', () => {
+      const next = jest.fn();
+
+      blockDuringImpersonation({ user: { id: 1, impersonatorId: 2 } }, {}, next);
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403 });
+
+      blockDuringImpersonation({ user: { id: 1, impersonatorId: null } }, {}, next);
+      expect(next.mock.calls[1]).toEqual([]);
+    });
+  });
+});
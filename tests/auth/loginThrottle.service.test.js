@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * Login Throttle Service Tests
+ *
+ * Tests the brute-force protection invariants:
+ * - Repeated failures trigger a progressive delay, then a lockout
+ * - Locked accounts are rejected before the password is checked
+ * - Each lockout is recorded as a security event
+ * - Failures outside the window start a new count
+ * - Admins can view and clear an account lockout
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const bcrypt = require('bcrypt');
+const { User, Role, UserRole, LoginThrottle, SecurityEvent, AuthSession } = require('../../src/models');
+const authService = require('../../src/modules/auth/auth.service.js');
+const throttleService = require('../../src/modules/auth/loginThrottle.service.js');
+const adminUserService = require('../../src/modules/admin/user/user.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Login Throttle Service', () => {
+  let testUser = null;
+  let admin = null;
+  const testPassword = 'ThrottleTest123!';
+  const { THROTTLE_SCOPES, LOGIN_THROTTLE } = throttleService;
+  const testIp = `198.51.100.${Math.floor(Math.random() * 250) + 1}`;
+
+  const attempt = (password) => authService.login(
+    { email: testUser.email, password, role: 'citizen' },
+    { ipAddress: testIp }
+  );
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    const [citizenRole] = await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+
+    const userData = createTestUserData();
+    testUser = await User.create({
+      name: userData.name,
+      email: userData.email,
+      password_hash: await bcrypt.hash(testPassword, 10)
+    });
+    await UserRole.create({ user_id: testUser.id, role_id: citizenRole.id });
+
+    admin = await User.create({ ...createTestUserData(), password_hash: 'test-hash' });
+  });
+
+  afterAll(async () => {
+    await LoginThrottle.destroy({ where: { scope: THROTTLE_SCOPES.IP, key: testIp } });
+    if (testUser) {
+      await LoginThrottle.destroy({ where: { scope: THROTTLE_SCOPES.ACCOUNT, key: String(testUser.id) } });
+      await SecurityEvent.destroy({ where: { user_id: testUser.id } });
+      await AuthSession.destroy({ where: { user_id: testUser.id }, force: true });
+      await UserRole.destroy({ where: { user_id: testUser.id }, force: true });
+      await User.destroy({ where: { id: testUser.id }, force: true });
+    }
+    if (admin) {
+      await SecurityEvent.destroy({ where: { actor_id: admin.id } });
+      await User.destroy({ where: { id: admin.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('policy', () => {
+
+    it('should grow the delay exponentially up to the cap', () => {
+      expect(throttleService.progressiveDelayMs(LOGIN_THROTTLE.delayAfterFailures - 1)).toBe(0);
+      expect(throttleService.progressiveDelayMs(LOGIN_THROTTLE.delayAfterFailures)).toBe(1000);
+      expect(throttleService.progressiveDelayMs(LOGIN_THROTTLE.delayAfterFailures + 2)).toBe(4000);
+      expect(throttleService.progressiveDelayMs(100)).toBe(LOGIN_THROTTLE.maxDelaySeconds * 1000);
+    });
+
+    it('should double consecutive lockouts up to the cap', () => {
+      const base = LOGIN_THROTTLE.lockoutMinutes * 60 * 1000;
+      expect(throttleService.lockoutDurationMs(1)).toBe(base);
+      expect(throttleService.lockoutDurationMs(2)).toBe(2 * base);
+      expect(throttleService.lockoutDurationMs(50)).toBe(LOGIN_THROTTLE.maxLockoutMinutes * 60 * 1000);
+    });
+
+  });
+
+  describe('recordLoginFailure', () => {
+    const key = `throttle-test-${Date.now()}`;
+
+    afterAll(async () => {
+      await LoginThrottle.destroy({ where: { scope: THROTTLE_SCOPES.IP, key } });
+    });
+
+    it('should start a new count after a quiet window', async () => {
+      const longAgo = new Date(Date.now() - (LOGIN_THROTTLE.windowMinutes + 1) * 60 * 1000);
+      await throttleService.recordLoginFailure(THROTTLE_SCOPES.IP, key, { now: longAgo });
+      await throttleService.recordLoginFailure(THROTTLE_SCOPES.IP, key, { now: longAgo });
+
+      const result = await throttleService.recordLoginFailure(THROTTLE_SCOPES.IP, key);
+      expect(result.failedCount).toBe(1);
+    });
+
+    it('should ignore empty keys', async () => {
+      await expect(throttleService.recordLoginFailure(THROTTLE_SCOPES.IP, null)).resolves.toBeNull();
+      await expect(throttleService.assertLoginAllowed(THROTTLE_SCOPES.IP, null)).resolves.toBeUndefined();
+    });
+
+  });
+
+  describe('login', () => {
+
+    it('should delay, then lock the account, and log the lockout', async () => {
+      for (let i = 0; i < LOGIN_THROTTLE.delayAfterFailures; i++) {
+        await expect(attempt('wrong-password')).rejects.toMatchObject({ statusCode: 401 });
+      }
+
+      // Inside the progressive delay even the right password is refused
+      await expect(attempt(testPassword)).rejects.toMatchObject({
+        statusCode: 429,
+        details: { retryAfterSeconds: expect.any(Number) }
+      });
+
+      // Simulate the remaining failures, spaced past the delay
+      let now = Date.now();
+      for (let i = LOGIN_THROTTLE.delayAfterFailures; i < LOGIN_THROTTLE.maxFailures.account; i++) {
+        now += LOGIN_THROTTLE.maxDelaySeconds * 1000;
+        await throttleService.recordLoginFailure(THROTTLE_SCOPES.ACCOUNT, testUser.id, { now: new Date(now) });
+      }
+
+      const lockout = await throttleService.getAccountLockout(testUser.id, new Date(now));
+      expect(lockout.locked).toBe(true);
+      expect(lockout.lockoutCount).toBe(1);
+
+      const event = await SecurityEvent.findOne({ where: { user_id: testUser.id, event_type: 'login_lockout' } });
+      expect(event.metadata).toMatchObject({ scope: 'account', lockoutCount: 1 });
+
+      await expect(attempt(testPassword)).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('should let an admin view and clear the lockout', async () => {
+      const view = await adminUserService.getUserLockout(testUser.id, { id: admin.id, role: 'super_admin' });
+      expect(view.locked).toBe(true);
+      expect(view.events.map(e => e.event_type)).toContain('login_lockout');
+
+      const cleared = await adminUserService.clearUserLockout(testUser.id, { id: admin.id, role: 'super_admin' });
+      expect(cleared.locked).toBe(false);
+
+      const event = await SecurityEvent.findOne({ where: { user_id: testUser.id, event_type: 'lockout_cleared' } });
+      expect(String(event.actor_id)).toBe(String(admin.id));
+
+      // No client IP: the test IP is still inside its own progressive delay
+      const result = await authService.login({ email: testUser.email, password: testPassword, role: 'citizen' });
+      expect(result.token).toBeDefined();
+    });
+
+    it('should throw 404 for unknown users', async () => {
+      await expect(adminUserService.getUserLockout(-1, { id: admin.id, role: 'super_admin' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * OIDC Service Tests
+ *
+ * Runs the authorization-code flow against the mock provider in
+ * tests/setup/mockOidcProvider.js and tests the invariants:
+ * - First login provisions User, UserRole, AuthorityUser and the identity
+ * - Later logins reuse the identity and sync provider-managed roles
+ * - Existing accounts are linked only through a verified email
+ * - Users without a mapped role are not provisioned
+ * - Sessions are only opened with mapped roles, so local roles that
+ *   require two-factor cannot be reached through single sign-on
+ * - Tampered state and provider errors fail the login
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const {
+  User,
+  Role,
+  UserRole,
+  City,
+  Authority,
+  AuthorityUser,
+  AuthSession,
+  UserIdentity,
+  SecurityEvent
+} = require('../../src/models');
+const { beginOidcLogin, completeOidcLogin } = require('../../src/modules/auth/oidc.service.js');
+const { decryptToken } = require('../../src/modules/auth/session.service.js');
+const { startMockOidcProvider } = require('../setup/mockOidcProvider.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+const CLIENT_ID = 'civictrack-test';
+const CLIENT_SECRET = 'civictrack-test-secret';
+const OIDC_ENV = [
+  'OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_REDIRECT_URI',
+  'OIDC_ROLE_CLAIM', 'OIDC_ROLE_MAP', 'OIDC_AUTHORITY_CLAIM', 'OIDC_AUTHORITY_MAP'
+];
+
+describe('OIDC Service', () => {
+  let provider = null;
+  let city = null;
+  let authority = null;
+  const suffix = Date.now();
+  const emails = [];
+
+  const staffClaims = (overrides = {}) => {
+    const email = `oidc-staff-${suffix}-${emails.length}@example.com`;
+    emails.push(email);
+    return {
+      sub: `staff-${suffix}-${emails.length}`,
+      email,
+      email_verified: true,
+      name: 'OIDC Staff',
+      groups: ['civictrack-staff'],
+      department: 'roads',
+      ...overrides
+    };
+  };
+
+  /**
+   * Drive the browser part of the flow: start, follow the provider's
+   * redirect, then complete with the returned code
+   */
+  const signIn = async ({ role, tamperState = false } = {}) => {
+    const { authorizationUrl, stateToken } = await beginOidcLogin({ role });
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+
+    if (callback.searchParams.get('error')) {
+      return { error: callback.searchParams.get('error') };
+    }
+
+    return completeOidcLogin(
+      {
+        code: callback.searchParams.get('code'),
+        state: tamperState ? 'forged' : callback.searchParams.get('state')
+      },
+      stateToken,
+      { userAgent: 'jest', ipAddress: '127.0.0.1' }
+    );
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [city] = await City.findOrCreate({
+      where: { name: 'OIDC Test City' },
+      defaults: { name: 'OIDC Test City', state: 'Test State' }
+    });
+    authority = await Authority.create({
+      name: `OIDC Test Authority ${suffix}`,
+      city: 'OIDC Test City',
+      region: 'Test Region',
+      city_id: city.id
+    });
+
+    provider = await startMockOidcProvider({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+    Object.assign(process.env, {
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: CLIENT_ID,
+      OIDC_CLIENT_SECRET: CLIENT_SECRET,
+      OIDC_REDIRECT_URI: 'http://localhost:4000/api/auth/oidc/callback',
+      OIDC_ROLE_CLAIM: 'groups',
+      OIDC_ROLE_MAP: JSON.stringify({ 'civictrack-staff': 'authority' }),
+      OIDC_AUTHORITY_CLAIM: 'department',
+      OIDC_AUTHORITY_MAP: JSON.stringify({ roads: authority.id })
+    });
+  });
+
+  afterAll(async () => {
+    OIDC_ENV.forEach(name => delete process.env[name]);
+
+    const users = await User.findAll({ where: { email: emails }, paranoid: false });
+    const ids = users.map(user => user.id);
+    await SecurityEvent.destroy({ where: { user_id: ids } });
+    await AuthSession.destroy({ where: { user_id: ids }, force: true });
+    await AuthorityUser.destroy({ where: { user_id: ids }, force: true });
+    await UserRole.destroy({ where: { user_id: ids }, force: true });
+    await User.destroy({ where: { id: ids }, force: true });
+    if (authority) await authority.destroy({ force: true });
+
+    if (provider) await provider.close();
+    await closeDbConnection();
+  });
+
+  describe('first login', () => {
+
+    it('should provision the user, role, authority link and identity', async () => {
+      const claims = staffClaims();
+      provider.setUser(claims);
+
+      const { user, role, token, refreshToken } = await signIn();
+
+      expect(role).toBe('authority');
+      expect(refreshToken).toBeTruthy();
+      expect(await decryptToken(token)).toMatchObject({ role: 'authority' });
+
+      const stored = await User.findByPk(user.id);
+      expect(stored.email).toBe(claims.email);
+      expect(String(stored.city_id)).toBe(String(city.id));
+      expect(stored.email_verified_at).not.toBeNull();
+
+      const authorityRole = await Role.findOne({ where: { name: 'authority' } });
+      expect(await UserRole.count({ where: { user_id: user.id, role_id: authorityRole.id } })).toBe(1);
+
+      const link = await AuthorityUser.findOne({ where: { user_id: user.id } });
+      expect(String(link.authority_id)).toBe(String(authority.id));
+
+      const identity = await UserIdentity.findOne({ where: { user_id: user.id } });
+      expect(identity).toMatchObject({ issuer: provider.issuer, subject: claims.sub });
+    });
+
+    it('should not provision users without a mapped role', async () => {
+      const claims = staffClaims({ groups: ['somebody-else'] });
+      provider.setUser(claims);
+
+      await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+      expect(await User.count({ where: { email: claims.email } })).toBe(0);
+    });
+  });
+
+  describe('returning users', () => {
+
+    it('should reuse the identity and sync provider-managed roles', async () => {
+      const claims = staffClaims();
+      provider.setUser(claims);
+      const first = await signIn();
+
+      // Same subject, new email at the provider: still the same user
+      provider.setUser({ ...claims, email: `${claims.email}.moved` });
+      const second = await signIn();
+      expect(String(second.user.id)).toBe(String(first.user.id));
+      expect(await UserIdentity.count({ where: { user_id: first.user.id } })).toBe(1);
+
+      // Removed from the group at the provider: loses the mapped role
+      provider.setUser({ ...claims, groups: [] });
+      await expect(signIn()).rejects.toMatchObject({ statusCode: 403 });
+      const authorityRole = await Role.findOne({ where: { name: 'authority' } });
+      expect(await UserRole.count({ where: { user_id: first.user.id, role_id: authorityRole.id } })).toBe(0);
+    });
+
+    it('should keep roles the provider does not manage without signing in with them', async () => {
+      const claims = staffClaims();
+      provider.setUser(claims);
+      const { user } = await signIn();
+
+      const citizenRole = await Role.findOne({ where: { name: 'citizen' } });
+      await UserRole.create({ user_id: user.id, role_id: citizenRole.id });
+
+      await expect(signIn({ role: 'citizen' })).rejects.toMatchObject({ statusCode: 403 });
+      expect((await signIn()).role).toBe('authority');
+      expect(await UserRole.count({ where: { user_id: user.id } })).toBe(2);
+    });
+  });
+
+  describe('existing accounts', () => {
+
+    it('should link an existing account only through a verified email', async () => {
+      const data = createTestUserData();
+      const claims = staffClaims();
+      const existing = await User.create({ name: data.name, email: claims.email, password_hash: 'unused' });
+
+      provider.setUser({ ...claims, email_verified: false });
+      await expect(signIn()).rejects.toMatchObject({ statusCode: 409 });
+
+      provider.setUser(claims);
+      const { user } = await signIn();
+      expect(String(user.id)).toBe(String(existing.id));
+
+      const event = await SecurityEvent.findOne({ where: { user_id: existing.id, event_type: 'oidc_account_linked' } });
+      expect(event.metadata).toMatchObject({ subject: claims.sub, created: false });
+    });
+
+    it('should not open sessions for local roles of a linked account', async () => {
+      const data = createTestUserData();
+      const claims = staffClaims();
+      const existing = await User.create({ name: data.name, email: claims.email, password_hash: 'unused' });
+      const adminRole = await Role.findOne({ where: { name: 'admin' } });
+      await UserRole.create({ user_id: existing.id, role_id: adminRole.id });
+
+      provider.setUser(claims);
+      await expect(signIn({ role: 'admin' })).rejects.toMatchObject({ statusCode: 403 });
+      expect(await AuthSession.count({ where: { user_id: existing.id } })).toBe(0);
+    });
+  });
+
+  describe('failures', () => {
+
+    it('should reject a forged state', async () => {
+      provider.setUser(staffClaims());
+      await expect(signIn({ tamperState: true })).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should surface a denied sign-in at the provider', async () => {
+      provider.setUser(null);
+      expect(await signIn()).toEqual({ error: 'access_denied' });
+    });
+
+    it('should report when single sign-on is not configured', async () => {
+      const issuer = process.env.OIDC_ISSUER;
+      delete process.env.OIDC_ISSUER;
+      try {
+        await expect(beginOidcLogin()).rejects.toMatchObject({ statusCode: 404 });
+      } finally {
+        process.env.OIDC_ISSUER = issuer;
+      }
+    });
+  });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Password Reset Service Tests
+ *
+ * Tests the password reset invariants:
+ * - A reset link is mailed to registered emails only, with no observable difference
+ * - The forgot-password response does not wait for the email
+ * - Tokens are stored hashed, expire and are single-use
+ * - A new request invalidates older links
+ * - A reset changes the password and signs out every session
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const bcrypt = require('bcrypt');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { User, PasswordResetToken, AuthSession } = require('../../src/models');
+const passwordResetService = require('../../src/modules/auth/passwordReset.service.js');
+const authController = require('../../src/modules/auth/auth.controller.js');
+const sessionService = require('../../src/modules/auth/session.service.js');
+const mailer = require('../../src/shared/mail/mailer.js');
+const { createFileTransport } = require('../../src/shared/mail/transports.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Password Reset Service', () => {
+  let testUser = null;
+  let mailDir = null;
+  const newPassword = 'ResetTest456!';
+
+  const readMails = async () => {
+    const files = (await fs.readdir(mailDir)).sort();
+    return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(mailDir, file), 'utf8'))));
+  };
+
+  const clearMails = async () => {
+    await fs.rm(mailDir, { recursive: true, force: true });
+    await fs.mkdir(mailDir, { recursive: true });
+  };
+
+  const tokenFromMail = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  const requestToken = async () => {
+    await clearMails();
+    await passwordResetService.requestPasswordReset(testUser.email);
+    const [mail] = await readMails();
+    return tokenFromMail(mail);
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'civictrack-mail-'));
+    mailer.setTransport(createFileTransport({ directory: mailDir }));
+
+    const userData = createTestUserData();
+    testUser = await User.create({
+      name: userData.name,
+      email: userData.email,
+      password_hash: await bcrypt.hash('ResetTest123!', 10)
+    });
+  });
+
+  afterAll(async () => {
+    mailer.setTransport(null);
+    await fs.rm(mailDir, { recursive: true, force: true });
+    if (testUser) {
+      await AuthSession.destroy({ where: { user_id: testUser.id }, force: true });
+      await PasswordResetToken.destroy({ where: { user_id: testUser.id }, force: true });
+      await User.destroy({ where: { id: testUser.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('requestPasswordReset', () => {
+
+    it('should mail a reset link and store only the token hash', async () => {
+      const token = await requestToken();
+      const [mail] = await readMails();
+
+      expect(mail.to).toBe(testUser.email);
+      expect(mail.text).toContain('/reset-password?token=');
+
+      const stored = await PasswordResetToken.findOne({ where: { user_id: testUser.id } });
+      expect(stored.token_hash).toHaveLength(64);
+      expect(stored.token_hash).not.toBe(token);
+    });
+
+    it('should resolve silently for unknown emails', async () => {
+      await clearMails();
+      await expect(
+        passwordResetService.requestPasswordReset('nobody-here@example.com')
+      ).resolves.toBeUndefined();
+      expect(await readMails()).toHaveLength(0);
+    });
+
+    it('should invalidate earlier links', async () => {
+      const first = await requestToken();
+      await requestToken();
+
+      await expect(
+        passwordResetService.resetPassword({ token: first, newPassword })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+  describe('forgotPassword', () => {
+
+    it('should respond before the email is sent', async () => {
+      let releaseMail = null;
+      const sent = new Promise((resolve) => {
+        mailer.setTransport({
+          send: (message) => new Promise((release) => {
+            releaseMail = () => {
+              release({ messageId: 'held' });
+              resolve(message);
+            };
+          })
+        });
+      });
+
+      const req = { body: { email: testUser.email }, ip: '127.0.0.1', get: () => null };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+
+      try {
+        await authController.forgotPassword(req, res, next);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(next).not.toHaveBeenCalled();
+
+        // The request keeps running in the background until the mail is sent
+        while (!releaseMail) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        releaseMail();
+        expect((await sent).to).toBe(testUser.email);
+      } finally {
+        mailer.setTransport(createFileTransport({ directory: mailDir }));
+      }
+    });
+
+  });
+
+  describe('resetPassword', () => {
+
+    it('should set the password, sign out all sessions and be single-use', async () => {
+      const { session } = await sessionService.createSession(testUser, 'citizen');
+      const token = await requestToken();
+
+      await passwordResetService.resetPassword({ token, newPassword });
+
+      await testUser.reload();
+      expect(await bcrypt.compare(newPassword, testUser.password_hash)).toBe(true);
+
+      const revoked = await AuthSession.findByPk(session.id);
+      expect(revoked.revoked_reason).toBe(sessionService.REVOKE_REASONS.PASSWORD_RESET);
+
+      await expect(
+        passwordResetService.resetPassword({ token, newPassword: 'Another789!' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = await requestToken();
+      await PasswordResetToken.update(
+        { expires_at: new Date(Date.now() - 1000) },
+        { where: { user_id: testUser.id, used_at: null } }
+      );
+
+      await expect(
+        passwordResetService.resetPassword({ token, newPassword })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject unknown tokens', async () => {
+      await expect(
+        passwordResetService.resetPassword({ token: 'pr_not-a-token', newPassword })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+});
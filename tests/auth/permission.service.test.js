@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Permission Service Tests
+ *
+ * Tests the permission model invariants:
+ * - Built-in roles keep the access they had with hard-coded role checks
+ * - Custom roles get exactly the permissions granted to them, effective immediately
+ * - requirePermission rejects requests missing any listed permission
+ * - Admins cannot lock themselves out of role management
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { Role } = require('../../src/models');
+const {
+  PERMISSIONS,
+  getRolePermissions,
+  getReportViewScope,
+  can,
+  assertCan,
+  invalidatePermissionCache
+} = require('../../src/modules/auth/permission.service.js');
+const { requirePermission } = require('../../src/modules/auth/permission.middleware.js');
+const { assertTransitionAllowed } = require('../../src/modules/issue/statusWorkflow.service.js');
+const roleService = require('../../src/modules/admin/role/role.service.js');
+const { ensureDbConnection, closeDbConnection } = require('../setup/testHelpers.js');
+
+describe('Permission Service', () => {
+  const roleName = `auditor_${Date.now()}`;
+  let auditorRole = null;
+
+  const runMiddleware = async (middleware, user) => {
+    const next = jest.fn();
+    await middleware({ user }, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+    invalidatePermissionCache();
+  });
+
+  afterAll(async () => {
+    await Role.destroy({ where: { name: roleName }, force: true });
+    invalidatePermissionCache();
+    await closeDbConnection();
+  });
+
+  describe('built-in roles', () => {
+
+    it('should grant citizens reporting but not status changes', async () => {
+      const citizen = { role: 'citizen' };
+      expect(await can(citizen, PERMISSIONS.REPORT_CREATE)).toBe(true);
+      expect(await can(citizen, PERMISSIONS.REPORT_STATUS_UPDATE)).toBe(false);
+      expect(await getReportViewScope(citizen)).toBe('city');
+    });
+
+    it('should scope authority users to assigned reports', async () => {
+      const authority = { role: 'authority' };
+      expect(await can(authority, PERMISSIONS.REPORT_STATUS_UPDATE)).toBe(true);
+      expect(await can(authority, PERMISSIONS.REPORT_UNMERGE)).toBe(false);
+      expect(await getReportViewScope(authority)).toBe('assigned');
+    });
+
+    it('should give admins full report access and role management', async () => {
+      const admin = { role: 'admin' };
+      expect(await getReportViewScope(admin)).toBe('all');
+      expect(await can(admin, PERMISSIONS.ROLE_MANAGE)).toBe(true);
+      expect(await can(admin, PERMISSIONS.REPORT_CREATE)).toBe(false);
+    });
+
+    it('should have no permissions for unknown roles', async () => {
+      expect((await getRolePermissions('no-such-role')).size).toBe(0);
+      expect(await getReportViewScope({ role: 'no-such-role' })).toBeNull();
+      await expect(assertCan({ role: 'no-such-role' }, PERMISSIONS.REPORT_EXPORT)).rejects.toMatchObject({
+        statusCode: 403,
+        details: { missingPermissions: [PERMISSIONS.REPORT_EXPORT] }
+      });
+    });
+
+    it('should refuse to delete a built-in role', async () => {
+      const citizenRole = await Role.findOne({ where: { name: 'citizen' } });
+      await expect(roleService.deleteRole(citizenRole.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('custom roles', () => {
+
+    it('should create a role with the granted permissions', async () => {
+      auditorRole = await roleService.createRole({
+        name: roleName,
+        description: 'Read-only auditor',
+        permissions: [PERMISSIONS.REPORT_VIEW_ALL, PERMISSIONS.REPORT_EXPORT]
+      });
+
+      expect(auditorRole.permissions).toEqual([PERMISSIONS.REPORT_EXPORT, PERMISSIONS.REPORT_VIEW_ALL]);
+      expect(auditorRole.built_in).toBe(false);
+      expect(await getReportViewScope({ role: roleName })).toBe('all');
+      expect(await can({ role: roleName }, PERMISSIONS.REPORT_STATUS_UPDATE)).toBe(false);
+    });
+
+    it('should reject duplicate names and unknown permission keys', async () => {
+      await expect(roleService.createRole({ name: roleName }, { role: 'admin' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(
+        roleService.setRolePermissions(auditorRole.id, ['report.teleport'], { role: 'admin' })
+      ).rejects.toMatchObject({ statusCode: 422, details: { unknownPermissions: ['report.teleport'] } });
+    });
+
+    it('should apply permission changes immediately', async () => {
+      // Prime the cache with the current grants
+      expect(await can({ role: roleName }, PERMISSIONS.REPORT_STATUS_UPDATE)).toBe(false);
+
+      const role = await roleService.setRolePermissions(
+        auditorRole.id,
+        [PERMISSIONS.REPORT_VIEW_ALL, PERMISSIONS.REPORT_STATUS_UPDATE],
+        { role: 'admin' }
+      );
+
+      expect(role.permissions).not.toContain(PERMISSIONS.REPORT_EXPORT);
+      expect(await can({ role: roleName }, PERMISSIONS.REPORT_STATUS_UPDATE)).toBe(true);
+      expect(await can({ role: roleName }, PERMISSIONS.REPORT_EXPORT)).toBe(false);
+    });
+
+    it('should drive status transitions by permission', async () => {
+      const permissions = await getRolePermissions(roleName);
+
+      expect(assertTransitionAllowed({ fromStatus: 'reported', toStatus: 'in_progress', permissions }).to)
+        .toBe('in_progress');
+      // Reopening a rejected report needs report.status.override
+      expect(() => assertTransitionAllowed({
+        fromStatus: 'rejected',
+        toStatus: 'reported',
+        permissions,
+        comment: 'Reopening'
+      })).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    it('should strip every permission from a deactivated role', async () => {
+      await roleService.updateRole(auditorRole.id, { isActive: false }, { role: 'admin' });
+      expect((await getRolePermissions(roleName)).size).toBe(0);
+
+      await roleService.updateRole(auditorRole.id, { isActive: true }, { role: 'admin' });
+      expect(await can({ role: roleName }, PERMISSIONS.REPORT_VIEW_ALL)).toBe(true);
+    });
+
+    it('should not let a user remove role management from their own role', async () => {
+      await expect(
+        roleService.setRolePermissions(auditorRole.id, [PERMISSIONS.REPORT_VIEW_ALL], { role: roleName })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      await expect(
+        roleService.updateRole(auditorRole.id, { isActive: false }, { role: roleName })
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should delete an unused custom role', async () => {
+      await roleService.deleteRole(auditorRole.id);
+      expect(await Role.findByPk(auditorRole.id)).toBeNull();
+      expect((await getRolePermissions(roleName)).size).toBe(0);
+    });
+  });
+
+  describe('requirePermission middleware', () => {
+
+    it('should call next without an error when every permission is held', async () => {
+      const middleware = requirePermission(PERMISSIONS.REPORT_MERGE, PERMISSIONS.REPORT_EXPORT);
+      expect(await runMiddleware(middleware, { id: 1, role: 'authority' })).toBeUndefined();
+    });
+
+    it('should reject with 403 listing the missing permissions', async () => {
+      const middleware = requirePermission(PERMISSIONS.REPORT_MERGE, PERMISSIONS.REPORT_UNMERGE);
+      const err = await runMiddleware(middleware, { id: 1, role: 'authority' });
+      expect(err).toMatchObject({ statusCode: 403, details: { missingPermissions: [PERMISSIONS.REPORT_UNMERGE] } });
+    });
+
+    it('should reject unauthenticated requests with 401', async () => {
+      const err = await runMiddleware(requirePermission(PERMISSIONS.REPORT_CREATE), undefined);
+      expect(err).toMatchObject({ statusCode: 401 });
+    });
+  });
+});
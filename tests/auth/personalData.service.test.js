@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Personal Data Service Tests
+ *
+ * Tests the data subject request invariants:
+ * - The export contains the profile, reports (with images and status
+ *   history), flags, log entries and comments, and is recorded
+ * - The ZIP export holds one file per section
+ * - Erasing anonymises the user but keeps their reports
+ * - Administrator accounts and wrong passwords are refused
+ * - Admins reach only users in the cities they administer
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const bcrypt = require('bcrypt');
+const {
+  User,
+  Role,
+  UserRole,
+  City,
+  Issue,
+  UserIssue,
+  IssueImage,
+  Flag,
+  UserIssueFlag,
+  Log,
+  ReportComment,
+  AdminCity,
+  AuthSession,
+  SecurityEvent
+} = require('../../src/models');
+const {
+  ANONYMISED_NAME,
+  exportPersonalData,
+  renderPersonalDataExport,
+  anonymiseUser,
+  deleteOwnAccount
+} = require('../../src/modules/auth/personalData.service.js');
+const { createSession } = require('../../src/modules/auth/session.service.js');
+const userService = require('../../src/modules/admin/user/user.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Personal Data Service', () => {
+  let city = null;
+  let otherCity = null;
+  let category = null;
+  let flag = null;
+  let citizenRole = null;
+  let adminRole = null;
+  const users = [];
+
+  const createCitizen = async (overrides = {}) => {
+    const data = createTestUserData();
+    const user = await User.create({
+      name: data.name,
+      email: data.email,
+      password_hash: await bcrypt.hash(data.password, 4),
+      city_id: city.id,
+      ...overrides
+    });
+    await UserRole.create({ user_id: user.id, role_id: citizenRole.id });
+    users.push(user);
+    return { user, password: data.password };
+  };
+
+  const createReport = (user) => UserIssue.create({
+    title: 'Broken streetlight',
+    description: 'Outside number 12',
+    issue_id: category.id,
+    reporter_id: user.id,
+    city_id: city.id,
+    status: 'reported'
+  });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [city] = await City.findOrCreate({
+      where: { name: 'Personal Data Test City' },
+      defaults: { name: 'Personal Data Test City', state: 'Test State' }
+    });
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Personal Data Other City' },
+      defaults: { name: 'Personal Data Other City', state: 'Test State' }
+    });
+    [category] = await Issue.findOrCreate({
+      where: { name: 'Personal Data Test Category' },
+      defaults: { name: 'Personal Data Test Category', slug: 'personal-data-test-category', description: 'Test category' }
+    });
+    [flag] = await Flag.findOrCreate({
+      where: { name: 'Personal Data Test Flag' },
+      defaults: { name: 'Personal Data Test Flag', description: 'Test flag' }
+    });
+    [citizenRole] = await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+    adminRole = await Role.findOne({ where: { name: 'admin' } });
+  });
+
+  afterAll(async () => {
+    const ids = users.map(user => user.id);
+    const reports = await UserIssue.findAll({ where: { reporter_id: ids }, attributes: ['id'], paranoid: false });
+    const reportIds = reports.map(report => report.id);
+
+    await ReportComment.destroy({ where: { report_id: reportIds }, force: true });
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await UserIssueFlag.destroy({ where: { report_id: reportIds }, force: true });
+    await IssueImage.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    await SecurityEvent.destroy({ where: { user_id: ids } });
+    await AuthSession.destroy({ where: { user_id: ids }, force: true });
+    await AdminCity.destroy({ where: { user_id: ids } });
+    await UserRole.destroy({ where: { user_id: ids }, force: true });
+    await User.destroy({ where: { id: ids }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('export', () => {
+
+    it('should include reports, images, status history, flags, log entries and comments', async () => {
+      const { user } = await createCitizen();
+      const report = await createReport(user);
+      await IssueImage.create({ report_id: report.id, url: 'https://example.com/light.jpg' });
+      await Log.create({ issue_id: report.id, updated_by: user.id, from_status: null, to_status: 'reported' });
+      await UserIssueFlag.create({ report_id: report.id, user_id: user.id, flag_id: flag.id });
+      await ReportComment.create({ report_id: report.id, user_id: user.id, body: 'Still broken' });
+
+      const bundle = await exportPersonalData(user.id, { actorId: user.id });
+
+      expect(bundle.profile).toMatchObject({ email: user.email, city: city.name, roles: ['citizen'] });
+      expect(bundle.reports).toHaveLength(1);
+      expect(bundle.reports[0]).toMatchObject({
+        title: 'Broken streetlight',
+        images: [expect.objectContaining({ url: 'https://example.com/light.jpg' })],
+        statusHistory: [expect.objectContaining({ toStatus: 'reported' })]
+      });
+      expect(bundle.flags).toEqual([expect.objectContaining({ flag: 'Personal Data Test Flag' })]);
+      expect(bundle.logEntries).toHaveLength(1);
+      expect(bundle.comments).toEqual([expect.objectContaining({ body: 'Still broken' })]);
+
+      expect(await SecurityEvent.count({ where: { user_id: user.id, event_type: 'personal_data_exported' } })).toBe(1);
+    });
+
+    it('should render a ZIP with one file per section', async () => {
+      const { user } = await createCitizen();
+      const bundle = await exportPersonalData(user.id);
+
+      const json = renderPersonalDataExport(bundle, 'json');
+      expect(JSON.parse(json.body).profile.id).toBe(user.id);
+      expect(json.fileName).toBe(`civictrack-personal-data-${user.id}.json`);
+
+      const zip = renderPersonalDataExport(bundle, 'zip');
+      expect(zip.contentType).toBe('application/zip');
+      expect(zip.body.subarray(0, 4).toString('hex')).toBe('504b0304');
+      ['README.txt', 'profile.json', 'reports.json', 'flags.json', 'logEntries.json'].forEach((name) => {
+        expect(zip.body.includes(Buffer.from(name))).toBe(true);
+      });
+    });
+  });
+
+  describe('erasure', () => {
+
+    it('should anonymise the user and keep their reports', async () => {
+      const { user } = await createCitizen();
+      const report = await createReport(user);
+      await createSession(user, 'citizen', { ipAddress: '10.1.1.1', userAgent: 'jest' });
+      await SecurityEvent.create({ event_type: 'login_lockout', user_id: user.id, ip_address: '10.1.1.1' });
+
+      await anonymiseUser(user.id, { actorId: user.id });
+
+      const erased = await User.findByPk(user.id, { paranoid: false });
+      expect(erased).toMatchObject({ name: ANONYMISED_NAME, email: `deleted-user-${user.id}@deleted.invalid`, city_id: null });
+      expect(erased.anonymised_at).not.toBeNull();
+      expect(erased.deletedAt).not.toBeNull();
+
+      expect(await AuthSession.count({ where: { user_id: user.id }, paranoid: false })).toBe(0);
+      expect(await UserRole.count({ where: { user_id: user.id }, paranoid: false })).toBe(0);
+      expect(await SecurityEvent.count({ where: { user_id: user.id, ip_address: '10.1.1.1' } })).toBe(0);
+
+      await report.reload();
+      expect(String(report.reporter_id)).toBe(String(user.id));
+      expect(report.title).toBe('Broken streetlight');
+
+      await expect(anonymiseUser(user.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should confirm the password for self-service deletion', async () => {
+      const { user, password } = await createCitizen();
+
+      await expect(deleteOwnAccount(user.id, { currentPassword: 'wrong' })).rejects.toMatchObject({ statusCode: 401 });
+      await deleteOwnAccount(user.id, { currentPassword: password });
+
+      const event = await SecurityEvent.findOne({ where: { user_id: user.id, event_type: 'account_anonymised' } });
+      expect(event.metadata).toEqual({ selfService: true });
+      expect(event.ip_address).toBeNull();
+    });
+
+    it('should refuse administrator accounts', async () => {
+      const { user } = await createCitizen();
+      await UserRole.create({ user_id: user.id, role_id: adminRole.id });
+
+      await expect(anonymiseUser(user.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('admin operations', () => {
+
+    it('should only reach users in the admin\'s cities', async () => {
+      const { user: admin } = await createCitizen();
+      await AdminCity.create({ user_id: admin.id, city_id: otherCity.id });
+      const actor = { id: admin.id, role: 'admin' };
+      const { user } = await createCitizen();
+
+      await expect(userService.exportUserData(user.id, actor)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(userService.eraseUserData(user.id, actor)).rejects.toMatchObject({ statusCode: 403 });
+
+      await AdminCity.create({ user_id: admin.id, city_id: city.id });
+      const bundle = await userService.exportUserData(user.id, actor, { ipAddress: '10.0.0.9' });
+      expect(bundle.profile.email).toBe(user.email);
+
+      await userService.eraseUserData(user.id, actor, { ipAddress: '10.0.0.9' });
+      const event = await SecurityEvent.findOne({ where: { user_id: user.id, event_type: 'account_anonymised' } });
+      expect(event).toMatchObject({ ip_address: '10.0.0.9', metadata: { selfService: false } });
+      expect(String(event.actor_id)).toBe(String(admin.id));
+    });
+  });
+});
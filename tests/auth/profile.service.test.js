@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * Profile Service Tests
+ *
+ * Tests the profile invariants:
+ * - Name and city changes are saved and recorded in the account history
+ * - A city change reissues the access token with the new city
+ * - Authority users cannot move city themselves
+ * - Email changes only apply once the new address is verified
+ * - After a city change the citizen's feed shows the new city, and their
+ *   old reports stay listed under myIssues
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  User,
+  UserRole,
+  City,
+  Issue,
+  UserIssue,
+  Authority,
+  AuthorityUser,
+  AuthSession,
+  AccountHistory,
+  EmailVerificationToken
+} = require('../../src/models');
+const authService = require('../../src/modules/auth/auth.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const { updateProfile } = require('../../src/modules/auth/profile.service.js');
+const { requestEmailChange, verifyEmail } = require('../../src/modules/auth/emailVerification.service.js');
+const { listAccountHistory } = require('../../src/modules/auth/accountHistory.service.js');
+const { createSession, decryptToken } = require('../../src/modules/auth/session.service.js');
+const mailer = require('../../src/shared/mail/mailer.js');
+const { createFileTransport } = require('../../src/shared/mail/transports.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Profile Service', () => {
+  let cityA = null;
+  let cityB = null;
+  let category = null;
+  let mailDir = null;
+  const users = [];
+
+  const readMails = async () => {
+    const files = (await fs.readdir(mailDir)).sort();
+    return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(mailDir, file), 'utf8'))));
+  };
+
+  const tokenFromMail = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  // Registered citizen in city A, with the registration email out of the throttle window
+  const registerCitizen = async () => {
+    const data = createTestUserData();
+    const user = await authService.register({ ...data, cityId: cityA.id });
+    users.push(user);
+    await EmailVerificationToken.update(
+      { createdAt: new Date(Date.now() - 5 * 60 * 1000) },
+      { where: { user_id: user.id }, silent: true, paranoid: false }
+    );
+    return { user, password: data.password };
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'civictrack-mail-'));
+    mailer.setTransport(createFileTransport({ directory: mailDir }));
+
+    [cityA] = await City.findOrCreate({
+      where: { name: 'Profile Test City A' },
+      defaults: { name: 'Profile Test City A', state: 'Test State' }
+    });
+    [cityB] = await City.findOrCreate({
+      where: { name: 'Profile Test City B' },
+      defaults: { name: 'Profile Test City B', state: 'Test State' }
+    });
+    [category] = await Issue.findOrCreate({
+      where: { name: 'Profile Test Category' },
+      defaults: { name: 'Profile Test Category', slug: 'profile-test-category', description: 'Test category' }
+    });
+  });
+
+  afterAll(async () => {
+    mailer.setTransport(null);
+    await fs.rm(mailDir, { recursive: true, force: true });
+
+    const ids = users.map(user => user.id);
+    await UserIssue.destroy({ where: { reporter_id: ids }, force: true });
+    await AuthorityUser.destroy({ where: { user_id: ids }, force: true });
+    await Authority.destroy({ where: { name: 'Profile Test Authority' }, force: true });
+    await AccountHistory.destroy({ where: { user_id: ids } });
+    await EmailVerificationToken.destroy({ where: { user_id: ids }, force: true });
+    await AuthSession.destroy({ where: { user_id: ids }, force: true });
+    await UserRole.destroy({ where: { user_id: ids }, force: true });
+    await User.destroy({ where: { id: ids }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('updateProfile', () => {
+
+    it('should save changes, record them and reissue the token for a new city', async () => {
+      const { user } = await registerCitizen();
+      const { session } = await createSession(user, 'citizen');
+
+      const result = await updateProfile(
+        { id: user.id, role: 'citizen', sessionId: session.id },
+        { name: 'Moved Citizen', cityId: cityB.id },
+        { ipAddress: '127.0.0.1' }
+      );
+
+      expect(result.changed).toEqual(['name', 'city']);
+      expect(result.user).toMatchObject({ name: 'Moved Citizen' });
+      expect(String(result.user.city_id)).toBe(String(cityB.id));
+      expect(String((await decryptToken(result.token)).city_id)).toBe(String(cityB.id));
+
+      const history = await listAccountHistory(user.id);
+      expect(history).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'name', oldValue: 'Test User', newValue: 'Moved Citizen', changedBy: 'self' }),
+        expect.objectContaining({ field: 'city', oldValue: cityA.name, newValue: cityB.name })
+      ]));
+    });
+
+    it('should not record or reissue anything without changes', async () => {
+      const { user } = await registerCitizen();
+
+      const result = await updateProfile({ id: user.id, role: 'citizen', sessionId: null }, { name: user.name });
+      expect(result).toMatchObject({ changed: [], token: null });
+      expect(await AccountHistory.count({ where: { user_id: user.id } })).toBe(0);
+    });
+
+    it('should reject unknown cities and city changes by authority users', async () => {
+      const { user } = await registerCitizen();
+      const self = { id: user.id, role: 'citizen', sessionId: null };
+
+      await expect(updateProfile(self, { cityId: 999999999 })).rejects.toMatchObject({ statusCode: 400 });
+
+      const authority = await Authority.create({
+        name: 'Profile Test Authority',
+        city: cityA.name,
+        region: 'Test Region',
+        city_id: cityA.id
+      });
+      await AuthorityUser.create({ user_id: user.id, authority_id: authority.id });
+
+      await expect(updateProfile(self, { cityId: cityB.id })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(updateProfile(self, { name: 'Still allowed' })).resolves.toMatchObject({ changed: ['name'] });
+    });
+  });
+
+  describe('email change', () => {
+
+    it('should only switch the address once the new one is verified', async () => {
+      const { user, password } = await registerCitizen();
+      const oldEmail = user.email;
+      const newEmail = `changed-${oldEmail}`;
+
+      await expect(requestEmailChange(user.id, { email: newEmail, currentPassword: 'wrong' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+
+      await requestEmailChange(user.id, { email: newEmail, currentPassword: password });
+      await user.reload();
+      expect(user.email).toBe(oldEmail);
+
+      const mail = (await readMails()).find(item => item.to === newEmail);
+      await verifyEmail(tokenFromMail(mail), { ipAddress: '127.0.0.1' });
+
+      await user.reload();
+      expect(user.email).toBe(newEmail);
+      expect(user.email_verified_at).not.toBeNull();
+
+      // The old address is told about the change
+      expect((await readMails()).some(item => item.to === oldEmail && item.subject.includes('changed'))).toBe(true);
+
+      const [entry] = await listAccountHistory(user.id);
+      expect(entry).toMatchObject({ field: 'email', oldValue: oldEmail, newValue: newEmail });
+    });
+
+    it('should refuse registered addresses and throttle requests', async () => {
+      const first = await registerCitizen();
+      const second = await registerCitizen();
+
+      await expect(requestEmailChange(first.user.id, { email: second.user.email, currentPassword: first.password }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(requestEmailChange(first.user.id, { email: first.user.email, currentPassword: first.password }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      await requestEmailChange(first.user.id, { email: `next-${first.user.email}`, currentPassword: first.password });
+      await expect(requestEmailChange(first.user.id, { email: `other-${first.user.email}`, currentPassword: first.password }))
+        .rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('should fail when the address was taken before verification', async () => {
+      const { user, password } = await registerCitizen();
+      const newEmail = `race-${user.email}`;
+
+      await requestEmailChange(user.id, { email: newEmail, currentPassword: password });
+      const mail = (await readMails()).find(item => item.to === newEmail);
+
+      const other = await User.create({ name: 'Faster', email: newEmail, password_hash: 'unused' });
+      users.push(other);
+
+      await expect(verifyEmail(tokenFromMail(mail))).rejects.toMatchObject({ statusCode: 409 });
+      await user.reload();
+      expect(user.email).not.toBe(newEmail);
+    });
+  });
+
+  describe('report visibility after a city change', () => {
+
+    it('should show the new city feed and keep old reports under myIssues', async () => {
+      const { user } = await registerCitizen();
+      const oldReport = await UserIssue.create({
+        title: 'Filed before moving',
+        description: 'Pothole in the old city',
+        issue_id: category.id,
+        reporter_id: user.id,
+        city_id: cityA.id,
+        status: 'reported',
+        is_hidden: false
+      });
+
+      await updateProfile({ id: user.id, role: 'citizen', sessionId: null }, { cityId: cityB.id });
+      const movedUser = { id: user.id, role: 'citizen', city_id: cityB.id };
+
+      const feed = await issueService.listReports(movedUser, {}, null, { entityType: 'issues' });
+      expect(feed.data.map(report => report.id)).not.toContain(oldReport.id);
+
+      const mine = await issueService.listReports(movedUser, { myIssues: 'true' }, null, { entityType: 'issues' });
+      expect(mine.data.map(report => report.id)).toContain(oldReport.id);
+
+      // The report itself stays in the city it was filed in
+      await oldReport.reload();
+      expect(String(oldReport.city_id)).toBe(String(cityA.id));
+    });
+  });
+});
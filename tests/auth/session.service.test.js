@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Session Service Tests
+ *
+ * Tests the session invariants:
+ * - Login opens a session and the access token carries its id
+ * - Refresh rotates the refresh token; replaying an old token revokes the session
+ * - Revoked sessions fail the auth check and cannot refresh
+ * - Changing a password signs out every other session
+ * - Switching role keeps the session and is limited to the user's roles
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const bcrypt = require('bcrypt');
+const { User, Role, UserRole, AuthSession } = require('../../src/models');
+const authService = require('../../src/modules/auth/auth.service.js');
+const sessionService = require('../../src/modules/auth/session.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Session Service', () => {
+  let testUser = null;
+  const testPassword = 'SessionTest123!';
+
+  const login = (userAgent = 'jest') => authService.login(
+    { email: testUser.email, password: testPassword, role: 'citizen' },
+    { userAgent, ipAddress: '127.0.0.1' }
+  );
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    const [citizenRole] = await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+
+    const userData = createTestUserData({ password: testPassword });
+    testUser = await User.create({
+      name: userData.name,
+      email: userData.email,
+      password_hash: await bcrypt.hash(testPassword, 10)
+    });
+    await UserRole.create({ user_id: testUser.id, role_id: citizenRole.id });
+  });
+
+  afterAll(async () => {
+    if (testUser) {
+      await AuthSession.destroy({ where: { user_id: testUser.id }, force: true });
+      await UserRole.destroy({ where: { user_id: testUser.id }, force: true });
+      await User.destroy({ where: { id: testUser.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('login', () => {
+
+    it('should persist a session with a hashed refresh token', async () => {
+      const { session, refreshToken } = await login();
+
+      const stored = await AuthSession.findByPk(session.id);
+      expect(stored.user_id).toBe(testUser.id);
+      expect(stored.role).toBe('citizen');
+      expect(stored.user_agent).toBe('jest');
+      expect(stored.refresh_token_hash).not.toBe(refreshToken);
+      expect(stored.refresh_token_hash).toHaveLength(64);
+
+      await expect(sessionService.assertSessionActive(session.id, testUser.id)).resolves.toBeDefined();
+    });
+
+  });
+
+  describe('refreshSession', () => {
+
+    it('should rotate the refresh token', async () => {
+      const { session, refreshToken } = await login();
+
+      const refreshed = await sessionService.refreshSession(refreshToken);
+      expect(String(refreshed.session.id)).toBe(String(session.id));
+      expect(refreshed.refreshToken).not.toBe(refreshToken);
+      expect(typeof refreshed.token).toBe('string');
+      expect(refreshed.role).toBe('citizen');
+
+      const again = await sessionService.refreshSession(refreshed.refreshToken);
+      expect(again.refreshToken).not.toBe(refreshed.refreshToken);
+    });
+
+    it('should revoke the session when an old refresh token is replayed', async () => {
+      const { session, refreshToken } = await login();
+      const refreshed = await sessionService.refreshSession(refreshToken);
+
+      await expect(sessionService.refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+      const stored = await AuthSession.findByPk(session.id);
+      expect(stored.revoked_reason).toBe(sessionService.REVOKE_REASONS.REFRESH_REUSE);
+      await expect(sessionService.refreshSession(refreshed.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject missing and unknown tokens', async () => {
+      await expect(sessionService.refreshSession(undefined)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(sessionService.refreshSession('rt_unknown')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject expired sessions', async () => {
+      const { session, refreshToken } = await login();
+      await AuthSession.update({ expires_at: new Date(Date.now() - 1000) }, { where: { id: session.id } });
+
+      await expect(sessionService.refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(sessionService.assertSessionActive(session.id, testUser.id)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+  });
+
+  describe('revocation', () => {
+
+    it('should list only active sessions and mark the current one', async () => {
+      const { session } = await login('current-device');
+      const { session: other } = await login('other-device');
+      await sessionService.revokeSession(testUser.id, other.id);
+
+      const sessions = await sessionService.listSessions(testUser.id, session.id);
+      const ids = sessions.map(s => String(s.id));
+      expect(ids).toContain(String(session.id));
+      expect(ids).not.toContain(String(other.id));
+      expect(sessions.find(s => String(s.id) === String(session.id)).current).toBe(true);
+      expect(sessions[0]).not.toHaveProperty('refresh_token_hash');
+    });
+
+    it('should fail the auth check after revocation', async () => {
+      const { session, refreshToken } = await login();
+      await sessionService.revokeSession(testUser.id, session.id, sessionService.REVOKE_REASONS.LOGOUT);
+
+      await expect(sessionService.assertSessionActive(session.id, testUser.id)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(sessionService.refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should throw 404 when revoking another user\'s session', async () => {
+      const { session } = await login();
+      await expect(sessionService.revokeSession(-1, session.id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should revoke other sessions when the password changes', async () => {
+      const { session: current } = await login();
+      const { session: other } = await login();
+      const newPassword = 'SessionTest456!';
+
+      await authService.changePassword(testUser.id, { oldPassword: testPassword, newPassword }, current.id);
+
+      await expect(sessionService.assertSessionActive(current.id, testUser.id)).resolves.toBeDefined();
+      const stored = await AuthSession.findByPk(other.id);
+      expect(stored.revoked_reason).toBe(sessionService.REVOKE_REASONS.PASSWORD_CHANGED);
+
+      await testUser.update({ password_hash: await bcrypt.hash(testPassword, 10) });
+    });
+
+  });
+
+  describe('switchRole', () => {
+    let securedRole = null;
+
+    beforeAll(async () => {
+      const [authorityRole] = await Role.findOrCreate({
+        where: { name: 'authority' },
+        defaults: { name: 'authority', description: 'Authority user' }
+      });
+      securedRole = await Role.create({ name: `switch-2fa-test-${Date.now()}`, requires_two_factor: true });
+      await UserRole.bulkCreate([
+        { user_id: testUser.id, role_id: authorityRole.id },
+        { user_id: testUser.id, role_id: securedRole.id }
+      ]);
+    });
+
+    afterAll(async () => {
+      if (securedRole) {
+        await UserRole.destroy({ where: { role_id: securedRole.id }, force: true });
+        await Role.destroy({ where: { id: securedRole.id }, force: true });
+      }
+    });
+
+    const actingAs = (session, role = 'citizen') => ({ id: testUser.id, role, sessionId: session.id });
+
+    it('should move the session to the new role', async () => {
+      const { session, refreshToken } = await login();
+
+      const switched = await authService.switchRole(actingAs(session), 'authority');
+      expect(switched.role).toBe('authority');
+      expect(switched.token).toBeDefined();
+      expect(String(switched.session.id)).toBe(String(session.id));
+
+      const claims = await sessionService.decryptToken(switched.token);
+      expect(claims).toMatchObject({ role: 'authority', sid: session.id });
+
+      // The unchanged refresh token now refreshes into the new role
+      const refreshed = await sessionService.refreshSession(refreshToken);
+      expect(refreshed.role).toBe('authority');
+    });
+
+    it('should reject roles the user does not hold or already uses', async () => {
+      const { session } = await login();
+
+      await expect(authService.switchRole(actingAs(session), 'admin')).rejects.toMatchObject({ statusCode: 403 });
+      await expect(authService.switchRole(actingAs(session), 'citizen')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should require 2FA enrolment for roles that demand it', async () => {
+      const { session } = await login();
+
+      await expect(
+        authService.switchRole(actingAs(session), securedRole.name)
+      ).rejects.toMatchObject({ statusCode: 403, details: { code: 'TWO_FACTOR_SETUP_REQUIRED' } });
+    });
+
+    it('should refuse revoked sessions', async () => {
+      const { session } = await login();
+      await sessionService.revokeSession(testUser.id, session.id);
+
+      await expect(authService.switchRole(actingAs(session), 'authority')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+  });
+
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Two-Factor Service Tests
+ *
+ * Tests the 2FA invariants:
+ * - Roles that require 2FA get a challenge instead of a session, and must enrol
+ * - A TOTP code is accepted once; recovery codes are single-use
+ * - Users cannot disable 2FA while a role requires it
+ * - Admins can toggle the role requirement and reset a user's enrolment
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-unit-tests';
+process.env.JWT_SALT = 'test-salt';
+
+const bcrypt = require('bcrypt');
+const {
+  User,
+  Role,
+  UserRole,
+  AuthSession,
+  LoginThrottle,
+  SecurityEvent,
+  UserTwoFactor,
+  TwoFactorRecoveryCode
+} = require('../../src/models');
+const authService = require('../../src/modules/auth/auth.service.js');
+const twoFactorService = require('../../src/modules/auth/twoFactor.service.js');
+const { issueAccessToken } = require('../../src/modules/auth/session.service.js');
+const roleService = require('../../src/modules/admin/role/role.service.js');
+const adminUserService = require('../../src/modules/admin/user/user.service.js');
+const { generateTotp, TOTP_DEFAULTS } = require('../../src/shared/utils/totp.js');
+const {
+  ensureDbConnection,
+  closeDbConnection,
+  createTestUserData
+} = require('../setup/testHelpers.js');
+
+describe('Two-Factor Service', () => {
+  let user = null;
+  let admin = null;
+  let securedRole = null;
+  let secret = null;
+  let recoveryCodes = [];
+  const password = 'TwoFactorTest123!';
+  const stepMs = TOTP_DEFAULTS.stepSeconds * 1000;
+
+  const login = role => authService.login({ email: user.email, password, role });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    const [citizenRole] = await Role.findOrCreate({
+      where: { name: 'citizen' },
+      defaults: { name: 'citizen', description: 'Regular citizen user' }
+    });
+    // Dedicated role so toggling the requirement never affects other suites
+    securedRole = await Role.create({ name: `2fa-test-${Date.now()}`, description: 'Two-factor test role' });
+
+    user = await User.create({ ...createTestUserData(), password_hash: await bcrypt.hash(password, 10) });
+    await UserRole.bulkCreate([
+      { user_id: user.id, role_id: citizenRole.id },
+      { user_id: user.id, role_id: securedRole.id }
+    ]);
+
+    admin = await User.create({ ...createTestUserData(), password_hash: 'test-hash' });
+  });
+
+  afterAll(async () => {
+    if (user) {
+      await TwoFactorRecoveryCode.destroy({ where: { user_id: user.id }, force: true });
+      await UserTwoFactor.destroy({ where: { user_id: user.id }, force: true });
+      await SecurityEvent.destroy({ where: { user_id: user.id } });
+      await LoginThrottle.destroy({ where: { scope: 'account', key: String(user.id) } });
+      await AuthSession.destroy({ where: { user_id: user.id }, force: true });
+      await UserRole.destroy({ where: { user_id: user.id }, force: true });
+      await User.destroy({ where: { id: user.id }, force: true });
+    }
+    if (admin) {
+      await User.destroy({ where: { id: admin.id }, force: true });
+    }
+    if (securedRole) {
+      await Role.destroy({ where: { id: securedRole.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('required enrolment at login', () => {
+
+    it('should let an admin require 2FA for a role', async () => {
+      const role = await roleService.updateRole(securedRole.id, { requiresTwoFactor: true });
+      expect(role.requires_two_factor).toBe(true);
+
+      await expect(roleService.updateRole(-1, { requiresTwoFactor: true })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should log in without a challenge when neither enrolled nor required', async () => {
+      const result = await login('citizen');
+      expect(result.token).toBeDefined();
+      expect(result.twoFactor).toBeUndefined();
+    });
+
+    it('should return a setup challenge and no session for the secured role', async () => {
+      const result = await login(securedRole.name);
+      expect(result.token).toBeUndefined();
+      expect(result.twoFactor).toMatchObject({ setupRequired: true, challengeToken: expect.any(String) });
+
+      ({ secret } = await authService.beginTwoFactorLoginSetup({ challengeToken: result.twoFactor.challengeToken }));
+      expect(secret).toMatch(/^[A-Z2-7]+$/);
+
+      await expect(authService.completeTwoFactorLogin({
+        challengeToken: result.twoFactor.challengeToken,
+        code: '000000'
+      })).rejects.toMatchObject({ statusCode: 401 });
+
+      const completed = await authService.completeTwoFactorLogin({
+        challengeToken: result.twoFactor.challengeToken,
+        code: generateTotp(secret)
+      });
+      expect(completed.token).toBeDefined();
+      expect(completed.role).toBe(securedRole.name);
+      expect(completed.recoveryCodes).toHaveLength(10);
+      recoveryCodes = completed.recoveryCodes;
+    });
+
+    it('should reject a replayed code', async () => {
+      const { twoFactor } = await login('citizen');
+      expect(twoFactor.setupRequired).toBe(false);
+
+      await expect(authService.completeTwoFactorLogin({
+        challengeToken: twoFactor.challengeToken,
+        code: generateTotp(secret)
+      })).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject tokens that are not login challenges', async () => {
+      const accessToken = await issueAccessToken({ id: user.id, role: 'citizen', sid: 1 });
+      await expect(twoFactorService.readLoginChallenge(accessToken)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(twoFactorService.readLoginChallenge('not-a-token')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+  });
+
+  describe('recovery codes', () => {
+
+    it('should accept a recovery code once', async () => {
+      const { twoFactor } = await login('citizen');
+      const completed = await authService.completeTwoFactorLogin({
+        challengeToken: twoFactor.challengeToken,
+        recoveryCode: recoveryCodes[0].toUpperCase()
+      });
+      expect(completed.token).toBeDefined();
+      expect(completed.recoveryCodes).toBeNull();
+
+      await expect(authService.completeTwoFactorLogin({
+        challengeToken: twoFactor.challengeToken,
+        recoveryCode: recoveryCodes[0]
+      })).rejects.toMatchObject({ statusCode: 401 });
+
+      const status = await twoFactorService.getTwoFactorStatus(user.id);
+      expect(status).toMatchObject({ enabled: true, recoveryCodesRemaining: 9, requiredByRoles: [securedRole.name] });
+    });
+
+    it('should regenerate recovery codes with a fresh code', async () => {
+      const codes = await twoFactorService.regenerateRecoveryCodes(user.id, generateTotp(secret, Date.now() + stepMs));
+      expect(codes).toHaveLength(10);
+      expect(codes).not.toContain(recoveryCodes[1]);
+      recoveryCodes = codes;
+    });
+
+  });
+
+  describe('disable and reset', () => {
+
+    it('should refuse to disable while a role requires 2FA', async () => {
+      await expect(
+        twoFactorService.disableTwoFactor(user.id, { recoveryCode: recoveryCodes[0] })
+      ).rejects.toMatchObject({ statusCode: 403, details: { requiredByRoles: [securedRole.name] } });
+    });
+
+    it('should disable with a valid code once no role requires it', async () => {
+      await roleService.updateRole(securedRole.id, { requiresTwoFactor: false });
+
+      await expect(
+        twoFactorService.disableTwoFactor(user.id, { recoveryCode: 'wrong-code-00' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      await twoFactorService.disableTwoFactor(user.id, { recoveryCode: recoveryCodes[0] });
+      expect((await twoFactorService.getTwoFactorStatus(user.id)).enabled).toBe(false);
+
+      const result = await login('citizen');
+      expect(result.token).toBeDefined();
+    });
+
+    it('should let an admin reset an enrolment', async () => {
+      const setup = await twoFactorService.beginSetup(user.id);
+      await twoFactorService.enableTwoFactor(user.id, generateTotp(setup.secret));
+
+      await adminUserService.resetUserTwoFactor(user.id, { id: admin.id, role: 'super_admin' });
+      expect((await twoFactorService.getTwoFactorStatus(user.id)).enabled).toBe(false);
+
+      const event = await SecurityEvent.findOne({ where: { user_id: user.id, event_type: 'two_factor_reset' } });
+      expect(String(event.actor_id)).toBe(String(admin.id));
+
+      await expect(
+        adminUserService.resetUserTwoFactor(user.id, { id: admin.id, role: 'super_admin' })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * Comment Service Tests
+ *
+ * Tests the report comment invariants:
+ * - Comment visibility follows report visibility
+ * - Only the author can edit or delete a comment
+ * - Deleting a comment soft-deletes it
+ * - Hidden comments are only returned to admins
+ * - Admins only moderate comments on reports in cities they administer
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  ReportComment,
+  Issue,
+  User,
+  City,
+  AdminCity
+} = require('../../src/models');
+const commentService = require('../../src/modules/issue/comment.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Comment Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let reporter = null;
+  let otherCitizen = null;
+  let publicReport = null;
+  let hiddenReport = null;
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Comment Test City' },
+      defaults: { name: 'Comment Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Comment Other City' },
+      defaults: { name: 'Comment Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Comment Test Category' },
+      defaults: { name: 'Comment Test Category', slug: 'comment-test-category' }
+    });
+
+    [reporter] = await User.findOrCreate({
+      where: { email: 'comment-test-reporter@example.com' },
+      defaults: {
+        name: 'Comment Reporter',
+        email: 'comment-test-reporter@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    [otherCitizen] = await User.findOrCreate({
+      where: { email: 'comment-test-other@example.com' },
+      defaults: {
+        name: 'Comment Other',
+        email: 'comment-test-other@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    // The reporter also acts as an admin of the test city below
+    await AdminCity.findOrCreate({ where: { user_id: reporter.id, city_id: testCity.id } });
+    // ...and the other citizen as an admin of another city only
+    await AdminCity.findOrCreate({ where: { user_id: otherCitizen.id, city_id: otherCity.id } });
+
+    publicReport = await UserIssue.create({
+      title: 'Commented Report',
+      description: 'Report with a comment thread',
+      issue_id: testIssueCategory.id,
+      reporter_id: reporter.id,
+      city_id: testCity.id,
+      is_hidden: false
+    });
+
+    hiddenReport = await UserIssue.create({
+      title: 'Hidden Commented Report',
+      description: 'Hidden report with a comment thread',
+      issue_id: testIssueCategory.id,
+      reporter_id: reporter.id,
+      city_id: testCity.id,
+      is_hidden: true
+    });
+  });
+
+  afterAll(async () => {
+    const reportIds = [publicReport?.id, hiddenReport?.id].filter(Boolean);
+    await ReportComment.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    await AdminCity.destroy({ where: { user_id: [reporter?.id, otherCitizen?.id].filter(Boolean) } });
+    await User.destroy({ where: { id: [reporter?.id, otherCitizen?.id].filter(Boolean) }, force: true });
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  const asCitizen = (user) => ({ id: user.id, role: 'citizen', city_id: testCity.id });
+
+  describe('createComment', () => {
+
+    it('should create a comment with its author', async () => {
+      const comment = await commentService.createComment(
+        publicReport.id,
+        { body: 'Still broken this morning' },
+        asCitizen(otherCitizen)
+      );
+
+      expect(comment.body).toBe('Still broken this morning');
+      expect(comment.author.id).toBe(otherCitizen.id);
+    });
+
+    it('should allow the reporter to comment on their own hidden report', async () => {
+      const comment = await commentService.createComment(
+        hiddenReport.id,
+        { body: 'Why was this hidden?' },
+        asCitizen(reporter)
+      );
+
+      expect(comment).toBeDefined();
+    });
+
+    it('should throw 403 when citizen comments on a hidden report they do not own', async () => {
+      await expect(
+        commentService.createComment(hiddenReport.id, { body: 'Hello' }, asCitizen(otherCitizen))
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should throw 404 for non-existent report', async () => {
+      await expect(
+        commentService.createComment(999999, { body: 'Hello' }, asCitizen(reporter))
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+  describe('updateComment / deleteComment', () => {
+    let comment = null;
+
+    beforeEach(async () => {
+      comment = await ReportComment.create({
+        report_id: publicReport.id,
+        user_id: reporter.id,
+        body: 'Original text'
+      });
+    });
+
+    it('should let the author edit their comment', async () => {
+      const updated = await commentService.updateComment(
+        publicReport.id,
+        comment.id,
+        { body: 'Edited text' },
+        asCitizen(reporter)
+      );
+
+      expect(updated.body).toBe('Edited text');
+      expect(updated.edited_at).not.toBeNull();
+    });
+
+    it('should throw 403 when another user edits the comment', async () => {
+      await expect(
+        commentService.updateComment(publicReport.id, comment.id, { body: 'Hijack' }, asCitizen(otherCitizen))
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should soft-delete the comment', async () => {
+      await commentService.deleteComment(publicReport.id, comment.id, asCitizen(reporter));
+
+      const active = await ReportComment.findByPk(comment.id);
+      const withDeleted = await ReportComment.findByPk(comment.id, { paranoid: false });
+
+      expect(active).toBeNull();
+      expect(withDeleted).not.toBeNull();
+    });
+
+    it('should throw 404 when comment belongs to another report', async () => {
+      await expect(
+        commentService.deleteComment(hiddenReport.id, comment.id, asCitizen(reporter))
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+  describe('toggleCommentVisibility / listComments', () => {
+    let hiddenComment = null;
+
+    beforeAll(async () => {
+      hiddenComment = await ReportComment.create({
+        report_id: publicReport.id,
+        user_id: otherCitizen.id,
+        body: 'Abusive text'
+      });
+
+      await commentService.toggleCommentVisibility(
+        publicReport.id,
+        hiddenComment.id,
+        true,
+        { id: reporter.id, role: 'admin' }
+      );
+    });
+
+    it('should exclude hidden comments for citizens', async () => {
+      const result = await commentService.listComments(
+        publicReport.id,
+        asCitizen(reporter),
+        { entityType: 'reportComments' }
+      );
+
+      const ids = result.data.map(c => c.id);
+      expect(ids).not.toContain(hiddenComment.id);
+    });
+
+    it('should include hidden comments for admins', async () => {
+      const result = await commentService.listComments(
+        publicReport.id,
+        { id: reporter.id, role: 'admin' },
+        { entityType: 'reportComments' }
+      );
+
+      const ids = result.data.map(c => c.id);
+      expect(ids).toContain(hiddenComment.id);
+      expect(result.meta).toBeDefined();
+    });
+
+    it('should throw 403 when an admin of another city moderates the comment', async () => {
+      await expect(
+        commentService.toggleCommentVisibility(publicReport.id, hiddenComment.id, false, { id: otherCitizen.id, role: 'admin' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      await hiddenComment.reload();
+      expect(hiddenComment.is_hidden).toBe(true);
+    });
+
+    it('should not allow the author to edit a hidden comment', async () => {
+      await expect(
+        commentService.updateComment(publicReport.id, hiddenComment.id, { body: 'Sorry' }, asCitizen(otherCitizen))
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+  });
+
+});
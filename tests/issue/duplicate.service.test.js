@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * Duplicate Detection Service Tests
+ *
+ * Tests the duplicate detection invariants:
+ * - Only open reports in the same city and category within the radius match
+ * - Candidates are sorted by distance
+ * - Submissions with duplicates fail with 409 unless confirmed
+ * - Nearby reports are grouped into clusters, leaving out hidden reports and
+ *   reports older than the window; cluster lists are paginated
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  Issue,
+  User,
+  City
+} = require('../../src/models');
+const duplicateService = require('../../src/modules/issue/duplicate.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Duplicate Service', () => {
+  let testCity = null;
+  let streetlights = null;
+  let potholes = null;
+  let reporter = null;
+  const createdReportIds = [];
+
+  // Reference point and offsets (~0.0009 deg latitude = ~100m)
+  const origin = { latitude: 28.6139, longitude: 77.2090 };
+
+  const createReport = async (overrides) => {
+    const report = await UserIssue.create({
+      title: 'Broken streetlight',
+      description: 'Dark at night',
+      issue_id: streetlights.id,
+      reporter_id: reporter.id,
+      city_id: testCity.id,
+      status: 'reported',
+      ...origin,
+      ...overrides
+    });
+    createdReportIds.push(report.id);
+    return report;
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Duplicate Test City' },
+      defaults: { name: 'Duplicate Test City', state: 'Test State' }
+    });
+
+    [streetlights] = await Issue.findOrCreate({
+      where: { name: 'Duplicate Test Streetlights' },
+      defaults: { name: 'Duplicate Test Streetlights', slug: 'duplicate-test-streetlights' }
+    });
+
+    [potholes] = await Issue.findOrCreate({
+      where: { name: 'Duplicate Test Potholes' },
+      defaults: { name: 'Duplicate Test Potholes', slug: 'duplicate-test-potholes' }
+    });
+
+    [reporter] = await User.findOrCreate({
+      where: { email: 'duplicate-test-reporter@example.com' },
+      defaults: {
+        name: 'Duplicate Reporter',
+        email: 'duplicate-test-reporter@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await UserIssue.destroy({ where: { id: createdReportIds }, force: true });
+    if (reporter) {
+      await User.destroy({ where: { id: reporter.id }, force: true });
+    }
+    await Issue.destroy({ where: { id: [streetlights?.id, potholes?.id].filter(Boolean) }, force: true });
+    if (testCity) {
+      await City.destroy({ where: { id: testCity.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  describe('findPossibleDuplicates', () => {
+    let near = null;
+    let nearer = null;
+    let far = null;
+    let resolved = null;
+    let otherCategory = null;
+
+    beforeAll(async () => {
+      near = await createReport({ latitude: origin.latitude + 0.0006 });
+      nearer = await createReport({ latitude: origin.latitude + 0.0002 });
+      far = await createReport({ latitude: origin.latitude + 0.01 });
+      resolved = await createReport({ status: 'resolved' });
+      otherCategory = await createReport({ issue_id: potholes.id });
+    });
+
+    it('should return open reports of the same category within the radius, closest first', async () => {
+      const candidates = await duplicateService.findPossibleDuplicates({
+        cityId: testCity.id,
+        issueId: streetlights.id,
+        ...origin,
+        radiusMeters: 100
+      });
+
+      const ids = candidates.map(c => c.id);
+      expect(ids.slice(0, 2)).toEqual([nearer.id, near.id]);
+      expect(ids).not.toContain(far.id);
+      expect(ids).not.toContain(resolved.id);
+      expect(ids).not.toContain(otherCategory.id);
+      expect(candidates[0].distanceMeters).toBeLessThan(candidates[1].distanceMeters);
+    });
+
+    it('should return nothing without coordinates', async () => {
+      const candidates = await duplicateService.findPossibleDuplicates({
+        cityId: testCity.id,
+        issueId: streetlights.id,
+        latitude: null,
+        longitude: null
+      });
+
+      expect(candidates).toEqual([]);
+    });
+
+  });
+
+  describe('assertNotDuplicate', () => {
+
+    it('should throw 409 with possible duplicates when not confirmed', () => {
+      try {
+        duplicateService.assertNotDuplicate([{ id: 1 }], false);
+        throw new Error('Expected duplicate assertion to fail');
+      } catch (err) {
+        expect(err.statusCode).toBe(409);
+        expect(err.details.possibleDuplicates).toEqual([{ id: 1 }]);
+      }
+    });
+
+    it('should pass when the reporter confirmed', () => {
+      expect(() => duplicateService.assertNotDuplicate([{ id: 1 }], true)).not.toThrow();
+    });
+
+  });
+
+  describe('findDuplicateClusters', () => {
+    // A chain of pothole reports ~90m apart, away from the streetlight reports
+    const chainStart = { latitude: origin.latitude + 0.05, longitude: origin.longitude };
+    const chain = [];
+    let hidden = null;
+    let old = null;
+
+    beforeAll(async () => {
+      for (let i = 0; i < 4; i++) {
+        chain.push(await createReport({
+          issue_id: potholes.id,
+          ...chainStart,
+          latitude: chainStart.latitude + i * 0.0008
+        }));
+      }
+      hidden = await createReport({ issue_id: potholes.id, ...chainStart, is_hidden: true });
+      old = await createReport({ issue_id: potholes.id, ...chainStart });
+      await UserIssue.sequelize.query(
+        "UPDATE user_issue SET created_at = NOW() - INTERVAL '60 days' WHERE id = :id",
+        { replacements: { id: old.id } }
+      );
+    });
+
+    it('should group nearby open reports of the same category', async () => {
+      const clusters = await duplicateService.findDuplicateClusters({
+        cityId: testCity.id,
+        issueId: streetlights.id,
+        radiusMeters: 100
+      });
+
+      expect(clusters.length).toBeGreaterThan(0);
+      const [largest] = clusters;
+      expect(largest.size).toBeGreaterThanOrEqual(2);
+      largest.reports.forEach(r => expect(String(r.issueId)).toBe(String(streetlights.id)));
+    });
+
+    it('should link chains across grid cells and skip hidden and old reports', async () => {
+      const clusters = await duplicateService.findDuplicateClusters({
+        cityId: testCity.id,
+        issueId: potholes.id,
+        radiusMeters: 100,
+        windowDays: 30
+      });
+
+      const ids = clusters.flatMap(cluster => cluster.reports.map(r => String(r.id)));
+      const chainCluster = clusters.find(cluster => cluster.reports.some(r => String(r.id) === String(chain[0].id)));
+      expect(chainCluster.reports.map(r => String(r.id)).sort()).toEqual(chain.map(r => String(r.id)).sort());
+      expect(ids).not.toContain(String(hidden.id));
+      expect(ids).not.toContain(String(old.id));
+    });
+
+    it('should paginate cluster lists', async () => {
+      const result = await issueService.listDuplicateClusters(
+        { adminCityId: testCity.id },
+        { radiusMeters: '100' },
+        { page: 1, limit: 1, offset: 0 }
+      );
+
+      expect(result.data).toHaveLength(1);
+      expect(result.meta).toMatchObject({ page: 1, limit: 1, hasNextPage: true });
+      expect(result.data[0].size).toBe(4);
+    });
+
+    it('should throw 400 without a city', async () => {
+      await expect(
+        duplicateService.findDuplicateClusters({})
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+});
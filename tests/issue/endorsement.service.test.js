@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Endorsement Service Tests
+ *
+ * Tests the endorsement invariants:
+ * - Endorsing is a toggle with one row per citizen per report
+ * - Citizens can only endorse reports in their own city
+ * - Counts are returned on list and detail responses
+ * - Reports can be sorted by endorsements and filtered to "endorsed by me"
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  ReportEndorsement,
+  Issue,
+  User,
+  City
+} = require('../../src/models');
+const endorsementService = require('../../src/modules/issue/endorsement.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Endorsement Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let citizenA = null;
+  let citizenB = null;
+  let outsider = null;
+  let popularReport = null;
+  let quietReport = null;
+
+  const asCitizen = (user) => ({ id: user.id, role: 'citizen', city_id: user.city_id });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Endorsement Test City' },
+      defaults: { name: 'Endorsement Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Endorsement Other City' },
+      defaults: { name: 'Endorsement Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Endorsement Test Category' },
+      defaults: { name: 'Endorsement Test Category', slug: 'endorsement-test-category' }
+    });
+
+    const createUser = async (email, cityId) => {
+      const [user] = await User.findOrCreate({
+        where: { email },
+        defaults: { name: email, email, password_hash: 'test-hash', city_id: cityId }
+      });
+      return user;
+    };
+
+    citizenA = await createUser('endorse-a@example.com', testCity.id);
+    citizenB = await createUser('endorse-b@example.com', testCity.id);
+    outsider = await createUser('endorse-outsider@example.com', otherCity.id);
+
+    popularReport = await UserIssue.create({
+      title: 'Popular Pothole',
+      description: 'Everyone sees it',
+      issue_id: testIssueCategory.id,
+      reporter_id: citizenA.id,
+      city_id: testCity.id
+    });
+
+    quietReport = await UserIssue.create({
+      title: 'Quiet Pothole',
+      description: 'Nobody cares',
+      issue_id: testIssueCategory.id,
+      reporter_id: citizenA.id,
+      city_id: testCity.id
+    });
+  });
+
+  afterAll(async () => {
+    const reportIds = [popularReport?.id, quietReport?.id].filter(Boolean);
+    await ReportEndorsement.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    const userIds = [citizenA?.id, citizenB?.id, outsider?.id].filter(Boolean);
+    await User.destroy({ where: { id: userIds }, force: true });
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('toggleEndorsement', () => {
+
+    it('should endorse, un-endorse and re-endorse with a single row', async () => {
+      const first = await endorsementService.toggleEndorsement(popularReport.id, asCitizen(citizenB));
+      expect(first).toEqual({ endorsed: true, endorsementCount: 1 });
+
+      const second = await endorsementService.toggleEndorsement(popularReport.id, asCitizen(citizenB));
+      expect(second).toEqual({ endorsed: false, endorsementCount: 0 });
+
+      const third = await endorsementService.toggleEndorsement(popularReport.id, asCitizen(citizenB));
+      expect(third).toEqual({ endorsed: true, endorsementCount: 1 });
+
+      const rows = await ReportEndorsement.count({
+        where: { report_id: popularReport.id, user_id: citizenB.id },
+        paranoid: false
+      });
+      expect(rows).toBe(1);
+    });
+
+    it('should throw 403 for citizens of another city', async () => {
+      await expect(
+        endorsementService.toggleEndorsement(popularReport.id, asCitizen(outsider))
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should throw 404 for non-existent report', async () => {
+      await expect(
+        endorsementService.toggleEndorsement(999999, asCitizen(citizenA))
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+  describe('listReports / getReportById integration', () => {
+
+    beforeAll(async () => {
+      // popularReport ends up with 2 endorsements (citizenB from above + citizenA)
+      await endorsementService.toggleEndorsement(popularReport.id, asCitizen(citizenA));
+    });
+
+    it('should return endorsement_count on report detail', async () => {
+      const report = await issueService.getReportById(popularReport.id, asCitizen(citizenA));
+
+      expect(report.get('endorsement_count')).toBe(2);
+    });
+
+    it('should sort reports by endorsements', async () => {
+      const result = await issueService.listReports(
+        asCitizen(citizenA),
+        {},
+        null,
+        { entityType: 'issues', sortBy: 'endorsements', sortOrder: 'DESC', page: 1, limit: 100, offset: 0 }
+      );
+
+      const counts = result.data.map(r => r.get('endorsement_count'));
+      const sorted = [...counts].sort((a, b) => b - a);
+      expect(counts).toEqual(sorted);
+    });
+
+    it('should filter to reports endorsed by the current user', async () => {
+      const result = await issueService.listReports(
+        asCitizen(citizenA),
+        { endorsedByMe: 'true' },
+        null,
+        { entityType: 'issues' }
+      );
+
+      const ids = result.data.map(r => r.id);
+      expect(ids).toContain(popularReport.id);
+      expect(ids).not.toContain(quietReport.id);
+    });
+
+  });
+
+});
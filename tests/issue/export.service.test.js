@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Export Service Tests
+ *
+ * Tests the export invariants:
+ * - Exports honour city scoping and list filters
+ * - Exports are read in batches and are not capped by pagination limits
+ * - CSV fields are escaped (including spreadsheet formulas)
+ * - GeoJSON output is a valid FeatureCollection
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  Issue,
+  User,
+  City
+} = require('../../src/models');
+const exportService = require('../../src/modules/issue/export.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Export Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let admin = null;
+  const reportIds = [];
+  let otherCityReport = null;
+
+  const REPORT_COUNT = 7;
+  const asAdmin = () => ({ id: admin.id, role: 'admin' });
+  const adminContext = () => ({ adminCityId: testCity.id, includeAllCities: false, includeDeleted: false });
+
+  const collect = async (chunks) => {
+    let output = '';
+    for await (const chunk of chunks) {
+      output += chunk;
+    }
+    return output;
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Export Test City' },
+      defaults: { name: 'Export Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Export Other City' },
+      defaults: { name: 'Export Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Export Test Category' },
+      defaults: { name: 'Export Test Category', slug: 'export-test-category' }
+    });
+
+    [admin] = await User.findOrCreate({
+      where: { email: 'export-test-admin@example.com' },
+      defaults: {
+        name: 'Export Admin',
+        email: 'export-test-admin@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    for (let i = 0; i < REPORT_COUNT; i++) {
+      const report = await UserIssue.create({
+        title: i === 0 ? '=HYPERLINK("http://evil")' : `Export report ${i}, "quoted"`,
+        description: 'Exported',
+        issue_id: testIssueCategory.id,
+        reporter_id: admin.id,
+        city_id: testCity.id,
+        latitude: i === 1 ? null : 19.076 + i * 0.001,
+        longitude: i === 1 ? null : 72.8777
+      });
+      reportIds.push(report.id);
+    }
+
+    otherCityReport = await UserIssue.create({
+      title: 'Elsewhere',
+      description: 'Other city',
+      issue_id: testIssueCategory.id,
+      reporter_id: admin.id,
+      city_id: otherCity.id
+    });
+  });
+
+  afterAll(async () => {
+    await UserIssue.destroy({ where: { id: [...reportIds, otherCityReport?.id].filter(Boolean) }, force: true });
+    if (admin) {
+      await User.destroy({ where: { id: admin.id }, force: true });
+    }
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('toCsvField', () => {
+
+    it('should quote commas, quotes and newlines', () => {
+      expect(exportService.toCsvField('a,b')).toBe('"a,b"');
+      expect(exportService.toCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(exportService.toCsvField('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should neutralise spreadsheet formulas but keep numbers', () => {
+      expect(exportService.toCsvField('=SUM(A1)')).toBe("'=SUM(A1)");
+      expect(exportService.toCsvField(-12.5)).toBe('-12.5');
+      expect(exportService.toCsvField(null)).toBe('');
+    });
+
+  });
+
+  describe('exportReports', () => {
+
+    it('should stream CSV across batches scoped to the admin city', async () => {
+      const result = await exportService.exportReports(
+        asAdmin(),
+        { format: 'csv', issueId: String(testIssueCategory.id) },
+        adminContext(),
+        { batchSize: 3 }
+      );
+
+      expect(result.contentType).toMatch(/text\/csv/);
+      expect(result.filename).toMatch(/\.csv$/);
+
+      const lines = (await collect(result.chunks)).trim().split('\r\n');
+      expect(lines[0]).toBe(exportService.EXPORT_COLUMNS.join(','));
+      expect(lines).toHaveLength(REPORT_COUNT + 1);
+      expect(lines[1]).toContain(`'=HYPERLINK`);
+      expect(lines.join('\n')).not.toContain('Elsewhere');
+    });
+
+    it('should produce a GeoJSON FeatureCollection', async () => {
+      const result = await exportService.exportReports(
+        asAdmin(),
+        { format: 'geojson', issueId: String(testIssueCategory.id) },
+        adminContext(),
+        { batchSize: 2 }
+      );
+
+      const collection = JSON.parse(await collect(result.chunks));
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features).toHaveLength(REPORT_COUNT);
+
+      const [first, withoutLocation] = collection.features;
+      expect(first.geometry.type).toBe('Point');
+      expect(first.properties.category).toBe('Export Test Category');
+      expect(first.properties.city).toBe('Export Test City');
+      expect(withoutLocation.geometry).toBeNull();
+    });
+
+    it('should throw 400 for unknown formats', async () => {
+      await expect(
+        exportService.exportReports(asAdmin(), { format: 'xlsx' }, adminContext())
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+});
@@ -21,7 +21,8 @@ const {
   User, 
   City,
   Authority,
-  AuthorityUser
+  AuthorityUser,
+  AdminCity
 } = require('../../src/models');
 const issueService = require('../../src/modules/issue/issue.service.js');
 const { 
@@ -73,6 +74,12 @@ describe('Issue Service', () => {
       }
     });
 
+    // The test user also acts as an admin of both test cities
+    await AdminCity.bulkCreate(
+      [testCity.id, testCity2.id].map(cityId => ({ user_id: testUser.id, city_id: cityId })),
+      { ignoreDuplicates: true }
+    );
+
     // Create test authority
     [testAuthority] = await Authority.findOrCreate({
       where: { name: 'Issue Test Authority' },
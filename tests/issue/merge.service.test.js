@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Merge Service Tests
+ *
+ * Tests the merge invariants:
+ * - Images, flags and endorsements move to the canonical report
+ * - Merged reports become terminal and point at the canonical report
+ * - Canonical status changes are mirrored onto merged reports
+ * - Admins can reverse a merge exactly, only in cities they administer
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  IssueImage,
+  UserIssueFlag,
+  ReportEndorsement,
+  Log,
+  Flag,
+  Issue,
+  User,
+  City,
+  AdminCity
+} = require('../../src/models');
+const mergeService = require('../../src/modules/issue/merge.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Merge Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let testFlag = null;
+  let admin = null;
+  let citizenA = null;
+  let citizenB = null;
+  let canonical = null;
+  let duplicate = null;
+  let foreignReport = null;
+  let duplicateImage = null;
+  let duplicateFlag = null;
+  let movableEndorsement = null;
+  let conflictingEndorsement = null;
+
+  const asAdmin = () => ({ id: admin.id, role: 'admin' });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Merge Test City' },
+      defaults: { name: 'Merge Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Merge Other City' },
+      defaults: { name: 'Merge Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Merge Test Category' },
+      defaults: { name: 'Merge Test Category', slug: 'merge-test-category' }
+    });
+
+    [testFlag] = await Flag.findOrCreate({
+      where: { name: 'Merge Test Flag' },
+      defaults: { name: 'Merge Test Flag', description: 'Test flag' }
+    });
+
+    const createUser = async (email) => {
+      const [user] = await User.findOrCreate({
+        where: { email },
+        defaults: { name: email, email, password_hash: 'test-hash', city_id: testCity.id }
+      });
+      return user;
+    };
+
+    admin = await createUser('merge-admin@example.com');
+    // Admins only act within their cities; this one administers both
+    await AdminCity.bulkCreate(
+      [testCity.id, otherCity.id].map(cityId => ({ user_id: admin.id, city_id: cityId })),
+      { ignoreDuplicates: true }
+    );
+    citizenA = await createUser('merge-a@example.com');
+    citizenB = await createUser('merge-b@example.com');
+
+    const createReport = (overrides) => UserIssue.create({
+      title: 'Overflowing bin',
+      description: 'Bin has not been emptied',
+      issue_id: testIssueCategory.id,
+      reporter_id: citizenA.id,
+      city_id: testCity.id,
+      ...overrides
+    });
+
+    canonical = await createReport({});
+    duplicate = await createReport({ reporter_id: citizenB.id, status: 'in_progress' });
+    foreignReport = await createReport({ city_id: otherCity.id });
+
+    duplicateImage = await IssueImage.create({ report_id: duplicate.id, url: 'https://example.com/bin.jpg' });
+    duplicateFlag = await UserIssueFlag.create({ report_id: duplicate.id, user_id: citizenA.id, flag_id: testFlag.id });
+
+    // citizenA endorsed both - only citizenB's endorsement can move
+    await ReportEndorsement.create({ report_id: canonical.id, user_id: citizenA.id });
+    conflictingEndorsement = await ReportEndorsement.create({ report_id: duplicate.id, user_id: citizenA.id });
+    movableEndorsement = await ReportEndorsement.create({ report_id: duplicate.id, user_id: citizenB.id });
+  });
+
+  afterAll(async () => {
+    const reportIds = [canonical?.id, duplicate?.id, foreignReport?.id].filter(Boolean);
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await IssueImage.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssueFlag.destroy({ where: { report_id: reportIds }, force: true });
+    await ReportEndorsement.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssue.update({ merged_into_id: null }, { where: { id: reportIds }, paranoid: false });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    const userIds = [admin?.id, citizenA?.id, citizenB?.id].filter(Boolean);
+    await AdminCity.destroy({ where: { user_id: userIds } });
+    await User.destroy({ where: { id: userIds }, force: true });
+    if (testFlag) {
+      await Flag.destroy({ where: { id: testFlag.id }, force: true });
+    }
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('mergeReports validation', () => {
+
+    it('should throw 403 for citizens', async () => {
+      await expect(
+        mergeService.mergeReports(canonical.id, { duplicateIds: [duplicate.id] }, { id: citizenA.id, role: 'citizen' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should throw 422 when merging a report into itself', async () => {
+      await expect(
+        mergeService.mergeReports(canonical.id, { duplicateIds: [canonical.id] }, asAdmin())
+      ).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should throw 422 for reports in another city', async () => {
+      await expect(
+        mergeService.mergeReports(canonical.id, { duplicateIds: [foreignReport.id] }, asAdmin())
+      ).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+  });
+
+  describe('mergeReports', () => {
+
+    it('should move content and mark the duplicate as merged', async () => {
+      const result = await mergeService.mergeReports(
+        canonical.id,
+        { duplicateIds: [duplicate.id], comment: 'Same bin' },
+        asAdmin()
+      );
+
+      expect(result.mergedReports.map(r => r.id)).toEqual([duplicate.id]);
+
+      await duplicate.reload();
+      expect(duplicate.status).toBe('merged');
+      expect(String(duplicate.merged_into_id)).toBe(String(canonical.id));
+
+      expect(String((await IssueImage.findByPk(duplicateImage.id)).report_id)).toBe(String(canonical.id));
+      expect(String((await UserIssueFlag.findByPk(duplicateFlag.id)).report_id)).toBe(String(canonical.id));
+      expect(String((await ReportEndorsement.findByPk(movableEndorsement.id)).report_id)).toBe(String(canonical.id));
+      // Same user already endorsed the canonical report - stays behind
+      expect(String((await ReportEndorsement.findByPk(conflictingEndorsement.id)).report_id)).toBe(String(duplicate.id));
+    });
+
+    it('should log the merge on both reports', async () => {
+      const duplicateLog = await Log.findOne({ where: { issue_id: duplicate.id, to_status: 'merged' } });
+      const data = JSON.parse(duplicateLog.comment);
+
+      expect(duplicateLog.from_status).toBe('in_progress');
+      expect(data.type).toBe('merge');
+      expect(data.moved.imageIds).toEqual([duplicateImage.id]);
+
+      const canonicalLogs = await Log.findAll({ where: { issue_id: canonical.id } });
+      expect(canonicalLogs.some(log => JSON.parse(log.comment).type === 'merge')).toBe(true);
+    });
+
+    it('should throw 409 when the report was already merged', async () => {
+      await expect(
+        mergeService.mergeReports(canonical.id, { duplicateIds: [duplicate.id] }, asAdmin())
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject status changes on the merged report', async () => {
+      await expect(
+        issueService.updateStatus(duplicate.id, { status: 'resolved' }, asAdmin())
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should mirror canonical status changes onto merged reports', async () => {
+      await issueService.updateStatus(canonical.id, { status: 'in_progress' }, asAdmin());
+
+      const mirrored = await Log.findOne({
+        where: { issue_id: duplicate.id, to_status: 'canonical:in_progress' }
+      });
+
+      expect(mirrored).not.toBeNull();
+      expect(mirrored.from_status).toBe('canonical:reported');
+    });
+
+  });
+
+  describe('unmergeReport', () => {
+
+    it('should throw 403 for non-admins', async () => {
+      await expect(
+        mergeService.unmergeReport(duplicate.id, {}, { id: citizenA.id, role: 'authority' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should throw 403 for admins of another city', async () => {
+      await AdminCity.findOrCreate({ where: { user_id: citizenB.id, city_id: otherCity.id } });
+
+      await expect(
+        mergeService.unmergeReport(duplicate.id, {}, { id: citizenB.id, role: 'admin' })
+      ).rejects.toMatchObject({ statusCode: 403 });
+
+      await duplicate.reload();
+      expect(duplicate.status).toBe('merged');
+    });
+
+    it('should restore content and the previous status', async () => {
+      const report = await mergeService.unmergeReport(duplicate.id, { comment: 'Different bins' }, asAdmin());
+
+      expect(report.status).toBe('in_progress');
+      expect(report.merged_into_id).toBeNull();
+      expect(String((await IssueImage.findByPk(duplicateImage.id)).report_id)).toBe(String(duplicate.id));
+      expect(String((await UserIssueFlag.findByPk(duplicateFlag.id)).report_id)).toBe(String(duplicate.id));
+      expect(String((await ReportEndorsement.findByPk(movableEndorsement.id)).report_id)).toBe(String(duplicate.id));
+    });
+
+    it('should throw 409 for reports that are not merged', async () => {
+      await expect(
+        mergeService.unmergeReport(duplicate.id, {}, asAdmin())
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+  });
+
+});
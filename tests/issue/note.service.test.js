@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Internal Note Service Tests
+ *
+ * Tests the internal note invariants:
+ * - Citizens can never read or write notes
+ * - Authority users can only access notes on reports assigned to them
+ * - Notes survive authority reassignment
+ * - Notes are not part of the citizen-facing report payload
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  ReportNote,
+  Issue,
+  User,
+  City,
+  Authority,
+  AuthorityUser
+} = require('../../src/models');
+const noteService = require('../../src/modules/issue/note.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Note Service', () => {
+  let testCity = null;
+  let testIssueCategory = null;
+  let reporter = null;
+  let staffA = null;
+  let staffB = null;
+  let authorityA = null;
+  let authorityB = null;
+  let report = null;
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Note Test City' },
+      defaults: { name: 'Note Test City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Note Test Category' },
+      defaults: { name: 'Note Test Category', slug: 'note-test-category' }
+    });
+
+    const createUser = async (email) => {
+      const [user] = await User.findOrCreate({
+        where: { email },
+        defaults: { name: email, email, password_hash: 'test-hash', city_id: testCity.id }
+      });
+      return user;
+    };
+
+    reporter = await createUser('note-test-reporter@example.com');
+    staffA = await createUser('note-test-staff-a@example.com');
+    staffB = await createUser('note-test-staff-b@example.com');
+
+    authorityA = await Authority.create({
+      name: 'Note Test Authority A',
+      city: 'Note Test City',
+      region: 'North',
+      city_id: testCity.id
+    });
+
+    authorityB = await Authority.create({
+      name: 'Note Test Authority B',
+      city: 'Note Test City',
+      region: 'South',
+      city_id: testCity.id
+    });
+
+    await AuthorityUser.create({ user_id: staffA.id, authority_id: authorityA.id });
+    await AuthorityUser.create({ user_id: staffB.id, authority_id: authorityB.id });
+
+    report = await UserIssue.create({
+      title: 'Noted Report',
+      description: 'Report with internal notes',
+      issue_id: testIssueCategory.id,
+      reporter_id: reporter.id,
+      authority_id: authorityA.id,
+      city_id: testCity.id
+    });
+  });
+
+  afterAll(async () => {
+    if (report) {
+      await ReportNote.destroy({ where: { report_id: report.id }, force: true });
+      await UserIssue.destroy({ where: { id: report.id }, force: true });
+    }
+    const userIds = [reporter?.id, staffA?.id, staffB?.id].filter(Boolean);
+    await AuthorityUser.destroy({ where: { user_id: userIds }, force: true });
+    await Authority.destroy({ where: { id: [authorityA?.id, authorityB?.id].filter(Boolean) }, force: true });
+    await User.destroy({ where: { id: userIds }, force: true });
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    if (testCity) {
+      await City.destroy({ where: { id: testCity.id }, force: true });
+    }
+    await closeDbConnection();
+  });
+
+  it('should let assigned authority staff add a note', async () => {
+    const note = await noteService.createNote(
+      report.id,
+      { body: 'Crew dispatched' },
+      { id: staffA.id, role: 'authority' }
+    );
+
+    expect(note.body).toBe('Crew dispatched');
+    expect(note.author.id).toBe(staffA.id);
+    expect(note.authority_id).toBe(authorityA.id);
+  });
+
+  it('should throw 403 for citizens', async () => {
+    await expect(
+      noteService.listNotes(report.id, { id: reporter.id, role: 'citizen' }, { entityType: 'reportNotes' })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should throw 403 for authority staff not assigned to the report', async () => {
+    await expect(
+      noteService.createNote(report.id, { body: 'Not mine' }, { id: staffB.id, role: 'authority' })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should show earlier notes to the new authority after reassignment', async () => {
+    await report.update({ authority_id: authorityB.id });
+
+    const result = await noteService.listNotes(
+      report.id,
+      { id: staffB.id, role: 'authority' },
+      { entityType: 'reportNotes' }
+    );
+
+    expect(result.data.map(n => n.body)).toContain('Crew dispatched');
+  });
+
+  it('should not include notes in the citizen-facing report payload', async () => {
+    const payload = await issueService.getReportById(report.id, { id: reporter.id, role: 'citizen' });
+
+    expect(payload.toJSON()).not.toHaveProperty('internalNotes');
+  });
+
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Report Geo Query Tests
+ *
+ * Tests the geo query invariants:
+ * - near/radiusMeters returns only reports inside the radius, closest first
+ * - bbox returns only reports inside the viewport
+ * - Map points are lightweight GeoJSON features with the same city scoping
+ * - Malformed geo parameters fail with 400
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  Issue,
+  User,
+  City
+} = require('../../src/models');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Report Geo Queries', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let citizen = null;
+  let center = null;
+  let nearby = null;
+  let distant = null;
+  let noCoordinates = null;
+  let otherCityReport = null;
+
+  const origin = { latitude: 12.9716, longitude: 77.5946 };
+  const asCitizen = () => ({ id: citizen.id, role: 'citizen', city_id: citizen.city_id });
+  const near = `${origin.latitude},${origin.longitude}`;
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Geo Test City' },
+      defaults: { name: 'Geo Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Geo Other City' },
+      defaults: { name: 'Geo Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Geo Test Category' },
+      defaults: { name: 'Geo Test Category', slug: 'geo-test-category' }
+    });
+
+    [citizen] = await User.findOrCreate({
+      where: { email: 'geo-test-citizen@example.com' },
+      defaults: {
+        name: 'Geo Citizen',
+        email: 'geo-test-citizen@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    const createReport = (overrides) => UserIssue.create({
+      title: 'Geo report',
+      description: 'Somewhere on the map',
+      issue_id: testIssueCategory.id,
+      reporter_id: citizen.id,
+      city_id: testCity.id,
+      ...origin,
+      ...overrides
+    });
+
+    // ~0.0045 deg latitude = ~500m, 0.05 = ~5.5km
+    nearby = await createReport({ latitude: origin.latitude + 0.0045 });
+    center = await createReport({});
+    distant = await createReport({ latitude: origin.latitude + 0.05 });
+    noCoordinates = await createReport({ latitude: null, longitude: null });
+    otherCityReport = await createReport({ city_id: otherCity.id });
+  });
+
+  afterAll(async () => {
+    const reportIds = [center, nearby, distant, noCoordinates, otherCityReport]
+      .filter(Boolean)
+      .map(r => r.id);
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    if (citizen) {
+      await User.destroy({ where: { id: citizen.id }, force: true });
+    }
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('listReports', () => {
+
+    it('should filter by radius and sort closest first', async () => {
+      const result = await issueService.listReports(
+        asCitizen(),
+        { near, radiusMeters: '1000' },
+        null,
+        { entityType: 'issues', page: 1, limit: 20, offset: 0 }
+      );
+
+      const ids = result.data.map(r => r.id);
+      expect(ids).toEqual([center.id, nearby.id]);
+      expect(result.data[0].get('distance_meters')).toBe(0);
+      expect(result.data[1].get('distance_meters')).toBeGreaterThan(400);
+      expect(result.meta.total).toBe(2);
+    });
+
+    it('should filter by bounding box', async () => {
+      const bbox = [
+        origin.longitude - 0.01, origin.latitude - 0.01,
+        origin.longitude + 0.01, origin.latitude + 0.01
+      ].join(',');
+
+      const result = await issueService.listReports(asCitizen(), { bbox }, null, { entityType: 'issues' });
+
+      const ids = result.data.map(r => r.id);
+      expect(ids).toEqual(expect.arrayContaining([center.id, nearby.id]));
+      expect(ids).not.toContain(distant.id);
+      expect(ids).not.toContain(noCoordinates.id);
+      expect(ids).not.toContain(otherCityReport.id);
+    });
+
+    it('should throw 400 for malformed geo parameters', async () => {
+      await expect(
+        issueService.listReports(asCitizen(), { near: '12.9' }, null, { entityType: 'issues' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      await expect(
+        issueService.listReports(asCitizen(), { radiusMeters: '100' }, null, { entityType: 'issues' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should throw 400 when sorting by distance without near', async () => {
+      await expect(
+        issueService.listReports(asCitizen(), {}, null, { entityType: 'issues', sortBy: 'distance', sortOrder: 'ASC' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+  describe('listMapPoints', () => {
+
+    it('should return GeoJSON point features scoped to the citizen city', async () => {
+      const bbox = [
+        origin.longitude - 0.1, origin.latitude - 0.1,
+        origin.longitude + 0.1, origin.latitude + 0.1
+      ].join(',');
+
+      const result = await issueService.listMapPoints(asCitizen(), { bbox });
+
+      expect(result.type).toBe('FeatureCollection');
+      expect(result.truncated).toBe(false);
+
+      const ids = result.features.map(f => f.properties.id);
+      expect(ids).toEqual(expect.arrayContaining([center.id, nearby.id, distant.id]));
+      expect(ids).not.toContain(otherCityReport.id);
+
+      const feature = result.features.find(f => f.id === center.id);
+      expect(feature.geometry).toEqual({
+        type: 'Point',
+        coordinates: [origin.longitude, origin.latitude]
+      });
+    });
+
+    it('should throw 400 without a viewport', async () => {
+      await expect(
+        issueService.listMapPoints(asCitizen(), {})
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+});
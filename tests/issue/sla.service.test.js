@@ -0,0 +1,325 @@
+'use strict';
+
+/**
+ * SLA Service Tests
+ *
+ * Tests the SLA invariants:
+ * - City overrides replace category targets field by field
+ * - Reports get due dates when they are created
+ * - The breached filter matches only open reports past a due date
+ * - Each stage is escalated once, with a Log entry, and admins are notified
+ * - Recipients are the city's admins (admin_cities) and city.all holders; they
+ *   get an in-app notification and a queued email
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  UserIssue,
+  Issue,
+  IssueCitySla,
+  User,
+  City,
+  Role,
+  UserRole,
+  AdminCity,
+  Notification,
+  EmailOutbox,
+  Log
+} = require('../../src/models');
+const { NOTIFICATION_TYPES } = require('../../src/modules/notification/notification.service.js');
+const slaService = require('../../src/modules/issue/sla.service.js');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('SLA Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let citizen = null;
+  let admin = null;
+  let superAdmin = null;
+  let adminRole = null;
+  const reportIds = [];
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const adminContext = () => ({ adminCityId: testCity.id, includeAllCities: false, includeDeleted: false });
+
+  const createReport = async (overrides) => {
+    const report = await UserIssue.create({
+      title: 'SLA report',
+      description: 'Waiting for the city',
+      issue_id: testIssueCategory.id,
+      reporter_id: citizen.id,
+      city_id: testCity.id,
+      ...overrides
+    });
+    reportIds.push(report.id);
+    return report;
+  };
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'SLA Test City' },
+      defaults: { name: 'SLA Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'SLA Other City' },
+      defaults: { name: 'SLA Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'SLA Test Category' },
+      defaults: { name: 'SLA Test Category', slug: 'sla-test-category' }
+    });
+    await testIssueCategory.update({ ack_sla_hours: 24, resolution_sla_hours: 72 });
+
+    await IssueCitySla.create({
+      issue_id: testIssueCategory.id,
+      city_id: otherCity.id,
+      ack_sla_hours: 4,
+      resolution_sla_hours: null
+    });
+
+    [citizen] = await User.findOrCreate({
+      where: { email: 'sla-test-citizen@example.com' },
+      defaults: {
+        name: 'SLA Citizen',
+        email: 'sla-test-citizen@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    [admin] = await User.findOrCreate({
+      where: { email: 'sla-test-admin@example.com' },
+      defaults: {
+        name: 'SLA Admin',
+        email: 'sla-test-admin@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    [adminRole] = await Role.findOrCreate({
+      where: { name: 'admin' },
+      defaults: { name: 'admin', description: 'Administrator' }
+    });
+    await UserRole.findOrCreate({
+      where: { user_id: admin.id, role_id: adminRole.id },
+      defaults: { user_id: admin.id, role_id: adminRole.id }
+    });
+    await AdminCity.findOrCreate({ where: { user_id: admin.id, city_id: testCity.id } });
+
+    [superAdmin] = await User.findOrCreate({
+      where: { email: 'sla-test-super-admin@example.com' },
+      defaults: {
+        name: 'SLA Super Admin',
+        email: 'sla-test-super-admin@example.com',
+        password_hash: 'test-hash',
+        city_id: otherCity.id
+      }
+    });
+    const superAdminRole = await Role.findOne({ where: { name: 'super_admin' } });
+    await UserRole.findOrCreate({
+      where: { user_id: superAdmin.id, role_id: superAdminRole.id },
+      defaults: { user_id: superAdmin.id, role_id: superAdminRole.id }
+    });
+  });
+
+  afterAll(async () => {
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    const staffIds = [admin?.id, superAdmin?.id].filter(Boolean);
+    await Notification.destroy({ where: { user_id: staffIds } });
+    await EmailOutbox.destroy({ where: { user_id: staffIds } });
+    await AdminCity.destroy({ where: { user_id: staffIds } });
+    await UserRole.destroy({ where: { user_id: staffIds }, force: true });
+    await User.destroy({ where: { id: [citizen?.id, ...staffIds].filter(Boolean) }, force: true });
+    if (testIssueCategory) {
+      await IssueCitySla.destroy({ where: { issue_id: testIssueCategory.id }, force: true });
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('resolveSla', () => {
+
+    it('should use category targets without an override', async () => {
+      const sla = await slaService.resolveSla(testIssueCategory.id, testCity.id);
+      expect(sla).toEqual({ ackSlaHours: 24, resolutionSlaHours: 72 });
+    });
+
+    it('should apply city overrides field by field', async () => {
+      const sla = await slaService.resolveSla(testIssueCategory.id, otherCity.id);
+      expect(sla).toEqual({ ackSlaHours: 4, resolutionSlaHours: 72 });
+    });
+
+  });
+
+  describe('computeDueDates', () => {
+
+    it('should add target hours and leave missing targets null', () => {
+      const reportedAt = new Date('2026-01-01T00:00:00Z');
+      const dueDates = slaService.computeDueDates(reportedAt, { ackSlaHours: 2, resolutionSlaHours: null });
+
+      expect(dueDates.ack_due_at.toISOString()).toBe('2026-01-01T02:00:00.000Z');
+      expect(dueDates.resolution_due_at).toBeNull();
+    });
+
+  });
+
+  describe('createReport', () => {
+
+    it('should store due dates on new reports', async () => {
+      const before = Date.now();
+      const report = await issueService.createReport(citizen.id, {
+        title: 'Broken bench',
+        description: 'Slats missing',
+        issueId: testIssueCategory.id,
+        cityId: testCity.id
+      });
+      reportIds.push(report.id);
+
+      const ackDelta = new Date(report.ack_due_at).getTime() - before;
+      expect(ackDelta).toBeGreaterThanOrEqual(24 * HOUR_MS);
+      expect(ackDelta).toBeLessThan(24 * HOUR_MS + 60 * 1000);
+      expect(new Date(report.resolution_due_at).getTime() - new Date(report.ack_due_at).getTime())
+        .toBe(48 * HOUR_MS);
+    });
+
+  });
+
+  describe('breached filter and escalation', () => {
+    let ackBreached = null;
+    let resolutionBreached = null;
+    let onTime = null;
+    let resolvedLate = null;
+    const now = new Date();
+    const past = new Date(now.getTime() - 2 * HOUR_MS);
+    const future = new Date(now.getTime() + 2 * HOUR_MS);
+
+    beforeAll(async () => {
+      ackBreached = await createReport({ ack_due_at: past, resolution_due_at: future });
+      resolutionBreached = await createReport({ status: 'in_progress', ack_due_at: past, resolution_due_at: past });
+      onTime = await createReport({ ack_due_at: future, resolution_due_at: future });
+      resolvedLate = await createReport({ status: 'resolved', ack_due_at: past, resolution_due_at: past });
+    });
+
+    it('should list only breached reports with breached=true', async () => {
+      const result = await issueService.listReports(
+        { id: admin.id, role: 'admin' },
+        { breached: 'true', issueId: String(testIssueCategory.id) },
+        adminContext(),
+        { entityType: 'issues' }
+      );
+
+      const ids = result.data.map(r => r.id);
+      expect(ids).toEqual(expect.arrayContaining([ackBreached.id, resolutionBreached.id]));
+      expect(ids).not.toContain(onTime.id);
+      expect(ids).not.toContain(resolvedLate.id);
+    });
+
+    it('should treat reports without due dates as not breached', async () => {
+      const noTarget = await createReport({});
+      const result = await issueService.listReports(
+        { id: admin.id, role: 'admin' },
+        { breached: 'false', issueId: String(testIssueCategory.id) },
+        adminContext(),
+        { entityType: 'issues' }
+      );
+
+      const ids = result.data.map(r => r.id);
+      expect(ids).toEqual(expect.arrayContaining([onTime.id, resolvedLate.id, noTarget.id]));
+      expect(ids).not.toContain(ackBreached.id);
+    });
+
+    it('should throw 400 for invalid breached values', async () => {
+      await expect(
+        issueService.listReports({ id: admin.id, role: 'admin' }, { breached: 'yes' }, adminContext(), { entityType: 'issues' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should escalate each breached stage once and notify', async () => {
+      const notify = jest.fn().mockResolvedValue([]);
+      const { escalations } = await slaService.runEscalation({ now, notify });
+
+      const ours = escalations
+        .filter(e => reportIds.map(String).includes(String(e.reportId)))
+        .map(e => `${e.reportId}:${e.stage}`);
+      expect(ours.sort()).toEqual([
+        `${ackBreached.id}:ack`,
+        `${resolutionBreached.id}:resolution`
+      ].sort());
+      expect(notify).toHaveBeenCalledWith(escalations);
+
+      const log = await Log.findOne({ where: { issue_id: ackBreached.id, to_status: 'escalated:ack' } });
+      expect(log.from_status).toBe('reported');
+      expect(JSON.parse(log.comment)).toMatchObject({ type: slaService.LOG_TYPE_ESCALATION, stage: 'ack' });
+
+      await ackBreached.reload();
+      expect(ackBreached.ack_escalated_at).not.toBeNull();
+
+      const second = await slaService.runEscalation({ now, notify });
+      expect(second.escalations.filter(e => reportIds.map(String).includes(String(e.reportId))))
+        .toHaveLength(0);
+    });
+
+  });
+
+  describe('findAdminRecipients', () => {
+
+    it('should return admins of the city', async () => {
+      const admins = await slaService.findAdminRecipients(testCity.id);
+      expect(admins.map(a => String(a.id))).toContain(String(admin.id));
+    });
+
+    it('should not return admins of another city', async () => {
+      const admins = await slaService.findAdminRecipients(otherCity.id);
+      expect(admins.map(a => String(a.id))).not.toContain(String(admin.id));
+    });
+
+    it('should return super-admins for every city', async () => {
+      const admins = await slaService.findAdminRecipients(testCity.id);
+      expect(admins.map(a => String(a.id))).toContain(String(superAdmin.id));
+    });
+
+  });
+
+  describe('notifyAdmins', () => {
+
+    it('should notify and email each recipient once per city', async () => {
+      const report = await createReport({});
+      const dueAt = new Date(Date.now() - HOUR_MS);
+
+      const deliveries = await slaService.notifyAdmins([
+        { reportId: report.id, cityId: testCity.id, stage: 'ack', dueAt }
+      ]);
+
+      expect(deliveries.map(d => String(d.adminId))).toEqual(
+        expect.arrayContaining([String(admin.id), String(superAdmin.id)])
+      );
+
+      const notification = await Notification.findOne({
+        where: { user_id: admin.id, type: NOTIFICATION_TYPES.SLA_BREACHED, report_id: report.id }
+      });
+      expect(notification.data).toEqual({
+        breaches: [{ reportId: report.id, stage: 'ack', dueAt: dueAt.toISOString() }]
+      });
+
+      const queued = await EmailOutbox.findOne({
+        where: { user_id: admin.id, event_type: NOTIFICATION_TYPES.SLA_BREACHED, report_id: report.id }
+      });
+      expect(queued).not.toBeNull();
+    });
+
+  });
+
+});
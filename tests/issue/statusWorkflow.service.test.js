@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Status Workflow Tests
+ *
+ * Tests the report status workflow invariants:
+ * - Every transition edge uses known statuses and roles
+ * - Illegal transitions fail with 409 and list valid next statuses
+ * - Rejection and reopening edges require a comment
+ * - Role restrictions on edges are enforced
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  REPORT_STATUSES,
+  INITIAL_STATUS,
+  STATUS_TRANSITIONS,
+  getNextStatuses,
+  getWorkflowDefinition,
+  assertTransitionAllowed
+} = require('../../src/modules/issue/statusWorkflow.service.js');
+
+describe('Status Workflow', () => {
+
+  describe('Configuration Invariants', () => {
+
+    it('should only reference known statuses in transitions', () => {
+      const statuses = Object.values(REPORT_STATUSES);
+
+      for (const transition of STATUS_TRANSITIONS) {
+        expect(statuses).toContain(transition.from);
+        expect(statuses).toContain(transition.to);
+      }
+    });
+
+    it('should not define self-transitions', () => {
+      for (const transition of STATUS_TRANSITIONS) {
+        expect(transition.from).not.toBe(transition.to);
+      }
+    });
+
+    it('should start new reports as "reported"', () => {
+      expect(INITIAL_STATUS).toBe('reported');
+    });
+
+    it('should keep "merged" out of the transition graph', () => {
+      for (const transition of STATUS_TRANSITIONS) {
+        expect([transition.from, transition.to]).not.toContain('merged');
+      }
+    });
+
+  });
+
+  describe('getNextStatuses', () => {
+
+    it('should allow authority to start work on a reported issue', () => {
+      expect(getNextStatuses('reported', 'authority')).toContain('in_progress');
+    });
+
+    it('should not allow authority to reopen a rejected report', () => {
+      expect(getNextStatuses('rejected', 'authority')).toEqual([]);
+    });
+
+    it('should allow admin to reopen a rejected report', () => {
+      expect(getNextStatuses('rejected', 'admin')).toEqual(['reported']);
+    });
+
+    it('should return no transitions for citizens', () => {
+      for (const status of Object.values(REPORT_STATUSES)) {
+        expect(getNextStatuses(status, 'citizen')).toEqual([]);
+      }
+    });
+
+  });
+
+  describe('assertTransitionAllowed', () => {
+
+    it('should allow a legal transition without comment', () => {
+      const transition = assertTransitionAllowed({
+        fromStatus: 'reported',
+        toStatus: 'in_progress',
+        role: 'authority'
+      });
+
+      expect(transition.to).toBe('in_progress');
+    });
+
+    it('should throw 409 with valid next statuses for an illegal transition', () => {
+      try {
+        assertTransitionAllowed({
+          fromStatus: 'rejected',
+          toStatus: 'in_progress',
+          role: 'admin',
+          comment: 'Try again'
+        });
+        throw new Error('Expected transition to be rejected');
+      } catch (err) {
+        expect(err.statusCode).toBe(409);
+        expect(err.message).toMatch(/Valid next statuses: reported/);
+        expect(err.details.allowedStatuses).toEqual(['reported']);
+      }
+    });
+
+    it('should throw 409 when status is unchanged', () => {
+      expect(() => {
+        assertTransitionAllowed({
+          fromStatus: 'in_progress',
+          toStatus: 'in_progress',
+          role: 'admin'
+        });
+      }).toThrow(/already "in_progress"/);
+    });
+
+    it('should throw 409 when role is not allowed on the edge', () => {
+      try {
+        assertTransitionAllowed({
+          fromStatus: 'rejected',
+          toStatus: 'reported',
+          role: 'authority',
+          comment: 'Reopening'
+        });
+        throw new Error('Expected transition to be rejected');
+      } catch (err) {
+        expect(err.statusCode).toBe(409);
+      }
+    });
+
+    it('should throw 422 when rejecting without a comment', () => {
+      try {
+        assertTransitionAllowed({
+          fromStatus: 'reported',
+          toStatus: 'rejected',
+          role: 'authority',
+          comment: '   '
+        });
+        throw new Error('Expected transition to be rejected');
+      } catch (err) {
+        expect(err.statusCode).toBe(422);
+      }
+    });
+
+    it('should throw 422 when reopening a resolved report without a comment', () => {
+      expect(() => {
+        assertTransitionAllowed({
+          fromStatus: 'resolved',
+          toStatus: 'in_progress',
+          role: 'authority'
+        });
+      }).toThrow(/comment/);
+    });
+
+  });
+
+  describe('getWorkflowDefinition', () => {
+
+    it('should expose statuses, initial status and transitions', () => {
+      const workflow = getWorkflowDefinition();
+
+      expect(workflow.statuses).toEqual(Object.values(REPORT_STATUSES));
+      expect(workflow.initialStatus).toBe(INITIAL_STATUS);
+      expect(workflow.transitions.length).toBe(STATUS_TRANSITIONS.length);
+    });
+
+    it('should return copies that cannot mutate the graph', () => {
+      const workflow = getWorkflowDefinition();
+      workflow.transitions[0].roles.push('citizen');
+
+      expect(STATUS_TRANSITIONS[0].roles).not.toContain('citizen');
+    });
+
+  });
+
+});
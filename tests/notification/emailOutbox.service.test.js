@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Email Outbox Service Tests
+ *
+ * Tests the email delivery invariants:
+ * - Status changes queue an email in the same transaction; a rolled back
+ *   transaction queues nothing
+ * - The worker renders the recipient's locale and records the send
+ * - Opted-out users get no email, including after queueing
+ * - Failed sends are retried with backoff, then marked failed
+ * - Permanent SMTP rejections fail at once
+ * - Each email is recorded as soon as it is sent, and emails claimed by one
+ *   worker are not handed to another
+ */
+
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  User,
+  City,
+  Issue,
+  UserIssue,
+  AdminCity,
+  Log,
+  EmailOutbox,
+  sequelize
+} = require('../../src/models');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const {
+  OUTBOX_STATUS,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  enqueueEmails,
+  processOutbox
+} = require('../../src/modules/notification/emailOutbox.service.js');
+const {
+  getPreferences,
+  updatePreferences
+} = require('../../src/modules/notification/notificationPreference.service.js');
+const { NOTIFICATION_TYPES } = require('../../src/modules/notification/notification.service.js');
+const { SmtpError } = require('../../src/shared/mail/smtp.js');
+const mailer = require('../../src/shared/mail/mailer.js');
+const { createFileTransport } = require('../../src/shared/mail/transports.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Email Outbox Service', () => {
+  let city = null;
+  let category = null;
+  let admin = null;
+  let mailDir = null;
+  const users = [];
+  const reportIds = [];
+
+  // Other suites may leave pending rows behind; process them all
+  const processAll = (now) => processOutbox({ batchSize: 1000, now });
+
+  const readMails = async () => {
+    const files = await fs.readdir(mailDir);
+    return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(mailDir, file), 'utf8'))));
+  };
+
+  const createUser = async (overrides = {}) => {
+    const email = `outbox-${Date.now()}-${users.length}@example.com`;
+    const user = await User.create({ name: 'Outbox User', email, password_hash: 'test-hash', city_id: city.id, ...overrides });
+    users.push(user);
+    return user;
+  };
+
+  const createReport = async (reporter) => {
+    const report = await UserIssue.create({
+      title: 'Broken bench',
+      description: 'In the park',
+      issue_id: category.id,
+      reporter_id: reporter.id,
+      city_id: city.id
+    });
+    reportIds.push(report.id);
+    return report;
+  };
+
+  const queueFor = (user) => EmailOutbox.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'civictrack-outbox-'));
+    mailer.setTransport(createFileTransport({ directory: mailDir }));
+
+    [city] = await City.findOrCreate({
+      where: { name: 'Outbox Test City' },
+      defaults: { name: 'Outbox Test City', state: 'Test State' }
+    });
+    [category] = await Issue.findOrCreate({
+      where: { name: 'Outbox Test Category' },
+      defaults: { name: 'Outbox Test Category', slug: 'outbox-test-category' }
+    });
+
+    admin = await createUser();
+    await AdminCity.create({ user_id: admin.id, city_id: city.id });
+  });
+
+  afterEach(() => {
+    mailer.setTransport(createFileTransport({ directory: mailDir }));
+  });
+
+  afterAll(async () => {
+    mailer.setTransport(null);
+    await fs.rm(mailDir, { recursive: true, force: true });
+
+    const ids = users.map(user => user.id);
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    await AdminCity.destroy({ where: { user_id: ids } });
+    await User.destroy({ where: { id: ids }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('queueing', () => {
+
+    it('should queue a status email and send it in the recipient\'s locale', async () => {
+      const reporter = await createUser({ locale: 'es' });
+      const report = await createReport(reporter);
+
+      await issueService.updateStatus(report.id, { status: 'in_progress' }, { id: admin.id, role: 'admin' });
+
+      const [queued] = await queueFor(reporter);
+      expect(queued).toMatchObject({
+        event_type: NOTIFICATION_TYPES.REPORT_STATUS_CHANGED,
+        status: OUTBOX_STATUS.PENDING,
+        payload: { reportTitle: 'Broken bench', fromStatus: 'reported', toStatus: 'in_progress' }
+      });
+
+      await processAll();
+      await queued.reload();
+      expect(queued).toMatchObject({ status: OUTBOX_STATUS.SENT, attempts: 1 });
+      expect(queued.message_id).toBeTruthy();
+
+      const mail = (await readMails()).find(item => item.to === reporter.email);
+      expect(mail.subject).toBe('Tu reporte "Broken bench" ahora está en curso');
+      expect(mail.text).toContain(`#${report.id}`);
+    });
+
+    it('should queue nothing when the transaction rolls back', async () => {
+      const reporter = await createUser();
+
+      await expect(sequelize.transaction(async (transaction) => {
+        await enqueueEmails([reporter.id], {
+          type: NOTIFICATION_TYPES.REPORT_UNASSIGNED,
+          payload: { reportTitle: 'Never saved' }
+        }, { transaction });
+        throw new Error('rollback');
+      })).rejects.toThrow('rollback');
+
+      expect(await queueFor(reporter)).toHaveLength(0);
+    });
+  });
+
+  describe('preferences', () => {
+
+    it('should skip opted-out users when queueing and when sending', async () => {
+      const reporter = await createUser();
+      expect((await getPreferences(reporter.id)).email[NOTIFICATION_TYPES.REPORT_ASSIGNED]).toBe(true);
+
+      const email = { type: NOTIFICATION_TYPES.REPORT_ASSIGNED, payload: { reportTitle: 'Bench', authorityName: 'Parks' } };
+      const [queued] = await enqueueEmails([reporter.id], email);
+
+      const preferences = await updatePreferences(reporter.id, {
+        locale: 'es',
+        email: { [NOTIFICATION_TYPES.REPORT_ASSIGNED]: false }
+      });
+      expect(preferences).toMatchObject({ locale: 'es', email: { [NOTIFICATION_TYPES.REPORT_ASSIGNED]: false } });
+
+      expect(await enqueueEmails([reporter.id], email)).toHaveLength(0);
+
+      await processAll();
+      await queued.reload();
+      expect(queued.status).toBe(OUTBOX_STATUS.SKIPPED);
+    });
+
+    it('should reject unknown event types and locales', async () => {
+      const user = await createUser();
+
+      await expect(updatePreferences(user.id, { email: { report_comment: false } })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(updatePreferences(user.id, { locale: 'xx' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('claims', () => {
+
+    it('should record each email as it is sent and not hand claimed emails to other workers', async () => {
+      const first = await createUser();
+      const second = await createUser();
+      const email = { type: NOTIFICATION_TYPES.REPORT_UNASSIGNED, payload: { reportTitle: 'Bench' } };
+      const [firstQueued] = await enqueueEmails([first.id], email);
+      const [secondQueued] = await enqueueEmails([second.id], email);
+
+      const seen = {};
+      mailer.setTransport({
+        async send(message) {
+          if (message.to === second.email) {
+            seen.firstStatus = (await EmailOutbox.findByPk(firstQueued.id)).status;
+            seen.concurrent = await processOutbox({ batchSize: 1000 });
+          }
+          return { messageId: `<${message.to}>` };
+        }
+      });
+
+      await processAll();
+      expect(seen.firstStatus).toBe(OUTBOX_STATUS.SENT);
+      expect(seen.concurrent).toEqual({ sent: 0, retried: 0, failed: 0, skipped: 0 });
+
+      await secondQueued.reload();
+      expect(secondQueued).toMatchObject({ status: OUTBOX_STATUS.SENT, attempts: 1, locked_until: null });
+    });
+  });
+
+  describe('retries', () => {
+
+    it('should back off after failures and give up after the last attempt', async () => {
+      const reporter = await createUser();
+      const [queued] = await enqueueEmails([reporter.id], {
+        type: NOTIFICATION_TYPES.REPORT_UNASSIGNED,
+        payload: { reportTitle: 'Bench' }
+      });
+      mailer.setTransport({ async send() { throw new Error('Connection refused'); } });
+
+      let now = new Date();
+      await processAll(now);
+      await queued.reload();
+      expect(queued).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 1, last_error: 'Connection refused' });
+      expect(queued.next_attempt_at.getTime()).toBe(now.getTime() + retryDelayMs(1));
+
+      // Not due yet
+      await processAll(now);
+      await queued.reload();
+      expect(queued.attempts).toBe(1);
+
+      for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt += 1) {
+        now = new Date(queued.next_attempt_at.getTime());
+        await processAll(now);
+        await queued.reload();
+      }
+      expect(queued).toMatchObject({ status: OUTBOX_STATUS.FAILED, attempts: MAX_ATTEMPTS });
+    });
+
+    it('should fail permanent rejections at once', async () => {
+      const reporter = await createUser();
+      const [queued] = await enqueueEmails([reporter.id], {
+        type: NOTIFICATION_TYPES.REPORT_UNASSIGNED,
+        payload: { reportTitle: 'Bench' }
+      });
+      mailer.setTransport({ async send() { throw new SmtpError('Mailbox unavailable', 550); } });
+
+      await processAll();
+      await queued.reload();
+      expect(queued).toMatchObject({ status: OUTBOX_STATUS.FAILED, attempts: 1 });
+    });
+  });
+});
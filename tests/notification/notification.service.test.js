@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * Notification Service Tests
+ *
+ * Tests the notification invariants:
+ * - Status changes notify the reporter and reporters of merged duplicates,
+ *   never the user who made the change
+ * - Assignments notify the reporter and the receiving authority's staff
+ * - Comments notify the other side of the thread
+ * - Visibility changes notify the reporter once per change
+ * - Users only read and mark their own notifications
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  User,
+  City,
+  Issue,
+  UserIssue,
+  Authority,
+  AuthorityUser,
+  AdminCity,
+  ReportComment,
+  Log,
+  Notification
+} = require('../../src/models');
+const issueService = require('../../src/modules/issue/issue.service.js');
+const commentService = require('../../src/modules/issue/comment.service.js');
+const {
+  NOTIFICATION_TYPES,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead
+} = require('../../src/modules/notification/notification.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Notification Service', () => {
+  let city = null;
+  let category = null;
+  let authority = null;
+  let admin = null;
+  let reporter = null;
+  let otherReporter = null;
+  let staff = null;
+  const reportIds = [];
+
+  const asAdmin = () => ({ id: admin.id, role: 'admin' });
+
+  const createReport = async (overrides = {}) => {
+    const report = await UserIssue.create({
+      title: 'Blocked drain',
+      description: 'Water on the road',
+      issue_id: category.id,
+      reporter_id: reporter.id,
+      city_id: city.id,
+      is_hidden: false,
+      ...overrides
+    });
+    reportIds.push(report.id);
+    return report;
+  };
+
+  const notificationsFor = (user, reportId) => Notification.findAll({
+    where: { user_id: user.id, report_id: reportId },
+    order: [['id', 'ASC']]
+  });
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [city] = await City.findOrCreate({
+      where: { name: 'Notification Test City' },
+      defaults: { name: 'Notification Test City', state: 'Test State' }
+    });
+    [category] = await Issue.findOrCreate({
+      where: { name: 'Notification Test Category' },
+      defaults: { name: 'Notification Test Category', slug: 'notification-test-category' }
+    });
+
+    const createUser = async (email) => {
+      const [user] = await User.findOrCreate({
+        where: { email },
+        defaults: { name: email, email, password_hash: 'test-hash', city_id: city.id }
+      });
+      return user;
+    };
+
+    admin = await createUser('notification-admin@example.com');
+    reporter = await createUser('notification-reporter@example.com');
+    otherReporter = await createUser('notification-other@example.com');
+    staff = await createUser('notification-staff@example.com');
+
+    await AdminCity.findOrCreate({ where: { user_id: admin.id, city_id: city.id } });
+
+    authority = await Authority.create({
+      name: 'Notification Test Authority',
+      city: city.name,
+      region: 'Test Region',
+      city_id: city.id
+    });
+    await AuthorityUser.create({ user_id: staff.id, authority_id: authority.id });
+  });
+
+  afterEach(async () => {
+    await Notification.destroy({ where: { user_id: [admin.id, reporter.id, otherReporter.id, staff.id] } });
+  });
+
+  afterAll(async () => {
+    await ReportComment.destroy({ where: { report_id: reportIds }, force: true });
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    await AuthorityUser.destroy({ where: { user_id: staff.id }, force: true });
+    await Authority.destroy({ where: { id: authority.id }, force: true });
+    await AdminCity.destroy({ where: { user_id: admin.id } });
+    await User.destroy({ where: { id: [admin.id, reporter.id, otherReporter.id, staff.id] }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('status changes', () => {
+
+    it('should notify the reporter and merged reporters, not the actor', async () => {
+      const report = await createReport();
+      await createReport({ reporter_id: otherReporter.id, status: 'merged', merged_into_id: report.id });
+
+      await issueService.updateStatus(report.id, { status: 'in_progress', comment: 'Crew booked' }, asAdmin());
+
+      const [notification] = await notificationsFor(reporter, report.id);
+      expect(notification).toMatchObject({
+        type: NOTIFICATION_TYPES.REPORT_STATUS_CHANGED,
+        title: '"Blocked drain" is now in progress',
+        body: 'Crew booked',
+        data: { fromStatus: 'reported', toStatus: 'in_progress' }
+      });
+      expect(await notificationsFor(otherReporter, report.id)).toHaveLength(1);
+      expect(await notificationsFor(admin, report.id)).toHaveLength(0);
+    });
+  });
+
+  describe('assignments', () => {
+
+    it('should notify the reporter and the authority staff', async () => {
+      const report = await createReport();
+
+      await issueService.reassignReportAuthority(report.id, authority.id, asAdmin());
+
+      expect(await notificationsFor(reporter, report.id)).toEqual([
+        expect.objectContaining({ type: NOTIFICATION_TYPES.REPORT_ASSIGNED })
+      ]);
+      expect(await notificationsFor(staff, report.id)).toEqual([
+        expect.objectContaining({ type: NOTIFICATION_TYPES.AUTHORITY_ASSIGNMENT })
+      ]);
+
+      await issueService.reassignReportAuthority(report.id, null, asAdmin());
+
+      const [, unassigned] = await notificationsFor(reporter, report.id);
+      expect(unassigned.type).toBe(NOTIFICATION_TYPES.REPORT_UNASSIGNED);
+      expect(await notificationsFor(staff, report.id)).toHaveLength(1);
+    });
+  });
+
+  describe('comments', () => {
+
+    it('should notify the other participants only', async () => {
+      const report = await createReport({ authority_id: authority.id });
+
+      await commentService.createComment(report.id, { body: 'Any update?' }, { id: reporter.id, role: 'citizen', city_id: city.id });
+      expect(await notificationsFor(reporter, report.id)).toHaveLength(0);
+      expect(await notificationsFor(staff, report.id)).toEqual([
+        expect.objectContaining({ type: NOTIFICATION_TYPES.REPORT_COMMENT, body: 'Any update?' })
+      ]);
+
+      await commentService.createComment(report.id, { body: 'Next week' }, asAdmin());
+      expect(await notificationsFor(reporter, report.id)).toHaveLength(1);
+      expect(await notificationsFor(staff, report.id)).toHaveLength(2);
+    });
+  });
+
+  describe('visibility', () => {
+
+    it('should notify the reporter once per change', async () => {
+      const report = await createReport();
+
+      await issueService.toggleReportVisibility(report.id, true, asAdmin());
+      await issueService.toggleReportVisibility(report.id, 'true', asAdmin());
+
+      expect(await notificationsFor(reporter, report.id)).toEqual([
+        expect.objectContaining({ type: NOTIFICATION_TYPES.REPORT_HIDDEN })
+      ]);
+    });
+  });
+
+  describe('inbox', () => {
+
+    it('should list, count and mark the user\'s own notifications', async () => {
+      const report = await createReport();
+      await issueService.toggleReportVisibility(report.id, true, asAdmin());
+      await issueService.toggleReportVisibility(report.id, false, asAdmin());
+
+      const inbox = await listNotifications(reporter.id, {}, { page: 1, limit: 1, offset: 0 });
+      expect(inbox.data).toHaveLength(1);
+      expect(inbox.data[0].type).toBe(NOTIFICATION_TYPES.REPORT_UNHIDDEN);
+      expect(inbox.meta.total).toBe(2);
+      expect(inbox.unreadCount).toBe(2);
+
+      await expect(markRead(otherReporter.id, inbox.data[0].id)).rejects.toMatchObject({ statusCode: 404 });
+
+      const read = await markRead(reporter.id, inbox.data[0].id);
+      expect(read.read_at).not.toBeNull();
+      expect(await countUnread(reporter.id)).toBe(1);
+
+      const unread = await listNotifications(reporter.id, { unreadOnly: true });
+      expect(unread.data.map(item => item.type)).toEqual([NOTIFICATION_TYPES.REPORT_HIDDEN]);
+
+      expect(await markAllRead(reporter.id)).toBe(1);
+      expect(await countUnread(reporter.id)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Open311 Format Tests
+ *
+ * Tests the response format invariants:
+ * - XML uses GeoReport v2 root/item element names
+ * - Text is escaped and null values become empty elements
+ * - The format is taken from the URL extension
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  XML_ELEMENTS,
+  toXml,
+  formatFromRequest
+} = require('../../src/modules/open311/open311.format.js');
+
+describe('Open311 Format', () => {
+
+  describe('toXml', () => {
+
+    it('should wrap items in root and item elements', () => {
+      const xml = toXml([{ service_code: '1', service_name: 'Potholes' }], XML_ELEMENTS.services);
+
+      expect(xml).toBe(
+        '<?xml version="1.0" encoding="utf-8"?>' +
+        '<services><service><service_code>1</service_code><service_name>Potholes</service_name></service></services>'
+      );
+    });
+
+    it('should escape text and render nulls as empty elements', () => {
+      const xml = toXml([{ description: 'A & B <c>', media_url: null }], XML_ELEMENTS.requests);
+
+      expect(xml).toContain('<description>A &amp; B &lt;c&gt;</description>');
+      expect(xml).toContain('<media_url/>');
+      expect(xml).toContain('<service_requests><request>');
+    });
+
+  });
+
+  describe('formatFromRequest', () => {
+
+    it('should detect xml and default to json', () => {
+      expect(formatFromRequest({ path: '/requests.xml' })).toBe('xml');
+      expect(formatFromRequest({ path: '/requests.json' })).toBe('json');
+      expect(formatFromRequest({ path: '/unknown' })).toBe('json');
+    });
+
+  });
+
+});
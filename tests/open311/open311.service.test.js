@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Open311 Service Tests
+ *
+ * Tests the Open311 invariants:
+ * - Categories are exposed as services
+ * - Submissions need a valid API key and go through createReport/assignAuthority
+ * - Statuses map to open/closed and hidden reports are never exposed
+ * - Unknown requests and jurisdictions fail with 404
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { Op } = require('sequelize');
+const {
+  UserIssue,
+  IssueImage,
+  Log,
+  Open311Client,
+  Issue,
+  User,
+  City
+} = require('../../src/models');
+const open311Service = require('../../src/modules/open311/open311.service.js');
+const open311ClientService = require('../../src/modules/admin/open311Client/open311Client.service.js');
+const {
+  ensureDbConnection,
+  closeDbConnection
+} = require('../setup/testHelpers.js');
+
+describe('Open311 Service', () => {
+  let testCity = null;
+  let otherCity = null;
+  let testIssueCategory = null;
+  let serviceAccount = null;
+  let client = null;
+  let apiKey = null;
+  let submittedId = null;
+  let rejectedReport = null;
+  let hiddenReport = null;
+  const createdReportIds = [];
+
+  beforeAll(async () => {
+    await ensureDbConnection();
+
+    [testCity] = await City.findOrCreate({
+      where: { name: 'Open311 Test City' },
+      defaults: { name: 'Open311 Test City', state: 'Test State' }
+    });
+
+    [otherCity] = await City.findOrCreate({
+      where: { name: 'Open311 Other City' },
+      defaults: { name: 'Open311 Other City', state: 'Test State' }
+    });
+
+    [testIssueCategory] = await Issue.findOrCreate({
+      where: { name: 'Open311 Test Category' },
+      defaults: { name: 'Open311 Test Category', slug: 'open311-test-category' }
+    });
+
+    [serviceAccount] = await User.findOrCreate({
+      where: { email: 'open311-client@example.com' },
+      defaults: {
+        name: 'Open311 Client',
+        email: 'open311-client@example.com',
+        password_hash: 'test-hash',
+        city_id: testCity.id
+      }
+    });
+
+    ({ client, apiKey } = await open311ClientService.createClient({
+      name: 'Test App',
+      userId: serviceAccount.id,
+      cityId: testCity.id
+    }));
+
+    rejectedReport = await UserIssue.create({
+      title: 'Rejected',
+      description: 'Not our problem',
+      issue_id: testIssueCategory.id,
+      reporter_id: serviceAccount.id,
+      city_id: testCity.id,
+      status: 'rejected'
+    });
+    await Log.create({
+      issue_id: rejectedReport.id,
+      updated_by: serviceAccount.id,
+      from_status: 'reported',
+      to_status: 'rejected',
+      comment: 'Private property'
+    });
+
+    hiddenReport = await UserIssue.create({
+      title: 'Hidden',
+      description: 'Spam',
+      issue_id: testIssueCategory.id,
+      reporter_id: serviceAccount.id,
+      city_id: testCity.id,
+      is_hidden: true
+    });
+
+    createdReportIds.push(rejectedReport.id, hiddenReport.id);
+  });
+
+  afterAll(async () => {
+    const reportIds = [...createdReportIds, submittedId].filter(Boolean);
+    await Log.destroy({ where: { issue_id: reportIds }, force: true });
+    await IssueImage.destroy({ where: { report_id: reportIds }, force: true });
+    await UserIssue.destroy({ where: { id: reportIds }, force: true });
+    if (client) {
+      await Open311Client.destroy({ where: { id: client.id }, force: true });
+    }
+    if (serviceAccount) {
+      await User.destroy({ where: { id: serviceAccount.id }, force: true });
+    }
+    if (testIssueCategory) {
+      await Issue.destroy({ where: { id: testIssueCategory.id }, force: true });
+    }
+    await City.destroy({ where: { id: [testCity?.id, otherCity?.id].filter(Boolean) }, force: true });
+    await closeDbConnection();
+  });
+
+  describe('listServices', () => {
+
+    it('should expose categories as services', async () => {
+      const services = await open311Service.listServices();
+      const service = services.find(s => s.service_code === String(testIssueCategory.id));
+
+      expect(service).toMatchObject({
+        service_name: 'Open311 Test Category',
+        metadata: false,
+        type: 'realtime'
+      });
+    });
+
+    it('should throw 404 for unknown jurisdictions', async () => {
+      await expect(
+        open311Service.listServices({ jurisdiction_id: '999999' })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+  describe('authenticateClient', () => {
+
+    it('should accept the issued key and never store it in plaintext', async () => {
+      const authenticated = await open311Service.authenticateClient(apiKey);
+
+      expect(authenticated.id).toBe(client.id);
+      expect(authenticated.api_key_hash).not.toBe(apiKey);
+      expect(authenticated.last_used_at).not.toBeNull();
+    });
+
+    it('should throw 403 for missing or unknown keys', async () => {
+      await expect(open311Service.authenticateClient(undefined)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(open311Service.authenticateClient('o311_nope')).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+  });
+
+  describe('createServiceRequest', () => {
+
+    it('should create a report through the assignment engine', async () => {
+      const authenticated = await open311Service.authenticateClient(apiKey);
+      const [result] = await open311Service.createServiceRequest(authenticated, {
+        service_code: String(testIssueCategory.id),
+        lat: '18.5204',
+        long: '73.8567',
+        address_string: 'MG Road',
+        description: 'Streetlight out',
+        media_url: 'https://example.com/light.jpg'
+      });
+
+      submittedId = result.service_request_id;
+      expect(result.service_notice).toBeTruthy();
+
+      const report = await UserIssue.findByPk(submittedId);
+      expect(String(report.reporter_id)).toBe(String(serviceAccount.id));
+      expect(String(report.city_id)).toBe(String(testCity.id));
+      expect(report.region).toBe('MG Road');
+
+      const assignmentLog = await Log.findOne({
+        where: { issue_id: submittedId, comment: { [Op.like]: '%"type":"assignment"%' } }
+      });
+      expect(assignmentLog).not.toBeNull();
+    });
+
+    it('should throw 403 for another jurisdiction', async () => {
+      await expect(
+        open311Service.createServiceRequest(client, {
+          jurisdiction_id: String(otherCity.id),
+          service_code: String(testIssueCategory.id),
+          address_string: 'Elsewhere',
+          description: 'Wrong city'
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should throw 400 without a location', async () => {
+      await expect(
+        open311Service.createServiceRequest(client, {
+          service_code: String(testIssueCategory.id),
+          description: 'Somewhere'
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+  });
+
+  describe('listServiceRequests / getServiceRequest', () => {
+
+    it('should map statuses and include public status notes', async () => {
+      const requests = await open311Service.listServiceRequests({
+        jurisdiction_id: String(testCity.id),
+        service_code: String(testIssueCategory.id)
+      });
+
+      const byId = new Map(requests.map(r => [r.service_request_id, r]));
+      expect(byId.get(String(submittedId)).status).toBe('open');
+      expect(byId.get(String(submittedId)).media_url).toBe('https://example.com/light.jpg');
+      expect(byId.get(String(rejectedReport.id))).toMatchObject({
+        status: 'closed',
+        status_notes: 'Private property'
+      });
+      expect(byId.has(String(hiddenReport.id))).toBe(false);
+    });
+
+    it('should filter by Open311 status', async () => {
+      const requests = await open311Service.listServiceRequests({
+        service_code: String(testIssueCategory.id),
+        status: 'closed'
+      });
+
+      expect(requests.map(r => r.service_request_id)).toEqual([String(rejectedReport.id)]);
+    });
+
+    it('should return a single request as an array', async () => {
+      const requests = await open311Service.getServiceRequest(rejectedReport.id);
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].service_code).toBe(String(testIssueCategory.id));
+    });
+
+    it('should throw 404 for hidden reports', async () => {
+      await expect(
+        open311Service.getServiceRequest(hiddenReport.id)
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+  });
+
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Mock OpenID Connect Provider
+ *
+ * A minimal identity provider for testing the OIDC login flow locally:
+ * discovery, authorization (auto-approves the configured user), token
+ * (with PKCE and client authentication checks), userinfo and JWKS.
+ *
+ * In tests:
+ *   const provider = await startMockOidcProvider({ clientId, clientSecret });
+ *   provider.setUser({ sub: 'staff-1', email: '...', groups: ['staff'] });
+ *   ...
+ *   await provider.close();
+ *
+ * Standalone (for manual testing against a running API):
+ *   npm run oidc:mock
+ *   OIDC_MOCK_USER='{"sub":"staff-1","email":"staff@example.com","email_verified":true,"groups":["staff"]}'
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { generateKeyPair, exportJWK, SignJWT } = require('jose');
+
+const ID_TOKEN_TTL = '5m';
+
+/**
+ * Start the provider
+ *
+ * @param {Object} options
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @param {number} [options.port] - Default: a free port
+ * @param {Object} [options.user] - Claims of the user who "signs in"
+ * @returns {Promise<Object>} { issuer, setUser, close }
+ */
+async function startMockOidcProvider({ clientId, clientSecret, port = 0, user = null }) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...(await exportJWK(publicKey)), kid: 'mock-key', alg: 'RS256', use: 'sig' };
+
+  // code -> { claims, nonce, codeChallenge, redirectUri }
+  const codes = new Map();
+  // access token -> claims
+  const accessTokens = new Map();
+  let currentUser = user;
+  let issuer = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: id, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (id !== clientId || req.query.response_type !== 'code' || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('state', state);
+    if (!currentUser) {
+      target.searchParams.set('error', 'access_denied');
+      return res.redirect(302, target.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims: currentUser, nonce, codeChallenge, redirectUri });
+    target.searchParams.set('code', code);
+    res.redirect(302, target.toString());
+  });
+
+  app.post('/token', async (req, res) => {
+    const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+    const [id, secret] = scheme === 'Basic'
+      ? Buffer.from(encoded || '', 'base64').toString().split(':').map(decodeURIComponent)
+      : [];
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = await new SignJWT({ ...grant.claims, nonce: grant.nonce })
+      .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+      .setIssuer(issuer)
+      .setAudience(clientId)
+      .setSubject(String(grant.claims.sub))
+      .setIssuedAt()
+      .setExpirationTime(ID_TOKEN_TTL)
+      .sign(privateKey);
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, '127.0.0.1', () => resolve(listener));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    setUser(claims) {
+      currentUser = claims;
+    },
+    close: () => new Promise((resolve) => {
+      // fetch keeps connections alive; drop them so close() returns
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  startMockOidcProvider
+};
+
+if (require.main === module) {
+  startMockOidcProvider({
+    clientId: process.env.OIDC_CLIENT_ID || 'civictrack',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || 'civictrack-secret',
+    port: Number(process.env.OIDC_MOCK_PORT) || 4010,
+    user: process.env.OIDC_MOCK_USER ? JSON.parse(process.env.OIDC_MOCK_USER) : null
+  }).then(({ issuer }) => {
+    console.log(`Mock OIDC provider listening - set OIDC_ISSUER=${issuer}`);
+  });
+}
@@ -8,6 +8,7 @@
  * - validateCityScope throws error when neither cityId nor includeAllCities is provided
  * - City filter is applied correctly to where clauses
  * - Paranoid options respect includeDeleted flag
+ * - City-bound contexts (allowedCityIds) reject other cities and cross-city access
  */
 
 process.env.NODE_ENV = 'test';
@@ -220,6 +221,52 @@ describe('City Scope Utility', () => {
 
   });
 
+  describe('city-bound contexts (allowedCityIds)', () => {
+
+    it('should accept a city in the allowed set', () => {
+      expect(() => {
+        validateCityScope({ adminCityId: 2, includeAllCities: false, allowedCityIds: [1, 2] });
+      }).not.toThrow();
+    });
+
+    it('should reject a city outside the allowed set with 403', () => {
+      expect(() => {
+        validateCityScope({ adminCityId: 3, includeAllCities: false, allowedCityIds: [1, 2] });
+      }).toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should reject includeAllCities for city-bound admins', () => {
+      expect(() => {
+        validateCityScope({ adminCityId: null, includeAllCities: true, allowedCityIds: [1] });
+      }).toThrow(/Only super-admins/);
+    });
+
+    it('should reject admins without any city with 403', () => {
+      expect(() => {
+        validateCityScope({ adminCityId: null, includeAllCities: false, allowedCityIds: [] });
+      }).toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should allow includeAllCities when allowedCityIds is null (super-admin)', () => {
+      expect(() => {
+        validateCityScope({ adminCityId: null, includeAllCities: true, allowedCityIds: null });
+      }).not.toThrow();
+    });
+
+    it('should make applyCityFilter reject cities outside the allowed set', () => {
+      expect(() => {
+        applyCityFilter({}, { adminCityId: 3, includeAllCities: false, allowedCityIds: [1] }, 'city_id');
+      }).toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should limit an unselected city-bound filter to the allowed set', () => {
+      const filter = buildCityFilter({ adminCityId: null, includeAllCities: false, allowedCityIds: [1, 2] });
+
+      expect(filter).toEqual({ city_id: [1, 2] });
+    });
+
+  });
+
   describe('buildParanoidOptions', () => {
     
     it('should return paranoid: true by default', () => {
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Shared Utilities Tests: Geo
+ *
+ * Tests the geo utility invariants:
+ * - Haversine distances match known reference values
+ * - Bounding boxes always contain the full radius
+ * - Invalid coordinates are rejected
+ * - near/bbox query values parse strictly
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  isValidCoordinate,
+  haversineDistanceMeters,
+  boundingBoxForRadius,
+  parseLatLng,
+  parseBoundingBox
+} = require('../../src/shared/utils/geo.js');
+
+describe('Geo Utility', () => {
+
+  describe('haversineDistanceMeters', () => {
+
+    it('should return 0 for identical points', () => {
+      const point = { latitude: 28.6139, longitude: 77.2090 };
+      expect(haversineDistanceMeters(point, point)).toBe(0);
+    });
+
+    it('should measure one degree of latitude as ~111 km', () => {
+      const distance = haversineDistanceMeters(
+        { latitude: 0, longitude: 0 },
+        { latitude: 1, longitude: 0 }
+      );
+
+      expect(distance).toBeGreaterThan(111000);
+      expect(distance).toBeLessThan(111400);
+    });
+
+    it('should measure Delhi to Mumbai as ~1150 km', () => {
+      const distance = haversineDistanceMeters(
+        { latitude: 28.6139, longitude: 77.2090 },
+        { latitude: 19.0760, longitude: 72.8777 }
+      );
+
+      expect(Math.round(distance / 1000)).toBeGreaterThan(1140);
+      expect(Math.round(distance / 1000)).toBeLessThan(1160);
+    });
+
+  });
+
+  describe('boundingBoxForRadius', () => {
+
+    it('should contain points exactly at the radius in all directions', () => {
+      const center = { latitude: 28.6139, longitude: 77.2090 };
+      const radius = 500;
+      const box = boundingBoxForRadius(center.latitude, center.longitude, radius);
+
+      // ~500m north and east of center
+      const north = { latitude: center.latitude + 0.0044966, longitude: center.longitude };
+      const east = { latitude: center.latitude, longitude: center.longitude + 0.0051 };
+
+      expect(haversineDistanceMeters(center, north)).toBeLessThanOrEqual(radius + 1);
+      expect(north.latitude).toBeLessThanOrEqual(box.maxLat);
+      expect(haversineDistanceMeters(center, east)).toBeLessThanOrEqual(radius + 1);
+      expect(east.longitude).toBeLessThanOrEqual(box.maxLng);
+    });
+
+    it('should clamp to valid coordinate ranges', () => {
+      const box = boundingBoxForRadius(89.9999, 179.9999, 10000);
+
+      expect(box.maxLat).toBeLessThanOrEqual(90);
+      expect(box.maxLng).toBeLessThanOrEqual(180);
+      expect(box.minLng).toBeGreaterThanOrEqual(-180);
+    });
+
+  });
+
+  describe('isValidCoordinate', () => {
+
+    it('should accept valid coordinates', () => {
+      expect(isValidCoordinate(28.6, 77.2)).toBe(true);
+    });
+
+    it('should reject out-of-range or non-numeric values', () => {
+      expect(isValidCoordinate(91, 0)).toBe(false);
+      expect(isValidCoordinate(0, -181)).toBe(false);
+      expect(isValidCoordinate(null, 0)).toBe(false);
+      expect(isValidCoordinate(NaN, 0)).toBe(false);
+    });
+
+  });
+
+  describe('parseLatLng', () => {
+
+    it('should parse "lat,lng"', () => {
+      expect(parseLatLng('28.6139, 77.2090')).toEqual({ latitude: 28.6139, longitude: 77.2090 });
+    });
+
+    it('should reject malformed or out-of-range values', () => {
+      expect(parseLatLng('28.6')).toBeNull();
+      expect(parseLatLng('28.6,')).toBeNull();
+      expect(parseLatLng('abc,77')).toBeNull();
+      expect(parseLatLng('95,77')).toBeNull();
+      expect(parseLatLng(undefined)).toBeNull();
+    });
+
+  });
+
+  describe('parseBoundingBox', () => {
+
+    it('should parse GeoJSON bbox order', () => {
+      expect(parseBoundingBox('77.1,28.5,77.3,28.7')).toEqual({
+        minLng: 77.1, minLat: 28.5, maxLng: 77.3, maxLat: 28.7
+      });
+    });
+
+    it('should allow boxes crossing the antimeridian', () => {
+      expect(parseBoundingBox('170,-10,-170,10')).not.toBeNull();
+    });
+
+    it('should reject inverted latitudes and malformed values', () => {
+      expect(parseBoundingBox('77.1,28.7,77.3,28.5')).toBeNull();
+      expect(parseBoundingBox('77.1,28.5,77.3')).toBeNull();
+      expect(parseBoundingBox('77.1,28.5,77.3,x')).toBeNull();
+    });
+
+  });
+
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Shared Utilities Tests: SMTP
+ *
+ * Tests the SMTP client invariants against a scripted local server:
+ * - Envelope, credentials and a UTF-8 message are submitted in order
+ * - Permanent rejections (5xx) are reported as non-temporary errors
+ * - Credentials are never sent without TLS unless explicitly allowed
+ * - A stalled STARTTLS handshake times out as a temporary error
+ */
+
+process.env.NODE_ENV = 'test';
+
+const net = require('net');
+const { sendSmtp, SmtpError } = require('../../src/shared/mail/smtp.js');
+
+/**
+ * Minimal SMTP server without STARTTLS (unless scripted through replies)
+ *
+ * @param {Object} [replies] - Reply overrides by command verb (e.g. { RCPT: '550 No such user' })
+ * @returns {Promise<Object>} { port, session, close }
+ */
+function startServer(replies = {}) {
+  const session = { commands: [], data: null };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 test.local ESMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 Queued\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        session.commands.push(line);
+
+        if (replies[verb]) {
+          socket.write(`${replies[verb]}\r\n`);
+        } else if (verb === 'EHLO') {
+          socket.write('250-test.local\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 2.7.0 Authenticated\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'STARTTLS') {
+          socket.write('502 5.5.1 STARTTLS not supported\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      session,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+describe('SMTP Client', () => {
+  const message = {
+    from: 'CivicTrack <no-reply@civictrack.local>',
+    to: 'reporter@example.com',
+    subject: 'Tu reporte está en curso',
+    text: 'Hola,\n.\nEl estado cambió.'
+  };
+
+  it('should submit the envelope, credentials and message', async () => {
+    const server = await startServer();
+    try {
+      const result = await sendSmtp({
+        host: '127.0.0.1',
+        port: server.port,
+        user: 'mailer',
+        pass: 'secret',
+        requireTls: false,
+        name: 'civictrack.test'
+      }, message);
+
+      expect(result.messageId).toMatch(/@civictrack\.local$/);
+      expect(server.session.commands.slice(0, 5)).toEqual([
+        'EHLO civictrack.test',
+        `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+        'MAIL FROM:<no-reply@civictrack.local>',
+        'RCPT TO:<reporter@example.com>',
+        'DATA'
+      ]);
+
+      const [headers] = server.session.data.split('\r\n\r\n');
+      expect(headers).toContain(`Message-ID: <${result.messageId}>`);
+      expect(headers).toMatch(/^Subject: =\?UTF-8\?/m);
+      expect(headers).toContain('Content-Type: text/plain; charset=utf-8');
+      // Dot-stuffed: the "." line of the text is sent as ".."
+      expect(server.session.data).toContain('\r\n..\r\n');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should report permanent rejections as non-temporary', async () => {
+    const server = await startServer({ RCPT: '550 5.1.1 No such user' });
+    try {
+      const error = await sendSmtp({ host: '127.0.0.1', port: server.port }, message).catch(err => err);
+
+      expect(error).toBeInstanceOf(SmtpError);
+      expect(error).toMatchObject({ code: 550, temporary: false });
+      expect(server.session.data).toBeNull();
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should not send credentials without TLS', async () => {
+    const server = await startServer();
+    try {
+      const error = await sendSmtp({ host: '127.0.0.1', port: server.port, user: 'mailer', pass: 'secret' }, message)
+        .catch(err => err);
+
+      expect(error).toBeInstanceOf(SmtpError);
+      expect(error.code).toBe(502);
+      expect(server.session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should time out a stalled STARTTLS handshake', async () => {
+    const server = await startServer({ STARTTLS: '220 2.0.0 Ready to start TLS' });
+    try {
+      const error = await sendSmtp({
+        host: '127.0.0.1',
+        port: server.port,
+        user: 'mailer',
+        pass: 'secret',
+        timeoutMs: 200
+      }, message).catch(err => err);
+
+      expect(error).toBeInstanceOf(SmtpError);
+      expect(error.temporary).toBe(true);
+      expect(server.session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Shared Utilities Tests: TOTP
+ *
+ * Tests the TOTP utility invariants:
+ * - Codes match the RFC 6238 SHA-1 reference values
+ * - Base32 round-trips arbitrary bytes
+ * - Verification tolerates one step of drift and rejects replayed steps
+ * - otpauth URIs carry the secret and issuer
+ */
+
+process.env.NODE_ENV = 'test';
+
+const {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../../src/shared/utils/totp.js');
+
+describe('TOTP Utility', () => {
+  // RFC 6238 appendix B seed ("12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+  describe('generateTotp', () => {
+
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('should match the RFC 6238 value at %i', (seconds, expected) => {
+      expect(generateTotp(rfcSecret, seconds * 1000)).toBe(expected);
+    });
+
+  });
+
+  describe('base32', () => {
+
+    it('should round-trip random secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]+$/);
+      expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    it('should ignore case and spaces, and reject other characters', () => {
+      expect(base32Decode('gezd gnbv')).toEqual(base32Decode('GEZDGNBV'));
+      expect(() => base32Decode('GEZD1')).toThrow();
+    });
+
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1700000000 * 1000;
+    const stepMs = TOTP_DEFAULTS.stepSeconds * 1000;
+
+    it('should accept the current and adjacent steps only', () => {
+      const step = verifyTotp(rfcSecret, generateTotp(rfcSecret, now), { timeMs: now });
+      expect(step).toBe(Math.floor(now / stepMs));
+
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - stepMs), { timeMs: now })).toBe(step - 1);
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 3 * stepMs), { timeMs: now })).toBeNull();
+    });
+
+    it('should reject steps at or before afterStep', () => {
+      const code = generateTotp(rfcSecret, now);
+      const step = verifyTotp(rfcSecret, code, { timeMs: now });
+      expect(verifyTotp(rfcSecret, code, { timeMs: now, afterStep: step })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(rfcSecret, '12345', { timeMs: now })).toBeNull();
+      expect(verifyTotp(rfcSecret, 'abcdef', { timeMs: now })).toBeNull();
+      expect(verifyTotp(rfcSecret, null, { timeMs: now })).toBeNull();
+    });
+
+  });
+
+  describe('buildOtpauthUri', () => {
+
+    it('should encode the label, secret and issuer', () => {
+      const uri = buildOtpauthUri({ secret: rfcSecret, accountName: 'a@example.com', issuer: 'CivicTrack' });
+      expect(uri.startsWith('otpauth://totp/CivicTrack%3Aa%40example.com?')).toBe(true);
+
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(rfcSecret);
+      expect(params.get('issuer')).toBe('CivicTrack');
+      expect(params.get('digits')).toBe('6');
+    });
+
+  });
+
+});
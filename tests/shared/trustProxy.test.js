@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Shared Utilities Tests: Proxy Trust
+ *
+ * Tests the TRUST_PROXY invariants:
+ * - Unset or "false" trusts no proxy
+ * - Booleans, hop counts and address lists are passed to Express as such
+ * - With a trusted proxy, req.ip is the forwarded client address
+ */
+
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const express = require('express');
+const { parseTrustProxy } = require('../../src/shared/utils/trustProxy.js');
+
+/**
+ * req.ip seen by an app with the given setting for one forwarded request
+ *
+ * @param {boolean|number|string} trustProxy
+ * @returns {Promise<string>}
+ */
+async function requestIp(trustProxy) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.get('/', (req, res) => res.send(req.ip));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await new Promise((resolve, reject) => {
+      http.get({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/',
+        headers: { 'X-Forwarded-For': '203.0.113.7' }
+      }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve(body));
+      }).on('error', reject);
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('Proxy Trust Utility', () => {
+
+  describe('parseTrustProxy', () => {
+
+    it('should trust no proxy when unset or false', () => {
+      expect(parseTrustProxy(undefined)).toBe(false);
+      expect(parseTrustProxy('')).toBe(false);
+      expect(parseTrustProxy('false')).toBe(false);
+    });
+
+    it('should parse booleans, hop counts and address lists', () => {
+      expect(parseTrustProxy('true')).toBe(true);
+      expect(parseTrustProxy(' 1 ')).toBe(1);
+      expect(parseTrustProxy('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+    });
+
+  });
+
+  describe('req.ip', () => {
+
+    it('should be the proxy address without TRUST_PROXY', async () => {
+      expect(await requestIp(parseTrustProxy(undefined))).toBe('127.0.0.1');
+    });
+
+    it('should be the client address behind a trusted proxy', async () => {
+      expect(await requestIp(parseTrustProxy('loopback'))).toBe('203.0.113.7');
+    });
+
+  });
+
+});